@@ -0,0 +1,198 @@
+// Cloud Functions (Node, firebase-functions v2). Run them locally with
+// `npx firebase emulators:start --only functions,firestore --project demo-taskflow`.
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, Timestamp } from 'firebase-admin/firestore';
+import { onDocumentCreated } from 'firebase-functions/v2/firestore';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { defineInt, defineSecret, defineString } from 'firebase-functions/params';
+import {
+  OVERDUE_LOOKBACK_DAYS,
+  DUE_SOON_LOOKAHEAD_DAYS,
+  TOPIC_BY_NOTIFICATION,
+  buildPushPayload,
+  createWebPushSender,
+  deliverPush,
+  getDueReminders
+} from './src/push.js';
+import {
+  DIGEST_INTERVAL_MINUTES,
+  buildDigest,
+  getEmailKind,
+  isDigestDue,
+  isTaskRecipient,
+  renderEmail,
+  wantsEmail
+} from './src/email.js';
+import { createMailTransport } from './src/mail.js';
+import { TEAM_CALENDAR_ID, normalizeTeamCalendar } from './src/dueDates.js';
+
+initializeApp();
+const db = getFirestore();
+
+const APP_URL = defineString('APP_URL', { default: 'http://localhost:5173' });
+const VAPID_PUBLIC_KEY = defineString('VAPID_PUBLIC_KEY');
+const VAPID_SUBJECT = defineString('VAPID_SUBJECT', { default: 'mailto:admin@taskflow.app' });
+const VAPID_PRIVATE_KEY = defineSecret('VAPID_PRIVATE_KEY');
+
+// 'smtp', or 'log' to only print the emails. The defaults point at the
+// local SMTP stand-in (`npm run mock-smtp`).
+const MAIL_TRANSPORT = defineString('MAIL_TRANSPORT', { default: 'smtp' });
+const SMTP_HOST = defineString('SMTP_HOST', { default: '127.0.0.1' });
+const SMTP_PORT = defineInt('SMTP_PORT', { default: 2525 });
+const SMTP_USER = defineString('SMTP_USER', { default: '' });
+const SMTP_PASSWORD = defineSecret('SMTP_PASSWORD');
+const MAIL_FROM = defineString('MAIL_FROM', { default: 'TaskFlow <noreply@taskflow.app>' });
+
+const getMailTransport = () => createMailTransport({
+  transport: MAIL_TRANSPORT.value(),
+  host: SMTP_HOST.value(),
+  port: SMTP_PORT.value(),
+  user: SMTP_USER.value(),
+  password: SMTP_PASSWORD.value(),
+  from: MAIL_FROM.value()
+});
+
+// Done statuses of the built-in workflow (STANDARD_WORKFLOW in
+// src/utils/workflows.js) plus those of the custom workflows
+const STANDARD_DONE_STATES = ['completato', 'chiuso'];
+
+const toTask = (taskDoc) => ({
+  id: taskDoc.id,
+  ...taskDoc.data(),
+  dueDate: taskDoc.data().dueDate.toDate()
+});
+
+const loadDoneStates = async () => {
+  const snapshot = await db.collection('workflows').get();
+  const custom = snapshot.docs.map(workflowDoc => ({
+    id: workflowDoc.id,
+    done: (workflowDoc.data().states || []).filter(s => s.category === 'done').map(s => s.id)
+  }));
+  return (task) => {
+    const workflow = custom.find(w => w.id === task.workflowId);
+    return (workflow ? workflow.done : STANDARD_DONE_STATES).includes(task.status);
+  };
+};
+
+// Working days and hours for overdue and due soon, as set in the app
+const loadTeamCalendar = async () => {
+  const calendarDoc = await db.collection('calendars').doc(TEAM_CALENDAR_ID).get();
+  return normalizeTeamCalendar(calendarDoc.data());
+};
+
+// Pushes notifications of a push topic to the recipient's opted-in devices
+export const pushNotification = onDocumentCreated(
+  { document: 'notifications/{notificationId}', secrets: [VAPID_PRIVATE_KEY] },
+  async (event) => {
+    const notification = event.data?.data();
+    const topic = TOPIC_BY_NOTIFICATION[notification?.type];
+    if (!topic || notification.targetUserId === 'admin') return;
+
+    const snapshot = await db.collection('pushSubscriptions')
+      .where('userId', '==', notification.targetUserId)
+      .where(`topics.${topic}`, '==', true)
+      .get();
+    if (snapshot.empty) return;
+
+    const recipientDoc = await db.collection('users').doc(notification.targetUserId).get();
+    const send = createWebPushSender({
+      publicKey: VAPID_PUBLIC_KEY.value(),
+      privateKey: VAPID_PRIVATE_KEY.value(),
+      subject: VAPID_SUBJECT.value()
+    });
+    const { expired } = await deliverPush(
+      snapshot.docs.map(subscriptionDoc => ({ id: subscriptionDoc.id, ...subscriptionDoc.data() })),
+      buildPushPayload(event.params.notificationId, notification, APP_URL.value(), recipientDoc.data()?.language),
+      send
+    );
+    await Promise.all(expired.map(id => db.collection('pushSubscriptions').doc(id).delete()));
+  }
+);
+
+// Due soon and overdue reminders for tasks nobody has open in the app. The
+// ids are deterministic, so create() skips the ones that exist already.
+export const dueDateReminders = onSchedule('every 15 minutes', async () => {
+  const now = new Date();
+  const snapshot = await db.collection('tasks')
+    .where('dueDate', '>=', Timestamp.fromMillis(now.getTime() - OVERDUE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000))
+    .where('dueDate', '<=', Timestamp.fromMillis(now.getTime() + DUE_SOON_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000))
+    .get();
+  const [isDone, usersSnapshot, calendar] = await Promise.all([
+    loadDoneStates(),
+    db.collection('users').get(),
+    loadTeamCalendar()
+  ]);
+  const languages = new Map(usersSnapshot.docs.map(userDoc => [userDoc.id, userDoc.data().language]));
+  const reminders = getDueReminders(snapshot.docs.map(toTask), now, isDone, userId => languages.get(userId), calendar);
+
+  for (const reminder of reminders) {
+    try {
+      await db.collection('notifications').doc(reminder.id).create({
+        ...reminder.data,
+        createdAt: Timestamp.now()
+      });
+    } catch (error) {
+      // 6 = ALREADY_EXISTS
+      if (error.code !== 6) console.error('Error creating reminder:', reminder.id, error);
+    }
+  }
+});
+
+// Emails the recipient of an assignment, review request or overdue reminder
+export const emailNotification = onDocumentCreated(
+  { document: 'notifications/{notificationId}', secrets: [SMTP_PASSWORD] },
+  async (event) => {
+    const notification = event.data?.data();
+    const kind = notification && getEmailKind(notification);
+    if (!kind || !notification.taskId || notification.targetUserId === 'admin') return;
+
+    const [recipientDoc, taskDoc, actorDoc] = await Promise.all([
+      db.collection('users').doc(notification.targetUserId).get(),
+      db.collection('tasks').doc(notification.taskId).get(),
+      db.collection('users').doc(notification.userId).get()
+    ]);
+    const recipient = recipientDoc.data();
+    if (!taskDoc.exists || !wantsEmail(recipient, kind)) return;
+    const task = toTask(taskDoc);
+    if (!isTaskRecipient(kind, task, notification.targetUserId)) {
+      console.warn('Notification does not match its task, no email sent:', event.params.notificationId);
+      return;
+    }
+
+    const email = renderEmail(kind, {
+      task,
+      actorName: actorDoc.exists ? actorDoc.data().name : null,
+      appUrl: APP_URL.value()
+    }, recipient.language, recipient.timeZone);
+    await getMailTransport().send({ to: recipient.email, ...email });
+  }
+);
+
+// Morning digest of the open tasks assigned to each user, overdue first, at
+// DIGEST_TIME in the user's time zone
+export const morningDigest = onSchedule(
+  { schedule: `*/${DIGEST_INTERVAL_MINUTES} * * * *`, secrets: [SMTP_PASSWORD] },
+  async () => {
+    const now = new Date();
+    const [usersSnapshot, isDone, calendar] = await Promise.all([
+      db.collection('users').where('approved', '==', true).get(),
+      loadDoneStates(),
+      loadTeamCalendar()
+    ]);
+    const transport = getMailTransport();
+
+    for (const userDoc of usersSnapshot.docs) {
+      const user = userDoc.data();
+      if (!isDigestDue(now, user.timeZone) || !wantsEmail(user, 'digest')) continue;
+      try {
+        const tasksSnapshot = await db.collection('tasks').where('assignedTo', '==', userDoc.id).get();
+        const digest = buildDigest(tasksSnapshot.docs.map(toTask), now, isDone, calendar);
+        if (digest.assigned.length === 0) continue;
+        const email = renderEmail('digest', { userName: user.name, ...digest, appUrl: APP_URL.value() }, user.language, user.timeZone);
+        await transport.send({ to: user.email, ...email });
+      } catch (error) {
+        console.error('Error sending digest:', userDoc.id, error);
+      }
+    }
+  }
+);
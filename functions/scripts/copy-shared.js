@@ -0,0 +1,9 @@
+// Copies the app modules the functions share (see src/utils/dueDates.js).
+//   npm run copy-shared   (also run by `firebase deploy`)
+import { copyFileSync } from 'node:fs';
+
+const SHARED = [['../../src/utils/dueDates.js', '../src/dueDates.js']];
+
+for (const [from, to] of SHARED) {
+  copyFileSync(new URL(from, import.meta.url), new URL(to, import.meta.url));
+}
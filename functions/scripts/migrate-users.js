@@ -0,0 +1,36 @@
+// One-off: moves the profiles created before the security rules, saved under
+// a random id, to users/<uid> where the rules look them up. Until then those
+// users count as unapproved. Run once with admin credentials:
+//   GOOGLE_APPLICATION_CREDENTIALS=<key.json> GCLOUD_PROJECT=<project> npm run migrate-users [-- --dry-run]
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+
+const dryRun = process.argv.includes('--dry-run');
+
+initializeApp({ projectId: process.env.GCLOUD_PROJECT });
+const db = getFirestore();
+
+const snapshot = await db.collection('users').get();
+const legacy = snapshot.docs.filter(profile => {
+  const { id } = profile.data();
+  return typeof id === 'string' && id !== '' && id !== profile.id;
+});
+
+let moved = 0;
+for (const profile of legacy) {
+  const { id: uid, email } = profile.data();
+  const target = db.collection('users').doc(uid);
+  // A profile already under the uid wins (e.g. a second legacy copy was moved first)
+  if ((await target.get()).exists) {
+    console.warn(`${email}: users/${uid} esiste già, users/${profile.id} lasciato com'è`);
+    continue;
+  }
+  console.log(`${email}: users/${profile.id} → users/${uid}`);
+  if (dryRun) continue;
+  const batch = db.batch();
+  batch.set(target, profile.data());
+  batch.delete(profile.ref);
+  await batch.commit();
+  moved++;
+}
+console.log(dryRun ? `${legacy.length} profili da spostare` : `${moved} profili spostati`);
@@ -0,0 +1,30 @@
+// Local push endpoint for the emulators. Registers a device for the given
+// user in the Firestore emulator and prints every push it then receives:
+//   FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 npm run mock-push -- <userId>
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, Timestamp } from 'firebase-admin/firestore';
+import { PUSH_TOPICS } from '../src/push.js';
+import { startMockPushEndpoint } from '../src/mockPushEndpoint.js';
+
+const userId = process.argv[2];
+if (!userId || !process.env.FIRESTORE_EMULATOR_HOST) {
+  console.error('Uso: FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 npm run mock-push -- <userId>');
+  process.exit(1);
+}
+
+initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'demo-taskflow' });
+const endpoint = await startMockPushEndpoint({
+  port: Number(process.env.MOCK_PUSH_PORT) || 9300,
+  onPush: ({ headers, payload }) => console.log(new Date().toISOString(), `TTL ${headers.ttl}`, JSON.stringify(payload))
+});
+const subscription = endpoint.subscribe(userId);
+
+await getFirestore().collection('pushSubscriptions').doc(`mock_${userId}`).set({
+  userId,
+  ...subscription,
+  topics: Object.fromEntries(PUSH_TOPICS.map(topic => [topic, true])),
+  userAgent: 'mock-push-server',
+  createdAt: Timestamp.now()
+});
+console.log(`Push per ${userId} su ${subscription.endpoint}`);
+
@@ -0,0 +1,11 @@
+// Local SMTP server for the emulators: prints every email the functions send.
+//   npm run mock-smtp   (port 2525, or MOCK_SMTP_PORT)
+import { startMockSmtpServer } from '../src/mockSmtpServer.js';
+
+const server = await startMockSmtpServer({
+  port: Number(process.env.MOCK_SMTP_PORT) || 2525,
+  onMessage: ({ to, headers, body }) => {
+    console.log(`\n--- ${new Date().toISOString()} → ${to.join(', ')}\n${headers.subject}\n\n${body}`);
+  }
+});
+console.log(`SMTP di prova su 127.0.0.1:${server.port}`);
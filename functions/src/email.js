@@ -0,0 +1,188 @@
+// Email notifications. Assignments and overdue reminders (the in-app
+// notifications that also become pushes) and review requests (moves to
+// in_revisione) are emailed to their recipient, plus a morning digest of the
+// open tasks assigned to each user. Users turn kinds off in
+// `emailPreferences` on their profile ({ [kind]: false }; missing means on)
+// and get the texts in their `language`, with dates in their `timeZone`.
+import {
+  DEFAULT_TEAM_CALENDAR,
+  DEFAULT_TIME_ZONE,
+  fromZonedTime,
+  isTaskOverdue,
+  isTimeZone,
+  toZonedDateKey
+} from './dueDates.js';
+
+export const EMAIL_KINDS = ['assigned', 'review', 'overdue', 'digest'];
+
+export const DEFAULT_LANGUAGE = 'it';
+
+export const getEmailKind = (notification) => {
+  if (notification.type === 'task_assigned') return 'assigned';
+  if (notification.type === 'task_overdue') return 'overdue';
+  if (notification.type === 'task_status' && notification.status === 'in_revisione') return 'review';
+  return null;
+};
+
+// Notifications are written by clients: only email the task to a user the
+// kind is meant for, who can read it anyway. Assignments and overdue
+// reminders go to the assignee, review requests to the creator or assignee.
+export const isTaskRecipient = (kind, task, userId) => (kind === 'review'
+  ? task.status === 'in_revisione' && [task.createdBy, task.assignedTo].includes(userId)
+  : task.assignedTo === userId);
+
+export const wantsEmail = (user, kind) =>
+  Boolean(user?.email) && user.approved === true && !user.disabled && user.emailPreferences?.[kind] !== false;
+
+// The digest goes out at DIGEST_TIME in each user's zone. morningDigest runs
+// every DIGEST_INTERVAL_MINUTES, and every zone's offset is a multiple of 15
+// minutes, so exactly one run falls in each user's window.
+export const DIGEST_TIME = '07:30';
+export const DIGEST_INTERVAL_MINUTES = 15;
+
+export const isDigestDue = (now, timeZone) => {
+  const zone = isTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+  const sendAt = fromZonedTime(toZonedDateKey(now, zone), DIGEST_TIME, zone);
+  return now >= sendAt && now - sendAt < DIGEST_INTERVAL_MINUTES * 60 * 1000;
+};
+
+// Open tasks of the digest, by due date, and the overdue ones among them
+// by the team calendar
+export const buildDigest = (tasks, now, isDone, calendar = DEFAULT_TEAM_CALENDAR) => {
+  const open = tasks.filter(task => !isDone(task)).sort((a, b) => a.dueDate - b.dueDate);
+  return { assigned: open, overdue: open.filter(task => isTaskOverdue(task, now, calendar)) };
+};
+
+const TEMPLATES = {
+  it: {
+    locale: 'it-IT',
+    due: 'Scadenza',
+    openTask: 'Apri il task',
+    openApp: 'Apri TaskFlow',
+    assignedToMe: 'Assegnati a Me',
+    overdue: 'In ritardo',
+    footer: 'Scegli quali email ricevere dalle preferenze del tuo profilo su TaskFlow.',
+    openTasks: { one: 'task aperto', other: 'task aperti' },
+    assignedEmail: ({ task, actorName }) => ({
+      subject: `Nuovo task: ${task.title}`,
+      intro: actorName
+        ? `${actorName} ti ha assegnato il task "${task.title}".`
+        : `Ti è stato assegnato il task "${task.title}".`
+    }),
+    reviewEmail: ({ task, actorName }) => ({
+      subject: `Da revisionare: ${task.title}`,
+      intro: `${actorName || 'Un utente'} ha inviato in revisione il task "${task.title}".`
+    }),
+    overdueEmail: ({ task }) => ({
+      subject: `Task scaduto: ${task.title}`,
+      intro: `Il task "${task.title}" è scaduto e non è ancora completato.`
+    }),
+    digestEmail: ({ userName, count, overdueCount }) => ({
+      subject: overdueCount > 0 ? `Il tuo riepilogo: ${count}, di cui ${overdueCount} in ritardo` : `Il tuo riepilogo: ${count}`,
+      intro: `Buongiorno ${userName}, ecco i tuoi task di oggi.`
+    })
+  },
+  en: {
+    locale: 'en-GB',
+    due: 'Due',
+    openTask: 'Open the task',
+    openApp: 'Open TaskFlow',
+    assignedToMe: 'Assigned to me',
+    overdue: 'Overdue',
+    footer: 'Choose which emails you get from your profile preferences in TaskFlow.',
+    openTasks: { one: 'open task', other: 'open tasks' },
+    assignedEmail: ({ task, actorName }) => ({
+      subject: `New task: ${task.title}`,
+      intro: actorName
+        ? `${actorName} assigned you the task "${task.title}".`
+        : `You have been assigned the task "${task.title}".`
+    }),
+    reviewEmail: ({ task, actorName }) => ({
+      subject: `Review requested: ${task.title}`,
+      intro: `${actorName || 'A user'} sent the task "${task.title}" for review.`
+    }),
+    overdueEmail: ({ task }) => ({
+      subject: `Task overdue: ${task.title}`,
+      intro: `The task "${task.title}" is past its due date and not completed yet.`
+    }),
+    digestEmail: ({ userName, count, overdueCount }) => ({
+      subject: overdueCount > 0 ? `Your summary: ${count}, ${overdueCount} overdue` : `Your summary: ${count}`,
+      intro: `Good morning ${userName}, here are your tasks for today.`
+    })
+  }
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// "3 task aperti" / "1 open task"
+const countTasks = (template, count) =>
+  `${count} ${template.openTasks[new Intl.PluralRules(template.locale).select(count)] || template.openTasks.other}`;
+
+// `kind`: one of EMAIL_KINDS. `data` for task emails: { task, actorName,
+// appUrl }; for the digest: { userName, assigned, overdue, appUrl }. Tasks
+// carry `dueDate` as a Date; all-day ones show just their date.
+// Returns { subject, text, html }.
+export const renderEmail = (kind, data, language = DEFAULT_LANGUAGE, timeZone = DEFAULT_TIME_ZONE) => {
+  const template = TEMPLATES[language] || TEMPLATES[DEFAULT_LANGUAGE];
+  const zone = isTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+  const formatDue = (task) => new Intl.DateTimeFormat(template.locale, task.allDay
+    ? { dateStyle: 'medium', timeZone: task.dueTimeZone || DEFAULT_TIME_ZONE }
+    : { dateStyle: 'medium', timeStyle: 'short', timeZone: zone }).format(task.dueDate);
+  const taskUrl = (task) => `${data.appUrl}/tasks/${task.id}`;
+
+  if (kind === 'digest') {
+    const { subject, intro } = template.digestEmail({
+      userName: data.userName,
+      count: countTasks(template, data.assigned.length),
+      overdueCount: data.overdue.length
+    });
+    const sections = [
+      { title: template.overdue, tasks: data.overdue },
+      { title: template.assignedToMe, tasks: data.assigned }
+    ].filter(section => section.tasks.length > 0);
+    const line = (task) => `${task.title} · ${template.due}: ${formatDue(task)}`;
+    return {
+      subject,
+      text: [
+        intro,
+        ...sections.map(section =>
+          `${section.title} (${section.tasks.length})\n${section.tasks.map(task => `- ${line(task)}\n  ${taskUrl(task)}`).join('\n')}`),
+        `${template.openApp}: ${data.appUrl}/`,
+        template.footer
+      ].join('\n\n'),
+      html: [
+        `<p>${escapeHtml(intro)}</p>`,
+        ...sections.map(section => `<h3>${escapeHtml(section.title)} (${section.tasks.length})</h3><ul>${
+          section.tasks.map(task => `<li><a href="${taskUrl(task)}">${escapeHtml(task.title)}</a> · ${
+            escapeHtml(`${template.due}: ${formatDue(task)}`)}</li>`).join('')
+        }</ul>`),
+        `<p><a href="${data.appUrl}/">${escapeHtml(template.openApp)}</a></p>`,
+        `<p style="color:#64748b;font-size:12px">${escapeHtml(template.footer)}</p>`
+      ].join('\n')
+    };
+  }
+
+  const { task } = data;
+  const { subject, intro } = template[`${kind}Email`](data);
+  return {
+    subject,
+    text: [
+      intro,
+      task.description,
+      `${template.due}: ${formatDue(task)}`,
+      `${template.openTask}: ${taskUrl(task)}`,
+      template.footer
+    ].filter(Boolean).join('\n\n'),
+    html: [
+      `<p>${escapeHtml(intro)}</p>`,
+      task.description ? `<p style="color:#475569">${escapeHtml(task.description)}</p>` : '',
+      `<p><strong>${escapeHtml(template.due)}:</strong> ${escapeHtml(formatDue(task))}</p>`,
+      `<p><a href="${taskUrl(task)}">${escapeHtml(template.openTask)}</a></p>`,
+      `<p style="color:#64748b;font-size:12px">${escapeHtml(template.footer)}</p>`
+    ].filter(Boolean).join('\n')
+  };
+};
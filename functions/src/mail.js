@@ -0,0 +1,26 @@
+// Mail transports: { send({ to, subject, text, html }) }. 'smtp' talks to
+// any SMTP server (the real one in production, the local stand-in in
+// src/mockSmtpServer.js with the emulators); 'log' only prints the emails.
+import nodemailer from 'nodemailer';
+
+export const createSmtpTransport = ({ host, port, user, password, from }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure: port === 465,
+    auth: user ? { user, pass: password } : undefined
+  });
+  return {
+    send: (email) => transporter.sendMail({ from, ...email })
+  };
+};
+
+export const createLogTransport = () => ({
+  send: async ({ to, subject, text }) => {
+    console.log(`Email a ${to}: ${subject}\n${text}`);
+  }
+});
+
+// `config.transport` picks the transport; the rest goes to it
+export const createMailTransport = (config) =>
+  (config.transport === 'log' ? createLogTransport() : createSmtpTransport(config));
@@ -0,0 +1,86 @@
+// A local stand-in for a browser push service, to test pushes without a
+// browser: it accepts what web-push sends, decrypts it (RFC 8291, aes128gcm)
+// with the keys of the subscriptions it handed out, and keeps the payloads.
+// Endpoints under /gone/ answer 410, like an expired subscription.
+import { createECDH, createDecipheriv, hkdfSync, randomBytes } from 'node:crypto';
+import { createServer } from 'node:http';
+
+const hkdf = (ikm, salt, info, length) => Buffer.from(hkdfSync('sha256', ikm, salt, info, length));
+
+const decrypt = (body, { privateKey, publicKey, authSecret }) => {
+  const salt = body.subarray(0, 16);
+  const idLength = body.readUInt8(20);
+  const senderKey = body.subarray(21, 21 + idLength);
+  const ciphertext = body.subarray(21 + idLength);
+
+  const ecdh = createECDH('prime256v1');
+  ecdh.setPrivateKey(privateKey);
+  const sharedSecret = ecdh.computeSecret(senderKey);
+  const ikm = hkdf(sharedSecret, authSecret, Buffer.concat([Buffer.from('WebPush: info\0'), publicKey, senderKey]), 32);
+  const key = hkdf(ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = hkdf(ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+  const decipher = createDecipheriv('aes-128-gcm', key, nonce);
+  decipher.setAuthTag(ciphertext.subarray(-16));
+  const padded = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+  // The last record ends with a 0x02 delimiter followed by zero padding
+  let end = padded.length - 1;
+  while (end > 0 && padded[end] === 0) end--;
+  return padded.subarray(0, end).toString('utf8');
+};
+
+// Resolves to { url, received, subscribe(name, { gone }), close() }.
+// `received` collects { name, headers, payload } per push, also passed to
+// `onPush`; subscribe() returns the { endpoint, keys } to store in
+// pushSubscriptions. Port 0 picks a free one.
+export const startMockPushEndpoint = ({ port = 0, onPush } = {}) => new Promise((resolve) => {
+  const clients = {};
+  const received = [];
+
+  const server = createServer((request, response) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+      const [, kind, name] = request.url.split('/');
+      const client = clients[name];
+      if (request.method !== 'POST' || !client) {
+        response.writeHead(404).end();
+        return;
+      }
+      if (kind === 'gone') {
+        response.writeHead(410).end();
+        return;
+      }
+      let payload;
+      try {
+        payload = JSON.parse(decrypt(Buffer.concat(chunks), client));
+      } catch {
+        response.writeHead(400).end();
+        return;
+      }
+      const push = { name, headers: request.headers, payload };
+      received.push(push);
+      onPush?.(push);
+      response.writeHead(201).end();
+    });
+  });
+
+  server.listen(port, '127.0.0.1', () => {
+    const url = `http://127.0.0.1:${server.address().port}`;
+    resolve({
+      url,
+      received,
+      subscribe: (name, { gone = false } = {}) => {
+        const ecdh = createECDH('prime256v1');
+        const publicKey = ecdh.generateKeys();
+        const authSecret = randomBytes(16);
+        clients[name] = { privateKey: ecdh.getPrivateKey(), publicKey, authSecret };
+        return {
+          endpoint: `${url}/${gone ? 'gone' : 'push'}/${name}`,
+          keys: { p256dh: publicKey.toString('base64url'), auth: authSecret.toString('base64url') }
+        };
+      },
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
@@ -0,0 +1,83 @@
+// A local SMTP stand-in for the emulators and the tests: it speaks just
+// enough SMTP for nodemailer (no TLS, no auth) and keeps every message.
+import { createServer } from 'node:net';
+
+// Unfolds the headers and splits them from the body
+const parseMessage = (data) => {
+  const [head, ...body] = data.split('\r\n\r\n');
+  const headers = {};
+  head.replace(/\r\n[ \t]+/g, ' ').split('\r\n').forEach(line => {
+    const index = line.indexOf(':');
+    if (index > 0) headers[line.slice(0, index).toLowerCase()] = line.slice(index + 1).trim();
+  });
+  return { headers, body: body.join('\r\n\r\n') };
+};
+
+// Resolves to { port, received, close() }. `received` collects
+// { from, to: [...], headers, body, raw } per message, also passed to
+// `onMessage`. Port 0 picks a free one.
+export const startMockSmtpServer = ({ port = 0, onMessage } = {}) => new Promise((resolve) => {
+  const received = [];
+
+  const server = createServer((socket) => {
+    let envelope = { from: null, to: [] };
+    let buffer = '';
+    let data = null;
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply('220 taskflow-mock-smtp ready');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (data !== null) {
+          if (line === '.') {
+            const raw = data.join('\r\n');
+            const message = { ...envelope, ...parseMessage(raw), raw };
+            received.push(message);
+            onMessage?.(message);
+            envelope = { from: null, to: [] };
+            data = null;
+            reply('250 OK: queued');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          reply('250 taskflow-mock-smtp');
+        } else if (command === 'MAIL') {
+          envelope.from = line.match(/<(.*)>/)?.[1] || null;
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          envelope.to.push(line.match(/<(.*)>/)?.[1]);
+          reply('250 OK');
+        } else if (command === 'DATA') {
+          data = [];
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'RSET') {
+          envelope = { from: null, to: [] };
+          reply('250 OK');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('250 OK');
+        }
+      }
+    });
+  });
+
+  server.listen(port, '127.0.0.1', () => {
+    resolve({
+      port: server.address().port,
+      received,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
@@ -0,0 +1,130 @@
+// Web push. Every in-app notification of a push topic is also pushed to the
+// devices its recipient opted in from; a device is a document in
+// pushSubscriptions: { userId, endpoint, keys: { p256dh, auth }, topics }.
+// Due date reminders are in-app notifications too, created on a schedule
+// with the same deterministic ids the app uses, so each one exists once.
+// Texts are in the recipient's `language`, like the app's.
+import webpush from 'web-push';
+import { DEFAULT_LANGUAGE } from './email.js';
+import { DEFAULT_TEAM_CALENDAR, isTaskDueSoon, isTaskOverdue } from './dueDates.js';
+
+export const PUSH_TOPICS = ['dueSoon', 'overdue', 'assigned'];
+
+export const TOPIC_BY_NOTIFICATION = {
+  task_due_soon: 'dueSoon',
+  task_overdue: 'overdue',
+  task_assigned: 'assigned'
+};
+
+const PUSH_TITLES = {
+  it: {
+    dueSoon: 'Task in scadenza',
+    overdue: 'Task scaduto',
+    assigned: 'Nuovo task assegnato'
+  },
+  en: {
+    dueSoon: 'Task due soon',
+    overdue: 'Task overdue',
+    assigned: 'New task assigned'
+  }
+};
+
+// Same texts as notifications.messages.dueSoon/overdue in the app catalogs
+const REMINDER_MESSAGES = {
+  it: {
+    dueSoon: (title) => `Il task "${title}" scade a breve`,
+    overdue: (title) => `Il task "${title}" è scaduto`
+  },
+  en: {
+    dueSoon: (title) => `The task "${title}" is due soon`,
+    overdue: (title) => `The task "${title}" is overdue`
+  }
+};
+
+// Due soon means a working day of work left, which can be days away over
+// weekends and holidays; tasks due later aren't looked at
+export const DUE_SOON_LOOKAHEAD_DAYS = 14;
+
+// Tasks overdue for longer were reminded already, or predate the reminders
+export const OVERDUE_LOOKBACK_DAYS = 7;
+
+// Reminder notifications for open tasks due soon or overdue by the team
+// `calendar`, as in the app. `tasks`: [{ id, title, assignedTo, dueDate:
+// Date, ... }]; `isDone(task)` tells completed ones apart;
+// `languageOf(userId)` picks the language of the message.
+// Returns [{ id, data }].
+export const getDueReminders = (tasks, now, isDone, languageOf = () => DEFAULT_LANGUAGE, calendar = DEFAULT_TEAM_CALENDAR) => tasks
+  .filter(task => task.assignedTo && !isDone(task))
+  .flatMap(task => {
+    const dueTime = task.dueDate.getTime();
+    const overdue = isTaskOverdue(task, now, calendar);
+    if (!overdue && !isTaskDueSoon(task, now, calendar)) return [];
+    const messageKey = overdue ? 'overdue' : 'dueSoon';
+    const messages = REMINDER_MESSAGES[languageOf(task.assignedTo)] || REMINDER_MESSAGES[DEFAULT_LANGUAGE];
+    return [{
+      id: `${overdue ? 'overdue' : 'due'}_${task.id}_${task.assignedTo}_${dueTime}`,
+      data: {
+        type: overdue ? 'task_overdue' : 'task_due_soon',
+        message: messages[messageKey](task.title),
+        messageKey,
+        messageParams: { title: task.title },
+        targetUserId: task.assignedTo,
+        userId: 'system',
+        taskId: task.id,
+        read: false
+      }
+    }];
+  });
+
+// What the service worker shows; `url` opens the task
+export const buildPushPayload = (notificationId, notification, appUrl, language = DEFAULT_LANGUAGE) => ({
+  title: (PUSH_TITLES[language] || PUSH_TITLES[DEFAULT_LANGUAGE])[TOPIC_BY_NOTIFICATION[notification.type]] || 'TaskFlow',
+  body: notification.message,
+  url: notification.taskId ? `${appUrl}/tasks/${notification.taskId}` : `${appUrl}/`,
+  tag: notificationId
+});
+
+// `send(subscription, body)` as returned by createWebPushSender. Push
+// services answer 404 or 410 for subscriptions that no longer exist; their
+// ids come back in `expired` so the caller can delete them.
+export const deliverPush = async (subscriptions, payload, send) => {
+  const body = JSON.stringify(payload);
+  const result = { sent: 0, expired: [], failed: 0 };
+  for (const subscription of subscriptions) {
+    try {
+      await send(subscription, body);
+      result.sent++;
+    } catch (error) {
+      if (error.statusCode === 404 || error.statusCode === 410) {
+        result.expired.push(subscription.id);
+      } else {
+        console.error('Push delivery failed:', subscription.endpoint, error.statusCode || error.message);
+        result.failed++;
+      }
+    }
+  }
+  return result;
+};
+
+// { publicKey, privateKey } for VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY
+export const generateVapidKeys = () => webpush.generateVAPIDKeys();
+
+// `vapid`: { publicKey, privateKey, subject }, the subject being a mailto:
+// or https: contact for the push services. web-push encrypts and signs; the
+// request goes out through fetch, which also reaches the plain http mock
+// endpoint used in tests.
+export const createWebPushSender = (vapid) => async (subscription, body) => {
+  const request = webpush.generateRequestDetails(
+    { endpoint: subscription.endpoint, keys: subscription.keys },
+    body,
+    { vapidDetails: vapid, TTL: 60 * 60 * 24 }
+  );
+  const response = await fetch(request.endpoint, {
+    method: request.method,
+    headers: request.headers,
+    body: request.body
+  });
+  if (!response.ok) {
+    throw Object.assign(new Error(`Push service answered ${response.status}`), { statusCode: response.status });
+  }
+};
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { 
   signInWithPopup, 
   signOut, 
@@ -6,46 +6,437 @@ import {
 } from 'firebase/auth';
 import { 
   collection, 
+  collectionGroup,
   addDoc, 
   updateDoc, 
+  deleteDoc,
   doc, 
   getDoc,
+  getDocFromServer,
   setDoc,
   getDocs,
   onSnapshot, 
   query, 
   orderBy,
   where,
+  and,
+  or,
+  limit,
+  writeBatch,
+  runTransaction,
+  increment,
+  arrayUnion,
+  arrayRemove,
+  deleteField,
   serverTimestamp 
 } from 'firebase/firestore';
-import { auth, googleProvider, db, ADMIN_EMAIL } from './firebase/config';
+import {
+  ref as storageRef,
+  uploadBytes,
+  getBlob,
+  deleteObject
+} from 'firebase/storage';
+import { auth, googleProvider, db, storage, ADMIN_EMAIL } from './firebase/config';
+import {
+  addDays,
+  addMonths,
+  getMonthGrid,
+  getWeekDays,
+  toDateKey
+} from './utils/calendar';
+import {
+  DEFAULT_TEAM_CALENDAR,
+  TEAM_CALENDAR_ID,
+  buildDueFields,
+  fromWallClock,
+  getBrowserTimeZone,
+  getDueDateKey,
+  getDueFormValues,
+  getTimeZones,
+  isTaskDueSoon,
+  isTaskOverdue,
+  isTimeZone,
+  moveDueFields,
+  normalizeTeamCalendar,
+  toWallClock,
+  toZonedDateKey,
+  toZonedTimeKey,
+  validateTeamCalendar
+} from './utils/dueDates';
+import {
+  ROLES,
+  DEFAULT_ROLE,
+  can,
+  getUserRole
+} from './utils/permissions';
+import {
+  DEFAULT_WORKFLOW_ID,
+  STANDARD_WORKFLOW,
+  STATUS_CATEGORIES,
+  STATUS_COLORS,
+  TRANSITION_ACTORS,
+  canTransition,
+  getState,
+  getStateLabel,
+  getStatusesByCategory,
+  getTransitionLabel,
+  getTransitions,
+  getWorkflow,
+  isDoneState,
+  validateWorkflow
+} from './utils/workflows';
+import {
+  extractMentions,
+  getMentionQuery,
+  insertMention,
+  splitMentions
+} from './utils/mentions';
+import {
+  ATTACHMENT_ACCEPT,
+  MAX_ATTACHMENTS_PER_UPLOAD,
+  formatFileSize,
+  isImage,
+  isPreviewable,
+  toStorageFileName,
+  validateAttachment
+} from './utils/attachments';
+import {
+  DEFAULT_PRIORITY,
+  LABEL_COLORS,
+  PRIORITIES,
+  TASK_SORTS,
+  addLabel,
+  getLabelColor,
+  getPriority,
+  sortTasks,
+  toLabelId
+} from './utils/taskFields';
+import {
+  DEFAULT_TASK_QUERY,
+  decodeTaskQuery,
+  encodeTaskQuery,
+  hasTaskQueryParams,
+  isDefaultTaskQuery,
+  matchesTaskFilters,
+  matchesTaskQuery
+} from './utils/taskQuery';
+import {
+  ACTIVITY_FEED_LIMIT,
+  ACTIVITY_ICONS,
+  describeActivity
+} from './utils/activity';
+import { NOT_FOUND_VIEW, VIEW_PATHS, buildPath, parseRoute } from './utils/routes';
+import {
+  DEFAULT_REPEAT,
+  REPEAT_OPTIONS,
+  WEEKDAYS,
+  buildRRule,
+  describeRRule,
+  getNextOccurrence,
+  validateRRule
+} from './utils/recurrence';
+import {
+  MAX_CHECKLIST_ITEMS,
+  getProgress,
+  getSubtaskCounterDelta,
+  isBlockedBySubtasks,
+  isGatedBySubtasks
+} from './utils/subtasks';
+import { MAX_BLOCKERS, findDependencyCycle, isBlockedByDependencies } from './utils/dependencies';
+import { BOARD_COLUMNS, BOARD_ID, getMoveError, hasWipLimit, isOverWipLimit } from './utils/board';
+import {
+  DEFAULT_REPORT_RANGE,
+  REPORT_ACTIVITY_LIMIT,
+  REPORT_RANGES,
+  buildReports,
+  flattenReports,
+  formatDuration,
+  getReportRange
+} from './utils/reports';
+import { parseCsv, toCsv } from './utils/csv';
+import {
+  IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  getExportColumns,
+  getImportBatches,
+  guessMapping,
+  jsonToTable,
+  toExportRow,
+  validateImportRows
+} from './utils/taskTransfer';
+import {
+  loadOutbox,
+  saveOutbox,
+  createOutboxEntry,
+  getPendingEntries,
+  replayEntries,
+  settleEntry,
+  retryEntry,
+  describeOutboxEntry
+} from './utils/outbox';
+import {
+  PUSH_TOPICS,
+  DEFAULT_PUSH_TOPICS,
+  isPushSupported,
+  getPushSubscription,
+  subscribeToPush,
+  getSubscriptionId
+} from './utils/webPush';
+import { EMAIL_KINDS, isEmailEnabled } from './utils/emailPreferences';
+import {
+  DATE,
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  TIME,
+  createI18n,
+  detectLanguage,
+  isLanguage,
+  saveLanguage,
+  translate
+} from './i18n';
 import './App.css'; // Import del CSS
 
+const NOTIFICATIONS_LIMIT = 50;
+const HISTORY_PAGE_SIZE = 20;
+const VAPID_PUBLIC_KEY = import.meta.env.VITE_VAPID_PUBLIC_KEY;
+
+const mapActivityDoc = (activityDoc) => {
+  const data = activityDoc.data({ serverTimestamps: 'estimate' });
+  return {
+    id: activityDoc.id,
+    ...data,
+    createdAt: data.createdAt?.toDate?.()?.toISOString() || data.createdAt
+  };
+};
+
+const mapTaskDoc = (taskDoc) => {
+  const data = taskDoc.data();
+  return {
+    id: taskDoc.id,
+    ...data,
+    dueDate: data.dueDate?.toDate?.()?.toISOString() || data.dueDate,
+    createdAt: data.createdAt?.toDate?.()?.toISOString() || data.createdAt
+  };
+};
+
+// Attachment files, read through storage.rules
+const readAttachment = (attachment) => getBlob(storageRef(storage, attachment.storagePath));
+
+// Tasks in the given statuses, scoped server-side to the ones the user created
+// or is assigned to (userId = null for roles that can see every task).
+// Each variant has a composite index in firestore.indexes.json.
+const buildTasksQuery = (userId, statuses, orderField, maxResults) => {
+  const statusFilter = where('status', 'in', statuses);
+  const filter = userId
+    ? and(or(where('assignedTo', '==', userId), where('createdBy', '==', userId)), statusFilter)
+    : statusFilter;
+  const constraints = [filter, orderBy(orderField, 'desc')];
+  if (maxResults) constraints.push(limit(maxResults));
+  return query(collection(db, 'tasks'), ...constraints);
+};
+
+// Due date of the occurrence after `task`, at the same wall-clock time in the
+// zone the series was set in. Older tasks have no zone: they were entered in
+// the browser's. Dates already past are skipped, so a series nobody opened
+// for a while gets one occurrence instead of one per missed date.
+const getNextDueDate = (task, now = new Date()) => {
+  const timeZone = task.dueTimeZone || getBrowserTimeZone();
+  let next = toWallClock(task.dueDate, timeZone);
+  do {
+    next = getNextOccurrence(task.recurrence.rule, next, task.recurrence.index);
+  } while (next && fromWallClock(next, timeZone) <= now);
+  return next && fromWallClock(next, timeZone);
+};
+
+// Creates the occurrence that follows `task` in its recurring series, unless
+// another client already did (occurrence ids are deterministic). Also runs
+// from an effect, so it takes the actor instead of reading component state.
+// Returns the new task id, or null when the series is over or it existed.
+const createNextOccurrence = async (task, workflow, actor) => {
+  const { recurrence } = task;
+  const nextDue = getNextDueDate(task);
+  if (!nextDue) return null;
+
+  const index = recurrence.index + 1;
+  const nextRef = doc(db, 'tasks', `${recurrence.seriesId}_${index}`);
+  return runTransaction(db, async (transaction) => {
+    const existing = await transaction.get(nextRef);
+    if (existing.exists()) return null;
+
+    transaction.set(nextRef, {
+      title: task.title,
+      description: task.description,
+      assignedTo: task.assignedTo,
+      priority: task.priority || DEFAULT_PRIORITY,
+      labels: task.labels || [],
+      projectId: task.projectId || null,
+      dueDate: nextDue,
+      allDay: Boolean(task.allDay),
+      dueTimeZone: task.dueTimeZone || getBrowserTimeZone(),
+      workflowId: workflow.id,
+      status: workflow.initialState,
+      // The series keeps its creator, whoever generates the occurrence
+      createdBy: task.createdBy,
+      createdAt: serverTimestamp(),
+      assignmentHistory: [task.assignedTo],
+      comments: [],
+      commentCount: 0,
+      version: 0,
+      checklist: (task.checklist || []).map(item => ({ ...item, done: false })),
+      recurrence: {
+        rule: recurrence.rule,
+        seriesId: recurrence.seriesId,
+        index,
+        previousTaskId: task.id
+      }
+    });
+    transaction.set(doc(collection(db, 'tasks', nextRef.id, 'activity')), {
+      type: 'created',
+      taskId: nextRef.id,
+      taskTitle: task.title,
+      actorId: actor.id,
+      actorName: actor.name,
+      createdAt: serverTimestamp(),
+      to: task.assignedTo,
+      workflowId: workflow.id,
+      recurrenceOf: task.id
+    });
+    return nextRef.id;
+  });
+};
+
+// Language a user reads notifications in
+const getUserLanguage = (users, userId) => {
+  const language = users.find(u => u.id === userId)?.language;
+  return isLanguage(language) ? language : DEFAULT_LANGUAGE;
+};
+
+// The task list carries its search in the query string
+const routeUrl = (route, taskQuery) => {
+  const search = route.view === 'all-tasks' && !route.taskId ? encodeTaskQuery(taskQuery) : '';
+  return `${buildPath(route)}${search ? `?${search}` : ''}`;
+};
+
 const TaskManagementApp = () => {
-  const [currentUser, setCurrentUser] = useState(null);
+  const [authUser, setAuthUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [tasks, setTasks] = useState([]);
+  const [historyTasks, setHistoryTasks] = useState([]);
+  const [historyLimit, setHistoryLimit] = useState(0);
+  const [historyHasMore, setHistoryHasMore] = useState(false);
+  const [notificationsLimit, setNotificationsLimit] = useState(NOTIFICATIONS_LIMIT);
+  const [notificationsHasMore, setNotificationsHasMore] = useState(false);
+  const [selectedTaskData, setSelectedTaskData] = useState(null);
+  const [taskComments, setTaskComments] = useState([]);
+  const [taskAttachments, setTaskAttachments] = useState([]);
+  const [attachmentUrls, setAttachmentUrls] = useState({});
+  const [taskSubtasks, setTaskSubtasks] = useState([]);
+  const [taskBlockers, setTaskBlockers] = useState({});
+  const [taskActivity, setTaskActivity] = useState([]);
+  const [activityFeed, setActivityFeed] = useState([]);
   const [users, setUsers] = useState([]);
+  const [usersLoaded, setUsersLoaded] = useState(false);
+  const [customWorkflows, setCustomWorkflows] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [labels, setLabels] = useState([]);
   const [notifications, setNotifications] = useState([]);
-  const [currentView, setCurrentView] = useState('dashboard');
-  const [selectedTask, setSelectedTask] = useState(null);
+  const [showNotifications, setShowNotifications] = useState(false);
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [tasksFromCache, setTasksFromCache] = useState(false);
+  // Entries are tagged with their user so a fresh login never saves over them
+  const [outbox, setOutbox] = useState({ userId: null, entries: [] });
+  const [syncing, setSyncing] = useState(false);
+  const [showSyncPanel, setShowSyncPanel] = useState(false);
+  // status: 'unsupported' | 'denied' | 'off' | 'on'; id and topics when on
+  const [pushState, setPushState] = useState({ status: 'off' });
+  const [installPrompt, setInstallPrompt] = useState(null);
+  const [route, setRoute] = useState(() => {
+    const initial = parseRoute(window.location.pathname, window.history.state);
+    // Search links that predate routing point at the root
+    return initial.view === 'dashboard' && !initial.taskId && hasTaskQueryParams(window.location.search)
+      ? { view: 'all-tasks', taskId: null }
+      : initial;
+  });
+  const [taskLinkError, setTaskLinkError] = useState(null);
   const [showCreateTask, setShowCreateTask] = useState(false);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [filterStatus, setFilterStatus] = useState('all');
+  const [taskQuery, setTaskQuery] = useState(() => decodeTaskQuery(window.location.search));
+  const [showQueryBuilder, setShowQueryBuilder] = useState(false);
+  const [savedFilters, setSavedFilters] = useState([]);
+  const [commentTexts, setCommentTexts] = useState({});
+  const [calendarMode, setCalendarMode] = useState('month');
+  const [calendarDate, setCalendarDate] = useState(() => new Date());
+  const [boardAssignee, setBoardAssignee] = useState('all');
+  const [wipLimits, setWipLimits] = useState({});
+  const [teamCalendar, setTeamCalendar] = useState(DEFAULT_TEAM_CALENDAR);
+  const [reportRange, setReportRange] = useState(() => ({
+    preset: DEFAULT_REPORT_RANGE,
+    ...getReportRange(DEFAULT_REPORT_RANGE)
+  }));
+  const [reportData, setReportData] = useState(null);
+  const [exportScope, setExportScope] = useState('filtered');
+  const [exporting, setExporting] = useState(false);
+  const [importDraft, setImportDraft] = useState(null);
+  const [workflowDraft, setWorkflowDraft] = useState(null);
+  const [taskEditDraft, setTaskEditDraft] = useState(null);
+  const [projectDraft, setProjectDraft] = useState(null);
+  const [deviceLanguage, setDeviceLanguage] = useState(detectLanguage);
+
+  // Approval state and role live on the user's document in `users`;
+  // the ADMIN_EMAIL account is always an approved admin
+  const userProfile = authUser ? users.find(u => u.id === authUser.id) : null;
+  const isBootstrapAdmin = authUser?.email === ADMIN_EMAIL;
+  const currentUser = authUser && {
+    ...authUser,
+    role: getUserRole({ ...userProfile, email: authUser.email }, ADMIN_EMAIL),
+    approved: isBootstrapAdmin || (userProfile?.approved === true && !userProfile?.disabled),
+    disabled: !isBootstrapAdmin && userProfile?.disabled === true
+  };
+  const isApproved = currentUser?.approved === true;
+  // The profile's language wins over the one picked before signing in
+  const language = isLanguage(userProfile?.language) ? userProfile.language : deviceLanguage;
+  // Dates are shown in the profile's time zone, the browser's until it has one
+  const timeZone = isTimeZone(userProfile?.timeZone) ? userProfile.timeZone : getBrowserTimeZone();
+  const i18n = createI18n(language, timeZone);
+  const { t } = i18n;
+  const canManageUsers = can(currentUser, 'manageUsers');
+  const canViewAllTasks = can(currentUser, 'viewAllTasks');
+  const canManageWorkflows = can(currentUser, 'manageWorkflows');
+  const canViewActivity = can(currentUser, 'viewActivity');
+  const canManageProjects = can(currentUser, 'manageProjects');
+  const canManageBoard = can(currentUser, 'manageBoard');
+  const canManageCalendar = can(currentUser, 'manageCalendar');
+  const canViewReports = can(currentUser, 'viewReports');
+  const canExportAll = can(currentUser, 'exportAll');
+  const currentView = route.view;
+  const selectedTask = route.taskId ? { id: route.taskId } : null;
+  const dueSoonChecked = useRef(new Set());
+  const recurrenceChecked = useRef(new Set());
+  const replaying = useRef(false);
+  const replayOutboxRef = useRef(null);
+
+  // The built-in workflow plus the ones defined in `workflows`. The task
+  // queries filter on every open (or done) status of every workflow.
+  const workflows = [STANDARD_WORKFLOW, ...customWorkflows];
+  const openStatusKey = getStatusesByCategory(workflows, 'open').join(',');
+  const doneStatusKey = getStatusesByCategory(workflows, 'done').join(',');
+  const queryIncludesDone = taskQuery.statuses.some(status => doneStatusKey.split(',').includes(status));
 
   // Authentication listener
   useEffect(() => {
     const unsubscribe = onAuthStateChanged(auth, (user) => {
       if (user) {
-        setCurrentUser({
+        setAuthUser({
           id: user.uid,
           email: user.email,
           name: user.displayName,
-          photoURL: user.photoURL,
-          isAdmin: user.email === ADMIN_EMAIL
+          photoURL: user.photoURL
         });
       } else {
-        setCurrentUser(null);
+        setAuthUser(null);
+        setUsersLoaded(false);
+        setHistoryLimit(0);
+        setHistoryTasks([]);
+        setNotificationsLimit(NOTIFICATIONS_LIMIT);
       }
       setLoading(false);
     });
@@ -53,41 +444,609 @@ const TaskManagementApp = () => {
     return () => unsubscribe();
   }, []);
 
-  // Firestore listeners
   useEffect(() => {
-    if (!currentUser) return;
+    document.documentElement.lang = language;
+  }, [language]);
 
-    // Listen to ALL tasks for now (fix the filtering later)
-    const tasksQuery = query(collection(db, 'tasks'), orderBy('createdAt', 'desc'));
-    const unsubscribeTasks = onSnapshot(tasksQuery, (snapshot) => {
-      const tasksData = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-        dueDate: doc.data().dueDate?.toDate?.()?.toISOString() || doc.data().dueDate,
-        createdAt: doc.data().createdAt?.toDate?.()?.toISOString() || doc.data().createdAt
-      }));
-      // Filter in JavaScript for now
-      const userTasks = tasksData.filter(task => 
-        task.assignedTo === currentUser.id || task.createdBy === currentUser.id
-      );
-      setTasks(userTasks);
-    });
+  // Connection state, as far as the browser knows
+  useEffect(() => {
+    const handleConnection = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', handleConnection);
+    window.addEventListener('offline', handleConnection);
+    return () => {
+      window.removeEventListener('online', handleConnection);
+      window.removeEventListener('offline', handleConnection);
+    };
+  }, []);
+
+  // The browser offers installation once the manifest and service worker
+  // check out; the prompt is kept for the header button
+  useEffect(() => {
+    const handleInstallPrompt = (event) => {
+      event.preventDefault();
+      setInstallPrompt(event);
+    };
+    const handleInstalled = () => setInstallPrompt(null);
+    window.addEventListener('beforeinstallprompt', handleInstallPrompt);
+    window.addEventListener('appinstalled', handleInstalled);
+    return () => {
+      window.removeEventListener('beforeinstallprompt', handleInstallPrompt);
+      window.removeEventListener('appinstalled', handleInstalled);
+    };
+  }, []);
+
+  // Push state of this device for the signed-in user
+  useEffect(() => {
+    if (!authUser || !isApproved) return;
+    if (!isPushSupported() || !VAPID_PUBLIC_KEY) {
+      setPushState({ status: 'unsupported' });
+      return;
+    }
+    if (Notification.permission === 'denied') {
+      setPushState({ status: 'denied' });
+      return;
+    }
+
+    let cancelled = false;
+    (async () => {
+      try {
+        const subscription = await getPushSubscription();
+        const id = subscription && await getSubscriptionId(subscription.endpoint);
+        const snapshot = id && await getDoc(doc(db, 'pushSubscriptions', id));
+        if (cancelled) return;
+        setPushState(snapshot?.exists() && snapshot.data().userId === authUser.id
+          ? { status: 'on', id, topics: snapshot.data().topics }
+          : { status: 'off' });
+      } catch (error) {
+        console.error('Error loading push subscription:', error);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [authUser, isApproved]);
+
+  // Writes queued offline, kept per user across reloads
+  useEffect(() => {
+    setOutbox(authUser ? { userId: authUser.id, entries: loadOutbox(authUser.id) } : { userId: null, entries: [] });
+  }, [authUser]);
+
+  useEffect(() => {
+    if (outbox.userId) saveOutbox(outbox.userId, outbox.entries);
+  }, [outbox]);
+
+  // Back online (or signed in with a leftover outbox): replay it
+  useEffect(() => {
+    if (isOnline && isApproved && usersLoaded && getPendingEntries(outbox.entries).length > 0) {
+      replayOutboxRef.current();
+    }
+  }, [isOnline, isApproved, usersLoaded, outbox]);
+
+  // Users listener
+  useEffect(() => {
+    if (!authUser) return;
 
-    // Listen to users
     const usersQuery = query(collection(db, 'users'));
     const unsubscribeUsers = onSnapshot(usersQuery, (snapshot) => {
       const usersData = snapshot.docs.map(doc => ({
         id: doc.id,
+        docId: doc.id,
         ...doc.data()
       }));
       setUsers(usersData);
+      setUsersLoaded(true);
+    });
+
+    return () => unsubscribeUsers();
+  }, [authUser]);
+
+  // Projects and label colors, shared by every approved user
+  useEffect(() => {
+    if (!authUser || !isApproved) return;
+
+    const unsubscribeProjects = onSnapshot(collection(db, 'projects'), (snapshot) => {
+      setProjects(snapshot.docs
+        .map(projectDoc => ({ id: projectDoc.id, ...projectDoc.data() }))
+        .sort((a, b) => a.name.localeCompare(b.name)));
+    }, (error) => {
+      console.error('Error loading projects:', error);
+    });
+    const unsubscribeLabels = onSnapshot(collection(db, 'labels'), (snapshot) => {
+      setLabels(snapshot.docs
+        .map(labelDoc => ({ id: labelDoc.id, ...labelDoc.data() }))
+        .sort((a, b) => a.name.localeCompare(b.name)));
+    }, (error) => {
+      console.error('Error loading labels:', error);
+    });
+
+    return () => {
+      unsubscribeProjects();
+      unsubscribeLabels();
+    };
+  }, [authUser, isApproved]);
+
+  // Custom workflows, readable by every approved user
+  useEffect(() => {
+    if (!authUser || !isApproved) return;
+
+    const unsubscribeWorkflows = onSnapshot(collection(db, 'workflows'), (snapshot) => {
+      setCustomWorkflows(snapshot.docs
+        .map(workflowDoc => ({ ...workflowDoc.data(), id: workflowDoc.id }))
+        .filter(workflow => workflow.id !== DEFAULT_WORKFLOW_ID)
+        .sort((a, b) => a.name.localeCompare(b.name)));
+    }, (error) => {
+      console.error('Error loading workflows:', error);
+    });
+
+    return () => unsubscribeWorkflows();
+  }, [authUser, isApproved]);
+
+  // Work-in-progress limits of the board
+  useEffect(() => {
+    if (!authUser || !isApproved) return;
+
+    const unsubscribeBoard = onSnapshot(doc(db, 'boards', BOARD_ID), (snapshot) => {
+      setWipLimits(snapshot.data()?.wipLimits || {});
+    }, (error) => {
+      console.error('Error loading board settings:', error);
+    });
+
+    return () => unsubscribeBoard();
+  }, [authUser, isApproved]);
+
+  // Working days, hours and holidays of the team
+  useEffect(() => {
+    if (!authUser || !isApproved) return;
+
+    const unsubscribeCalendar = onSnapshot(doc(db, 'calendars', TEAM_CALENDAR_ID), (snapshot) => {
+      setTeamCalendar(normalizeTeamCalendar(snapshot.data()));
+    }, (error) => {
+      console.error('Error loading team calendar:', error);
+    });
+
+    return () => unsubscribeCalendar();
+  }, [authUser, isApproved]);
+
+  // Tasks listener - only for approved accounts
+  useEffect(() => {
+    if (!authUser || !isApproved) return;
+
+    // Active tasks only; completed history is loaded page by page below
+    const tasksQuery = buildTasksQuery(
+      canViewAllTasks ? null : authUser.id,
+      openStatusKey.split(','),
+      'createdAt'
+    );
+    // Metadata changes too, to know when the list comes from the local cache only
+    const unsubscribeTasks = onSnapshot(tasksQuery, { includeMetadataChanges: true }, (snapshot) => {
+      setTasks(snapshot.docs.map(mapTaskDoc));
+      setTasksFromCache(snapshot.metadata.fromCache);
+    }, (error) => {
+      console.error('Error loading tasks:', error);
+    });
+
+    return () => unsubscribeTasks();
+  }, [authUser, isApproved, canViewAllTasks, openStatusKey]);
+
+  // Completed history - the limit grows by one page per "load more"
+  useEffect(() => {
+    if (!authUser || !isApproved || historyLimit === 0) return;
+
+    const historyQuery = buildTasksQuery(
+      canViewAllTasks ? null : authUser.id,
+      doneStatusKey.split(','),
+      'updatedAt',
+      historyLimit
+    );
+    const unsubscribeHistory = onSnapshot(historyQuery, (snapshot) => {
+      setHistoryTasks(snapshot.docs.map(mapTaskDoc));
+      setHistoryHasMore(snapshot.size === historyLimit);
+    }, (error) => {
+      console.error('Error loading completed tasks:', error);
+    });
+
+    return () => unsubscribeHistory();
+  }, [authUser, isApproved, canViewAllTasks, doneStatusKey, historyLimit]);
+
+  // Live copy of the task open in the detail modal, which may not be in
+  // either loaded list (e.g. it was just completed or opened from a notification)
+  useEffect(() => {
+    setTaskLinkError(null);
+    if (!selectedTask?.id || !isApproved) {
+      setSelectedTaskData(null);
+      return;
+    }
+
+    const unsubscribeSelected = onSnapshot(doc(db, 'tasks', selectedTask.id), (snapshot) => {
+      setSelectedTaskData(snapshot.exists() ? mapTaskDoc(snapshot) : null);
+      setTaskLinkError(snapshot.exists() ? null : 'not-found');
+    }, (error) => {
+      if (error.code === 'permission-denied') {
+        setTaskLinkError('forbidden');
+        return;
+      }
+      console.error('Error loading task:', error);
+    });
+
+    return () => unsubscribeSelected();
+  }, [selectedTask?.id, isApproved]);
+
+  // An unsaved edit belongs to the task it was started on
+  useEffect(() => {
+    setTaskEditDraft(null);
+  }, [selectedTask?.id]);
+
+  // Comments of the task open in the detail modal
+  useEffect(() => {
+    setTaskComments([]);
+    if (!selectedTask?.id || !isApproved) return;
+
+    const commentsQuery = query(
+      collection(db, 'tasks', selectedTask.id, 'comments'),
+      orderBy('createdAt', 'asc')
+    );
+    const unsubscribeComments = onSnapshot(commentsQuery, (snapshot) => {
+      setTaskComments(snapshot.docs.map(commentDoc => {
+        const data = commentDoc.data({ serverTimestamps: 'estimate' });
+        return {
+          id: commentDoc.id,
+          ...data,
+          createdAt: data.createdAt?.toDate?.()?.toISOString() || data.createdAt
+        };
+      }));
+    }, (error) => {
+      console.error('Error loading comments:', error);
+    });
+
+    return () => unsubscribeComments();
+  }, [selectedTask?.id, isApproved]);
+
+  // Subtasks of the task open in the detail modal
+  useEffect(() => {
+    setTaskSubtasks([]);
+    if (!selectedTask?.id || !isApproved) return;
+
+    const subtasksQuery = query(collection(db, 'tasks'), where('parentId', '==', selectedTask.id));
+    const unsubscribeSubtasks = onSnapshot(subtasksQuery, (snapshot) => {
+      setTaskSubtasks(snapshot.docs
+        .map(mapTaskDoc)
+        .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate)));
+    }, (error) => {
+      console.error('Error loading subtasks:', error);
+    });
+
+    return () => unsubscribeSubtasks();
+  }, [selectedTask?.id, isApproved]);
+
+  // Blockers of the task open in the detail modal, one listener each since
+  // they may be in neither loaded list (or not readable at all)
+  const blockerIds = (selectedTaskData?.blockedBy || []).join(',');
+  useEffect(() => {
+    setTaskBlockers({});
+    if (!blockerIds || !isApproved) return;
+
+    const unsubscribes = blockerIds.split(',').map(blockerId =>
+      onSnapshot(doc(db, 'tasks', blockerId), (snapshot) => {
+        setTaskBlockers(current => ({
+          ...current,
+          [blockerId]: snapshot.exists() ? mapTaskDoc(snapshot) : { id: blockerId, missing: true }
+        }));
+      }, (error) => {
+        if (error.code !== 'permission-denied') console.error('Error loading blocker:', error);
+        setTaskBlockers(current => ({ ...current, [blockerId]: { id: blockerId, forbidden: true } }));
+      })
+    );
+
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [blockerIds, isApproved]);
+
+  // Attachments of the task open in the detail modal
+  useEffect(() => {
+    setTaskAttachments([]);
+    if (!selectedTask?.id || !isApproved) return;
+
+    const attachmentsQuery = query(
+      collection(db, 'tasks', selectedTask.id, 'attachments'),
+      orderBy('createdAt', 'asc')
+    );
+    const unsubscribeAttachments = onSnapshot(attachmentsQuery, (snapshot) => {
+      setTaskAttachments(snapshot.docs.map(attachmentDoc => ({
+        id: attachmentDoc.id,
+        ...attachmentDoc.data({ serverTimestamps: 'estimate' })
+      })));
+    }, (error) => {
+      console.error('Error loading attachments:', error);
+    });
+
+    return () => unsubscribeAttachments();
+  }, [selectedTask?.id, isApproved]);
+
+  // Thumbnails of the image attachments. Files are always read through
+  // storage.rules, so a user who loses access to the task loses the files too.
+  useEffect(() => {
+    const images = taskAttachments.filter(isImage);
+    if (images.length === 0) {
+      setAttachmentUrls({});
+      return;
+    }
+
+    let active = true;
+    const urls = {};
+    Promise.all(images.map(async (attachment) => {
+      try {
+        urls[attachment.id] = URL.createObjectURL(await readAttachment(attachment));
+      } catch (error) {
+        console.error('Error loading attachment:', error);
+      }
+    })).then(() => {
+      if (active) setAttachmentUrls(urls);
+      else Object.values(urls).forEach(url => URL.revokeObjectURL(url));
+    });
+
+    return () => {
+      active = false;
+      Object.values(urls).forEach(url => URL.revokeObjectURL(url));
+    };
+  }, [taskAttachments]);
+
+  // Activity timeline of the task open in the detail modal
+  useEffect(() => {
+    setTaskActivity([]);
+    if (!selectedTask?.id || !isApproved) return;
+
+    const activityQuery = query(
+      collection(db, 'tasks', selectedTask.id, 'activity'),
+      orderBy('createdAt', 'asc')
+    );
+    const unsubscribeActivity = onSnapshot(activityQuery, (snapshot) => {
+      setTaskActivity(snapshot.docs.map(mapActivityDoc));
+    }, (error) => {
+      console.error('Error loading activity:', error);
+    });
+
+    return () => unsubscribeActivity();
+  }, [selectedTask?.id, isApproved]);
+
+  // Admin-wide activity feed, only while the view is open
+  useEffect(() => {
+    if (currentView !== 'activity' || !canViewActivity) return;
+
+    const feedQuery = query(
+      collectionGroup(db, 'activity'),
+      orderBy('createdAt', 'desc'),
+      limit(ACTIVITY_FEED_LIMIT)
+    );
+    const unsubscribeFeed = onSnapshot(feedQuery, (snapshot) => {
+      setActivityFeed(snapshot.docs.map(mapActivityDoc));
+    }, (error) => {
+      console.error('Error loading activity feed:', error);
+    });
+
+    return () => unsubscribeFeed();
+  }, [currentView, canViewActivity]);
+
+  // Named filters saved by the current user
+  useEffect(() => {
+    if (!authUser || !isApproved) return;
+
+    const filtersQuery = query(collection(db, 'savedFilters'), where('userId', '==', authUser.id));
+    const unsubscribeFilters = onSnapshot(filtersQuery, (snapshot) => {
+      setSavedFilters(snapshot.docs
+        .map(filterDoc => ({ id: filterDoc.id, ...filterDoc.data() }))
+        .sort((a, b) => a.name.localeCompare(b.name)));
+    }, (error) => {
+      console.error('Error loading saved filters:', error);
+    });
+
+    return () => unsubscribeFilters();
+  }, [authUser, isApproved]);
+
+  // Keeps the address bar in step with search edits, which don't add
+  // history entries of their own
+  useEffect(() => {
+    const url = routeUrl(route, taskQuery);
+    if (`${window.location.pathname}${window.location.search}` === url) return;
+    window.history.replaceState(window.history.state, '', url);
+  }, [route, taskQuery]);
+
+  // Browser back/forward
+  useEffect(() => {
+    const handlePopState = () => {
+      setRoute(parseRoute(window.location.pathname, window.history.state));
+      if (window.location.pathname === VIEW_PATHS['all-tasks']) {
+        setTaskQuery(decodeTaskQuery(window.location.search));
+      }
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  // Searching completed or closed statuses, and the board's done column,
+  // need the history loaded
+  useEffect(() => {
+    if (((currentView === 'all-tasks' && queryIncludesDone) || currentView === 'board') && historyLimit === 0) {
+      setHistoryLimit(HISTORY_PAGE_SIZE);
+    }
+  }, [currentView, queryIncludesDone, historyLimit]);
+
+  // Reports: the activity of the selected range and the tasks completed in it,
+  // fetched once per range. Tasks completed in the range were last updated in it.
+  useEffect(() => {
+    if (currentView !== 'reports' || !canViewReports) return;
+
+    setReportData(null);
+    const from = new Date(`${reportRange.from}T00:00`);
+    const to = new Date(`${reportRange.to}T23:59:59`);
+    const activityQuery = query(
+      collectionGroup(db, 'activity'),
+      where('createdAt', '>=', from),
+      where('createdAt', '<=', to),
+      orderBy('createdAt', 'desc'),
+      limit(REPORT_ACTIVITY_LIMIT)
+    );
+    const doneQuery = query(
+      collection(db, 'tasks'),
+      where('status', 'in', doneStatusKey.split(',')),
+      where('updatedAt', '>=', from),
+      orderBy('updatedAt', 'desc')
+    );
+
+    let cancelled = false;
+    Promise.all([getDocs(activityQuery), getDocs(doneQuery)]).then(([activitySnapshot, doneSnapshot]) => {
+      if (cancelled) return;
+      setReportData({
+        activity: activitySnapshot.docs.map(mapActivityDoc),
+        doneTasks: doneSnapshot.docs.map(mapTaskDoc),
+        partial: activitySnapshot.size === REPORT_ACTIVITY_LIMIT
+      });
+    }).catch(error => {
+      console.error('Error loading reports:', error);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentView, canViewReports, reportRange.from, reportRange.to, doneStatusKey]);
+
+  // Comment search: the comments of each loaded task are fetched once and
+  // fetched again when its comment count changes
+  useEffect(() => {
+    if (currentView !== 'all-tasks' || !taskQuery.commentText.trim()) return;
+
+    const countOf = (task) => (task.commentCount || 0) + (task.comments?.length || 0);
+    const stale = [...tasks, ...historyTasks].filter(task =>
+      countOf(task) > 0 && commentTexts[task.id]?.count !== countOf(task)
+    );
+    if (stale.length === 0) return;
+
+    let cancelled = false;
+    Promise.all(stale.map(async (task) => {
+      try {
+        const snapshot = await getDocs(collection(db, 'tasks', task.id, 'comments'));
+        const texts = [
+          ...(task.comments || []).map(c => c.text),
+          ...snapshot.docs.map(commentDoc => commentDoc.data().text)
+        ];
+        return [task.id, { count: countOf(task), text: texts.join('\n') }];
+      } catch (error) {
+        console.error('Error loading comments for search:', error);
+        return [task.id, { count: countOf(task), text: '' }];
+      }
+    })).then(entries => {
+      if (!cancelled) setCommentTexts(prev => ({ ...prev, ...Object.fromEntries(entries) }));
     });
 
     return () => {
-      unsubscribeTasks();
-      unsubscribeUsers();
+      cancelled = true;
     };
-  }, [currentUser]);
+  }, [currentView, taskQuery.commentText, tasks, historyTasks, commentTexts]);
+
+  // Notifications listener - personal ones plus the shared admin inbox,
+  // newest first. Reminders pile up, so older ones are loaded page by page.
+  useEffect(() => {
+    if (!authUser || !isApproved) return;
+
+    const targets = canManageUsers ? [authUser.id, 'admin'] : [authUser.id];
+    const notificationsQuery = query(
+      collection(db, 'notifications'),
+      where('targetUserId', 'in', targets),
+      orderBy('createdAt', 'desc'),
+      limit(notificationsLimit)
+    );
+    const unsubscribeNotifications = onSnapshot(notificationsQuery, (snapshot) => {
+      const notificationsData = snapshot.docs.map(doc => {
+        const data = doc.data({ serverTimestamps: 'estimate' });
+        return {
+          id: doc.id,
+          ...data,
+          createdAt: data.createdAt?.toDate?.()?.toISOString() || data.createdAt
+        };
+      });
+      setNotifications(notificationsData);
+      setNotificationsHasMore(snapshot.size === notificationsLimit);
+    }, (error) => {
+      console.error('Error loading notifications:', error);
+    });
+
+    return () => unsubscribeNotifications();
+  }, [authUser, isApproved, canManageUsers, notificationsLimit]);
+
+  // Due-soon reminders: one notification per task and due date, keyed by a
+  // deterministic id so other sessions of the same user don't duplicate it
+  useEffect(() => {
+    if (!authUser) return;
+
+    const now = new Date();
+    // `tasks` only holds tasks in an open status
+    tasks
+      .filter(task => task.assignedTo === authUser.id && isTaskDueSoon(task, now, teamCalendar))
+      .forEach(async (task) => {
+        const dueTime = new Date(task.dueDate).getTime();
+
+        const notificationId = `due_${task.id}_${authUser.id}_${dueTime}`;
+        if (dueSoonChecked.current.has(notificationId)) return;
+        dueSoonChecked.current.add(notificationId);
+
+        try {
+          const notificationRef = doc(db, 'notifications', notificationId);
+          const existing = await getDoc(notificationRef);
+          if (existing.exists()) return;
+          await setDoc(notificationRef, {
+            type: 'task_due_soon',
+            message: translate(language, 'notifications.messages.dueSoon', { title: task.title }),
+            messageKey: 'dueSoon',
+            messageParams: { title: task.title },
+            targetUserId: authUser.id,
+            userId: authUser.id,
+            taskId: task.id,
+            read: false,
+            createdAt: serverTimestamp()
+          });
+        } catch (error) {
+          console.error('Error creating due date notification:', error);
+        }
+      });
+  }, [tasks, authUser, language, teamCalendar]);
+
+  // Recurring tasks also move on when their due date arrives, completed or
+  // not. Any involved user's session may do it; the deterministic id of the
+  // next occurrence keeps sessions from creating it twice.
+  useEffect(() => {
+    if (!authUser) return;
+
+    const now = Date.now();
+    tasks
+      .filter(task => task.recurrence && new Date(task.dueDate).getTime() <= now)
+      .filter(task => task.assignedTo === authUser.id || task.createdBy === authUser.id)
+      .forEach(async (task) => {
+        if (recurrenceChecked.current.has(task.id)) return;
+        recurrenceChecked.current.add(task.id);
+
+        try {
+          const workflow = getWorkflow([STANDARD_WORKFLOW, ...customWorkflows], task.workflowId);
+          const nextId = await createNextOccurrence(task, workflow, authUser);
+          if (nextId && task.assignedTo !== authUser.id) {
+            await addDoc(collection(db, 'notifications'), {
+              type: 'task_assigned',
+              message: translate(getUserLanguage(users, task.assignedTo), 'notifications.messages.occurrence', {
+                title: task.title
+              }),
+              messageKey: 'occurrence',
+              messageParams: { title: task.title },
+              targetUserId: task.assignedTo,
+              userId: authUser.id,
+              taskId: nextId,
+              read: false,
+              createdAt: serverTimestamp()
+            });
+          }
+        } catch (error) {
+          console.error('Error creating next occurrence:', error);
+        }
+      });
+  }, [tasks, authUser, customWorkflows, users]);
 
   // Authentication functions
   const handleGoogleSignIn = async () => {
@@ -101,13 +1060,16 @@ const TaskManagementApp = () => {
       const userSnapshot = await getDocs(userQuery);
       
       if (userSnapshot.empty) {
-        // Add user only if doesn't exist
-        await addDoc(collection(db, 'users'), {
+        // Add user only if doesn't exist, keyed by uid
+        await setDoc(doc(db, 'users', user.uid), {
           id: user.uid,
           email: user.email,
           name: user.displayName,
           photoURL: user.photoURL,
           approved: user.email === ADMIN_EMAIL,
+          role: user.email === ADMIN_EMAIL ? 'admin' : DEFAULT_ROLE,
+          language: deviceLanguage,
+          timeZone: getBrowserTimeZone(),
           createdAt: serverTimestamp()
         });
 
@@ -115,7 +1077,9 @@ const TaskManagementApp = () => {
         if (user.email !== ADMIN_EMAIL) {
           await addDoc(collection(db, 'notifications'), {
             type: 'user_approval',
-            message: `Nuovo utente richiede approvazione: ${user.email}`,
+            message: translate(DEFAULT_LANGUAGE, 'notifications.messages.userApproval', { email: user.email }),
+            messageKey: 'userApproval',
+            messageParams: { email: user.email },
             targetUserId: 'admin',
             userId: user.uid,
             read: false,
@@ -130,296 +1094,4324 @@ const TaskManagementApp = () => {
 
   const handleSignOut = async () => {
     try {
+      // A shared device must not keep getting this user's pushes
+      if (pushState.status === 'on') await disablePush();
       await signOut(auth);
     } catch (error) {
       console.error('Error signing out:', error);
     }
   };
 
-  // Task functions
-  const createTask = async (taskData) => {
+  // Push notification functions
+  const enablePush = async () => {
     try {
-      await addDoc(collection(db, 'tasks'), {
-        title: taskData.title,
-        description: taskData.description,
-        assignedTo: taskData.assignedTo,
-        dueDate: new Date(`${taskData.dueDate}T${taskData.dueTime}`),
-        status: 'aperto',
-        createdBy: currentUser.id,
-        createdAt: serverTimestamp(),
-        assignmentHistory: [taskData.assignedTo],
-        comments: []
+      const permission = await Notification.requestPermission();
+      if (permission !== 'granted') {
+        setPushState({ status: permission === 'denied' ? 'denied' : 'off' });
+        return;
+      }
+      const { endpoint, keys } = (await subscribeToPush(VAPID_PUBLIC_KEY)).toJSON();
+      const id = await getSubscriptionId(endpoint);
+      await setDoc(doc(db, 'pushSubscriptions', id), {
+        userId: currentUser.id,
+        endpoint,
+        keys,
+        topics: DEFAULT_PUSH_TOPICS,
+        userAgent: navigator.userAgent,
+        createdAt: serverTimestamp()
       });
+      setPushState({ status: 'on', id, topics: DEFAULT_PUSH_TOPICS });
     } catch (error) {
-      console.error('Error creating task:', error);
+      console.error('Error enabling push notifications:', error);
+      alert(t('notifications.push.enableError'));
     }
   };
 
-  const updateTaskStatus = async (taskId, newStatus) => {
+  const updatePushTopics = async (topics) => {
     try {
-      const taskRef = doc(db, 'tasks', taskId);
-      await updateDoc(taskRef, {
-        status: newStatus,
-        updatedAt: serverTimestamp()
-      });
+      await updateDoc(doc(db, 'pushSubscriptions', pushState.id), { topics, updatedAt: serverTimestamp() });
+      setPushState({ ...pushState, topics });
     } catch (error) {
-      console.error('Error updating task:', error);
+      console.error('Error updating push topics:', error);
     }
   };
 
-  const addComment = async (taskId, comment) => {
+  const disablePush = async () => {
     try {
-      const task = tasks.find(t => t.id === taskId);
-      const newComment = {
-        id: Date.now().toString(),
-        userId: currentUser.id,
-        userName: currentUser.name,
-        text: comment,
-        timestamp: new Date().toISOString()
-      };
-      
-      const taskRef = doc(db, 'tasks', taskId);
-      await updateDoc(taskRef, {
-        comments: [...(task.comments || []), newComment],
-        updatedAt: serverTimestamp()
-      });
+      await deleteDoc(doc(db, 'pushSubscriptions', pushState.id));
+      const subscription = await getPushSubscription();
+      await subscription?.unsubscribe();
+      setPushState({ status: 'off' });
     } catch (error) {
-      console.error('Error adding comment:', error);
+      console.error('Error disabling push notifications:', error);
     }
   };
 
-  const reassignTask = async (taskId, newAssignee) => {
+  // Email notification functions
+  const updateEmailPreferences = async (changes) => {
     try {
-      const task = tasks.find(t => t.id === taskId);
-      const taskRef = doc(db, 'tasks', taskId);
-      await updateDoc(taskRef, {
-        assignedTo: newAssignee,
-        assignmentHistory: [...(task.assignmentHistory || []), newAssignee],
-        updatedAt: serverTimestamp()
-      });
+      await updateDoc(doc(db, 'users', currentUser.id), { ...changes, updatedAt: serverTimestamp() });
     } catch (error) {
-      console.error('Error reassigning task:', error);
+      console.error('Error updating email preferences:', error);
+      alert(t('notifications.email.saveError'));
     }
   };
 
-  // Utility functions
-  const isOverdue = (dueDate) => new Date(dueDate) < new Date();
-  
-  const formatDate = (dateString) => {
-    const date = new Date(dateString);
-    return date.toLocaleDateString('it-IT') + ' ' + date.toLocaleTimeString('it-IT', { hour: '2-digit', minute: '2-digit' });
+  // Language functions
+  // Kept on this device for the sign-in screens and on the profile, where
+  // the emails pick it up too
+  const changeLanguage = async (newLanguage) => {
+    setDeviceLanguage(newLanguage);
+    saveLanguage(newLanguage);
+    if (!userProfile) return;
+    try {
+      await updateDoc(doc(db, 'users', currentUser.id), { language: newLanguage, updatedAt: serverTimestamp() });
+    } catch (error) {
+      console.error('Error saving language:', error);
+    }
   };
 
-  const getStatusColor = (status) => {
-    const colors = {
-      'aperto': 'status-open',
-      'in_lavorazione': 'status-progress',
-      'in_revisione': 'status-review',
-      'completato': 'status-completed',
-      'chiuso': 'status-closed'
-    };
-    return colors[status] || colors['aperto'];
+  const changeTimeZone = async (newTimeZone) => {
+    try {
+      await updateDoc(doc(db, 'users', currentUser.id), { timeZone: newTimeZone, updatedAt: serverTimestamp() });
+    } catch (error) {
+      console.error('Error saving time zone:', error);
+    }
   };
 
-  const getStatusText = (status) => {
-    const texts = {
-      'aperto': 'Aperto',
-      'in_lavorazione': 'In Lavorazione',
-      'in_revisione': 'In Revisione',
-      'completato': 'Completato',
-      'chiuso': 'Chiuso'
-    };
-    return texts[status] || 'Sconosciuto';
+  const installApp = async () => {
+    installPrompt.prompt();
+    await installPrompt.userChoice;
+    setInstallPrompt(null);
   };
 
-  // Task filtering
-  const getFilteredTasks = () => {
-    let filtered = tasks.filter(task => 
-      task.status !== 'chiuso' && task.status !== 'completato'
-    );
-    
-    if (searchTerm) {
-      filtered = filtered.filter(task => 
-        task.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        task.description.toLowerCase().includes(searchTerm.toLowerCase())
-      );
-    }
-    
-    if (filterStatus !== 'all') {
-      filtered = filtered.filter(task => task.status === filterStatus);
-    }
-    
-    return filtered;
+  // Navigation functions - every view change and opened task is a history entry
+  const navigate = (target) => {
+    window.history.pushState({ view: target.view }, '', routeUrl(target, taskQuery));
+    setRoute(target);
   };
 
-  // Dashboard task categorization
-  const getTasksByCategory = () => {
-    const assignedToMe = tasks.filter(task => 
-      task.assignedTo === currentUser.id && 
-      task.status !== 'chiuso' && 
-      task.status !== 'completato'
-    );
-    const createdByMe = tasks.filter(task => 
-      task.createdBy === currentUser.id && 
-      task.status !== 'chiuso' && 
-      task.status !== 'completato'
-    );
-    const completedByMe = tasks.filter(task => 
-      task.createdBy === currentUser.id && 
-      (task.status === 'chiuso' || task.status === 'completato')
+  const openView = (view) => navigate({ view, taskId: null });
+
+  const openTask = (taskId) => navigate({
+    view: currentView === NOT_FOUND_VIEW ? 'dashboard' : currentView,
+    taskId
+  });
+
+  const closeTask = () => openView(currentView === NOT_FOUND_VIEW ? 'dashboard' : currentView);
+
+  // Looks a task up in everything currently loaded
+  const findTask = (taskId) =>
+    tasks.find(t => t.id === taskId) ||
+    historyTasks.find(t => t.id === taskId) ||
+    (selectedTaskData?.id === taskId ? selectedTaskData : undefined);
+
+  const loadMoreHistory = () => setHistoryLimit(historyLimit + HISTORY_PAGE_SIZE);
+
+  const loadMoreNotifications = () => setNotificationsLimit(notificationsLimit + NOTIFICATIONS_LIMIT);
+
+  // Permission check used by every mutation; the error ends up in the
+  // caller's catch block like any other failed write
+  const assertCan = (capability, task) => {
+    if (!can(currentUser, capability, task)) {
+      throw new Error(`Permission denied: ${capability}`);
+    }
+  };
+
+  // Notification functions
+  // Texts are stored as a key of notifications.messages plus its params, so
+  // the panel shows them in the reader's language; `message` is the text in
+  // the recipient's language at the time, which pushes show. Params that
+  // may be unknown (null) fall back to a generic name.
+  const formatNotification = (notification, lang = language) => {
+    const { messageKey, messageParams = {} } = notification;
+    if (!messageKey) return notification.message;
+    const params = {
+      title: translate(lang, 'notifications.aTask'),
+      assignee: translate(lang, 'notifications.anotherUser')
+    };
+    Object.entries(messageParams).forEach(([name, value]) => {
+      if (value !== null) params[name] = value;
+    });
+    if (messageParams.status) {
+      params.status = getStateLabel(
+        getWorkflow(workflows, messageParams.workflowId),
+        messageParams.status,
+        (key, values) => translate(lang, key, values)
+      );
+    }
+    return translate(lang, `notifications.messages.${messageKey}`, params);
+  };
+
+  // Fans a notification out to each recipient, skipping the user who caused it
+  const notifyUsers = async (targetUserIds, notification) => {
+    const recipients = [...new Set(targetUserIds)].filter(id => id && id !== currentUser.id);
+    try {
+      await Promise.all(recipients.map(targetUserId =>
+        addDoc(collection(db, 'notifications'), {
+          ...notification,
+          message: formatNotification(notification, getUserLanguage(users, targetUserId)),
+          targetUserId,
+          userId: currentUser.id,
+          read: false,
+          createdAt: serverTimestamp()
+        })
+      ));
+    } catch (error) {
+      console.error('Error sending notification:', error);
+    }
+  };
+
+  const markNotificationRead = async (notificationId) => {
+    try {
+      await updateDoc(doc(db, 'notifications', notificationId), {
+        read: true,
+        readAt: serverTimestamp()
+      });
+    } catch (error) {
+      console.error('Error updating notification:', error);
+    }
+  };
+
+  const markAllNotificationsRead = async () => {
+    const unread = notifications.filter(n => !n.read);
+    if (unread.length === 0) return;
+    try {
+      const batch = writeBatch(db);
+      unread.forEach(n => {
+        batch.update(doc(db, 'notifications', n.id), {
+          read: true,
+          readAt: serverTimestamp()
+        });
+      });
+      await batch.commit();
+    } catch (error) {
+      console.error('Error updating notifications:', error);
+    }
+  };
+
+  // Activity log
+  // Queues an entry in tasks/{taskId}/activity on the batch (or transaction)
+  // that makes the change
+  const addActivity = (batch, task, type, details = {}) => {
+    batch.set(doc(collection(db, 'tasks', task.id, 'activity')), {
+      type,
+      taskId: task.id,
+      taskTitle: task.title,
+      actorId: currentUser.id,
+      actorName: currentUser.name,
+      createdAt: serverTimestamp(),
+      ...details
+    });
+  };
+
+  // New label names get a color document the first time they are used.
+  // Best effort and outside the task write: if someone else created the
+  // label meanwhile, the write is rejected and their color is kept.
+  const addMissingLabels = async (names) => {
+    const missing = names.filter(name => !labels.some(l => l.id === toLabelId(name)));
+    for (const name of missing) {
+      try {
+        await setDoc(doc(db, 'labels', toLabelId(name)), {
+          name,
+          color: getLabelColor([], name),
+          createdBy: currentUser.id,
+          createdAt: serverTimestamp()
+        });
+      } catch (error) {
+        console.error('Error creating label:', error);
+      }
+    }
+  };
+
+  // Outbox functions
+  // createTask, addComment and updateTaskStatus queue their write here while
+  // offline; the entries go out in order once the browser is back online
+  const updateOutbox = (update) => {
+    setOutbox(current => ({ ...current, entries: update(current.entries) }));
+  };
+
+  // New tasks and comments get their id here, so the replay writes them
+  // once (see outbox.js)
+  const queueWrite = (type, taskId, payload, base) => {
+    let entry = createOutboxEntry(type, taskId, payload, base);
+    if (type === 'createTask') {
+      entry = { ...entry, taskId: doc(collection(db, 'tasks')).id };
+    } else if (type === 'addComment') {
+      entry = { ...entry, payload: { ...payload, commentId: doc(collection(db, 'tasks', taskId, 'comments')).id } };
+    }
+    updateOutbox(entries => [...entries, entry]);
+  };
+
+  // Each entry is checked against the task as it is on the server now; one
+  // that collides with someone else's change stays in the outbox with the
+  // reason, for the user to retry or discard
+  const replayOutbox = async () => {
+    if (replaying.current) return;
+    replaying.current = true;
+    setSyncing(true);
+    await replayEntries(outbox.entries, {
+      readTask: async (taskId) => {
+        const snapshot = await getDocFromServer(doc(db, 'tasks', taskId));
+        return snapshot.exists() ? mapTaskDoc(snapshot) : null;
+      },
+      hasComment: async (taskId, commentId) =>
+        (await getDocFromServer(doc(db, 'tasks', taskId, 'comments', commentId))).exists(),
+      write: (entry, task) => {
+        if (entry.type === 'createTask') return writeNewTask(entry.payload, entry.taskId);
+        if (entry.type === 'addComment') {
+          const { text, parentId, commentId } = entry.payload;
+          return writeComment(task, text, parentId, [], commentId);
+        }
+        return writeTaskStatus(task, entry.payload.status);
+      },
+      settle: (entry, conflict) => updateOutbox(entries => settleEntry(entries, entry.id, conflict))
+    }, { t, getStatusText });
+    replaying.current = false;
+    setSyncing(false);
+  };
+  // The replay effect runs the copy of this render, which sees current state
+  replayOutboxRef.current = replayOutbox;
+
+  const retryOutboxEntry = (entryId) => {
+    updateOutbox(entries => retryEntry(entries, entryId));
+  };
+
+  const discardOutboxEntry = (entryId) => {
+    updateOutbox(entries => entries.filter(e => e.id !== entryId));
+  };
+
+  // Task functions
+  // Throws on failure; createTask and the outbox replay (with the id picked
+  // when queueing) report it
+  const writeNewTask = async (taskData, taskId = null) => {
+    assertCan('createTask');
+    const workflow = getWorkflow(workflows, taskData.workflowId);
+    const taskLabels = taskData.labels || [];
+    const taskRef = taskId ? doc(db, 'tasks', taskId) : doc(collection(db, 'tasks'));
+    const batch = writeBatch(db);
+    batch.set(taskRef, {
+      title: taskData.title,
+      description: taskData.description,
+      assignedTo: taskData.assignedTo,
+      priority: taskData.priority || DEFAULT_PRIORITY,
+      labels: taskLabels,
+      projectId: taskData.projectId || null,
+      ...buildDueFields(taskData, timeZone, teamCalendar),
+      workflowId: workflow.id,
+      status: workflow.initialState,
+      createdBy: currentUser.id,
+      createdAt: serverTimestamp(),
+      assignmentHistory: [taskData.assignedTo],
+      comments: [],
+      commentCount: 0,
+      version: 0,
+      recurrence: taskData.recurrenceRule
+        ? { rule: taskData.recurrenceRule, seriesId: taskRef.id, index: 1 }
+        : null
+    });
+    addActivity(batch, { id: taskRef.id, title: taskData.title }, 'created', {
+      to: taskData.assignedTo,
+      workflowId: workflow.id
+    });
+    await batch.commit();
+    await addMissingLabels(taskLabels);
+    await uploadAttachments(taskRef.id, taskData.attachments || []);
+    await notifyUsers([taskData.assignedTo], {
+      type: 'task_assigned',
+      messageKey: 'assigned',
+      messageParams: { name: currentUser.name, title: taskData.title },
+      taskId: taskRef.id
+    });
+    return taskRef.id;
+  };
+
+  const createTask = async (taskData) => {
+    try {
+      if (!isOnline) {
+        assertCan('createTask');
+        queueWrite('createTask', null, { ...taskData, attachments: [] });
+        return null;
+      }
+      return await writeNewTask(taskData);
+    } catch (error) {
+      console.error('Error creating task:', error);
+    }
+  };
+
+  // The workflow of `task` when it may move to `newStatus`; throws otherwise
+  const assertStatusChange = (task, newStatus) => {
+    const workflow = getWorkflow(workflows, task.workflowId);
+    if (!canTransition(currentUser, workflow, task, newStatus)) {
+      throw new Error(`Transition not allowed: ${task.status} -> ${newStatus}`);
+    }
+    if (isBlockedBySubtasks(task, workflow, newStatus)) {
+      throw new Error('Transition blocked by open required subtasks');
+    }
+    if (isBlockedByDependencies(task, workflow)) {
+      throw new Error('Transition blocked by open dependencies');
+    }
+    return workflow;
+  };
+
+  // Throws on failure; updateTaskStatus and the outbox replay report it
+  const writeTaskStatus = async (task, newStatus) => {
+    const taskId = task.id;
+    const workflow = assertStatusChange(task, newStatus);
+    const batch = writeBatch(db);
+    batch.update(doc(db, 'tasks', taskId), {
+      status: newStatus,
+      updatedAt: serverTimestamp()
+    });
+    const wasDone = isDoneState(workflow, task.status);
+    let unblockedIds = [];
+    if (wasDone !== isDoneState(workflow, newStatus)) {
+      if (task.parentId) await queueParentCounters(batch, task, wasDone, !wasDone);
+      const blockedIds = await queueBlockedCounters(batch, task, wasDone ? 1 : -1);
+      if (!wasDone) unblockedIds = blockedIds;
+    }
+    addActivity(batch, task, 'status', {
+      from: task.status,
+      to: newStatus,
+      workflowId: workflow.id
+    });
+    await batch.commit();
+    await notifyUsers([task.createdBy, task.assignedTo], {
+      type: 'task_status',
+      messageKey: 'status',
+      messageParams: { name: currentUser.name, title: task.title, status: newStatus, workflowId: workflow.id },
+      status: newStatus,
+      taskId
+    });
+    // The blocked task's assignee may have changed since the link was made
+    for (const blockedId of unblockedIds) {
+      const blocked = findTask(blockedId) || task.blocks[blockedId];
+      await notifyUsers([blocked.assignedTo], {
+        type: 'task_unblocked',
+        messageKey: 'unblocked',
+        messageParams: { name: currentUser.name, title: task.title, blocked: blocked.title },
+        taskId: blockedId
+      });
+    }
+    if (task.recurrence && isDoneState(workflow, newStatus)) {
+      await spawnNextOccurrence(task);
+    }
+  };
+
+  const updateTaskStatus = async (taskId, newStatus) => {
+    try {
+      const task = findTask(taskId);
+      if (!isOnline) {
+        assertStatusChange(task, newStatus);
+        queueWrite('updateStatus', taskId, { status: newStatus }, {
+          title: task.title,
+          status: task.status,
+          workflowId: task.workflowId
+        });
+        return;
+      }
+      await writeTaskStatus(task, newStatus);
+    } catch (error) {
+      console.error('Error updating task:', error);
+    }
+  };
+
+  const spawnNextOccurrence = async (task) => {
+    try {
+      const workflow = getWorkflow(workflows, task.workflowId);
+      const nextId = await createNextOccurrence(task, workflow, currentUser);
+      if (!nextId) return;
+      await notifyUsers([task.assignedTo], {
+        type: 'task_assigned',
+        messageKey: 'occurrence',
+        messageParams: { title: task.title },
+        taskId: nextId
+      });
+    } catch (error) {
+      console.error('Error creating next occurrence:', error);
+    }
+  };
+
+  // Subtask and checklist functions
+  // Keeps the parent's counters in step with a subtask change in the same
+  // batch; a deleted parent has nothing left to update
+  const queueParentCounters = async (batch, subtask, wasDone, isDone) => {
+    const parentRef = doc(db, 'tasks', subtask.parentId);
+    const parent = await getDoc(parentRef);
+    if (!parent.exists()) return;
+    const delta = getSubtaskCounterDelta(subtask, wasDone, isDone);
+    batch.update(parentRef, {
+      subtaskCount: increment(delta.subtaskCount),
+      subtasksDone: increment(delta.subtasksDone),
+      openRequiredSubtasks: increment(delta.openRequiredSubtasks),
+      subtaskChange: subtask.id,
+      updatedAt: serverTimestamp()
+    });
+  };
+
+  const addSubtask = async (parent, subtaskData) => {
+    try {
+      assertCan('breakDown', parent);
+      const workflow = getWorkflow(workflows, parent.workflowId);
+      const subtaskRef = doc(collection(db, 'tasks'));
+      const batch = writeBatch(db);
+      batch.set(subtaskRef, {
+        title: subtaskData.title,
+        description: '',
+        assignedTo: subtaskData.assignedTo,
+        priority: parent.priority || DEFAULT_PRIORITY,
+        labels: [],
+        projectId: parent.projectId || null,
+        ...buildDueFields(subtaskData, timeZone, teamCalendar),
+        workflowId: workflow.id,
+        status: workflow.initialState,
+        createdBy: currentUser.id,
+        createdAt: serverTimestamp(),
+        assignmentHistory: [subtaskData.assignedTo],
+        comments: [],
+        commentCount: 0,
+        version: 0,
+        parentId: parent.id,
+        parentTitle: parent.title,
+        required: subtaskData.required
+      });
+      batch.update(doc(db, 'tasks', parent.id), {
+        subtaskCount: increment(1),
+        openRequiredSubtasks: increment(subtaskData.required ? 1 : 0),
+        subtaskChange: subtaskRef.id,
+        updatedAt: serverTimestamp()
+      });
+      addActivity(batch, { id: subtaskRef.id, title: subtaskData.title }, 'created', {
+        to: subtaskData.assignedTo,
+        workflowId: workflow.id
+      });
+      addActivity(batch, parent, 'subtask_added', {
+        subtaskId: subtaskRef.id,
+        subtaskTitle: subtaskData.title
+      });
+      await batch.commit();
+      await notifyUsers([subtaskData.assignedTo], {
+        type: 'task_assigned',
+        messageKey: 'subtaskAssigned',
+        messageParams: { name: currentUser.name, title: subtaskData.title, parent: parent.title },
+        taskId: subtaskRef.id
+      });
+    } catch (error) {
+      console.error('Error creating subtask:', error);
+    }
+  };
+
+  // Read-modify-write on the task so concurrent ticks don't overwrite each other.
+  // `change` maps the current items to the new ones.
+  const updateChecklist = async (taskId, change, details) => {
+    try {
+      const task = findTask(taskId);
+      assertCan('breakDown', task);
+      await runTransaction(db, async (transaction) => {
+        const taskRef = doc(db, 'tasks', taskId);
+        const snapshot = await transaction.get(taskRef);
+        if (!snapshot.exists()) return;
+        const checklist = change(snapshot.data().checklist || []);
+        if (checklist.length > MAX_CHECKLIST_ITEMS) {
+          throw new Error(`Checklist limit reached: ${MAX_CHECKLIST_ITEMS}`);
+        }
+        transaction.update(taskRef, { checklist, updatedAt: serverTimestamp() });
+        addActivity(transaction, task, 'checklist', details);
+      });
+    } catch (error) {
+      console.error('Error updating checklist:', error);
+    }
+  };
+
+  const addChecklistItem = (taskId, text) => updateChecklist(
+    taskId,
+    (items) => [...items, { id: crypto.randomUUID(), text, done: false }],
+    { action: 'added', text }
+  );
+
+  const toggleChecklistItem = (taskId, item) => updateChecklist(
+    taskId,
+    (items) => items.map(i => (i.id === item.id ? { ...i, done: !item.done } : i)),
+    { action: item.done ? 'unchecked' : 'checked', text: item.text }
+  );
+
+  const removeChecklistItem = (taskId, item) => updateChecklist(
+    taskId,
+    (items) => items.filter(i => i.id !== item.id),
+    { action: 'removed', text: item.text }
+  );
+
+  // Dependency functions
+  // The ids among `taskIds` that still exist. Missing tasks are readable (see
+  // firestore.rules), so a denied read means the task is there.
+  const filterExistingTasks = async (taskIds) => {
+    const found = await Promise.all(taskIds.map(async (taskId) => {
+      try {
+        return (await getDoc(doc(db, 'tasks', taskId))).exists();
+      } catch (error) {
+        if (error.code === 'permission-denied') return true;
+        throw error;
+      }
+    }));
+    return taskIds.filter((_, i) => found[i]);
+  };
+
+  // A task from the loaded lists or the server; null when missing or not readable
+  const loadTask = async (taskId) => {
+    const loaded = findTask(taskId);
+    if (loaded) return loaded;
+    try {
+      const snapshot = await getDoc(doc(db, 'tasks', taskId));
+      return snapshot.exists() ? mapTaskDoc(snapshot) : null;
+    } catch {
+      return null;
+    }
+  };
+
+  // Moves `openBlockers` of the tasks `blocker` holds up by `delta` in the same
+  // batch; `unlink` also drops the blocker from them (it's being deleted).
+  // Returns the ids of the blocked tasks.
+  const queueBlockedCounters = async (batch, blocker, delta, unlink = false) => {
+    const blockedIds = await filterExistingTasks(Object.keys(blocker.blocks || {}));
+    blockedIds.forEach(blockedId => {
+      batch.update(doc(db, 'tasks', blockedId), {
+        openBlockers: increment(delta),
+        ...(unlink && { blockedBy: arrayRemove(blocker.id) }),
+        dependencyChange: blocker.id,
+        updatedAt: serverTimestamp()
+      });
+    });
+    return blockedIds;
+  };
+
+  // A deleted task leaves no links behind on either side
+  const queueDependencyCleanup = async (batch, task) => {
+    await queueBlockedCounters(batch, task, isTaskDone(task) ? 0 : -1, true);
+    const blockerIds = await filterExistingTasks(task.blockedBy || []);
+    blockerIds.forEach(blockerId => {
+      batch.update(doc(db, 'tasks', blockerId), {
+        [`blocks.${task.id}`]: deleteField(),
+        dependencyChange: task.id,
+        updatedAt: serverTimestamp()
+      });
+    });
+  };
+
+  // "blockedTask is blocked by blocker", written on both tasks
+  const addDependency = async (blockedTask, blocker) => {
+    try {
+      assertCan('breakDown', blockedTask);
+      const blockers = blockedTask.blockedBy || [];
+      if (blockers.includes(blocker.id)) return;
+      if (blockers.length >= MAX_BLOCKERS) {
+        alert(t('dependencies.limit', { count: MAX_BLOCKERS }));
+        return;
+      }
+      // Tasks the user can't read may close a cycle too: the link is refused
+      const visited = {};
+      const { cycle, unreadableId } = await findDependencyCycle(blockedTask.id, blocker.id, async (taskId) => {
+        visited[taskId] = findTask(taskId);
+        if (!visited[taskId]) {
+          try {
+            const snapshot = await getDoc(doc(db, 'tasks', taskId));
+            visited[taskId] = snapshot.exists() ? mapTaskDoc(snapshot) : null;
+          } catch (error) {
+            if (error.code === 'permission-denied') return null;
+            throw error;
+          }
+        }
+        return visited[taskId]?.blockedBy || [];
+      });
+      if (unreadableId) {
+        alert(t('dependencies.unverifiable'));
+        return;
+      }
+      if (cycle) {
+        const titles = cycle.map(id => `"${(visited[id] || findTask(id))?.title || t('dependencies.inaccessibleTask')}"`);
+        alert(t('dependencies.cycle', { tasks: titles.join(' → ') }));
+        return;
+      }
+
+      const batch = writeBatch(db);
+      batch.update(doc(db, 'tasks', blockedTask.id), {
+        blockedBy: arrayUnion(blocker.id),
+        openBlockers: increment(isTaskDone(blocker) ? 0 : 1),
+        dependencyChange: blocker.id,
+        updatedAt: serverTimestamp()
+      });
+      batch.update(doc(db, 'tasks', blocker.id), {
+        [`blocks.${blockedTask.id}`]: { title: blockedTask.title, assignedTo: blockedTask.assignedTo },
+        dependencyChange: blockedTask.id,
+        updatedAt: serverTimestamp()
+      });
+      addActivity(batch, blockedTask, 'dependency', {
+        action: 'added',
+        blockerId: blocker.id,
+        blockerTitle: blocker.title
+      });
+      await batch.commit();
+    } catch (error) {
+      console.error('Error adding dependency:', error);
+    }
+  };
+
+  const removeDependency = async (blockedTask, blockerId) => {
+    try {
+      assertCan('breakDown', blockedTask);
+      const blocker = await loadTask(blockerId);
+      if (!blocker && (await filterExistingTasks([blockerId])).length > 0) {
+        // The counter change depends on the blocker's status
+        alert(t('dependencies.noAccess'));
+        return;
+      }
+
+      const batch = writeBatch(db);
+      batch.update(doc(db, 'tasks', blockedTask.id), {
+        blockedBy: arrayRemove(blockerId),
+        openBlockers: increment(blocker && !isTaskDone(blocker) ? -1 : 0),
+        dependencyChange: blockerId,
+        updatedAt: serverTimestamp()
+      });
+      if (blocker) {
+        batch.update(doc(db, 'tasks', blockerId), {
+          [`blocks.${blockedTask.id}`]: deleteField(),
+          dependencyChange: blockedTask.id,
+          updatedAt: serverTimestamp()
+        });
+      }
+      addActivity(batch, blockedTask, 'dependency', {
+        action: 'removed',
+        blockerId,
+        blockerTitle: blocker?.title || t('dependencies.deletedTask')
+      });
+      await batch.commit();
+    } catch (error) {
+      console.error('Error removing dependency:', error);
+    }
+  };
+
+  // Comments live in tasks/{taskId}/comments; the task only keeps a counter.
+  // Older tasks may still carry a read-only `comments` array.
+  // Throws on failure; addComment and the outbox replay (with the id picked
+  // when queueing) report it
+  const writeComment = async (task, comment, parentId = null, attachments = [], commentId = null) => {
+    const taskId = task.id;
+    assertCan('comment', task);
+    const mentions = extractMentions(comment, assignableUsers);
+
+    const batch = writeBatch(db);
+    const comments = collection(db, 'tasks', taskId, 'comments');
+    const commentRef = commentId ? doc(comments, commentId) : doc(comments);
+    batch.set(commentRef, {
+      userId: currentUser.id,
+      userName: currentUser.name,
+      text: comment,
+      parentId,
+      mentions,
+      history: [],
+      deleted: false,
+      createdAt: serverTimestamp()
+    });
+    batch.update(doc(db, 'tasks', taskId), {
+      commentCount: increment(1),
+      updatedAt: serverTimestamp()
+    });
+    addActivity(batch, task, 'comment_added', { commentId: commentRef.id, parentId });
+    await batch.commit();
+    await uploadAttachments(taskId, attachments, commentRef.id);
+
+    await notifyUsers(mentions, {
+      type: 'comment_mention',
+      messageKey: 'mention',
+      messageParams: { name: currentUser.name, title: task.title },
+      taskId
+    });
+    await notifyUsers([task.createdBy, task.assignedTo].filter(id => !mentions.includes(id)), {
+      type: 'task_comment',
+      messageKey: 'comment',
+      messageParams: { name: currentUser.name, title: task.title },
+      taskId
+    });
+  };
+
+  const addComment = async (taskId, comment, parentId = null, attachments = []) => {
+    try {
+      const task = findTask(taskId);
+      if (!isOnline) {
+        assertCan('comment', task);
+        queueWrite('addComment', taskId, { text: comment, parentId }, { title: task.title });
+        return;
+      }
+      await writeComment(task, comment, parentId, attachments);
+    } catch (error) {
+      console.error('Error adding comment:', error);
+    }
+  };
+
+  const editComment = async (taskId, comment, newText) => {
+    try {
+      if (comment.userId !== currentUser.id) {
+        throw new Error('Permission denied: edit comment');
+      }
+      const task = findTask(taskId);
+      const previousMentions = comment.mentions || [];
+      const mentions = extractMentions(newText, assignableUsers);
+
+      const batch = writeBatch(db);
+      batch.update(doc(db, 'tasks', taskId, 'comments', comment.id), {
+        text: newText,
+        mentions,
+        history: arrayUnion({ text: comment.text, editedAt: new Date().toISOString() }),
+        editedAt: serverTimestamp()
+      });
+      addActivity(batch, task || { id: taskId }, 'comment_edited', { commentId: comment.id });
+      await batch.commit();
+
+      // Only users mentioned for the first time get notified
+      await notifyUsers(mentions.filter(id => !previousMentions.includes(id)), {
+        type: 'comment_mention',
+        messageKey: 'mention',
+        messageParams: { name: currentUser.name, title: task?.title || null },
+        taskId
+      });
+    } catch (error) {
+      console.error('Error editing comment:', error);
+    }
+  };
+
+  // Attachment functions
+  // Files go to Storage under tasks/{taskId}/{attachmentId}/; the metadata
+  // lives in tasks/{taskId}/attachments/{attachmentId}. There are no
+  // download URLs: those would skip storage.rules for good.
+  const uploadAttachments = async (taskId, files, commentId = null) => {
+    const uploaded = [];
+    for (const file of files) {
+      try {
+        const error = validateAttachment(file, t);
+        if (error) throw new Error(error);
+
+        const attachmentRef = doc(collection(db, 'tasks', taskId, 'attachments'));
+        const storagePath = `tasks/${taskId}/${attachmentRef.id}/${toStorageFileName(file.name)}`;
+        const fileRef = storageRef(storage, storagePath);
+        await uploadBytes(fileRef, file, {
+          contentType: file.type,
+          customMetadata: { uploadedBy: currentUser.id }
+        });
+
+        await setDoc(attachmentRef, {
+          name: file.name,
+          size: file.size,
+          contentType: file.type,
+          storagePath,
+          commentId,
+          uploadedBy: currentUser.id,
+          uploadedByName: currentUser.name,
+          createdAt: serverTimestamp()
+        });
+        uploaded.push(attachmentRef.id);
+      } catch (error) {
+        console.error('Error uploading attachment:', error);
+      }
+    }
+    return uploaded;
+  };
+
+  const downloadAttachment = async (attachment) => {
+    try {
+      downloadFile(attachment.name, await readAttachment(attachment), attachment.contentType);
+    } catch (error) {
+      console.error('Error downloading attachment:', error);
+    }
+  };
+
+  const deleteAttachment = async (taskId, attachment) => {
+    try {
+      if (attachment.uploadedBy !== currentUser.id) {
+        assertCan('edit', findTask(taskId));
+      }
+      await deleteObject(storageRef(storage, attachment.storagePath)).catch((error) => {
+        if (error.code !== 'storage/object-not-found') throw error;
+      });
+      await deleteDoc(doc(db, 'tasks', taskId, 'attachments', attachment.id));
+    } catch (error) {
+      console.error('Error deleting attachment:', error);
+    }
+  };
+
+  // Soft delete: the text moves into the history so replies keep their place
+  const deleteComment = async (taskId, comment) => {
+    try {
+      const task = findTask(taskId);
+      if (comment.userId !== currentUser.id && !can(currentUser, 'moderate', task)) {
+        throw new Error('Permission denied: delete comment');
+      }
+      const batch = writeBatch(db);
+      batch.update(doc(db, 'tasks', taskId, 'comments', comment.id), {
+        text: '',
+        deleted: true,
+        deletedBy: currentUser.id,
+        history: arrayUnion({ text: comment.text, editedAt: new Date().toISOString() }),
+        deletedAt: serverTimestamp()
+      });
+      batch.update(doc(db, 'tasks', taskId), {
+        commentCount: increment(-1),
+        updatedAt: serverTimestamp()
+      });
+      addActivity(batch, task, 'comment_deleted', { commentId: comment.id });
+      await batch.commit();
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+    }
+  };
+
+  const reassignTask = async (taskId, newAssignee) => {
+    try {
+      const task = findTask(taskId);
+      assertCan('reassign', task);
+      const batch = writeBatch(db);
+      batch.update(doc(db, 'tasks', taskId), {
+        assignedTo: newAssignee,
+        assignmentHistory: [...(task.assignmentHistory || []), newAssignee],
+        version: increment(1),
+        updatedAt: serverTimestamp()
+      });
+      addActivity(batch, task, 'reassigned', { from: task.assignedTo, to: newAssignee });
+      await batch.commit();
+      await notifyUsers([newAssignee], {
+        type: 'task_assigned',
+        messageKey: 'reassignedToYou',
+        messageParams: { name: currentUser.name, title: task.title },
+        taskId
+      });
+      await notifyUsers([task.createdBy, task.assignedTo].filter(id => id !== newAssignee), {
+        type: 'task_reassigned',
+        messageKey: 'reassigned',
+        messageParams: {
+          name: currentUser.name,
+          title: task.title,
+          assignee: users.find(u => u.id === newAssignee)?.name || null
+        },
+        taskId
+      });
+    } catch (error) {
+      console.error('Error reassigning task:', error);
+    }
+  };
+
+  // `dueFields`: { dueDate, allDay, dueTimeZone } as from moveDueFields
+  const rescheduleTask = async (taskId, dueFields) => {
+    try {
+      const task = findTask(taskId);
+      assertCan('edit', task);
+      const batch = writeBatch(db);
+      batch.update(doc(db, 'tasks', taskId), {
+        ...dueFields,
+        version: increment(1),
+        updatedAt: serverTimestamp()
+      });
+      addActivity(batch, task, 'due_date', {
+        from: new Date(task.dueDate).toISOString(),
+        to: dueFields.dueDate.toISOString()
+      });
+      await batch.commit();
+    } catch (error) {
+      console.error('Error rescheduling task:', error);
+    }
+  };
+
+  // Edits from the detail modal. `baseVersion` is the task version the editor
+  // started from: if someone saved the task in the meantime nothing is
+  // written and the current task comes back as `conflict`.
+  const updateTask = async (taskId, changes, baseVersion) => {
+    try {
+      const task = findTask(taskId);
+      assertCan('edit', task);
+      const reassigning = changes.assignedTo && changes.assignedTo !== task.assignedTo;
+      if (reassigning) assertCan('reassign', task);
+
+      const taskRef = doc(db, 'tasks', taskId);
+      const result = await runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(taskRef);
+        if (!snapshot.exists()) throw new Error('Task not found');
+        const current = mapTaskDoc(snapshot);
+        if ((current.version || 0) !== baseVersion) return { conflict: current };
+
+        // Dates compare as ISO strings and label lists as JSON
+        const comparable = (field, value) => {
+          if (field === 'dueDate') return new Date(value).toISOString();
+          if (field === 'labels') return JSON.stringify(value || []);
+          if (field === 'priority') return value || DEFAULT_PRIORITY;
+          return value ?? null;
+        };
+        const edited = {};
+        ['title', 'description', 'dueDate', 'priority', 'labels', 'projectId'].forEach(field => {
+          if (changes[field] === undefined) return;
+          if (comparable(field, current[field]) === comparable(field, changes[field])) return;
+          edited[field] = {
+            from: field === 'dueDate' ? comparable(field, current.dueDate) : current[field] ?? null,
+            to: field === 'dueDate' ? comparable(field, changes.dueDate) : changes[field]
+          };
+        });
+        const newAssignee = changes.assignedTo !== current.assignedTo ? changes.assignedTo : null;
+        if (Object.keys(edited).length === 0 && !newAssignee) return { changed: false };
+
+        const updates = {
+          version: baseVersion + 1,
+          updatedAt: serverTimestamp()
+        };
+        Object.keys(edited).forEach(field => {
+          updates[field] = changes[field];
+        });
+        // The all-day flag and the zone go with the due date
+        if (edited.dueDate || (changes.allDay !== undefined && changes.allDay !== Boolean(current.allDay))) {
+          updates.dueDate = changes.dueDate;
+          updates.allDay = changes.allDay;
+          updates.dueTimeZone = changes.dueTimeZone;
+        }
+        if (newAssignee) {
+          updates.assignedTo = newAssignee;
+          updates.assignmentHistory = [...(current.assignmentHistory || []), newAssignee];
+        }
+        transaction.update(taskRef, updates);
+
+        const logged = { ...current, title: changes.title ?? current.title };
+        if (Object.keys(edited).length > 0) {
+          addActivity(transaction, logged, 'edited', { changes: edited });
+        }
+        if (newAssignee) {
+          addActivity(transaction, logged, 'reassigned', { from: current.assignedTo, to: newAssignee });
+        }
+        return { changed: true, newAssignee, previousAssignee: current.assignedTo };
+      });
+
+      if (result.changed) {
+        await addMissingLabels(changes.labels || []);
+        const title = changes.title ?? task.title;
+        if (result.newAssignee) {
+          await notifyUsers([result.newAssignee], {
+            type: 'task_assigned',
+            messageKey: 'assigned',
+            messageParams: { name: currentUser.name, title },
+            taskId
+          });
+        }
+        await notifyUsers([task.createdBy, result.previousAssignee].filter(id => id !== result.newAssignee), {
+          type: 'task_edited',
+          messageKey: 'edited',
+          messageParams: { name: currentUser.name, title },
+          taskId
+        });
+      }
+      return result;
+    } catch (error) {
+      console.error('Error updating task:', error);
+      return { error };
+    }
+  };
+
+  const deleteTask = async (taskId) => {
+    try {
+      const task = findTask(taskId);
+      assertCan('delete', task);
+      const batch = writeBatch(db);
+      batch.delete(doc(db, 'tasks', taskId));
+      if (task.parentId) {
+        await queueParentCounters(batch, task, isTaskDone(task), null);
+      }
+      await queueDependencyCleanup(batch, task);
+      await batch.commit();
+      await notifyUsers([task.createdBy, task.assignedTo], {
+        type: 'task_deleted',
+        messageKey: 'deleted',
+        messageParams: { name: currentUser.name, title: task.title }
+      });
+    } catch (error) {
+      console.error('Error deleting task:', error);
+    }
+  };
+
+  // User management functions (admin only)
+  const updateUserAccount = async (user, changes) => {
+    try {
+      assertCan('manageUsers');
+      const userRef = doc(db, 'users', user.docId);
+      await updateDoc(userRef, {
+        ...changes,
+        updatedBy: currentUser.id,
+        updatedAt: serverTimestamp()
+      });
+    } catch (error) {
+      console.error('Error updating user:', error);
+    }
+  };
+
+  const approveUser = (user) => updateUserAccount(user, {
+    approved: true,
+    disabled: false,
+    rejected: false,
+    approvedBy: currentUser.id,
+    approvedAt: serverTimestamp()
+  });
+
+  const rejectUser = (user) => updateUserAccount(user, {
+    approved: false,
+    disabled: true,
+    rejected: true
+  });
+
+  const disableUser = (user) => updateUserAccount(user, { disabled: true });
+
+  const enableUser = (user) => updateUserAccount(user, {
+    approved: true,
+    disabled: false,
+    rejected: false
+  });
+
+  const setUserRole = (user, role) => {
+    if (!ROLES.includes(role)) return;
+    return updateUserAccount(user, { role });
+  };
+
+  // Project and label functions
+  const saveProject = async (project) => {
+    try {
+      assertCan('manageProjects');
+      const data = {
+        name: project.name.trim(),
+        description: project.description.trim(),
+        color: project.color,
+        workflowId: project.workflowId || DEFAULT_WORKFLOW_ID,
+        updatedBy: currentUser.id,
+        updatedAt: serverTimestamp()
+      };
+      if (project.id) {
+        await updateDoc(doc(db, 'projects', project.id), data);
+      } else {
+        await addDoc(collection(db, 'projects'), {
+          ...data,
+          archived: false,
+          createdBy: currentUser.id,
+          createdAt: serverTimestamp()
+        });
+      }
+    } catch (error) {
+      console.error('Error saving project:', error);
+    }
+  };
+
+  // Archived projects keep their tasks but aren't offered for new ones
+  const setProjectArchived = async (project, archived) => {
+    try {
+      assertCan('manageProjects');
+      await updateDoc(doc(db, 'projects', project.id), {
+        archived,
+        updatedBy: currentUser.id,
+        updatedAt: serverTimestamp()
+      });
+    } catch (error) {
+      console.error('Error archiving project:', error);
+    }
+  };
+
+  const setLabelColor = async (label, color) => {
+    try {
+      assertCan('manageProjects');
+      await updateDoc(doc(db, 'labels', label.id), { color });
+    } catch (error) {
+      console.error('Error updating label:', error);
+    }
+  };
+
+  // Saved filter functions
+  const saveCurrentFilter = async () => {
+    const name = window.prompt(t('filters.namePrompt'))?.trim();
+    if (!name) return;
+
+    try {
+      await addDoc(collection(db, 'savedFilters'), {
+        userId: currentUser.id,
+        name: name.slice(0, 60),
+        query: encodeTaskQuery(taskQuery),
+        createdAt: serverTimestamp()
+      });
+    } catch (error) {
+      console.error('Error saving filter:', error);
+    }
+  };
+
+  const deleteSavedFilter = async (filter) => {
+    if (!window.confirm(t('filters.deleteConfirm', { name: filter.name }))) return;
+
+    try {
+      await deleteDoc(doc(db, 'savedFilters', filter.id));
+    } catch (error) {
+      console.error('Error deleting filter:', error);
+    }
+  };
+
+  const applySavedFilter = (filter) => {
+    setTaskQuery(decodeTaskQuery(filter.query));
+    openView('all-tasks');
+  };
+
+  const copyPageLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+    } catch (error) {
+      console.error('Error copying link:', error);
+      window.prompt(t('filters.copyLinkPrompt'), window.location.href);
+    }
+  };
+
+  // Workflow functions
+  // Returns an error message for the editor, or null once saved
+  const saveWorkflow = async (workflow) => {
+    try {
+      assertCan('manageWorkflows');
+      const error = validateWorkflow(workflow, t, workflows);
+      if (error) return error;
+      if (workflow.id === DEFAULT_WORKFLOW_ID) return t('workflows.standardReadOnly');
+
+      await setDoc(doc(db, 'workflows', workflow.id), {
+        name: workflow.name.trim(),
+        initialState: workflow.initialState,
+        states: workflow.states,
+        transitions: workflow.transitions,
+        openStates: workflow.states.filter(state => state.category === 'open').map(state => state.id),
+        updatedBy: currentUser.id,
+        updatedAt: serverTimestamp()
+      });
+      return null;
+    } catch (error) {
+      console.error('Error saving workflow:', error);
+      return t('workflows.saveError');
+    }
+  };
+
+  // Workflows still referenced by a task are kept
+  const deleteWorkflow = async (workflowId) => {
+    try {
+      assertCan('manageWorkflows');
+      const inUse = await getDocs(query(
+        collection(db, 'tasks'),
+        where('workflowId', '==', workflowId),
+        limit(1)
+      ));
+      if (!inUse.empty) {
+        alert(t('workflows.inUse'));
+        return;
+      }
+      await deleteDoc(doc(db, 'workflows', workflowId));
+    } catch (error) {
+      console.error('Error deleting workflow:', error);
+    }
+  };
+
+  // Export and import functions
+  // The filtered list, or every task for admins, with the comments and
+  // activity of each task fetched alongside
+  const exportTasks = async (format) => {
+    setExporting(true);
+    try {
+      let list = getFilteredTasks();
+      if (exportScope === 'all') {
+        assertCan('exportAll');
+        const snapshot = await getDocs(collection(db, 'tasks'));
+        list = snapshot.docs.map(mapTaskDoc);
+      }
+      const detailed = await Promise.all(list.map(async (task) => {
+        const [commentsSnapshot, activitySnapshot] = await Promise.all([
+          getDocs(query(collection(db, 'tasks', task.id, 'comments'), orderBy('createdAt', 'asc'))),
+          getDocs(query(collection(db, 'tasks', task.id, 'activity'), orderBy('createdAt', 'asc')))
+        ]);
+        return {
+          ...task,
+          comments: [...(task.comments || []), ...commentsSnapshot.docs.map(mapActivityDoc)],
+          activity: activitySnapshot.docs.map(mapActivityDoc)
+        };
+      }));
+
+      const getUserEmail = (id) => users.find(u => u.id === id)?.email || '';
+      const fileName = `task_${t(`transfer.fileScope.${exportScope}`)}_${toDateKey(new Date())}`;
+      if (format === 'json') {
+        downloadFile(`${fileName}.json`, JSON.stringify({
+          exportedAt: new Date().toISOString(),
+          tasks: detailed.map(task => ({
+            ...task,
+            assigneeEmail: getUserEmail(task.assignedTo),
+            creatorEmail: getUserEmail(task.createdBy)
+          }))
+        }, null, 2), 'application/json');
+      } else {
+        const context = {
+          t,
+          timeZone,
+          getUserEmail,
+          getProjectName: (id) => getProject(id)?.name || '',
+          getStatusText,
+          describeActivity: (entry) => describeActivity(entry, {
+            t,
+            getStatusText,
+            getUserName: (id) => users.find(u => u.id === id)?.name || t('common.unknownUser'),
+            formatDate
+          })
+        };
+        downloadFile(
+          `${fileName}.csv`,
+          `\ufeff${toCsv(detailed.map(task => toExportRow(task, context)), getExportColumns(t))}`,
+          'text/csv;charset=utf-8'
+        );
+      }
+    } catch (error) {
+      console.error('Error exporting tasks:', error);
+      alert(t('transfer.exportError'));
+    }
+    setExporting(false);
+  };
+
+  // Reads the chosen file into headers and rows for the import wizard
+  const loadImportFile = async (file) => {
+    try {
+      const text = await file.text();
+      const table = file.name.toLowerCase().endsWith('.json')
+        ? jsonToTable(JSON.parse(text))
+        : (([headers = [], ...rows]) => ({ headers, rows }))(parseCsv(text));
+      if (table.rows.length === 0) {
+        alert(t('transfer.emptyFile'));
+        return;
+      }
+      if (table.rows.length > MAX_IMPORT_ROWS) {
+        alert(t('transfer.tooManyRows', { count: MAX_IMPORT_ROWS }));
+        return;
+      }
+      setImportDraft({
+        step: 'map',
+        fileName: file.name,
+        headers: table.headers,
+        rows: table.rows,
+        mapping: guessMapping(table.headers)
+      });
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      alert(t('transfer.unreadableFile'));
+    }
+  };
+
+  // Creates the valid rows as tasks, in batches the rules can check
+  // (getImportBatches). A failed batch stops the import; the ones before it
+  // stay written.
+  const importTasks = async (rows) => {
+    const { fileName } = importDraft;
+    let created = 0;
+    setImportDraft({ ...importDraft, step: 'importing', created, total: rows.length });
+    try {
+      assertCan('createTask');
+      for (const batchRows of getImportBatches(rows)) {
+        const batch = writeBatch(db);
+        batchRows.forEach(({ data }) => {
+          const workflow = getWorkflow(workflows, data.workflowId);
+          const taskRef = doc(collection(db, 'tasks'));
+          batch.set(taskRef, {
+            title: data.title,
+            description: data.description,
+            assignedTo: data.assignedTo,
+            priority: data.priority,
+            labels: data.labels,
+            projectId: data.projectId,
+            dueDate: data.dueDate,
+            allDay: data.allDay,
+            dueTimeZone: data.dueTimeZone,
+            workflowId: workflow.id,
+            status: workflow.initialState,
+            createdBy: currentUser.id,
+            createdAt: serverTimestamp(),
+            assignmentHistory: [data.assignedTo],
+            comments: [],
+            commentCount: 0,
+            version: 0,
+            recurrence: null
+          });
+          addActivity(batch, { id: taskRef.id, title: data.title }, 'created', {
+            to: data.assignedTo,
+            workflowId: workflow.id,
+            importedFrom: fileName
+          });
+        });
+        await batch.commit();
+        created += batchRows.length;
+        setImportDraft(current => ({ ...current, created }));
+      }
+      await addMissingLabels([...new Set(rows.flatMap(({ data }) => data.labels))]);
+
+      const countByAssignee = rows.reduce((acc, { data }) => {
+        acc[data.assignedTo] = (acc[data.assignedTo] || 0) + 1;
+        return acc;
+      }, {});
+      for (const [assigneeId, count] of Object.entries(countByAssignee)) {
+        await notifyUsers([assigneeId], {
+          type: 'task_assigned',
+          messageKey: 'imported',
+          messageParams: { name: currentUser.name, count, file: fileName }
+        });
+      }
+      setImportDraft(current => ({ ...current, step: 'done', created }));
+    } catch (error) {
+      console.error('Error importing tasks:', error);
+      setImportDraft(current => ({ ...current, step: 'done', created, failed: true }));
+    }
+  };
+
+  // Board functions
+  // Empty or zero limits are dropped: that column has no limit
+  const saveWipLimits = async (limits) => {
+    try {
+      assertCan('manageBoard');
+      await setDoc(doc(db, 'boards', BOARD_ID), {
+        wipLimits: Object.fromEntries(Object.entries(limits)
+          .map(([status, value]) => [status, Number(value)])
+          .filter(([, value]) => Number.isInteger(value) && value > 0)),
+        updatedBy: currentUser.id,
+        updatedAt: serverTimestamp()
+      });
+    } catch (error) {
+      console.error('Error saving board settings:', error);
+    }
+  };
+
+  // Team calendar functions
+  // <input type="time"> has no 24:00, so an end of 00:00 means midnight
+  const saveTeamCalendar = async (calendar) => {
+    const workingHours = {
+      start: calendar.workingHours.start,
+      end: calendar.workingHours.end === '00:00' ? '24:00' : calendar.workingHours.end
+    };
+    const invalid = validateTeamCalendar({ ...calendar, workingHours });
+    if (invalid) {
+      alert(t(`teamCalendar.errors.${invalid}`));
+      return false;
+    }
+    try {
+      assertCan('manageCalendar');
+      await setDoc(doc(db, 'calendars', TEAM_CALENDAR_ID), {
+        timeZone: calendar.timeZone,
+        workingDays: calendar.workingDays,
+        workingHours,
+        holidays: calendar.holidays,
+        updatedBy: currentUser.id,
+        updatedAt: serverTimestamp()
+      });
+      return true;
+    } catch (error) {
+      console.error('Error saving team calendar:', error);
+      alert(t('teamCalendar.saveError'));
+      return false;
+    }
+  };
+
+  // Utility functions
+  const isOverdue = (task) => isTaskOverdue(task, new Date(), teamCalendar);
+
+  // Saves generated content through a temporary download link
+  const downloadFile = (fileName, content, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+  
+  const formatDate = (dateString) => i18n.formatDate(dateString);
+
+  // All-day tasks show their date in the team calendar, the same for everyone
+  const formatDueDate = (task) => (task.allDay
+    ? `${i18n.formatDate(task.dueDate, { ...DATE, timeZone: task.dueTimeZone })} · ${t('taskForm.allDay')}`
+    : formatDate(task.dueDate));
+
+  // Status labels and colors come from the task's workflow
+  const getStatusColor = (status, workflowId) => {
+    const state = getState(getWorkflow(workflows, workflowId), status);
+    return `status-${state?.color || 'open'}`;
+  };
+
+  const getStatusText = (status, workflowId) => getStateLabel(getWorkflow(workflows, workflowId), status, t);
+
+  const isTaskDone = (task) => isDoneState(getWorkflow(workflows, task.workflowId), task.status);
+
+  // Adds the chosen files to a pending list, rejecting invalid ones up front
+  const selectAttachments = (fileList, current) => {
+    const files = Array.from(fileList || []);
+    const errors = files.map(file => validateAttachment(file, t)).filter(Boolean);
+    if (errors.length > 0) {
+      alert(errors.join('\n'));
+    }
+    const valid = files.filter(file => !validateAttachment(file, t));
+    const selected = [...current, ...valid];
+    if (selected.length > MAX_ATTACHMENTS_PER_UPLOAD) {
+      alert(t('attachments.tooMany', { count: MAX_ATTACHMENTS_PER_UPLOAD }));
+      return selected.slice(0, MAX_ATTACHMENTS_PER_UPLOAD);
+    }
+    return selected;
+  };
+
+  const getCommentCount = (task) => (task.commentCount || 0) + (task.comments?.length || 0);
+
+  // Task filtering
+  const getCommentText = (task) =>
+    getCommentCount(task) === 0 ? '' : commentTexts[task.id]?.text ?? null;
+
+  const getFilteredTasks = () => {
+    const pool = queryIncludesDone ? [...tasks, ...historyTasks] : tasks;
+    const matches = pool.filter(task => matchesTaskQuery(task, taskQuery, {
+      isDone: isTaskDone,
+      isOverdue,
+      getDueDateKey: (task) => getDueDateKey(task, timeZone),
+      getCommentText
+    }));
+    return sortTasks(matches, taskQuery.sortBy);
+  };
+
+  // Dashboard task categorization
+  const getTasksByCategory = () => {
+    const visible = sortTasks(tasks.filter(task => matchesTaskFilters(task, taskQuery)), taskQuery.sortBy);
+    const assignedToMe = visible.filter(task => 
+      task.assignedTo === currentUser.id && !isTaskDone(task)
+    );
+    const createdByMe = visible.filter(task => 
+      task.createdBy === currentUser.id && !isTaskDone(task)
+    );
+    const completedByMe = historyTasks.filter(task => 
+      task.createdBy === currentUser.id && isTaskDone(task)
+    );
+    const overdue = assignedToMe.filter(isOverdue);
+    
+    return {
+      assignedToMe,
+      createdByMe,
+      completedByMe,
+      overdue
+    };
+  };
+
+  const renderLanguageSelect = () => (
+    <select
+      value={language}
+      onChange={(e) => changeLanguage(e.target.value)}
+      className="language-select"
+      aria-label={t('common.language')}
+    >
+      {LANGUAGES.map(option => (
+        <option key={option.id} value={option.id}>{option.label}</option>
+      ))}
+    </select>
+  );
+
+  const renderTimeZoneSelect = () => (
+    <select
+      value={timeZone}
+      onChange={(e) => changeTimeZone(e.target.value)}
+      className="language-select time-zone-select"
+      aria-label={t('common.timeZone')}
+      title={t('common.timeZone')}
+    >
+      {[...new Set([timeZone, ...getTimeZones()])].map(zone => (
+        <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>
+      ))}
+    </select>
+  );
+
+  // Loading screen
+  if (loading) {
+    return (
+      <div className="loading-screen">
+        <div className="loading-content">
+          <div className="logo">
+            <div className="logo-icon">✓</div>
+            <h1>TaskFlow</h1>
+          </div>
+          <div className="loading-spinner"></div>
+          <p>{t('common.loading')}</p>
+        </div>
+      </div>
+    );
+  }
+
+  // Login screen
+  if (!currentUser) {
+    return (
+      <div className="login-screen">
+        <div className="login-container">
+          <div className="login-content">
+            <div className="logo">
+              <div className="logo-icon">✓</div>
+              <h1>TaskFlow</h1>
+            </div>
+            <p className="login-subtitle">{t('login.subtitle')}</p>
+            
+            <button onClick={handleGoogleSignIn} className="btn btn-primary login-btn">
+              <span>🚀</span>
+              {t('login.google')}
+            </button>
+            
+            <p className="login-note">
+              {t('login.approvalNote')}
+            </p>
+
+            {renderLanguageSelect()}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // Profile loading screen
+  if (!usersLoaded) {
+    return (
+      <div className="loading-screen">
+        <div className="loading-content">
+          <div className="logo">
+            <div className="logo-icon">✓</div>
+            <h1>TaskFlow</h1>
+          </div>
+          <div className="loading-spinner"></div>
+          <p>{t('login.loadingProfile')}</p>
+        </div>
+      </div>
+    );
+  }
+
+  // Waiting for approval / disabled account screen
+  if (!isApproved) {
+    return (
+      <div className="login-screen">
+        <div className="login-container">
+          <div className="login-content">
+            <div className="logo">
+              <div className="logo-icon">✓</div>
+              <h1>TaskFlow</h1>
+            </div>
+            {currentUser.disabled ? (
+              <>
+                <p className="login-subtitle">{t('login.disabledTitle')}</p>
+                <p className="login-note waiting-note">
+                  {t('login.disabledNote')}
+                </p>
+              </>
+            ) : (
+              <>
+                <p className="login-subtitle">{t('login.pendingTitle')}</p>
+                <p className="login-note waiting-note">
+                  {t('login.pendingNote', { name: currentUser.name })}
+                </p>
+              </>
+            )}
+
+            <button onClick={handleSignOut} className="btn btn-secondary login-btn">
+              {t('common.signOut')}
+            </button>
+
+            {renderLanguageSelect()}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // Only approved, enabled accounts that can work on tasks receive them
+  const assignableUsers = users.filter(u =>
+    u.approved && !u.disabled && getUserRole(u, ADMIN_EMAIL) !== 'viewer'
+  );
+  const canCreateTask = can(currentUser, 'createTask');
+
+  // Main App Components
+  const NotificationPanel = () => {
+    const handleOpen = async (notification) => {
+      if (!notification.read) {
+        await markNotificationRead(notification.id);
+      }
+      if (notification.type === 'user_approval' && canManageUsers) {
+        openView('users');
+        setShowNotifications(false);
+        return;
+      }
+      if (notification.taskId) {
+        // Tasks outside the loaded lists are fetched by the modal's own listener
+        openTask(notification.taskId);
+        setShowNotifications(false);
+      }
+    };
+
+    return (
+      <div className="notification-panel">
+        <div className="notification-panel-header">
+          <h3>{t('notifications.title')}</h3>
+          {notifications.some(n => !n.read) && (
+            <button onClick={markAllNotificationsRead} className="btn btn-secondary btn-small">
+              {t('notifications.markAllRead')}
+            </button>
+          )}
+        </div>
+
+        {notifications.length === 0 ? (
+          <div className="notification-empty">
+            <p>{t('notifications.empty')}</p>
+          </div>
+        ) : (
+          <div className="notification-list">
+            {notifications.map(notification => (
+              <div
+                key={notification.id}
+                className={`notification-item ${notification.read ? '' : 'unread'}`}
+                onClick={() => handleOpen(notification)}
+              >
+                <p className="notification-message">{formatNotification(notification)}</p>
+                <div className="notification-meta">
+                  <span className="notification-time">{formatDate(notification.createdAt)}</span>
+                  {!notification.read && (
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        markNotificationRead(notification.id);
+                      }}
+                      className="notification-mark-read"
+                    >
+                      {t('notifications.markRead')}
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+            {notificationsHasMore && (
+              <button onClick={loadMoreNotifications} className="btn btn-secondary btn-small notification-load-more">
+                {t('common.loadMore')}
+              </button>
+            )}
+          </div>
+        )}
+
+        <div className="push-settings">
+          <h4>{t('notifications.push.title')}</h4>
+          {pushState.status === 'unsupported' && (
+            <p className="push-note">{t('notifications.push.unsupported')}</p>
+          )}
+          {pushState.status === 'denied' && (
+            <p className="push-note">{t('notifications.push.denied')}</p>
+          )}
+          {pushState.status === 'off' && (
+            <>
+              <p className="push-note">{t('notifications.push.intro')}</p>
+              <button onClick={enablePush} className="btn btn-primary btn-small">
+                🔔 {t('notifications.push.enable')}
+              </button>
+            </>
+          )}
+          {pushState.status === 'on' && (
+            <>
+              {PUSH_TOPICS.map(topic => (
+                <label key={topic} className="push-topic">
+                  <input
+                    type="checkbox"
+                    checked={pushState.topics?.[topic] === true}
+                    onChange={(e) => updatePushTopics({ ...pushState.topics, [topic]: e.target.checked })}
+                  />
+                  {t(`notifications.push.topics.${topic}`)}
+                </label>
+              ))}
+              <button onClick={disablePush} className="btn btn-secondary btn-small">
+                {t('notifications.push.disable')}
+              </button>
+            </>
+          )}
+        </div>
+
+        {userProfile && (
+          <div className="push-settings">
+            <h4>{t('notifications.email.title')}</h4>
+            <p className="push-note">{t('notifications.email.sentTo', { email: currentUser.email })}</p>
+            {EMAIL_KINDS.map(kind => (
+              <label key={kind} className="push-topic">
+                <input
+                  type="checkbox"
+                  checked={isEmailEnabled(userProfile, kind)}
+                  onChange={(e) => updateEmailPreferences({
+                    emailPreferences: { ...userProfile.emailPreferences, [kind]: e.target.checked }
+                  })}
+                />
+                {t(`notifications.email.kinds.${kind}`)}
+              </label>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Offline, conflicts, replaying, waiting for the server, or all synced
+  const getSyncStatus = () => {
+    const pending = getPendingEntries(outbox.entries).length;
+    const conflicts = outbox.entries.length - pending;
+    if (!isOnline) {
+      return { className: 'offline', icon: '📴', label: pending > 0 ? t('sync.offlineQueued', { count: pending }) : t('sync.offline') };
+    }
+    if (conflicts > 0) {
+      return { className: 'conflict', icon: '⚠️', label: t('sync.conflicts', { count: conflicts }) };
+    }
+    if (syncing || pending > 0) return { className: 'syncing', icon: '🔄', label: t('sync.syncing') };
+    if (tasksFromCache) return { className: 'syncing', icon: '🔄', label: t('sync.connecting') };
+    return { className: 'online', icon: '✅', label: t('sync.synced') };
+  };
+
+  const SyncPanel = () => (
+    <div className="notification-panel sync-panel">
+      <div className="notification-panel-header">
+        <h3>{t('sync.title')}</h3>
+      </div>
+
+      {outbox.entries.length === 0 ? (
+        <div className="notification-empty">
+          <p>{isOnline ? t('sync.allSynced') : t('sync.offlineNote')}</p>
+        </div>
+      ) : (
+        <div className="notification-list">
+          {outbox.entries.map(entry => (
+            <div key={entry.id} className={`notification-item ${entry.conflict ? 'sync-conflict' : ''}`}>
+              <p className="notification-message">{describeOutboxEntry(entry, { t, getStatusText })}</p>
+              {entry.conflict && <p className="sync-conflict-reason">⚠️ {entry.conflict}</p>}
+              <div className="notification-meta">
+                <span className="notification-time">{t('sync.queuedAt', { date: formatDate(entry.queuedAt) })}</span>
+                {entry.conflict && (
+                  <span className="sync-actions">
+                    <button onClick={() => retryOutboxEntry(entry.id)} className="notification-mark-read">
+                      {t('sync.retry')}
+                    </button>
+                    <button onClick={() => discardOutboxEntry(entry.id)} className="notification-mark-read">
+                      {t('sync.discard')}
+                    </button>
+                  </span>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
+  const Header = () => {
+    const syncStatus = getSyncStatus();
+    return (
+      <header className="app-header">
+        <div className="header-content">
+          <div className="header-left">
+            <div className="logo">
+              <div className="logo-icon">✓</div>
+              <h1>TaskFlow</h1>
+            </div>
+          </div>
+        
+          <div className="header-right">
+            {installPrompt && (
+              <button onClick={installApp} className="btn btn-secondary btn-small install-btn" title={t('header.installTitle')}>
+                📲 <span className="install-label">{t('header.install')}</span>
+              </button>
+            )}
+
+            <div className="notification-wrapper">
+              <button
+                onClick={() => setShowSyncPanel(!showSyncPanel)}
+                className={`sync-indicator ${syncStatus.className}`}
+                title={syncStatus.label}
+              >
+                <span>{syncStatus.icon}</span>
+                <span className="sync-label">{syncStatus.label}</span>
+              </button>
+              {showSyncPanel && <SyncPanel />}
+            </div>
+
+            <div className="notification-wrapper">
+              <div
+                className="notification-bell"
+                onClick={() => setShowNotifications(!showNotifications)}
+              >
+                <span className="bell-icon">🔔</span>
+                {notifications.filter(n => !n.read).length > 0 && (
+                  <div className="notification-badge">{notifications.filter(n => !n.read).length}</div>
+                )}
+              </div>
+              {showNotifications && <NotificationPanel />}
+            </div>
+          
+            <div className="user-profile">
+              <img 
+                src={currentUser.photoURL} 
+                alt={currentUser.name}
+                className="profile-image"
+              />
+              <span className="user-name">{currentUser.name}</span>
+            </div>
+
+            {renderLanguageSelect()}
+            {renderTimeZoneSelect()}
+          
+            <button onClick={handleSignOut} className="btn btn-secondary logout-btn">
+              {t('common.signOut')}
+            </button>
+          </div>
+        </div>
+      </header>
+    );
+  };
+
+  const Navigation = () => (
+    <nav className="app-navigation">
+      <div className="nav-content">
+        {[
+          { id: 'dashboard', icon: '📊' },
+          { id: 'calendar', icon: '📅' },
+          { id: 'board', icon: '🧱' },
+          { id: 'all-tasks', icon: '📋' },
+          ...(canManageUsers ? [{ id: 'users', icon: '👥' }] : []),
+          ...(canManageProjects ? [{ id: 'projects', icon: '🗂️' }] : []),
+          ...(canManageWorkflows ? [{ id: 'workflows', icon: '🔀' }] : []),
+          ...(canViewActivity ? [{ id: 'activity', icon: '🕒' }] : []),
+          ...(canViewReports ? [{ id: 'reports', icon: '📈' }] : [])
+        ].map(({ id, icon }) => (
+          <button
+            key={id}
+            onClick={() => openView(id)}
+            className={`nav-tab ${currentView === id ? 'active' : ''}`}
+          >
+            <span className="nav-icon">{icon}</span>
+            <span className="nav-label">{t(`navigation.${id}`)}</span>
+          </button>
+        ))}
+        {savedFilters.length > 0 && (
+          <select
+            value=""
+            onChange={(e) => applySavedFilter(savedFilters.find(f => f.id === e.target.value))}
+            className="form-select nav-saved-filters"
+          >
+            <option value="" disabled>⭐ {t('filters.saved')}</option>
+            {savedFilters.map(filter => (
+              <option key={filter.id} value={filter.id}>{filter.name}</option>
+            ))}
+          </select>
+        )}
+      </div>
+    </nav>
+  );
+
+  const TaskCard = ({ task, showAssignee = false, compact = false, onDragStart, onDragEnd }) => {
+    const assignee = users.find(u => u.id === task.assignedTo);
+    const overdueTask = isOverdue(task);
+    const progress = getProgress(task);
+    const queued = outbox.entries.filter(entry => entry.taskId === task.id);
+    
+    return (
+      <div 
+        className={`task-card ${overdueTask ? 'overdue' : ''} ${compact ? 'compact' : ''}`}
+        onClick={() => openTask(task.id)}
+        draggable={Boolean(onDragStart)}
+        onDragStart={onDragStart}
+        onDragEnd={onDragEnd}
+      >
+        <div className="task-header">
+          <h3 className="task-title">{task.title}</h3>
+          <span className={`status-badge ${getStatusColor(task.status, task.workflowId)}`}>
+            {getStatusText(task.status, task.workflowId)}
+          </span>
+        </div>
+        {task.parentId && <p className="task-parent">↳ {task.parentTitle}</p>}
+
+        {(getPriority(task.priority).id !== DEFAULT_PRIORITY || getProject(task.projectId) || task.labels?.length > 0) && (
+          <div className="task-tags">
+            {renderPriorityBadge(task)}
+            {renderProjectTag(task)}
+            {(task.labels || []).map(name => renderLabelChip(name))}
+          </div>
+        )}
+        
+        {!compact && (
+          <p className="task-description">
+            {task.description}
+          </p>
+        )}
+        
+        <div className="task-footer">
+          <div className="task-meta">
+            <div className={`due-date ${overdueTask ? 'overdue' : ''}`}>
+              <span className="clock-icon">🕒</span>
+              <span>{formatDueDate(task)}</span>
+              {overdueTask && <span className="overdue-icon">⚠️</span>}
+              {task.recurrence && (
+                <span className="recurring-icon" title={describeRRule(task.recurrence.rule, t)}>🔁</span>
+              )}
+            </div>
+            
+            {getCommentCount(task) > 0 && (
+              <div className="comment-count">
+                <span className="comment-icon">💬</span>
+                <span>{getCommentCount(task)}</span>
+              </div>
+            )}
+
+            {progress.total > 0 && (
+              <div className={`progress-count ${progress.done === progress.total ? 'complete' : ''}`}>
+                <span>☑️</span>
+                <span>{progress.done}/{progress.total}</span>
+              </div>
+            )}
+
+            {(task.openBlockers || 0) > 0 && (
+              <div className="progress-count blocker-count" title={t('taskCard.blocked')}>
+                <span>⛔</span>
+                <span>{task.openBlockers}</span>
+              </div>
+            )}
+
+            {queued.length > 0 && (
+              <div className="progress-count queued-count" title={t('taskCard.queued')}>
+                <span>⏳</span>
+                <span>{queued.length}</span>
+              </div>
+            )}
+          </div>
+          
+          {showAssignee && assignee && (
+            <div className="assignee">
+              <img src={assignee.photoURL} alt={assignee.name} className="assignee-avatar" />
+              <span className="assignee-name">{assignee.name}</span>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  const DashboardView = () => {
+    const { assignedToMe, createdByMe, overdue } = getTasksByCategory();
+    
+    return (
+      <div className="dashboard">
+        {/* Quick Actions */}
+        {canCreateTask && (
+          <div className="section">
+            <div className="section-header">
+              <h2>{t('dashboard.quickActions')}</h2>
+            </div>
+            <button 
+              onClick={() => setShowCreateTask(true)}
+              className="btn btn-primary create-task-btn"
+            >
+              <span>➕</span>
+              {t('dashboard.createTask')}
+            </button>
+          </div>
+        )}
+
+        {renderTaskFilters()}
+
+        {/* Overdue Tasks */}
+        {overdue.length > 0 && (
+          <div className="section overdue-section">
+            <div className="section-header">
+              <h2>⚠️ {t('dashboard.overdue', { count: overdue.length })}</h2>
+            </div>
+            <div className="task-list">
+              {overdue.map(task => (
+                <TaskCard key={task.id} task={task} compact />
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Assigned to Me */}
+        <div className="section">
+          <div className="section-header">
+            <h2>{t('dashboard.assignedToMe', { count: assignedToMe.length })}</h2>
+          </div>
+          {assignedToMe.length === 0 ? (
+            <div className="empty-state">
+              <p>{t('dashboard.noneAssigned')}</p>
+            </div>
+          ) : (
+            <div className="task-list">
+              {assignedToMe.slice(0, 3).map(task => (
+                <TaskCard key={task.id} task={task} />
+              ))}
+              {assignedToMe.length > 3 && (
+                <button 
+                  onClick={() => openView('all-tasks')}
+                  className="btn btn-secondary view-all-btn"
+                >
+                  {t('dashboard.viewAll', { count: assignedToMe.length })}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Created by Me */}
+        <div className="section">
+          <div className="section-header">
+            <h2>{t('dashboard.createdByMe', { count: createdByMe.length })}</h2>
+          </div>
+          {createdByMe.length === 0 ? (
+            <div className="empty-state">
+              <p>{t('dashboard.noneCreated')}</p>
+            </div>
+          ) : (
+            <div className="task-list">
+              {createdByMe.slice(0, 2).map(task => (
+                <TaskCard key={task.id} task={task} showAssignee />
+              ))}
+              {createdByMe.length > 2 && (
+                <button className="btn btn-secondary view-all-btn">
+                  {t('dashboard.viewAll', { count: createdByMe.length })}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  // One line of an activity timeline; the admin feed also names the task
+  const renderActivityEntry = (entry, showTask = false) => (
+    <li key={entry.id} className="activity-entry">
+      <span className="activity-icon">{ACTIVITY_ICONS[entry.type] || '•'}</span>
+      <div className="activity-body">
+        <p className="activity-text">
+          <strong>{entry.actorName}</strong>{' '}
+          {describeActivity(entry, {
+            t,
+            getStatusText,
+            getUserName: (id) => users.find(u => u.id === id)?.name || t('common.unknownUser'),
+            formatDate
+          })}
+          {showTask && (
+            <>
+              {' · '}
+              <button
+                onClick={() => openTask(entry.taskId)}
+                className="activity-task-link"
+              >
+                {entry.taskTitle}
+              </button>
+            </>
+          )}
+        </p>
+        <span className="activity-time">{formatDate(entry.createdAt)}</span>
+      </div>
+    </li>
+  );
+
+  const getProject = (projectId) => projects.find(p => p.id === projectId);
+
+  // Label colors are user-defined, hence the inline background
+  const renderLabelChip = (name, onRemove) => (
+    <span key={name} className="label-chip" style={{ backgroundColor: getLabelColor(labels, name) }}>
+      {name}
+      {onRemove && (
+        <button onClick={(e) => { e.stopPropagation(); onRemove(); }} className="label-remove">✕</button>
+      )}
+    </span>
+  );
+
+  const renderPriorityBadge = (task) => {
+    const priority = getPriority(task.priority);
+    if (priority.id === DEFAULT_PRIORITY) return null;
+    return <span className={`priority-badge priority-${priority.id}`}>{t(`priorities.${priority.id}`)}</span>;
+  };
+
+  const renderProjectTag = (task) => {
+    const project = getProject(task.projectId);
+    if (!project) return null;
+    return (
+      <span className="project-tag">
+        <span className="project-dot" style={{ backgroundColor: project.color }} />
+        {project.name}
+      </span>
+    );
+  };
+
+  // Chips for the chosen labels plus an input with suggestions from `labels`
+  const renderLabelPicker = (selected, onChange, input, onInputChange) => {
+    const submit = () => {
+      if (!input.trim()) return;
+      onChange(addLabel(selected, input));
+      onInputChange('');
+    };
+    return (
+      <div className="label-picker">
+        {selected.length > 0 && (
+          <div className="label-chips">
+            {selected.map(name => renderLabelChip(name, () => onChange(selected.filter(l => l !== name))))}
+          </div>
+        )}
+        <div className="label-input-row">
+          <input
+            type="text"
+            list="label-suggestions"
+            value={input}
+            onChange={(e) => onInputChange(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                submit();
+              }
+            }}
+            placeholder={t('labels.placeholder')}
+            className="form-input"
+          />
+          <button onClick={submit} className="btn btn-secondary btn-small" disabled={!input.trim()}>
+            {t('common.add')}
+          </button>
+        </div>
+        <datalist id="label-suggestions">
+          {labels.map(label => <option key={label.id} value={label.name} />)}
+        </datalist>
+      </div>
+    );
+  };
+
+  // Priority, project and label filters plus sorting, shared by the
+  // dashboard and the task list
+  const renderTaskFilters = () => (
+    <div className="task-filters">
+      <select
+        value={taskQuery.priority}
+        onChange={(e) => setTaskQuery({ ...taskQuery, priority: e.target.value })}
+        className="form-select"
+      >
+        <option value="all">{t('filters.allPriorities')}</option>
+        {PRIORITIES.map(priority => (
+          <option key={priority.id} value={priority.id}>{t(`priorities.${priority.id}`)}</option>
+        ))}
+      </select>
+      <select
+        value={taskQuery.projectId}
+        onChange={(e) => setTaskQuery({ ...taskQuery, projectId: e.target.value })}
+        className="form-select"
+      >
+        <option value="all">{t('filters.allProjects')}</option>
+        <option value="none">{t('filters.noProject')}</option>
+        {projects.map(project => (
+          <option key={project.id} value={project.id}>{project.name}</option>
+        ))}
+      </select>
+      <select
+        value={taskQuery.labels[0] || 'all'}
+        onChange={(e) => setTaskQuery({
+          ...taskQuery,
+          labels: e.target.value === 'all' ? [] : [e.target.value]
+        })}
+        className="form-select"
+      >
+        <option value="all">{t('filters.allLabels')}</option>
+        {labels.map(label => (
+          <option key={label.id} value={label.id}>{label.name}</option>
+        ))}
+      </select>
+      <select
+        value={taskQuery.sortBy}
+        onChange={(e) => setTaskQuery({ ...taskQuery, sortBy: e.target.value })}
+        className="form-select"
+      >
+        {TASK_SORTS.map(sort => (
+          <option key={sort} value={sort}>{t('filters.sortBy', { sort: t(`sorts.${sort}`) })}</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  // Files chosen but not uploaded yet
+  const renderPendingFiles = (files, onRemove) => files.length > 0 && (
+    <ul className="pending-files">
+      {files.map((file, index) => (
+        <li key={`${file.name}-${index}`} className="pending-file">
+          <span className="attachment-name">📎 {file.name}</span>
+          <span className="attachment-size">{formatFileSize(file.size)}</span>
+          <button onClick={() => onRemove(index)} className="comment-action">
+            {t('common.remove')}
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+
+  const CreateTaskModal = () => {
+    const [formData, setFormData] = useState({
+      title: '',
+      description: '',
+      assignedTo: '',
+      dueDate: '',
+      dueTime: '',
+      allDay: false,
+      workflowId: DEFAULT_WORKFLOW_ID,
+      priority: DEFAULT_PRIORITY,
+      projectId: '',
+      labels: [],
+      repeat: DEFAULT_REPEAT
+    });
+    const [labelInput, setLabelInput] = useState('');
+    const [pendingFiles, setPendingFiles] = useState([]);
+    const [submitting, setSubmitting] = useState(false);
+    // The repeat options are anchored on the first due date
+    const firstDue = formData.dueDate ? new Date(`${formData.dueDate}T${formData.dueTime || '00:00'}`) : null;
+
+    const handleSubmit = async () => {
+      if (!formData.title || !formData.description || !formData.assignedTo || !formData.dueDate ||
+          (!formData.allDay && !formData.dueTime)) {
+        alert(t('taskForm.fillAll'));
+        return;
+      }
+      const recurrenceRule = buildRRule(formData.repeat, firstDue);
+      const recurrenceError = recurrenceRule && validateRRule(recurrenceRule, t);
+      if (recurrenceError) {
+        alert(recurrenceError);
+        return;
+      }
+      
+      if (!isOnline && pendingFiles.length > 0) {
+        alert(t('attachments.offline'));
+        return;
+      }
+      
+      setSubmitting(true);
+      await createTask({ ...formData, recurrenceRule, attachments: pendingFiles });
+      setSubmitting(false);
+      setShowCreateTask(false);
+      setFormData({
+        title: '',
+        description: '',
+        assignedTo: '',
+        dueDate: '',
+        dueTime: '',
+        allDay: false,
+        workflowId: DEFAULT_WORKFLOW_ID,
+        priority: DEFAULT_PRIORITY,
+        projectId: '',
+        labels: [],
+        repeat: DEFAULT_REPEAT
+      });
+      setPendingFiles([]);
+    };
+
+    if (!showCreateTask) return null;
+
+    const repeat = formData.repeat;
+    const setRepeat = (changes) => setFormData({ ...formData, repeat: { ...repeat, ...changes } });
+    const previewRule = firstDue || repeat.repeat === 'custom' ? buildRRule(repeat, firstDue) : null;
+    const previewError = previewRule && validateRRule(previewRule, t);
+
+    return (
+      <div className="modal-overlay">
+        <div className="modal">
+          <div className="modal-header">
+            <h2>{t('dashboard.createTask')}</h2>
+            <button 
+              onClick={() => setShowCreateTask(false)}
+              className="modal-close"
+            >
+              ✕
+            </button>
+          </div>
+          
+          <div className="modal-content">
+            <div className="form-group">
+              <label>{t('taskForm.title')}</label>
+              <input
+                type="text"
+                value={formData.title}
+                onChange={(e) => setFormData({...formData, title: e.target.value})}
+                placeholder={t('taskForm.titlePlaceholder')}
+                className="form-input"
+              />
+            </div>
+
+            <div className="form-group">
+              <label>{t('taskForm.description')}</label>
+              <textarea
+                value={formData.description}
+                onChange={(e) => setFormData({...formData, description: e.target.value})}
+                rows={3}
+                placeholder={t('taskForm.descriptionPlaceholder')}
+                className="form-textarea"
+              />
+            </div>
+
+            <div className="form-group">
+              <label>{t('taskForm.assignTo')}</label>
+              <select
+                value={formData.assignedTo}
+                onChange={(e) => setFormData({...formData, assignedTo: e.target.value})}
+                className="form-select"
+              >
+                <option value="">{t('taskForm.selectUser')}</option>
+                {assignableUsers.map(user => (
+                  <option key={user.id} value={user.id}>{user.name}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label>{t('taskForm.date')}</label>
+                <input
+                  type="date"
+                  value={formData.dueDate}
+                  onChange={(e) => setFormData({...formData, dueDate: e.target.value})}
+                  className="form-input"
+                />
+              </div>
+              
+              {!formData.allDay && (
+                <div className="form-group">
+                  <label>{t('taskForm.time')}</label>
+                  <input
+                    type="time"
+                    value={formData.dueTime}
+                    onChange={(e) => setFormData({...formData, dueTime: e.target.value})}
+                    className="form-input"
+                  />
+                </div>
+              )}
+            </div>
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={formData.allDay}
+                onChange={(e) => setFormData({...formData, allDay: e.target.checked})}
+              />
+              {t('taskForm.allDay')}
+            </label>
+
+            <div className="form-group">
+              <label>{t('taskForm.repeat')}</label>
+              <select
+                value={repeat.repeat}
+                onChange={(e) => setRepeat({ repeat: e.target.value })}
+                className="form-select"
+              >
+                {REPEAT_OPTIONS.map(option => (
+                  <option key={option} value={option}>{t(`recurrence.repeat.${option}`)}</option>
+                ))}
+              </select>
+            </div>
+
+            {repeat.repeat !== 'none' && (
+              <div className="recurrence-options">
+                {repeat.repeat === 'custom' ? (
+                  <div className="form-group">
+                    <label>{t('taskForm.rule')}</label>
+                    <input
+                      type="text"
+                      value={repeat.custom}
+                      onChange={(e) => setRepeat({ custom: e.target.value })}
+                      placeholder="FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=8"
+                      className="form-input"
+                    />
+                  </div>
+                ) : (
+                  <>
+                    <div className="form-row">
+                      <div className="form-group">
+                        <label>
+                          {repeat.repeat === 'daily' ? t('taskForm.everyDays') : repeat.repeat === 'weekly' ? t('taskForm.everyWeeks') : t('taskForm.everyMonths')}
+                        </label>
+                        <input
+                          type="number"
+                          min={1}
+                          max={365}
+                          value={repeat.interval}
+                          onChange={(e) => setRepeat({ interval: e.target.value })}
+                          className="form-input"
+                        />
+                      </div>
+                      <div className="form-group">
+                        <label>{t('taskForm.ends')}</label>
+                        <select
+                          value={repeat.end}
+                          onChange={(e) => setRepeat({ end: e.target.value })}
+                          className="form-select"
+                        >
+                          <option value="never">{t('taskForm.endNever')}</option>
+                          <option value="count">{t('taskForm.endCount')}</option>
+                          <option value="until">{t('taskForm.endUntil')}</option>
+                        </select>
+                      </div>
+                    </div>
+
+                    {repeat.repeat === 'weekly' && (
+                      <div className="weekday-picker">
+                        {WEEKDAYS.map(weekday => (
+                          <button
+                            key={weekday.code}
+                            type="button"
+                            onClick={() => setRepeat({
+                              weekdays: repeat.weekdays.includes(weekday.day)
+                                ? repeat.weekdays.filter(day => day !== weekday.day)
+                                : [...repeat.weekdays, weekday.day]
+                            })}
+                            className={`weekday-toggle ${repeat.weekdays.includes(weekday.day) ? 'selected' : ''}`}
+                          >
+                            {t(`recurrence.shortDays.${weekday.code}`)}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+
+                    {repeat.end === 'count' && (
+                      <div className="form-group">
+                        <label>{t('taskForm.occurrences')}</label>
+                        <input
+                          type="number"
+                          min={1}
+                          value={repeat.count}
+                          onChange={(e) => setRepeat({ count: e.target.value })}
+                          className="form-input"
+                        />
+                      </div>
+                    )}
+                    {repeat.end === 'until' && (
+                      <div className="form-group">
+                        <label>{t('taskForm.lastDate')}</label>
+                        <input
+                          type="date"
+                          value={repeat.until}
+                          onChange={(e) => setRepeat({ until: e.target.value })}
+                          className="form-input"
+                        />
+                      </div>
+                    )}
+                  </>
+                )}
+                <p className={`recurrence-summary ${previewError ? 'error' : ''}`}>
+                  {!previewRule && t('taskForm.pickFirstDue')}
+                  {previewRule && (previewError || `🔁 ${describeRRule(previewRule, t)}`)}
+                </p>
+              </div>
+            )}
+
+            <div className="form-row">
+              <div className="form-group">
+                <label>{t('taskForm.priority')}</label>
+                <select
+                  value={formData.priority}
+                  onChange={(e) => setFormData({...formData, priority: e.target.value})}
+                  className="form-select"
+                >
+                  {PRIORITIES.map(priority => (
+                    <option key={priority.id} value={priority.id}>{t(`priorities.${priority.id}`)}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label>{t('taskForm.project')}</label>
+                <select
+                  value={formData.projectId}
+                  onChange={(e) => setFormData({
+                    ...formData,
+                    projectId: e.target.value,
+                    // A project brings its own workflow
+                    workflowId: getProject(e.target.value)?.workflowId || formData.workflowId
+                  })}
+                  className="form-select"
+                >
+                  <option value="">{t('taskForm.noProject')}</option>
+                  {projects.filter(p => !p.archived).map(project => (
+                    <option key={project.id} value={project.id}>{project.name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label>{t('taskForm.labels')}</label>
+              {renderLabelPicker(
+                formData.labels,
+                (names) => setFormData({...formData, labels: names}),
+                labelInput,
+                setLabelInput
+              )}
+            </div>
+
+            {workflows.length > 1 && (
+              <div className="form-group">
+                <label>{t('taskForm.workflow')}</label>
+                <select
+                  value={formData.workflowId}
+                  onChange={(e) => setFormData({...formData, workflowId: e.target.value})}
+                  className="form-select"
+                >
+                  {workflows.map(workflow => (
+                    <option key={workflow.id} value={workflow.id}>{workflow.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <div className="form-group">
+              <label>{t('taskForm.attachments')}</label>
+              <input
+                type="file"
+                multiple
+                accept={ATTACHMENT_ACCEPT}
+                onChange={(e) => {
+                  setPendingFiles(selectAttachments(e.target.files, pendingFiles));
+                  e.target.value = '';
+                }}
+                className="form-input"
+              />
+              {renderPendingFiles(pendingFiles, (index) =>
+                setPendingFiles(pendingFiles.filter((_, i) => i !== index))
+              )}
+            </div>
+
+            <div className="modal-actions">
+              <button
+                onClick={() => setShowCreateTask(false)}
+                className="btn btn-secondary"
+              >
+                {t('common.cancel')}
+              </button>
+              <button
+                onClick={handleSubmit}
+                className="btn btn-primary"
+                disabled={submitting}
+              >
+                {submitting ? t('taskForm.creating') : t('taskForm.create')}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const TaskDetailModal = () => {
+    const [newComment, setNewComment] = useState('');
+    const [replyTo, setReplyTo] = useState(null);
+    const [editingCommentId, setEditingCommentId] = useState(null);
+    const [editText, setEditText] = useState('');
+    const [isReassigning, setIsReassigning] = useState(false);
+    const [newAssignee, setNewAssignee] = useState('');
+    const [commentFiles, setCommentFiles] = useState([]);
+    const [uploading, setUploading] = useState(false);
+    const [previewAttachment, setPreviewAttachment] = useState(null);
+    const [newChecklistItem, setNewChecklistItem] = useState('');
+    const [subtaskDraft, setSubtaskDraft] = useState(null);
+    const [dependencyDraft, setDependencyDraft] = useState(null);
+
+    if (!selectedTask || taskLinkError) return null;
+
+    const task = findTask(selectedTask.id);
+    if (!task) return null;
+
+    const assignee = users.find(u => u.id === task.assignedTo);
+    const creator = users.find(u => u.id === task.createdBy);
+    const overdueTask = isOverdue(task);
+    const workflow = getWorkflow(workflows, task.workflowId);
+    const taskDone = isDoneState(workflow, task.status);
+    const nextOccurrence = task.recurrence && getNextDueDate(task);
+    const transitions = getTransitions(workflow, task.status)
+      .filter(t => canTransition(currentUser, workflow, task, t.to));
+    const canDelete = can(currentUser, 'delete', task);
+    const canEdit = can(currentUser, 'edit', task);
+    const canBreakDown = can(currentUser, 'breakDown', task) && !taskDone;
+    const checklist = task.checklist || [];
+    const checklistDone = checklist.filter(item => item.done).length;
+    const openRequired = taskSubtasks.filter(sub => sub.required && !isTaskDone(sub));
+    const blockers = (task.blockedBy || []).map(id => taskBlockers[id] || { id, loading: true });
+    const blockedTasks = Object.entries(task.blocks || {}).map(([id, info]) => ({ id, ...info }));
+    const startBlocked = isBlockedByDependencies(task, workflow);
+    const queuedChanges = outbox.entries.filter(entry => entry.taskId === task.id);
+    // Blockers the user can't read still count in `openBlockers`
+    const openBlockerTitles = blockers.filter(b => b.title && !isTaskDone(b)).map(b => `"${b.title}"`);
+    const hiddenBlockers = (task.openBlockers || 0) - openBlockerTitles.length;
+    const blockerNames = [
+      ...openBlockerTitles,
+      ...(hiddenBlockers > 0 ? [t('dependencies.hidden', { count: hiddenBlockers })] : [])
+    ].join(', ');
+    // Open tasks that can be linked in the chosen direction
+    const dependencyOptions = dependencyDraft ? tasks.filter(t => t.id !== task.id && (
+      dependencyDraft.relation === 'blockedBy'
+        ? !(task.blockedBy || []).includes(t.id)
+        : !task.blocks?.[t.id] && can(currentUser, 'breakDown', t)
+    )) : [];
+    const hasStatusActions = transitions.length > 0 || canEdit || canDelete;
+
+    // The edit draft lives in taskEditDraft so live updates to the task
+    // don't wipe it; a version mismatch means someone else saved meanwhile
+    const editDraft = taskEditDraft?.taskId === task.id ? taskEditDraft : null;
+    const hasConflict = Boolean(editDraft) &&
+      (editDraft.conflict || (task.version || 0) !== editDraft.baseVersion);
+
+    const startEditing = () => setTaskEditDraft({
+      taskId: task.id,
+      baseVersion: task.version || 0,
+      original: task,
+      title: task.title,
+      description: task.description,
+      ...getDueFormValues(task, timeZone),
+      assignedTo: task.assignedTo,
+      priority: task.priority || DEFAULT_PRIORITY,
+      projectId: task.projectId || '',
+      labels: task.labels || [],
+      labelInput: '',
+      saving: false,
+      conflict: false
+    });
+
+    const updateDraft = (changes) => setTaskEditDraft({ ...editDraft, ...changes });
+
+    // Fields another user changed since the draft was started
+    const conflictingFields = hasConflict ? [
+      task.title !== editDraft.original.title && t('taskDetail.changed.title', { title: task.title }),
+      task.description !== editDraft.original.description && t('taskDetail.changed.description'),
+      task.dueDate !== editDraft.original.dueDate && t('taskDetail.changed.dueDate', { date: formatDueDate(task) }),
+      task.assignedTo !== editDraft.original.assignedTo &&
+        t('taskDetail.changed.assignee', { name: users.find(u => u.id === task.assignedTo)?.name || t('common.unknownUser') }),
+      task.status !== editDraft.original.status && t('taskDetail.changed.status', { status: getStatusText(task.status, task.workflowId) })
+    ].filter(Boolean) : [];
+
+    const handleSaveTask = async (overwrite = false) => {
+      if (!editDraft.title.trim() || !editDraft.description.trim() || !editDraft.dueDate ||
+          (!editDraft.allDay && !editDraft.dueTime) || !editDraft.assignedTo) {
+        alert(t('taskForm.fillAll'));
+        return;
+      }
+      const baseVersion = overwrite ? task.version || 0 : editDraft.baseVersion;
+      setTaskEditDraft({ ...editDraft, saving: true });
+      const result = await updateTask(task.id, {
+        title: editDraft.title.trim(),
+        description: editDraft.description.trim(),
+        ...buildDueFields(editDraft, timeZone, teamCalendar),
+        assignedTo: editDraft.assignedTo,
+        priority: editDraft.priority,
+        projectId: editDraft.projectId || null,
+        labels: editDraft.labels
+      }, baseVersion);
+
+      if (result.conflict) {
+        setTaskEditDraft({ ...editDraft, saving: false, conflict: true });
+      } else if (result.error) {
+        alert(t('taskDetail.saveError'));
+        setTaskEditDraft({ ...editDraft, saving: false });
+      } else {
+        setTaskEditDraft(null);
+      }
+    };
+
+    const handleStatusChange = async (newStatus) => {
+      await updateTaskStatus(task.id, newStatus);
+    };
+
+    const handleDelete = async () => {
+      if (!window.confirm(t('taskDetail.deleteConfirm', { title: task.title }))) return;
+      // Closed first so the modal's listener doesn't report the task as missing
+      closeTask();
+      await deleteTask(task.id);
+    };
+
+    const handleAddComment = async () => {
+      if (!newComment.trim()) return;
+      if (!isOnline && commentFiles.length > 0) {
+        alert(t('attachments.offline'));
+        return;
+      }
+      setUploading(commentFiles.length > 0);
+      await addComment(task.id, newComment.trim(), replyTo?.id || null, commentFiles);
+      setUploading(false);
+      setNewComment('');
+      setReplyTo(null);
+      setCommentFiles([]);
+    };
+
+    const handleUpload = async (fileList) => {
+      const files = selectAttachments(fileList, []);
+      if (files.length === 0) return;
+      setUploading(true);
+      await uploadAttachments(task.id, files);
+      setUploading(false);
+    };
+
+    const openPreview = async (attachment) => {
+      try {
+        const blob = await readAttachment(attachment);
+        setPreviewAttachment({ ...attachment, url: URL.createObjectURL(blob) });
+      } catch (error) {
+        console.error('Error loading attachment:', error);
+      }
+    };
+
+    const closePreview = () => {
+      URL.revokeObjectURL(previewAttachment.url);
+      setPreviewAttachment(null);
+    };
+
+    const handleDeleteAttachment = async (attachment) => {
+      if (!window.confirm(t('attachments.deleteConfirm', { name: attachment.name }))) return;
+      await deleteAttachment(task.id, attachment);
+    };
+
+    const canUpload = !taskDone && can(currentUser, 'comment', task);
+    const taskLevelAttachments = taskAttachments.filter(a => !a.commentId);
+
+    const renderAttachments = (attachments) => attachments.length > 0 && (
+      <ul className="attachment-list">
+        {attachments.map(attachment => (
+          <li key={attachment.id} className="attachment-item">
+            {isImage(attachment) ? (
+              <img
+                src={attachmentUrls[attachment.id]}
+                alt={attachment.name}
+                className="attachment-thumb"
+                onClick={() => openPreview(attachment)}
+              />
+            ) : (
+              <span className="attachment-icon">📄</span>
+            )}
+            <div className="attachment-info">
+              <span className="attachment-name">{attachment.name}</span>
+              <span className="attachment-size">
+                {formatFileSize(attachment.size)} · {attachment.uploadedByName}
+              </span>
+            </div>
+            <div className="attachment-actions">
+              {isPreviewable(attachment) && (
+                <button onClick={() => openPreview(attachment)} className="comment-action">
+                  {t('attachments.preview')}
+                </button>
+              )}
+              <button onClick={() => downloadAttachment(attachment)} className="comment-action">
+                {t('attachments.download')}
+              </button>
+              {(attachment.uploadedBy === currentUser.id || can(currentUser, 'edit', task)) && (
+                <button onClick={() => handleDeleteAttachment(attachment)} className="comment-action">
+                  {t('common.delete')}
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+    );
+
+    const handleSaveEdit = async (comment) => {
+      if (!editText.trim() || editText.trim() === comment.text) {
+        setEditingCommentId(null);
+        return;
+      }
+      await editComment(task.id, comment, editText.trim());
+      setEditingCommentId(null);
+    };
+
+    const handleDeleteComment = async (comment) => {
+      if (!window.confirm(t('comments.deleteConfirm'))) return;
+      await deleteComment(task.id, comment);
+    };
+
+    // Legacy comments from the task's `comments` array are shown read-only
+    const legacyComments = (task.comments || []).map(comment => ({
+      ...comment,
+      createdAt: comment.timestamp,
+      legacy: true
+    }));
+    const allComments = [...legacyComments, ...taskComments];
+    const rootComments = allComments.filter(c => !c.parentId);
+    const getReplies = (commentId) => allComments.filter(c => c.parentId === commentId);
+    const visibleCommentCount = allComments.filter(c => !c.deleted).length;
+    const canComment = !taskDone && can(currentUser, 'comment', task);
+
+    const mentionQuery = getMentionQuery(newComment);
+    const mentionSuggestions = mentionQuery === null ? [] : assignableUsers
+      .filter(u => u.name?.toLowerCase().startsWith(mentionQuery.toLowerCase()))
+      .slice(0, 5);
+
+    const renderComment = (comment, isReply = false) => {
+      const isMine = comment.userId === currentUser.id;
+      const canModerate = isMine || can(currentUser, 'moderate', task);
+
+      return (
+        <div key={comment.id} className={`comment ${isReply ? 'comment-reply' : ''}`}>
+          <div className="comment-header">
+            <span className="comment-author">{comment.userName}</span>
+            <span className="comment-time">
+              {formatDate(comment.createdAt)}
+              {comment.editedAt && !comment.deleted && (
+                <span className="comment-edited" title={comment.history?.map(h => h.text).join('\n')}>
+                  {' '}{t('comments.edited')}
+                </span>
+              )}
+            </span>
+          </div>
+
+          {comment.deleted ? (
+            <p className="comment-text comment-deleted">{t('comments.deleted')}</p>
+          ) : editingCommentId === comment.id ? (
+            <div className="comment-edit">
+              <textarea
+                value={editText}
+                onChange={(e) => setEditText(e.target.value)}
+                className="form-textarea"
+                rows={2}
+              />
+              <div className="action-buttons">
+                <button onClick={() => handleSaveEdit(comment)} className="btn btn-primary btn-small">
+                  {t('common.save')}
+                </button>
+                <button onClick={() => setEditingCommentId(null)} className="btn btn-secondary btn-small">
+                  {t('common.cancel')}
+                </button>
+              </div>
+            </div>
+          ) : (
+            <p className="comment-text">
+              {splitMentions(comment.text, users).map((segment, index) => (
+                segment.mention
+                  ? <span key={index} className="comment-mention">{segment.text}</span>
+                  : <React.Fragment key={index}>{segment.text}</React.Fragment>
+              ))}
+            </p>
+          )}
+
+          {!comment.deleted && renderAttachments(taskAttachments.filter(a => a.commentId === comment.id))}
+
+          {!comment.legacy && !comment.deleted && editingCommentId !== comment.id && (
+            <div className="comment-actions">
+              {canComment && !isReply && (
+                <button onClick={() => setReplyTo(comment)} className="comment-action">
+                  {t('comments.reply')}
+                </button>
+              )}
+              {isMine && (
+                <button
+                  onClick={() => {
+                    setEditingCommentId(comment.id);
+                    setEditText(comment.text);
+                  }}
+                  className="comment-action"
+                >
+                  {t('common.edit')}
+                </button>
+              )}
+              {canModerate && (
+                <button onClick={() => handleDeleteComment(comment)} className="comment-action">
+                  {t('common.delete')}
+                </button>
+              )}
+            </div>
+          )}
+
+          {!isReply && getReplies(comment.id).length > 0 && (
+            <div className="comment-replies">
+              {getReplies(comment.id).map(reply => renderComment(reply, true))}
+            </div>
+          )}
+        </div>
+      );
+    };
+
+    const handleReassign = async () => {
+      if (!newAssignee) return;
+      await reassignTask(task.id, newAssignee);
+      setIsReassigning(false);
+      setNewAssignee('');
+    };
+
+    return (
+      <div className="modal-overlay">
+        <div className="modal task-detail-modal">
+          <div className="modal-header">
+            <button 
+              onClick={closeTask}
+              className="modal-close"
+            >
+              ✕
+            </button>
+            <div className="header-left">
+              <h2>{task.title}</h2>
+              <span className={`status-badge ${getStatusColor(task.status, task.workflowId)}`}>
+                {getStatusText(task.status, task.workflowId)}
+              </span>
+              <button onClick={copyPageLink} className="comment-action task-link-copy">
+                🔗 {t('common.copyLink')}
+              </button>
+            </div>
+          </div>
+          
+          <div className="modal-content">
+            {/* Edit Form */}
+            {editDraft && (
+              <div className="task-edit-form">
+                <h3>{t('taskDetail.editTitle')}</h3>
+                {hasConflict && (
+                  <div className="edit-conflict">
+                    <p>
+                      ⚠️ {t('taskDetail.conflict', {
+                        fields: conflictingFields.length > 0 ? ` (${conflictingFields.join(', ')})` : ''
+                      })}
+                    </p>
+                    <div className="action-buttons">
+                      <button onClick={startEditing} className="btn btn-secondary btn-small">
+                        {t('taskDetail.reload')}
+                      </button>
+                      <button
+                        onClick={() => handleSaveTask(true)}
+                        className="btn btn-secondary btn-small btn-danger"
+                        disabled={editDraft.saving}
+                      >
+                        {t('taskDetail.overwrite')}
+                      </button>
+                    </div>
+                  </div>
+                )}
+
+                <div className="form-group">
+                  <label>{t('taskForm.title')}</label>
+                  <input
+                    type="text"
+                    value={editDraft.title}
+                    onChange={(e) => updateDraft({ title: e.target.value })}
+                    className="form-input"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>{t('taskForm.description')}</label>
+                  <textarea
+                    value={editDraft.description}
+                    onChange={(e) => updateDraft({ description: e.target.value })}
+                    rows={3}
+                    className="form-textarea"
+                  />
+                </div>
+
+                <div className="form-row">
+                  <div className="form-group">
+                    <label>{t('taskForm.date')}</label>
+                    <input
+                      type="date"
+                      value={editDraft.dueDate}
+                      onChange={(e) => updateDraft({ dueDate: e.target.value })}
+                      className="form-input"
+                    />
+                  </div>
+                  {!editDraft.allDay && (
+                    <div className="form-group">
+                      <label>{t('taskForm.time')}</label>
+                      <input
+                        type="time"
+                        value={editDraft.dueTime}
+                        onChange={(e) => updateDraft({ dueTime: e.target.value })}
+                        className="form-input"
+                      />
+                    </div>
+                  )}
+                </div>
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={editDraft.allDay}
+                    onChange={(e) => updateDraft({ allDay: e.target.checked })}
+                  />
+                  {t('taskForm.allDay')}
+                </label>
+
+                <div className="form-row">
+                  <div className="form-group">
+                    <label>{t('taskForm.priority')}</label>
+                    <select
+                      value={editDraft.priority}
+                      onChange={(e) => updateDraft({ priority: e.target.value })}
+                      className="form-select"
+                    >
+                      {PRIORITIES.map(priority => (
+                        <option key={priority.id} value={priority.id}>{t(`priorities.${priority.id}`)}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label>{t('taskForm.project')}</label>
+                    <select
+                      value={editDraft.projectId}
+                      onChange={(e) => updateDraft({ projectId: e.target.value })}
+                      className="form-select"
+                    >
+                      <option value="">{t('taskForm.noProject')}</option>
+                      {projects
+                        .filter(p => !p.archived || p.id === editDraft.projectId)
+                        .map(project => (
+                          <option key={project.id} value={project.id}>{project.name}</option>
+                        ))}
+                    </select>
+                  </div>
+                </div>
+
+                <div className="form-group">
+                  <label>{t('taskForm.labels')}</label>
+                  {renderLabelPicker(
+                    editDraft.labels,
+                    (names) => updateDraft({ labels: names }),
+                    editDraft.labelInput,
+                    (labelInput) => updateDraft({ labelInput })
+                  )}
+                </div>
+
+                {can(currentUser, 'reassign', task) && (
+                  <div className="form-group">
+                    <label>{t('taskForm.assignedTo')}</label>
+                    <select
+                      value={editDraft.assignedTo}
+                      onChange={(e) => updateDraft({ assignedTo: e.target.value })}
+                      className="form-select"
+                    >
+                      {assignableUsers.map(user => (
+                        <option key={user.id} value={user.id}>{user.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                <div className="action-buttons">
+                  <button
+                    onClick={() => handleSaveTask()}
+                    className="btn btn-primary"
+                    disabled={editDraft.saving || hasConflict}
+                  >
+                    {editDraft.saving ? t('common.saving') : t('taskDetail.saveChanges')}
+                  </button>
+                  <button onClick={() => setTaskEditDraft(null)} className="btn btn-secondary">
+                    {t('common.cancel')}
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {/* Task Info */}
+            {!editDraft && (
+              <div className="task-info">
+                <div className="info-row">
+                  <span className="info-label">{t('taskDetail.description')}</span>
+                  <p className="info-value">{task.description}</p>
+                </div>
+              
+                <div className="info-row">
+                  <span className="info-label">{t('taskDetail.dueDate')}</span>
+                  <span className={`info-value ${overdueTask ? 'overdue-text' : ''}`}>
+                    {formatDueDate(task)}
+                    {overdueTask && <span className="overdue-icon">⚠️</span>}
+                  </span>
+                </div>
+
+                {task.recurrence && (
+                  <div className="info-row">
+                    <span className="info-label">{t('taskDetail.repeat')}</span>
+                    <div className="info-value recurrence-info">
+                      <span>🔁 {describeRRule(task.recurrence.rule, t)} · {t('taskDetail.occurrence', { index: task.recurrence.index })}</span>
+                      <span className="recurrence-next">
+                        {nextOccurrence
+                          ? t('taskDetail.nextOccurrence', { date: formatDueDate({ ...task, dueDate: nextOccurrence }) })
+                          : t('taskDetail.lastOccurrence')}
+                      </span>
+                      {task.recurrence.previousTaskId && (
+                        <button
+                          onClick={() => openTask(task.recurrence.previousTaskId)}
+                          className="comment-action"
+                        >
+                          {t('taskDetail.previousOccurrence')}
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                )}
+
+                <div className="info-row">
+                  <span className="info-label">{t('taskDetail.assignedTo')}</span>
+                  <div className="assignee-info">
+                    {assignee && (
+                      <>
+                        <img src={assignee.photoURL} alt={assignee.name} className="assignee-avatar" />
+                        <span>{assignee.name}</span>
+                      </>
+                    )}
+                    {can(currentUser, 'reassign', task) && (
+                      <button 
+                        onClick={() => setIsReassigning(true)}
+                        className="btn btn-secondary btn-small"
+                      >
+                        {t('taskDetail.reassign')}
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                <div className="info-row">
+                  <span className="info-label">{t('taskDetail.createdBy')}</span>
+                  <span className="info-value">{creator?.name || t('common.unknown')}</span>
+                </div>
+
+                <div className="info-row">
+                  <span className="info-label">{t('taskDetail.priority')}</span>
+                  <span className="info-value">
+                    <span className={`priority-badge priority-${getPriority(task.priority).id}`}>
+                      {t(`priorities.${getPriority(task.priority).id}`)}
+                    </span>
+                  </span>
+                </div>
+
+                {getProject(task.projectId) && (
+                  <div className="info-row">
+                    <span className="info-label">{t('taskDetail.project')}</span>
+                    <span className="info-value">{renderProjectTag(task)}</span>
+                  </div>
+                )}
+
+                {task.labels?.length > 0 && (
+                  <div className="info-row">
+                    <span className="info-label">{t('taskDetail.labels')}</span>
+                    <div className="label-chips">
+                      {task.labels.map(name => renderLabelChip(name))}
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Status Actions */}
+            {hasStatusActions && (
+              <div className="status-actions">
+                <h3>{t('taskDetail.actions')}</h3>
+                <div className="action-buttons">
+                  {transitions.map(transition => (
+                    <button 
+                      key={transition.to}
+                      onClick={() => handleStatusChange(transition.to)}
+                      disabled={isBlockedBySubtasks(task, workflow, transition.to) || startBlocked}
+                      className={`btn ${transition.secondary ? 'btn-secondary' : 'btn-primary'}`}
+                    >
+                      {getTransitionLabel(workflow, transition, t)}
+                    </button>
+                  ))}
+                  {canEdit && !editDraft && (
+                    <button onClick={startEditing} className="btn btn-secondary">
+                      {t('common.edit')}
+                    </button>
+                  )}
+                  {canDelete && (
+                    <button 
+                      onClick={handleDelete}
+                      className="btn btn-secondary btn-danger"
+                    >
+                      {t('taskDetail.delete')}
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {(task.openRequiredSubtasks || 0) > 0 && transitions.some(t => isGatedBySubtasks(workflow, t.to)) && (
+              <p className="blocked-warning">
+                ⚠️ {t('taskDetail.openRequired', {
+                  count: task.openRequiredSubtasks,
+                  titles: openRequired.length > 0 ? ` (${openRequired.map(sub => sub.title).join(', ')})` : ''
+                })}
+              </p>
+            )}
+
+            {startBlocked && transitions.length > 0 && (
+              <p className="blocked-warning">
+                ⛔ {t('taskDetail.blockedBy', { count: task.openBlockers, names: blockerNames })}
+              </p>
+            )}
+
+            {queuedChanges.length > 0 && (
+              <div className="queued-changes">
+                <p>⏳ {t('taskDetail.queued')}</p>
+                <ul>
+                  {queuedChanges.map(entry => (
+                    <li key={entry.id} className={entry.conflict ? 'sync-conflict-reason' : ''}>
+                      {entry.type === 'addComment'
+                        ? t('taskDetail.queuedComment', { text: entry.payload.text })
+                        : t('taskDetail.queuedStatus', { status: getStatusText(entry.payload.status, task.workflowId) })}
+                      {entry.conflict && ` · ⚠️ ${entry.conflict}`}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {/* Reassign Form */}
+            {isReassigning && (
+              <div className="reassign-form">
+                <h3>{t('taskDetail.reassignTitle')}</h3>
+                <div className="form-group">
+                  <select
+                    value={newAssignee}
+                    onChange={(e) => setNewAssignee(e.target.value)}
+                    className="form-select"
+                  >
+                    <option value="">{t('taskDetail.selectAssignee')}</option>
+                    {assignableUsers.filter(u => u.id !== task.assignedTo).map(user => (
+                      <option key={user.id} value={user.id}>{user.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="action-buttons">
+                  <button 
+                    onClick={handleReassign}
+                    className="btn btn-primary"
+                    disabled={!newAssignee}
+                  >
+                    {t('taskDetail.reassign')}
+                  </button>
+                  <button 
+                    onClick={() => setIsReassigning(false)}
+                    className="btn btn-secondary"
+                  >
+                    {t('common.cancel')}
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {task.parentId && (
+              <p className="task-parent">
+                {t('subtasks.of')}{' '}
+                <button onClick={() => openTask(task.parentId)} className="comment-action">
+                  {task.parentTitle}
+                </button>
+                {task.required && ` · ${t('subtasks.requiredTag')}`}
+              </p>
+            )}
+
+            {/* Checklist */}
+            {(checklist.length > 0 || canBreakDown) && (
+              <div className="checklist-section">
+                <h3>Checklist ({checklistDone}/{checklist.length})</h3>
+                {checklist.length > 0 && (
+                  <div className="progress-bar">
+                    <div className="progress-fill" style={{ width: `${(checklistDone / checklist.length) * 100}%` }} />
+                  </div>
+                )}
+                <ul className="checklist">
+                  {checklist.map(item => (
+                    <li key={item.id} className={item.done ? 'done' : ''}>
+                      <label className="checkbox-label">
+                        <input
+                          type="checkbox"
+                          checked={item.done}
+                          disabled={!canBreakDown}
+                          onChange={() => toggleChecklistItem(task.id, item)}
+                        />
+                        {item.text}
+                      </label>
+                      {canBreakDown && (
+                        <button onClick={() => removeChecklistItem(task.id, item)} className="label-remove">
+                          ✕
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+                {canBreakDown && checklist.length < MAX_CHECKLIST_ITEMS && (
+                  <div className="label-input-row">
+                    <input
+                      type="text"
+                      value={newChecklistItem}
+                      onChange={(e) => setNewChecklistItem(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter' && newChecklistItem.trim()) {
+                          addChecklistItem(task.id, newChecklistItem.trim());
+                          setNewChecklistItem('');
+                        }
+                      }}
+                      placeholder={t('checklist.placeholder')}
+                      className="form-input"
+                    />
+                    <button
+                      onClick={() => {
+                        addChecklistItem(task.id, newChecklistItem.trim());
+                        setNewChecklistItem('');
+                      }}
+                      disabled={!newChecklistItem.trim()}
+                      className="btn btn-secondary btn-small"
+                    >
+                      {t('common.add')}
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Subtasks - one level only */}
+            {!task.parentId && (taskSubtasks.length > 0 || canBreakDown) && (
+              <div className="subtasks-section">
+                <h3>{t('subtasks.title')} ({task.subtasksDone || 0}/{task.subtaskCount || 0})</h3>
+                {(task.subtaskCount || 0) > 0 && (
+                  <div className="progress-bar">
+                    <div
+                      className="progress-fill"
+                      style={{ width: `${((task.subtasksDone || 0) / task.subtaskCount) * 100}%` }}
+                    />
+                  </div>
+                )}
+                <ul className="subtask-list">
+                  {taskSubtasks.map(sub => (
+                    <li key={sub.id} onClick={() => openTask(sub.id)} className="subtask-item">
+                      <span className="subtask-title">
+                        {sub.title}
+                        {sub.required && <span className="subtask-required" title={t('subtasks.required')}>*</span>}
+                      </span>
+                      <span className={`status-badge ${getStatusColor(sub.status, sub.workflowId)}`}>
+                        {getStatusText(sub.status, sub.workflowId)}
+                      </span>
+                      <span className={`subtask-meta ${!isTaskDone(sub) && isOverdue(sub) ? 'overdue-text' : ''}`}>
+                        {users.find(u => u.id === sub.assignedTo)?.name || t('common.unassigned')} · {formatDueDate(sub)}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+                {canBreakDown && !subtaskDraft && (
+                  <button
+                    onClick={() => setSubtaskDraft({
+                      title: '',
+                      assignedTo: task.assignedTo,
+                      ...getDueFormValues(task, timeZone),
+                      required: true
+                    })}
+                    className="btn btn-secondary btn-small"
+                  >
+                    + {t('subtasks.add')}
+                  </button>
+                )}
+                {subtaskDraft && (
+                  <div className="subtask-form">
+                    <input
+                      type="text"
+                      value={subtaskDraft.title}
+                      onChange={(e) => setSubtaskDraft({ ...subtaskDraft, title: e.target.value })}
+                      placeholder={t('subtasks.titlePlaceholder')}
+                      className="form-input"
+                    />
+                    <div className="form-row">
+                      <select
+                        value={subtaskDraft.assignedTo}
+                        onChange={(e) => setSubtaskDraft({ ...subtaskDraft, assignedTo: e.target.value })}
+                        className="form-select"
+                      >
+                        {assignableUsers.map(user => (
+                          <option key={user.id} value={user.id}>{user.name}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="date"
+                        value={subtaskDraft.dueDate}
+                        onChange={(e) => setSubtaskDraft({ ...subtaskDraft, dueDate: e.target.value })}
+                        className="form-input"
+                      />
+                      {!subtaskDraft.allDay && (
+                        <input
+                          type="time"
+                          value={subtaskDraft.dueTime}
+                          onChange={(e) => setSubtaskDraft({ ...subtaskDraft, dueTime: e.target.value })}
+                          className="form-input"
+                        />
+                      )}
+                    </div>
+                    <label className="checkbox-label">
+                      <input
+                        type="checkbox"
+                        checked={subtaskDraft.allDay}
+                        onChange={(e) => setSubtaskDraft({ ...subtaskDraft, allDay: e.target.checked })}
+                      />
+                      {t('taskForm.allDay')}
+                    </label>
+                    <label className="checkbox-label">
+                      <input
+                        type="checkbox"
+                        checked={subtaskDraft.required}
+                        onChange={(e) => setSubtaskDraft({ ...subtaskDraft, required: e.target.checked })}
+                      />
+                      {t('subtasks.requiredForReview')}
+                    </label>
+                    <div className="action-buttons">
+                      <button
+                        onClick={async () => {
+                          await addSubtask(task, subtaskDraft);
+                          setSubtaskDraft(null);
+                        }}
+                        disabled={!subtaskDraft.title.trim() || !subtaskDraft.assignedTo || !subtaskDraft.dueDate ||
+                          (!subtaskDraft.allDay && !subtaskDraft.dueTime)}
+                        className="btn btn-primary btn-small"
+                      >
+                        {t('subtasks.create')}
+                      </button>
+                      <button onClick={() => setSubtaskDraft(null)} className="btn btn-secondary btn-small">
+                        {t('common.cancel')}
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Dependencies */}
+            {(blockers.length > 0 || blockedTasks.length > 0 || canBreakDown) && (
+              <div className="dependencies-section">
+                <h3>{t('dependencies.title')}</h3>
+                {blockers.length > 0 && (
+                  <>
+                    <h4>{t('dependencies.blockedBy')}</h4>
+                    <ul className="dependency-list">
+                      {blockers.map(blocker => (
+                        <li key={blocker.id} className="dependency-item">
+                          {blocker.title ? (
+                            <>
+                              <button onClick={() => openTask(blocker.id)} className="comment-action dependency-title">
+                                {blocker.title}
+                              </button>
+                              <span className={`status-badge ${getStatusColor(blocker.status, blocker.workflowId)}`}>
+                                {getStatusText(blocker.status, blocker.workflowId)}
+                              </span>
+                            </>
+                          ) : (
+                            <span className="dependency-title dependency-unavailable">
+                              {blocker.loading ? t('common.loading') : blocker.missing ? t('dependencies.missing') : t('dependencies.unavailable')}
+                            </span>
+                          )}
+                          {canBreakDown && (
+                            <button onClick={() => removeDependency(task, blocker.id)} className="label-remove">
+                              ✕
+                            </button>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+                {blockedTasks.length > 0 && (
+                  <>
+                    <h4>{t('dependencies.blocks')}</h4>
+                    <ul className="dependency-list">
+                      {blockedTasks.map(blocked => (
+                        <li key={blocked.id} className="dependency-item">
+                          <button onClick={() => openTask(blocked.id)} className="comment-action dependency-title">
+                            {findTask(blocked.id)?.title || blocked.title}
+                          </button>
+                          <span className="dependency-meta">
+                            {users.find(u => u.id === (findTask(blocked.id) || blocked).assignedTo)?.name || t('common.unassigned')}
+                          </span>
+                          {findTask(blocked.id) && can(currentUser, 'breakDown', findTask(blocked.id)) && (
+                            <button onClick={() => removeDependency(findTask(blocked.id), task.id)} className="label-remove">
+                              ✕
+                            </button>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+                {canBreakDown && !dependencyDraft && (
+                  <button
+                    onClick={() => setDependencyDraft({ relation: 'blockedBy', taskId: '' })}
+                    className="btn btn-secondary btn-small"
+                  >
+                    + {t('dependencies.add')}
+                  </button>
+                )}
+                {dependencyDraft && (
+                  <div className="subtask-form">
+                    <div className="form-row">
+                      <select
+                        value={dependencyDraft.relation}
+                        onChange={(e) => setDependencyDraft({ relation: e.target.value, taskId: '' })}
+                        className="form-select"
+                      >
+                        <option value="blockedBy">{t('dependencies.relation.blockedBy')}</option>
+                        <option value="blocks">{t('dependencies.relation.blocks')}</option>
+                      </select>
+                      <select
+                        value={dependencyDraft.taskId}
+                        onChange={(e) => setDependencyDraft({ ...dependencyDraft, taskId: e.target.value })}
+                        className="form-select"
+                      >
+                        <option value="">{t('dependencies.selectTask')}</option>
+                        {dependencyOptions.map(option => (
+                          <option key={option.id} value={option.id}>{option.title}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="action-buttons">
+                      <button
+                        onClick={async () => {
+                          const other = findTask(dependencyDraft.taskId);
+                          if (dependencyDraft.relation === 'blockedBy') {
+                            await addDependency(task, other);
+                          } else {
+                            await addDependency(other, task);
+                          }
+                          setDependencyDraft(null);
+                        }}
+                        disabled={!dependencyDraft.taskId}
+                        className="btn btn-primary btn-small"
+                      >
+                        {t('dependencies.link')}
+                      </button>
+                      <button onClick={() => setDependencyDraft(null)} className="btn btn-secondary btn-small">
+                        {t('common.cancel')}
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Attachments */}
+            <div className="attachments-section">
+              <h3>{t('attachments.title', { count: taskLevelAttachments.length })}</h3>
+              {renderAttachments(taskLevelAttachments)}
+              {canUpload && (
+                <label className={`btn btn-secondary btn-small attachment-upload ${uploading ? 'disabled' : ''}`}>
+                  {uploading ? t('common.loading') : `📎 ${t('attachments.add')}`}
+                  <input
+                    type="file"
+                    multiple
+                    accept={ATTACHMENT_ACCEPT}
+                    disabled={uploading}
+                    onChange={(e) => handleUpload(e.target.files)}
+                    hidden
+                  />
+                </label>
+              )}
+            </div>
+
+            {/* Comments */}
+            <div className="comments-section">
+              <h3>{t('comments.title', { count: visibleCommentCount })}</h3>
+              
+              <div className="comments-list">
+                {rootComments.map(comment => renderComment(comment))}
+              </div>
+
+              {/* Allow comments only if task is not closed/completed */}
+              {canComment && (
+                <div className="add-comment">
+                  {replyTo && (
+                    <div className="reply-banner">
+                      <span>{t('comments.replyTo', { name: replyTo.userName })}</span>
+                      <button onClick={() => setReplyTo(null)} className="comment-action">
+                        {t('common.cancel')}
+                      </button>
+                    </div>
+                  )}
+                  <textarea
+                    value={newComment}
+                    onChange={(e) => setNewComment(e.target.value)}
+                    placeholder={t('comments.placeholder')}
+                    className="form-textarea"
+                    rows={3}
+                  />
+                  {renderPendingFiles(commentFiles, (index) =>
+                    setCommentFiles(commentFiles.filter((_, i) => i !== index))
+                  )}
+                  <label className="comment-action comment-attach">
+                    📎 {t('comments.attach')}
+                    <input
+                      type="file"
+                      multiple
+                      accept={ATTACHMENT_ACCEPT}
+                      onChange={(e) => {
+                        setCommentFiles(selectAttachments(e.target.files, commentFiles));
+                        e.target.value = '';
+                      }}
+                      hidden
+                    />
+                  </label>
+                  {mentionSuggestions.length > 0 && (
+                    <div className="mention-suggestions">
+                      {mentionSuggestions.map(user => (
+                        <button
+                          key={user.id}
+                          onClick={() => setNewComment(insertMention(newComment, user))}
+                          className="mention-suggestion"
+                        >
+                          {user.photoURL && <img src={user.photoURL} alt={user.name} className="assignee-avatar" />}
+                          <span>{user.name}</span>
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  <button 
+                    onClick={handleAddComment}
+                    className="btn btn-primary"
+                    disabled={!newComment.trim() || uploading}
+                  >
+                    {uploading ? t('common.loading') : t('comments.add')}
+                  </button>
+                </div>
+              )}
+
+              {/* Show message if task is closed */}
+              {taskDone && (
+                <div className="task-closed-message">
+                  <p>🔒 {t('comments.closed')}</p>
+                </div>
+              )}
+            </div>
+
+            {/* Activity timeline */}
+            <div className="activity-section">
+              <h3>{t('activity.title', { count: taskActivity.length })}</h3>
+              {taskActivity.length === 0 ? (
+                <p className="activity-empty">{t('activity.empty')}</p>
+              ) : (
+                <ul className="activity-timeline">
+                  {taskActivity.map(entry => renderActivityEntry(entry))}
+                </ul>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* Attachment preview */}
+        {previewAttachment && (
+          <div className="attachment-preview" onClick={closePreview}>
+            <div className="attachment-preview-content" onClick={(e) => e.stopPropagation()}>
+              <div className="attachment-preview-header">
+                <span className="attachment-name">{previewAttachment.name}</span>
+                <button onClick={closePreview} className="modal-close">
+                  ✕
+                </button>
+              </div>
+              {isImage(previewAttachment) ? (
+                <img src={previewAttachment.url} alt={previewAttachment.name} />
+              ) : (
+                <iframe src={previewAttachment.url} title={previewAttachment.name} />
+              )}
+            </div>
+          </div>
+        )}
+      </div>
     );
-    const overdue = assignedToMe.filter(task => isOverdue(task.dueDate));
-    
-    return {
-      assignedToMe: assignedToMe.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate)),
-      createdByMe,
-      completedByMe,
-      overdue
-    };
   };
 
-  // Loading screen
-  if (loading) {
-    return (
-      <div className="loading-screen">
-        <div className="loading-content">
-          <div className="logo">
-            <div className="logo-icon">✓</div>
-            <h1>TaskFlow</h1>
-          </div>
-          <div className="loading-spinner"></div>
-          <p>Caricamento...</p>
+  const CalendarView = () => {
+    const [dragOverKey, setDragOverKey] = useState(null);
+    const [calendarDraft, setCalendarDraft] = useState(null);
+
+    const isClosed = isTaskDone;
+    const canReschedule = (task) => can(currentUser, 'edit', task);
+
+    // Bucket tasks by day in the user's time zone (all-day ones on their
+    // date) so every grid cell is a cheap lookup. Grid days are local dates.
+    const tasksByDay = [...tasks, ...historyTasks].reduce((acc, task) => {
+      if (!task.dueDate) return acc;
+      const key = getDueDateKey(task, timeZone);
+      (acc[key] = acc[key] || []).push(task);
+      return acc;
+    }, {});
+    Object.values(tasksByDay).forEach(list =>
+      list.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate))
+    );
+
+    const getTasksForDay = (day) => tasksByDay[toDateKey(day)] || [];
+    const today = toZonedDateKey(new Date(), timeZone);
+
+    const handleNavigate = (direction) => {
+      if (direction === 0) {
+        setCalendarDate(new Date());
+      } else if (calendarMode === 'month') {
+        setCalendarDate(addMonths(calendarDate, direction));
+      } else if (calendarMode === 'week') {
+        setCalendarDate(addDays(calendarDate, direction * 7));
+      } else {
+        setCalendarDate(addDays(calendarDate, direction));
+      }
+    };
+
+    const handleDrop = async (e, day, hour) => {
+      e.preventDefault();
+      setDragOverKey(null);
+      const taskId = e.dataTransfer.getData('text/plain');
+      const task = findTask(taskId);
+      if (!task || !canReschedule(task)) return;
+
+      const dueFields = moveDueFields(task, toDateKey(day), hour, timeZone);
+      if (dueFields.dueDate.getTime() === new Date(task.dueDate).getTime()) return;
+      await rescheduleTask(task.id, dueFields);
+    };
+
+    const dropTargetProps = (key, day, hour) => ({
+      onDragOver: (e) => {
+        e.preventDefault();
+        if (dragOverKey !== key) setDragOverKey(key);
+      },
+      onDragLeave: () => setDragOverKey(null),
+      onDrop: (e) => handleDrop(e, day, hour)
+    });
+
+    const getTitle = () => {
+      if (calendarMode === 'month') {
+        return i18n.formatDate(calendarDate, { month: 'long', year: 'numeric' });
+      }
+      if (calendarMode === 'week') {
+        const days = getWeekDays(calendarDate);
+        return `${i18n.formatDate(days[0], DATE)} - ${i18n.formatDate(days[6], DATE)}`;
+      }
+      return i18n.formatDate(calendarDate, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+    };
+
+    // Plain render helpers rather than nested components: remounting the
+    // dragged element on every drag-over update would cancel the drag
+    const renderTask = (task, showTime = false) => {
+      const overdueTask = !isClosed(task) && isOverdue(task);
+      const draggable = canReschedule(task);
+
+      return (
+        <div
+          key={task.id}
+          className={`calendar-task ${getStatusColor(task.status, task.workflowId)} ${overdueTask ? 'overdue' : ''}`}
+          draggable={draggable}
+          onDragStart={(e) => e.dataTransfer.setData('text/plain', task.id)}
+          onClick={() => openTask(task.id)}
+          title={task.title}
+        >
+          {overdueTask && <span className="overdue-icon">⚠️</span>}
+          {showTime && !task.allDay && (
+            <span className="calendar-task-time">
+              {i18n.formatDate(task.dueDate, TIME)}
+            </span>
+          )}
+          <span className="calendar-task-title">{task.title}</span>
         </div>
+      );
+    };
+
+    const renderMonthGrid = () => (
+      <div className="calendar-grid calendar-month">
+        {getWeekDays(calendarDate).map(day => (
+          <div key={day.getDay()} className="calendar-weekday">
+            {i18n.formatDate(day, { weekday: 'short' })}
+          </div>
+        ))}
+        {getMonthGrid(calendarDate).map(day => {
+          const key = toDateKey(day);
+          const dayTasks = getTasksForDay(day);
+          return (
+            <div
+              key={key}
+              className={`calendar-cell ${day.getMonth() !== calendarDate.getMonth() ? 'outside' : ''} ${key === today ? 'today' : ''} ${dragOverKey === key ? 'drag-over' : ''}`}
+              {...dropTargetProps(key, day)}
+            >
+              <button
+                className="calendar-day-number"
+                onClick={() => {
+                  setCalendarDate(day);
+                  setCalendarMode('day');
+                }}
+              >
+                {day.getDate()}
+              </button>
+              <div className="calendar-cell-tasks">
+                {dayTasks.slice(0, 3).map(task => renderTask(task))}
+                {dayTasks.length > 3 && (
+                  <span className="calendar-more">+{dayTasks.length - 3}</span>
+                )}
+              </div>
+            </div>
+          );
+        })}
       </div>
     );
-  }
 
-  // Login screen
-  if (!currentUser) {
+    const renderWeekGrid = () => (
+      <div className="calendar-grid calendar-week">
+        {getWeekDays(calendarDate).map(day => {
+          const key = toDateKey(day);
+          return (
+            <div
+              key={key}
+              className={`calendar-cell ${key === today ? 'today' : ''} ${dragOverKey === key ? 'drag-over' : ''}`}
+              {...dropTargetProps(key, day)}
+            >
+              <div className="calendar-weekday">
+                {i18n.formatDate(day, { weekday: 'short', day: 'numeric' })}
+              </div>
+              <div className="calendar-cell-tasks">
+                {getTasksForDay(day).map(task => renderTask(task, true))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    );
+
+    const renderDayGrid = () => {
+      const dayTasks = getTasksForDay(calendarDate);
+      return (
+        <div className="calendar-day">
+          {Array.from({ length: 24 }, (_, hour) => {
+            const key = `${toDateKey(calendarDate)}-${hour}`;
+            return (
+              <div
+                key={key}
+                className={`calendar-hour ${dragOverKey === key ? 'drag-over' : ''}`}
+                {...dropTargetProps(key, calendarDate, hour)}
+              >
+                <span className="calendar-hour-label">{String(hour).padStart(2, '0')}:00</span>
+                <div className="calendar-cell-tasks">
+                  {dayTasks
+                    .filter(task => (task.allDay ? 0 : Number(toZonedTimeKey(task.dueDate, timeZone).slice(0, 2))) === hour)
+                    .map(task => renderTask(task, true))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      );
+    };
+
     return (
-      <div className="login-screen">
-        <div className="login-container">
-          <div className="login-content">
-            <div className="logo">
-              <div className="logo-icon">✓</div>
-              <h1>TaskFlow</h1>
+      <div className="section calendar-view">
+        <div className="section-header calendar-header">
+          <h2>{t('calendar.title')}</h2>
+          <div className="calendar-modes">
+            {['month', 'week', 'day'].map(id => (
+              <button
+                key={id}
+                onClick={() => setCalendarMode(id)}
+                className={`btn btn-small ${calendarMode === id ? 'btn-primary' : 'btn-secondary'}`}
+              >
+                {t(`calendar.modes.${id}`)}
+              </button>
+            ))}
+            {canManageCalendar && !calendarDraft && (
+              <button
+                onClick={() => setCalendarDraft({
+                  ...teamCalendar,
+                  workingHours: {
+                    start: teamCalendar.workingHours.start,
+                    end: teamCalendar.workingHours.end === '24:00' ? '00:00' : teamCalendar.workingHours.end
+                  },
+                  holidayInput: ''
+                })}
+                className="btn btn-secondary btn-small"
+              >
+                {t('teamCalendar.edit')}
+              </button>
+            )}
+          </div>
+        </div>
+
+        {calendarDraft && (
+          <div className="team-calendar">
+            <h3>{t('teamCalendar.title')}</h3>
+            <p className="team-calendar-note">{t('teamCalendar.note')}</p>
+            <div className="form-row">
+              <div className="form-group">
+                <label>{t('teamCalendar.timeZone')}</label>
+                <select
+                  value={calendarDraft.timeZone}
+                  onChange={(e) => setCalendarDraft({ ...calendarDraft, timeZone: e.target.value })}
+                  className="form-select"
+                >
+                  {[...new Set([calendarDraft.timeZone, ...getTimeZones()])].map(zone => (
+                    <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label>{t('teamCalendar.start')}</label>
+                <input
+                  type="time"
+                  value={calendarDraft.workingHours.start}
+                  onChange={(e) => setCalendarDraft({
+                    ...calendarDraft,
+                    workingHours: { ...calendarDraft.workingHours, start: e.target.value }
+                  })}
+                  className="form-input"
+                />
+              </div>
+              <div className="form-group">
+                <label>{t('teamCalendar.end')}</label>
+                <input
+                  type="time"
+                  value={calendarDraft.workingHours.end}
+                  onChange={(e) => setCalendarDraft({
+                    ...calendarDraft,
+                    workingHours: { ...calendarDraft.workingHours, end: e.target.value }
+                  })}
+                  className="form-input"
+                />
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label>{t('teamCalendar.workingDays')}</label>
+              <div className="weekday-picker">
+                {WEEKDAYS.map(weekday => {
+                  // The calendar numbers days ISO-style, Sunday = 7
+                  const day = weekday.day || 7;
+                  const selected = calendarDraft.workingDays.includes(day);
+                  return (
+                    <button
+                      key={weekday.code}
+                      type="button"
+                      onClick={() => setCalendarDraft({
+                        ...calendarDraft,
+                        workingDays: selected
+                          ? calendarDraft.workingDays.filter(d => d !== day)
+                          : [...calendarDraft.workingDays, day].sort()
+                      })}
+                      className={`weekday-toggle ${selected ? 'selected' : ''}`}
+                    >
+                      {t(`recurrence.shortDays.${weekday.code}`)}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label>{t('teamCalendar.holidays')}</label>
+              <div className="team-calendar-add">
+                <input
+                  type="date"
+                  value={calendarDraft.holidayInput}
+                  onChange={(e) => setCalendarDraft({ ...calendarDraft, holidayInput: e.target.value })}
+                  className="form-input"
+                />
+                <button
+                  onClick={() => setCalendarDraft({
+                    ...calendarDraft,
+                    holidays: [...new Set([...calendarDraft.holidays, calendarDraft.holidayInput])].sort(),
+                    holidayInput: ''
+                  })}
+                  disabled={!calendarDraft.holidayInput}
+                  className="btn btn-secondary btn-small"
+                >
+                  {t('teamCalendar.addHoliday')}
+                </button>
+              </div>
+              {calendarDraft.holidays.length === 0 ? (
+                <p className="team-calendar-note">{t('teamCalendar.noHolidays')}</p>
+              ) : (
+                <ul className="team-calendar-holidays">
+                  {calendarDraft.holidays.map(day => (
+                    <li key={day}>
+                      <span>{i18n.formatDate(`${day}T00:00:00Z`, { ...DATE, timeZone: 'UTC' })}</span>
+                      <button
+                        onClick={() => setCalendarDraft({
+                          ...calendarDraft,
+                          holidays: calendarDraft.holidays.filter(d => d !== day)
+                        })}
+                        className="comment-action"
+                      >
+                        {t('common.remove')}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <div className="action-buttons">
+              <button
+                onClick={async () => {
+                  if (await saveTeamCalendar(calendarDraft)) setCalendarDraft(null);
+                }}
+                className="btn btn-primary btn-small"
+              >
+                {t('common.save')}
+              </button>
+              <button onClick={() => setCalendarDraft(null)} className="btn btn-secondary btn-small">
+                {t('common.cancel')}
+              </button>
             </div>
-            <p className="login-subtitle">Sistema di gestione task aziendali</p>
-            
-            <button onClick={handleGoogleSignIn} className="btn btn-primary login-btn">
-              <span>🚀</span>
-              Accedi con Google
-            </button>
-            
-            <p className="login-note">
-              L'accesso richiede approvazione dell'amministratore
-            </p>
           </div>
+        )}
+
+        <div className="calendar-toolbar">
+          <button onClick={() => handleNavigate(-1)} className="btn btn-secondary btn-small">‹</button>
+          <button onClick={() => handleNavigate(0)} className="btn btn-secondary btn-small">{t('calendar.today')}</button>
+          <button onClick={() => handleNavigate(1)} className="btn btn-secondary btn-small">›</button>
+          <h3 className="calendar-title">{getTitle()}</h3>
         </div>
+
+        {calendarMode === 'month' && renderMonthGrid()}
+        {calendarMode === 'week' && renderWeekGrid()}
+        {calendarMode === 'day' && renderDayGrid()}
       </div>
     );
-  }
+  };
 
-  // Main App Components
-  const Header = () => (
-    <header className="app-header">
-      <div className="header-content">
-        <div className="header-left">
-          <div className="logo">
-            <div className="logo-icon">✓</div>
-            <h1>TaskFlow</h1>
-          </div>
-        </div>
-        
-        <div className="header-right">
-          <div className="notification-bell">
-            <span className="bell-icon">🔔</span>
-            {notifications.filter(n => !n.read).length > 0 && (
-              <div className="notification-badge">{notifications.filter(n => !n.read).length}</div>
+  const BoardView = () => {
+    const [draggedTask, setDraggedTask] = useState(null);
+    const [dragOverStatus, setDragOverStatus] = useState(null);
+    const [limitsDraft, setLimitsDraft] = useState(null);
+
+    // A task just completed can briefly be in both lists
+    const boardTasks = [...tasks, ...historyTasks.filter(t => !tasks.some(open => open.id === t.id))];
+    const columns = BOARD_COLUMNS.map(status => {
+      const columnTasks = boardTasks.filter(task => task.status === status);
+      return {
+        status,
+        label: getStatusText(status),
+        color: getStatusColor(status),
+        // Limits count the whole team's tasks, whatever the filter
+        count: columnTasks.length,
+        limit: hasWipLimit(STANDARD_WORKFLOW, status) ? wipLimits[status] || 0 : 0,
+        tasks: sortTasks(columnTasks.filter(task =>
+          boardAssignee === 'all' || task.assignedTo === boardAssignee), 'dueDate')
+      };
+    });
+
+    const getDropError = (column) => draggedTask && getMoveError(
+      currentUser,
+      getWorkflow(workflows, draggedTask.workflowId),
+      draggedTask,
+      column.status,
+      column.count,
+      column.limit,
+      t
+    );
+
+    const handleDrop = async (e, column) => {
+      e.preventDefault();
+      setDragOverStatus(null);
+      const task = findTask(e.dataTransfer.getData('text/plain'));
+      setDraggedTask(null);
+      if (!task || task.status === column.status || getDropError(column)) return;
+      await updateTaskStatus(task.id, column.status);
+    };
+
+    return (
+      <div className="section board-view">
+        <div className="section-header">
+          <h2>{t('board.title')}</h2>
+          <div className="board-toolbar">
+            <select
+              value={boardAssignee}
+              onChange={(e) => setBoardAssignee(e.target.value)}
+              className="form-select"
+            >
+              <option value="all">{t('board.allAssignees')}</option>
+              {assignableUsers.map(user => (
+                <option key={user.id} value={user.id}>{user.name}</option>
+              ))}
+            </select>
+            {canManageBoard && !limitsDraft && (
+              <button
+                onClick={() => setLimitsDraft(Object.fromEntries(columns
+                  .filter(column => hasWipLimit(STANDARD_WORKFLOW, column.status))
+                  .map(column => [column.status, column.limit || ''])))}
+                className="btn btn-secondary btn-small"
+              >
+                {t('board.wipLimits')}
+              </button>
             )}
           </div>
-          
-          <div className="user-profile">
-            <img 
-              src={currentUser.photoURL} 
-              alt={currentUser.name}
-              className="profile-image"
-            />
-            <span className="user-name">{currentUser.name}</span>
+        </div>
+
+        {limitsDraft && (
+          <div className="board-limits">
+            {Object.keys(limitsDraft).map(status => (
+              <label key={status} className="board-limit">
+                <span>{getStatusText(status)}</span>
+                <input
+                  type="number"
+                  min="0"
+                  value={limitsDraft[status]}
+                  onChange={(e) => setLimitsDraft({ ...limitsDraft, [status]: e.target.value })}
+                  placeholder={t('board.noLimit')}
+                  className="form-input"
+                />
+              </label>
+            ))}
+            <div className="action-buttons">
+              <button
+                onClick={async () => {
+                  await saveWipLimits(limitsDraft);
+                  setLimitsDraft(null);
+                }}
+                className="btn btn-primary btn-small"
+              >
+                {t('common.save')}
+              </button>
+              <button onClick={() => setLimitsDraft(null)} className="btn btn-secondary btn-small">
+                {t('common.cancel')}
+              </button>
+            </div>
           </div>
-          
-          <button onClick={handleSignOut} className="btn btn-secondary logout-btn">
-            Esci
-          </button>
+        )}
+
+        <div className="board-columns">
+          {columns.map(column => {
+            const dropError = draggedTask && draggedTask.status !== column.status ? getDropError(column) : null;
+            const canDrop = draggedTask && draggedTask.status !== column.status && !dropError;
+            return (
+              <div
+                key={column.status}
+                className={`board-column ${canDrop ? 'drop-allowed' : ''} ${dropError ? 'drop-denied' : ''} ${dragOverStatus === column.status ? 'drag-over' : ''}`}
+                onDragOver={(e) => {
+                  if (!canDrop) return;
+                  e.preventDefault();
+                  if (dragOverStatus !== column.status) setDragOverStatus(column.status);
+                }}
+                onDragLeave={() => setDragOverStatus(null)}
+                onDrop={(e) => handleDrop(e, column)}
+              >
+                <div className="board-column-header">
+                  <span className={`status-badge ${column.color}`}>{column.label}</span>
+                  <span className={`board-count ${isOverWipLimit(column.count, column.limit) ? 'over-limit' : ''}`}>
+                    {column.count}{column.limit ? ` / ${column.limit}` : ''}
+                  </span>
+                </div>
+                {dropError && <p className="board-drop-hint">{dropError}</p>}
+                <div className="board-column-tasks">
+                  {column.tasks.map(task => (
+                    <TaskCard
+                      key={task.id}
+                      task={task}
+                      showAssignee
+                      compact
+                      onDragStart={(e) => {
+                        e.dataTransfer.setData('text/plain', task.id);
+                        setDraggedTask(task);
+                      }}
+                      onDragEnd={() => {
+                        setDraggedTask(null);
+                        setDragOverStatus(null);
+                      }}
+                    />
+                  ))}
+                  {column.tasks.length === 0 && <p className="board-empty">{t('board.empty')}</p>}
+                  {isDoneState(STANDARD_WORKFLOW, column.status) && historyHasMore && (
+                    <button onClick={loadMoreHistory} className="btn btn-secondary btn-small">
+                      {t('common.showMore')}
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
         </div>
       </div>
-    </header>
-  );
+    );
+  };
 
-  const Navigation = () => (
-    <nav className="app-navigation">
-      <div className="nav-content">
-        {[
-          { id: 'dashboard', label: 'Dashboard', icon: '📊' },
-          { id: 'calendar', label: 'Calendario', icon: '📅' },
-          { id: 'all-tasks', label: 'Tutti i Task', icon: '📋' },
-          ...(currentUser.isAdmin ? [{ id: 'users', label: 'Utenti', icon: '👥' }] : [])
-        ].map(({ id, label, icon }) => (
-          <button
-            key={id}
-            onClick={() => setCurrentView(id)}
-            className={`nav-tab ${currentView === id ? 'active' : ''}`}
-          >
-            <span className="nav-icon">{icon}</span>
-            <span className="nav-label">{label}</span>
-          </button>
-        ))}
+  const UsersView = () => {
+    const pendingUsers = users.filter(u => !u.approved && !u.disabled);
+    const approvedUsers = users.filter(u => u.approved && !u.disabled);
+    const disabledUsers = users.filter(u => u.disabled);
+
+    // The configured admin and the current user can't lock themselves out
+    const isProtected = (user) => user.email === ADMIN_EMAIL || user.id === currentUser.id;
+
+    const UserRow = ({ user, children }) => (
+      <div className="user-row">
+        <div className="user-row-info">
+          {user.photoURL && (
+            <img src={user.photoURL} alt={user.name} className="assignee-avatar" />
+          )}
+          <div>
+            <div className="user-row-name">
+              {user.name}
+              <span className="role-badge">{t(`roles.${getUserRole(user, ADMIN_EMAIL)}`)}</span>
+              {user.rejected && <span className="role-badge rejected">{t('users.rejected')}</span>}
+            </div>
+            <div className="user-row-email">{user.email}</div>
+            {user.createdAt?.toDate && (
+              <div className="user-row-date">{t('users.registeredAt', { date: formatDate(user.createdAt.toDate()) })}</div>
+            )}
+          </div>
+        </div>
+        <div className="action-buttons">{children}</div>
       </div>
-    </nav>
-  );
+    );
 
-  const TaskCard = ({ task, showAssignee = false, compact = false }) => {
-    const assignee = users.find(u => u.id === task.assignedTo);
-    const overdueTask = isOverdue(task.dueDate);
-    
     return (
-      <div 
-        className={`task-card ${overdueTask ? 'overdue' : ''} ${compact ? 'compact' : ''}`}
-        onClick={() => setSelectedTask(task)}
-      >
-        <div className="task-header">
-          <h3 className="task-title">{task.title}</h3>
-          <span className={`status-badge ${getStatusColor(task.status)}`}>
-            {getStatusText(task.status)}
-          </span>
+      <div className="users-view">
+        <div className="section">
+          <div className="section-header">
+            <h2>{t('users.pending', { count: pendingUsers.length })}</h2>
+          </div>
+          {pendingUsers.length === 0 ? (
+            <div className="empty-state">
+              <p>{t('users.nonePending')}</p>
+            </div>
+          ) : (
+            <div className="user-list">
+              {pendingUsers.map(user => (
+                <UserRow key={user.docId} user={user}>
+                  <button onClick={() => approveUser(user)} className="btn btn-primary btn-small">
+                    {t('users.approve')}
+                  </button>
+                  <button onClick={() => rejectUser(user)} className="btn btn-secondary btn-small">
+                    {t('users.reject')}
+                  </button>
+                </UserRow>
+              ))}
+            </div>
+          )}
         </div>
-        
-        {!compact && (
-          <p className="task-description">
-            {task.description}
-          </p>
-        )}
-        
-        <div className="task-footer">
-          <div className="task-meta">
-            <div className={`due-date ${overdueTask ? 'overdue' : ''}`}>
-              <span className="clock-icon">🕒</span>
-              <span>{formatDate(task.dueDate)}</span>
-              {overdueTask && <span className="overdue-icon">⚠️</span>}
+
+        <div className="section">
+          <div className="section-header">
+            <h2>{t('users.approved', { count: approvedUsers.length })}</h2>
+          </div>
+          {approvedUsers.length === 0 ? (
+            <div className="empty-state">
+              <p>{t('users.noneApproved')}</p>
             </div>
-            
-            {task.comments && task.comments.length > 0 && (
-              <div className="comment-count">
-                <span className="comment-icon">💬</span>
-                <span>{task.comments.length}</span>
-              </div>
-            )}
+          ) : (
+            <div className="user-list">
+              {approvedUsers.map(user => (
+                <UserRow key={user.docId} user={user}>
+                  {!isProtected(user) && (
+                    <>
+                      <select
+                        value={getUserRole(user, ADMIN_EMAIL)}
+                        onChange={(e) => setUserRole(user, e.target.value)}
+                        className="form-select role-select"
+                      >
+                        {ROLES.map(role => (
+                          <option key={role} value={role}>{t(`roles.${role}`)}</option>
+                        ))}
+                      </select>
+                      <button onClick={() => disableUser(user)} className="btn btn-secondary btn-small">
+                        {t('users.disable')}
+                      </button>
+                    </>
+                  )}
+                </UserRow>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="section">
+          <div className="section-header">
+            <h2>{t('users.disabled', { count: disabledUsers.length })}</h2>
           </div>
-          
-          {showAssignee && assignee && (
-            <div className="assignee">
-              <img src={assignee.photoURL} alt={assignee.name} className="assignee-avatar" />
-              <span className="assignee-name">{assignee.name}</span>
+          {disabledUsers.length === 0 ? (
+            <div className="empty-state">
+              <p>{t('users.noneDisabled')}</p>
+            </div>
+          ) : (
+            <div className="user-list">
+              {disabledUsers.map(user => (
+                <UserRow key={user.docId} user={user}>
+                  <button onClick={() => enableUser(user)} className="btn btn-primary btn-small">
+                    {t('users.enable')}
+                  </button>
+                </UserRow>
+              ))}
             </div>
           )}
         </div>
@@ -427,84 +5419,167 @@ const TaskManagementApp = () => {
     );
   };
 
-  const DashboardView = () => {
-    const { assignedToMe, createdByMe, overdue } = getTasksByCategory();
-    
+  // The project form draft lives in projectDraft, like workflowDraft below
+  const ProjectsView = () => {
+    const startNew = () => setProjectDraft({
+      name: '',
+      description: '',
+      color: LABEL_COLORS[projects.length % LABEL_COLORS.length],
+      workflowId: DEFAULT_WORKFLOW_ID
+    });
+
+    const handleSave = async () => {
+      if (!projectDraft.name.trim()) {
+        alert(t('projects.nameRequired'));
+        return;
+      }
+      await saveProject(projectDraft);
+      setProjectDraft(null);
+    };
+
+    const countTasks = (projectId) => tasks.filter(task => task.projectId === projectId).length;
+
     return (
-      <div className="dashboard">
-        {/* Quick Actions */}
+      <div className="projects-view">
         <div className="section">
           <div className="section-header">
-            <h2>Azioni Rapide</h2>
+            <h2>{t('projects.title', { count: projects.length })}</h2>
+            {!projectDraft && (
+              <button onClick={startNew} className="btn btn-primary btn-small">
+                {t('projects.new')}
+              </button>
+            )}
           </div>
-          <button 
-            onClick={() => setShowCreateTask(true)}
-            className="btn btn-primary create-task-btn"
-          >
-            <span>➕</span>
-            Crea Nuovo Task
-          </button>
-        </div>
 
-        {/* Overdue Tasks */}
-        {overdue.length > 0 && (
-          <div className="section overdue-section">
-            <div className="section-header">
-              <h2>⚠️ Task Scaduti ({overdue.length})</h2>
-            </div>
-            <div className="task-list">
-              {overdue.map(task => (
-                <TaskCard key={task.id} task={task} compact />
-              ))}
+          {projectDraft && (
+            <div className="project-editor">
+              <div className="form-group">
+                <label>{t('projects.name')}</label>
+                <input
+                  type="text"
+                  value={projectDraft.name}
+                  onChange={(e) => setProjectDraft({ ...projectDraft, name: e.target.value })}
+                  placeholder={t('projects.namePlaceholder')}
+                  className="form-input"
+                />
+              </div>
+              <div className="form-group">
+                <label>{t('taskForm.description')}</label>
+                <textarea
+                  value={projectDraft.description}
+                  onChange={(e) => setProjectDraft({ ...projectDraft, description: e.target.value })}
+                  rows={2}
+                  className="form-textarea"
+                />
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label>{t('projects.color')}</label>
+                  <div className="color-options">
+                    {LABEL_COLORS.map(color => (
+                      <button
+                        key={color}
+                        onClick={() => setProjectDraft({ ...projectDraft, color })}
+                        className={`color-swatch ${projectDraft.color === color ? 'selected' : ''}`}
+                        style={{ backgroundColor: color }}
+                        aria-label={color}
+                      />
+                    ))}
+                  </div>
+                </div>
+                <div className="form-group">
+                  <label>{t('projects.workflow')}</label>
+                  <select
+                    value={projectDraft.workflowId}
+                    onChange={(e) => setProjectDraft({ ...projectDraft, workflowId: e.target.value })}
+                    className="form-select"
+                  >
+                    {workflows.map(workflow => (
+                      <option key={workflow.id} value={workflow.id}>{workflow.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div className="action-buttons">
+                <button onClick={handleSave} className="btn btn-primary btn-small">
+                  {t('common.save')}
+                </button>
+                <button onClick={() => setProjectDraft(null)} className="btn btn-secondary btn-small">
+                  {t('common.cancel')}
+                </button>
+              </div>
             </div>
-          </div>
-        )}
+          )}
 
-        {/* Assigned to Me */}
-        <div className="section">
-          <div className="section-header">
-            <h2>Assegnati a Me ({assignedToMe.length})</h2>
-          </div>
-          {assignedToMe.length === 0 ? (
+          {projects.length === 0 ? (
             <div className="empty-state">
-              <p>Nessun task assegnato</p>
+              <p>{t('projects.empty')}</p>
             </div>
           ) : (
-            <div className="task-list">
-              {assignedToMe.slice(0, 3).map(task => (
-                <TaskCard key={task.id} task={task} />
+            <div className="user-list">
+              {projects.map(project => (
+                <div key={project.id} className={`user-row ${project.archived ? 'archived' : ''}`}>
+                  <div className="user-row-info">
+                    <span className="project-dot large" style={{ backgroundColor: project.color }} />
+                    <div>
+                      <div className="user-row-name">
+                        {project.name}
+                        {project.archived && <span className="role-badge">{t('projects.archived')}</span>}
+                      </div>
+                      <div className="user-row-email">
+                        {project.description || t('projects.noDescription')} · {t('projects.openTasks', { count: countTasks(project.id) })}
+                        {' · '}{getWorkflow(workflows, project.workflowId).name}
+                      </div>
+                    </div>
+                  </div>
+                  <div className="action-buttons">
+                    <button
+                      onClick={() => setProjectDraft({ description: '', ...project })}
+                      className="btn btn-secondary btn-small"
+                    >
+                      {t('common.edit')}
+                    </button>
+                    <button
+                      onClick={() => setProjectArchived(project, !project.archived)}
+                      className="btn btn-secondary btn-small"
+                    >
+                      {project.archived ? t('projects.restore') : t('projects.archive')}
+                    </button>
+                  </div>
+                </div>
               ))}
-              {assignedToMe.length > 3 && (
-                <button 
-                  onClick={() => setCurrentView('all-tasks')}
-                  className="btn btn-secondary view-all-btn"
-                >
-                  Vedi tutti ({assignedToMe.length})
-                </button>
-              )}
             </div>
           )}
         </div>
 
-        {/* Created by Me */}
         <div className="section">
           <div className="section-header">
-            <h2>Creati da Me ({createdByMe.length})</h2>
+            <h2>{t('labels.title', { count: labels.length })}</h2>
           </div>
-          {createdByMe.length === 0 ? (
+          {labels.length === 0 ? (
             <div className="empty-state">
-              <p>Nessun task creato</p>
+              <p>{t('labels.empty')}</p>
             </div>
           ) : (
-            <div className="task-list">
-              {createdByMe.slice(0, 2).map(task => (
-                <TaskCard key={task.id} task={task} showAssignee />
+            <div className="user-list">
+              {labels.map(label => (
+                <div key={label.id} className="user-row">
+                  <div className="user-row-info">
+                    {renderLabelChip(label.name)}
+                  </div>
+                  <div className="color-options">
+                    {LABEL_COLORS.map(color => (
+                      <button
+                        key={color}
+                        onClick={() => setLabelColor(label, color)}
+                        className={`color-swatch ${label.color === color ? 'selected' : ''}`}
+                        style={{ backgroundColor: color }}
+                        aria-label={color}
+                      />
+                    ))}
+                  </div>
+                </div>
               ))}
-              {createdByMe.length > 2 && (
-                <button className="btn btn-secondary view-all-btn">
-                  Vedi tutti ({createdByMe.length})
-                </button>
-              )}
             </div>
           )}
         </div>
@@ -512,374 +5587,817 @@ const TaskManagementApp = () => {
     );
   };
 
-  const CreateTaskModal = () => {
-    const [formData, setFormData] = useState({
-      title: '',
-      description: '',
-      assignedTo: '',
-      dueDate: '',
-      dueTime: ''
+  // Workflows are edited as JSON; the draft lives in workflowDraft so it
+  // survives re-renders while the admin types
+  const WorkflowsView = () => {
+    const toDraftText = (workflow) => JSON.stringify({
+      name: workflow.name,
+      initialState: workflow.initialState,
+      states: workflow.states,
+      transitions: workflow.transitions
+    }, null, 2);
+
+    const startNew = () => setWorkflowDraft({
+      id: '',
+      isNew: true,
+      text: toDraftText({ ...STANDARD_WORKFLOW, name: t('workflows.newName') }),
+      error: null
     });
 
-    const handleSubmit = async () => {
-      if (!formData.title || !formData.description || !formData.assignedTo || !formData.dueDate || !formData.dueTime) {
-        alert('Compila tutti i campi');
+    const startEdit = (workflow) => setWorkflowDraft({
+      id: workflow.id,
+      isNew: false,
+      text: toDraftText(workflow),
+      error: null
+    });
+
+    const handleSave = async () => {
+      let definition;
+      try {
+        definition = JSON.parse(workflowDraft.text);
+      } catch {
+        setWorkflowDraft({ ...workflowDraft, error: t('workflows.invalidJson') });
         return;
       }
-      
-      await createTask(formData);
-      setShowCreateTask(false);
-      setFormData({ title: '', description: '', assignedTo: '', dueDate: '', dueTime: '' });
+      const id = workflowDraft.id.trim();
+      if (!/^[a-z][a-z0-9-]*$/.test(id)) {
+        setWorkflowDraft({ ...workflowDraft, error: t('workflows.invalidId') });
+        return;
+      }
+      if (workflowDraft.isNew && workflows.some(w => w.id === id)) {
+        setWorkflowDraft({ ...workflowDraft, error: t('workflows.duplicateId') });
+        return;
+      }
+      const error = await saveWorkflow({ ...definition, id });
+      if (error) {
+        setWorkflowDraft({ ...workflowDraft, error });
+      } else {
+        setWorkflowDraft(null);
+      }
     };
 
-    if (!showCreateTask) return null;
+    const handleDelete = async (workflow) => {
+      if (!window.confirm(t('workflows.deleteConfirm', { name: workflow.name }))) return;
+      await deleteWorkflow(workflow.id);
+    };
 
     return (
-      <div className="modal-overlay">
-        <div className="modal">
-          <div className="modal-header">
-            <h2>Crea Nuovo Task</h2>
-            <button 
-              onClick={() => setShowCreateTask(false)}
-              className="modal-close"
-            >
-              ✕
-            </button>
+      <div className="workflows-view">
+        <div className="section">
+          <div className="section-header">
+            <h2>{t('workflows.title', { count: workflows.length })}</h2>
+            {!workflowDraft && (
+              <button onClick={startNew} className="btn btn-primary btn-small">
+                {t('workflows.new')}
+              </button>
+            )}
           </div>
-          
-          <div className="modal-content">
-            <div className="form-group">
-              <label>Titolo</label>
-              <input
-                type="text"
-                value={formData.title}
-                onChange={(e) => setFormData({...formData, title: e.target.value})}
-                placeholder="Inserisci il titolo del task"
-                className="form-input"
-              />
-            </div>
 
-            <div className="form-group">
-              <label>Descrizione</label>
-              <textarea
-                value={formData.description}
-                onChange={(e) => setFormData({...formData, description: e.target.value})}
-                rows={3}
-                placeholder="Descrivi il task in dettaglio"
-                className="form-textarea"
-              />
+          {workflowDraft && (
+            <div className="workflow-editor">
+              <div className="form-group">
+                <label>ID</label>
+                <input
+                  type="text"
+                  value={workflowDraft.id}
+                  onChange={(e) => setWorkflowDraft({ ...workflowDraft, id: e.target.value })}
+                  disabled={!workflowDraft.isNew}
+                  placeholder={t('workflows.idPlaceholder')}
+                  className="form-input"
+                />
+              </div>
+              <div className="form-group">
+                <label>{t('workflows.definition')}</label>
+                <textarea
+                  value={workflowDraft.text}
+                  onChange={(e) => setWorkflowDraft({ ...workflowDraft, text: e.target.value })}
+                  rows={18}
+                  spellCheck={false}
+                  className="form-textarea workflow-json"
+                />
+                <p className="workflow-help">
+                  {t('workflows.help', {
+                    colors: STATUS_COLORS.join(', '),
+                    categories: STATUS_CATEGORIES.join(', '),
+                    actors: TRANSITION_ACTORS.join(', ')
+                  })}
+                </p>
+              </div>
+              {workflowDraft.error && <p className="workflow-error">{workflowDraft.error}</p>}
+              <div className="action-buttons">
+                <button onClick={handleSave} className="btn btn-primary btn-small">
+                  {t('common.save')}
+                </button>
+                <button onClick={() => setWorkflowDraft(null)} className="btn btn-secondary btn-small">
+                  {t('common.cancel')}
+                </button>
+              </div>
             </div>
+          )}
 
-            <div className="form-group">
-              <label>Assegna a</label>
-              <select
-                value={formData.assignedTo}
-                onChange={(e) => setFormData({...formData, assignedTo: e.target.value})}
-                className="form-select"
-              >
-                <option value="">Seleziona utente</option>
-                {users.map(user => (
-                  <option key={user.id} value={user.id}>{user.name}</option>
-                ))}
-              </select>
-            </div>
+          <div className="workflow-list">
+            {workflows.map(workflow => (
+              <div key={workflow.id} className="workflow-card">
+                <div className="workflow-card-header">
+                  <h3>{workflow.name}</h3>
+                  {workflow.id === DEFAULT_WORKFLOW_ID ? (
+                    <span className="role-badge">{t('workflows.default')}</span>
+                  ) : (
+                    <div className="action-buttons">
+                      <button onClick={() => startEdit(workflow)} className="btn btn-secondary btn-small">
+                        {t('common.edit')}
+                      </button>
+                      <button onClick={() => handleDelete(workflow)} className="btn btn-secondary btn-small btn-danger">
+                        {t('common.delete')}
+                      </button>
+                    </div>
+                  )}
+                </div>
+                <div className="workflow-states">
+                  {workflow.states.map(state => (
+                    <span key={state.id} className={`status-badge status-${state.color}`}>
+                      {getStateLabel(workflow, state.id, t)}
+                    </span>
+                  ))}
+                </div>
+                <ul className="workflow-transitions">
+                  {getTransitions(workflow).map(transition => (
+                    <li key={`${transition.from}>${transition.to}`}>
+                      {getStateLabel(workflow, transition.from, t)} → {getStateLabel(workflow, transition.to, t)}
+                      {': '}<strong>{getTransitionLabel(workflow, transition, t)}</strong> ({transition.actors.join(', ')})
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  };
 
-            <div className="form-row">
-              <div className="form-group">
-                <label>Data</label>
+  const ActivityView = () => (
+    <div className="activity-view">
+      <div className="section">
+        <div className="section-header">
+          <h2>{t('activity.recent')}</h2>
+        </div>
+        {activityFeed.length === 0 ? (
+          <div className="empty-state">
+            <p>{t('activity.empty')}</p>
+          </div>
+        ) : (
+          <ul className="activity-timeline">
+            {activityFeed.map(entry => renderActivityEntry(entry, true))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+
+  // A helper rather than a component so the date inputs keep focus
+  const renderReportsView = () => {
+    const getUserName = (id) => users.find(u => u.id === id)?.name || t('common.unassigned');
+    const reports = reportData && buildReports({
+      activity: reportData.activity,
+      // Open tasks, then completed ones not in the open list any more
+      tasks: [...tasks, ...[...historyTasks, ...reportData.doneTasks].filter((task, index, list) =>
+        !tasks.some(open => open.id === task.id) && list.findIndex(t => t.id === task.id) === index)],
+      from: new Date(`${reportRange.from}T00:00`),
+      to: new Date(`${reportRange.to}T23:59:59`),
+      calendar: teamCalendar,
+      isDone: (workflowId, status) => isDoneState(getWorkflow(workflows, workflowId), status)
+    });
+    const fileName = `report_${reportRange.from}_${reportRange.to}`;
+    // Week keys are Mondays, shown as dd/mm
+    const formatWeek = (week) => week.slice(5).split('-').reverse().join('/');
+
+    const exportCsv = () => downloadFile(`${fileName}.csv`, `\ufeff${toCsv(
+      flattenReports(reports, { getUserName, getStatusText }),
+      ['report', 'user', 'key', 'value'].map(key => ({ key, label: t(`reports.columns.${key}`) }))
+    )}`, 'text/csv;charset=utf-8');
+
+    const exportJson = () => downloadFile(`${fileName}.json`, JSON.stringify({
+      from: reportRange.from,
+      to: reportRange.to,
+      ...reports,
+      users: Object.fromEntries(users.map(u => [u.id, u.name]))
+    }, null, 2), 'application/json');
+
+    // Horizontal bar scaled on the largest value of its chart
+    const renderBar = (value, max, className = '') => (
+      <div className="report-bar-track">
+        <div className={`report-bar ${className}`} style={{ width: `${max > 0 ? (value / max) * 100 : 0}%` }} />
+      </div>
+    );
+
+    const renderEmpty = (list) => list.length === 0 && <p className="report-empty">{t('reports.empty')}</p>;
+
+    const weeklyTotals = reports ? reports.weeks.map(week => ({
+      week,
+      total: reports.completedByUser.reduce((sum, row) => sum + (row.byWeek[week] || 0), 0)
+    })) : [];
+    const maxWeekly = Math.max(0, ...weeklyTotals.map(w => w.total));
+    const maxStatus = reports ? Math.max(0, ...reports.timeInStatus.map(row => row.averageMs)) : 0;
+    const maxPunctuality = reports ? Math.max(0, ...reports.punctuality.map(row => row.total)) : 0;
+    const maxReassigned = reports ? Math.max(0, ...reports.reassignments.byUser.map(row => row.total)) : 0;
+    const maxOverdue = reports ? Math.max(0, ...reports.overdueByUser.map(row => row.total)) : 0;
+
+    return (
+      <div className="section reports-view">
+        <div className="section-header">
+          <h2>{t('reports.title')}</h2>
+          <div className="report-toolbar">
+            <select
+              value={reportRange.preset}
+              onChange={(e) => setReportRange(e.target.value === 'custom'
+                ? { ...reportRange, preset: 'custom' }
+                : { preset: e.target.value, ...getReportRange(e.target.value) })}
+              className="form-select"
+            >
+              {REPORT_RANGES.map(range => (
+                <option key={range} value={range}>{t(`reports.ranges.${range}`)}</option>
+              ))}
+            </select>
+            {reportRange.preset === 'custom' && (
+              <>
                 <input
                   type="date"
-                  value={formData.dueDate}
-                  onChange={(e) => setFormData({...formData, dueDate: e.target.value})}
+                  value={reportRange.from}
+                  max={reportRange.to}
+                  onChange={(e) => e.target.value && setReportRange({ ...reportRange, from: e.target.value })}
                   className="form-input"
                 />
-              </div>
-              
-              <div className="form-group">
-                <label>Ora</label>
                 <input
-                  type="time"
-                  value={formData.dueTime}
-                  onChange={(e) => setFormData({...formData, dueTime: e.target.value})}
+                  type="date"
+                  value={reportRange.to}
+                  min={reportRange.from}
+                  onChange={(e) => e.target.value && setReportRange({ ...reportRange, to: e.target.value })}
                   className="form-input"
                 />
+              </>
+            )}
+            <button onClick={exportCsv} disabled={!reports} className="btn btn-secondary btn-small">
+              ⬇️ CSV
+            </button>
+            <button onClick={exportJson} disabled={!reports} className="btn btn-secondary btn-small">
+              ⬇️ JSON
+            </button>
+          </div>
+        </div>
+
+        {!reports ? (
+          <div className="empty-state">
+            <p>{t('common.loading')}</p>
+          </div>
+        ) : (
+          <>
+            {reportData.partial && (
+              <p className="blocked-warning">
+                ⚠️ {t('reports.partial', { count: REPORT_ACTIVITY_LIMIT })}
+              </p>
+            )}
+
+            <div className="report-grid">
+              <div className="report-card report-card-wide">
+                <h3>{t('reports.completedPerWeek')}</h3>
+                <div className="report-columns">
+                  {weeklyTotals.map(({ week, total }) => (
+                    <div key={week} className="report-column" title={t('reports.completedCount', { count: total })}>
+                      <span className="report-column-value">{total}</span>
+                      <div
+                        className="report-column-bar"
+                        style={{ height: `${maxWeekly > 0 ? (total / maxWeekly) * 100 : 0}%` }}
+                      />
+                      <span className="report-column-label">{formatWeek(week)}</span>
+                    </div>
+                  ))}
+                </div>
+                {renderEmpty(reports.completedByUser)}
+                {reports.completedByUser.length > 0 && (
+                  <div className="report-table-wrapper">
+                    <table className="report-table">
+                      <thead>
+                        <tr>
+                          <th>{t('reports.user')}</th>
+                          {reports.weeks.map(week => <th key={week}>{formatWeek(week)}</th>)}
+                          <th>{t('reports.total')}</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {reports.completedByUser.map(row => (
+                          <tr key={row.userId}>
+                            <td>{getUserName(row.userId)}</td>
+                            {reports.weeks.map(week => <td key={week}>{row.byWeek[week] || ''}</td>)}
+                            <td><strong>{row.total}</strong></td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
               </div>
-            </div>
 
-            <div className="modal-actions">
-              <button
-                onClick={() => setShowCreateTask(false)}
-                className="btn btn-secondary"
-              >
-                Annulla
-              </button>
-              <button
-                onClick={handleSubmit}
-                className="btn btn-primary"
-              >
-                Crea Task
-              </button>
+              <div className="report-card">
+                <h3>{t('reports.timeInStatus')}</h3>
+                {renderEmpty(reports.timeInStatus)}
+                {reports.timeInStatus.map(row => (
+                  <div key={`${row.workflowId}:${row.status}`} className="report-row">
+                    <span className="report-label">{getStatusText(row.status, row.workflowId)}</span>
+                    {renderBar(row.averageMs, maxStatus)}
+                    <span className="report-value" title={t('reports.passes', { count: row.count })}>{formatDuration(row.averageMs, t)}</span>
+                  </div>
+                ))}
+              </div>
+
+              <div className="report-card">
+                <h3>{t('reports.punctuality')}</h3>
+                {renderEmpty(reports.punctuality)}
+                {reports.punctuality.map(row => (
+                  <div key={row.userId} className="report-row">
+                    <span className="report-label">{getUserName(row.userId)}</span>
+                    <div className="report-bar-track">
+                      <div className="report-bar on-time" style={{ width: `${(row.onTime / maxPunctuality) * 100}%` }} />
+                      <div className="report-bar late" style={{ width: `${(row.late / maxPunctuality) * 100}%` }} />
+                    </div>
+                    <span className="report-value">{row.onTime} / {row.late}</span>
+                  </div>
+                ))}
+              </div>
+
+              <div className="report-card">
+                <h3>{t('reports.reassignments')}</h3>
+                <p className="report-summary">
+                  {t('reports.reassignmentSummary', {
+                    count: reports.reassignments.reassignedTasks,
+                    tasks: reports.reassignments.tasks,
+                    total: reports.reassignments.total
+                  })}
+                </p>
+                {reports.reassignments.byUser.map(row => (
+                  <div key={row.userId} className="report-row">
+                    <span className="report-label">{getUserName(row.userId)}</span>
+                    {renderBar(row.total, maxReassigned)}
+                    <span className="report-value">{row.total}</span>
+                  </div>
+                ))}
+              </div>
+
+              <div className="report-card">
+                <h3>{t('reports.overdueNow')}</h3>
+                {renderEmpty(reports.overdueByUser)}
+                {reports.overdueByUser.map(row => (
+                  <div key={row.userId} className="report-row">
+                    <span className="report-label">{getUserName(row.userId)}</span>
+                    {renderBar(row.total, maxOverdue, 'late')}
+                    <span className="report-value">{row.total}</span>
+                  </div>
+                ))}
+              </div>
             </div>
-          </div>
-        </div>
+          </>
+        )}
       </div>
     );
   };
 
-  const TaskDetailModal = () => {
-    const [newComment, setNewComment] = useState('');
-    const [isReassigning, setIsReassigning] = useState(false);
-    const [newAssignee, setNewAssignee] = useState('');
-
-    if (!selectedTask) return null;
-
-    const task = tasks.find(t => t.id === selectedTask.id) || selectedTask;
-    const assignee = users.find(u => u.id === task.assignedTo);
-    const creator = users.find(u => u.id === task.createdBy);
-    const isAssignedToMe = task.assignedTo === currentUser.id;
-    const isCreatedByMe = task.createdBy === currentUser.id;
-    const overdueTask = isOverdue(task.dueDate);
-
-    const handleStatusChange = async (newStatus) => {
-      await updateTaskStatus(task.id, newStatus);
-    };
+  // Shown for unknown addresses, views the role can't open and task links
+  // that point to a missing or inaccessible task
+  const ErrorPage = ({ type, subject = 'page' }) => {
+    const forbidden = type === 'forbidden';
+    const reason = forbidden ? 'forbidden' : 'notFound';
+    let title = forbidden ? t('errors.forbiddenTitle') : t('errors.notFoundTitle');
+    if (!forbidden && subject === 'task') title = t('errors.taskNotFoundTitle');
 
-    const handleAddComment = async () => {
-      if (!newComment.trim()) return;
-      await addComment(task.id, newComment.trim());
-      setNewComment('');
-    };
+    return (
+      <div className="section error-page">
+        <div className="error-page-icon">{forbidden ? '🔒' : '🔍'}</div>
+        <h2>{title}</h2>
+        <p>{t(`errors.${subject}.${reason}`)}</p>
+        <button onClick={() => openView('dashboard')} className="btn btn-primary">
+          {t('errors.backToDashboard')}
+        </button>
+      </div>
+    );
+  };
 
-    const handleReassign = async () => {
-      if (!newAssignee) return;
-      await reassignTask(task.id, newAssignee);
-      setIsReassigning(false);
-      setNewAssignee('');
-    };
+  // Rendered as a helper rather than a component so the search inputs keep
+  // focus while typing
+  // Import wizard: upload -> column mapping -> validation preview -> import
+  const renderImportWizard = () => {
+    if (!importDraft) return null;
+    const { step, fileName, headers, rows, mapping } = importDraft;
+    const missingFields = mapping
+      ? IMPORT_FIELDS.filter(field => field.required && mapping[field.id] === '')
+      : [];
+    const checked = step === 'preview'
+      ? validateImportRows(rows, mapping, { t, users: assignableUsers, projects, timeZone, calendar: teamCalendar })
+      : [];
+    const validRows = checked.filter(row => row.errors.length === 0);
+    const close = () => setImportDraft(null);
 
     return (
       <div className="modal-overlay">
-        <div className="modal task-detail-modal">
+        <div className="modal import-wizard">
           <div className="modal-header">
-            <button 
-              onClick={() => setSelectedTask(null)}
-              className="modal-close"
-            >
-              ✕
-            </button>
-            <div className="header-left">
-              <h2>{task.title}</h2>
-              <span className={`status-badge ${getStatusColor(task.status)}`}>
-                {getStatusText(task.status)}
-              </span>
-            </div>
+            <h2>{t('transfer.importTitle')}{fileName ? ` · ${fileName}` : ''}</h2>
+            {step !== 'importing' && (
+              <button onClick={close} className="modal-close">✕</button>
+            )}
           </div>
-          
+
           <div className="modal-content">
-            {/* Task Info */}
-            <div className="task-info">
-              <div className="info-row">
-                <span className="info-label">Descrizione:</span>
-                <p className="info-value">{task.description}</p>
-              </div>
-              
-              <div className="info-row">
-                <span className="info-label">Scadenza:</span>
-                <span className={`info-value ${overdueTask ? 'overdue-text' : ''}`}>
-                  {formatDate(task.dueDate)}
-                  {overdueTask && <span className="overdue-icon">⚠️</span>}
-                </span>
+            {step === 'upload' && (
+              <div className="form-group">
+                <label>{t('transfer.file')}</label>
+                <input
+                  type="file"
+                  accept=".csv,.json,text/csv,application/json"
+                  onChange={(e) => e.target.files[0] && loadImportFile(e.target.files[0])}
+                  className="form-input"
+                />
+                <p className="import-hint">
+                  {t('transfer.hint', { count: MAX_IMPORT_ROWS })}
+                </p>
               </div>
+            )}
 
-              <div className="info-row">
-                <span className="info-label">Assegnato a:</span>
-                <div className="assignee-info">
-                  {assignee && (
-                    <>
-                      <img src={assignee.photoURL} alt={assignee.name} className="assignee-avatar" />
-                      <span>{assignee.name}</span>
-                    </>
-                  )}
-                  {(isCreatedByMe || isAssignedToMe) && (
-                    <button 
-                      onClick={() => setIsReassigning(true)}
-                      className="btn btn-secondary btn-small"
+            {step === 'map' && (
+              <>
+                <p className="import-hint">{t('transfer.rowsRead', { count: rows.length })}</p>
+                {IMPORT_FIELDS.map(field => (
+                  <div key={field.id} className="form-group import-mapping">
+                    <label>{t(`transfer.fields.${field.id}`)}{field.required ? ' *' : ''}</label>
+                    <select
+                      value={mapping[field.id]}
+                      onChange={(e) => setImportDraft({
+                        ...importDraft,
+                        mapping: { ...mapping, [field.id]: e.target.value === '' ? '' : Number(e.target.value) }
+                      })}
+                      className="form-select"
                     >
-                      Riassegna
-                    </button>
-                  )}
+                      <option value="">— {t('transfer.skipColumn')} —</option>
+                      {headers.map((header, index) => (
+                        <option key={index} value={index}>{header || t('transfer.column', { index: index + 1 })}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </>
+            )}
+
+            {step === 'preview' && (
+              <>
+                <p className="import-hint">
+                  {t('transfer.validRows', { count: validRows.length })}
+                  {t('transfer.invalidRows', { count: checked.length - validRows.length })}
+                </p>
+                <div className="import-preview">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>{t('transfer.preview.line')}</th>
+                        <th>{t('transfer.preview.title')}</th>
+                        <th>{t('transfer.preview.assignee')}</th>
+                        <th>{t('transfer.preview.dueDate')}</th>
+                        <th>{t('transfer.preview.result')}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {checked.map(row => (
+                        <tr key={row.line} className={row.errors.length > 0 ? 'import-row-invalid' : ''}>
+                          <td>{row.line}</td>
+                          <td>{row.data.title}</td>
+                          <td>{users.find(u => u.id === row.data.assignedTo)?.name || ''}</td>
+                          <td>{row.data.dueDate ? formatDueDate(row.data) : ''}</td>
+                          <td>{row.errors.length > 0 ? row.errors.join('; ') : '✅'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
                 </div>
-              </div>
+              </>
+            )}
 
-              <div className="info-row">
-                <span className="info-label">Creato da:</span>
-                <span className="info-value">{creator?.name || 'Sconosciuto'}</span>
-              </div>
-            </div>
+            {step === 'importing' && (
+              <p className="import-hint">{t('transfer.importing')} {importDraft.created}/{importDraft.total}</p>
+            )}
 
-            {/* Status Actions */}
-            {isAssignedToMe && (
-              <div className="status-actions">
-                <h3>Azioni</h3>
-                <div className="action-buttons">
-                  {task.status === 'aperto' && (
-                    <button 
-                      onClick={() => handleStatusChange('in_lavorazione')}
-                      className="btn btn-primary"
-                    >
-                      Inizia Lavorazione
-                    </button>
-                  )}
-                  {task.status === 'in_lavorazione' && (
-                    <button 
-                      onClick={() => handleStatusChange('in_revisione')}
-                      className="btn btn-primary"
-                    >
-                      Invia in Revisione
-                    </button>
-                  )}
-                  {task.status === 'in_revisione' && isCreatedByMe && (
-                    <div className="action-buttons">
-                      <button 
-                        onClick={() => handleStatusChange('completato')}
-                        className="btn btn-primary"
-                      >
-                        Approva e Completa
-                      </button>
-                      <button 
-                        onClick={() => handleStatusChange('in_lavorazione')}
-                        className="btn btn-secondary"
-                      >
-                        Rimanda in Lavorazione
-                      </button>
-                    </div>
-                  )}
-                </div>
-              </div>
+            {step === 'done' && (
+              <p className="import-hint">
+                {importDraft.failed
+                  ? t('transfer.interrupted', { created: importDraft.created, total: importDraft.total })
+                  : t('transfer.imported', { count: importDraft.created })}
+              </p>
             )}
 
-            {/* Reassign Form */}
-            {isReassigning && (
-              <div className="reassign-form">
-                <h3>Riassegna Task</h3>
+            <div className="modal-actions">
+              {step === 'map' && (
+                <>
+                  <button onClick={() => setImportDraft({ step: 'upload' })} className="btn btn-secondary">
+                    {t('common.back')}
+                  </button>
+                  <button
+                    onClick={() => setImportDraft({ ...importDraft, step: 'preview' })}
+                    disabled={missingFields.length > 0}
+                    title={missingFields.length > 0
+                      ? t('transfer.unmapped', { fields: missingFields.map(f => t(`transfer.fields.${f.id}`)).join(', ') })
+                      : ''}
+                    className="btn btn-primary"
+                  >
+                    {t('attachments.preview')}
+                  </button>
+                </>
+              )}
+              {step === 'preview' && (
+                <>
+                  <button onClick={() => setImportDraft({ ...importDraft, step: 'map' })} className="btn btn-secondary">
+                    {t('common.back')}
+                  </button>
+                  <button
+                    onClick={() => importTasks(validRows)}
+                    disabled={validRows.length === 0}
+                    className="btn btn-primary"
+                  >
+                    {t('transfer.importRows', { count: validRows.length })}
+                  </button>
+                </>
+              )}
+              {step === 'done' && (
+                <button onClick={close} className="btn btn-primary">{t('common.close')}</button>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const renderAllTasksView = () => {
+    const results = getFilteredTasks();
+    const allStates = workflows.flatMap(w => w.states.map(state => ({ ...state, workflowId: w.id })))
+      .filter((state, index, list) => list.findIndex(s => s.id === state.id) === index);
+    const toggleIn = (list, value) =>
+      list.includes(value) ? list.filter(v => v !== value) : [...list, value];
+    const searchingComments = Boolean(taskQuery.commentText.trim()) &&
+      tasks.some(task => getCommentText(task) === null);
+
+    return (
+      <div className="all-tasks">
+        <div className="section">
+          <div className="section-header">
+            <h2>{t('navigation.all-tasks')}</h2>
+            <span className="results-count">{t('allTasks.results', { count: results.length })}</span>
+            <div className="transfer-actions">
+              {canExportAll && (
+                <select
+                  value={exportScope}
+                  onChange={(e) => setExportScope(e.target.value)}
+                  className="form-select"
+                >
+                  <option value="filtered">{t('allTasks.exportFiltered')}</option>
+                  <option value="all">{t('allTasks.exportAll')}</option>
+                </select>
+              )}
+              <button onClick={() => exportTasks('csv')} disabled={exporting} className="btn btn-secondary btn-small">
+                ⬇️ CSV
+              </button>
+              <button onClick={() => exportTasks('json')} disabled={exporting} className="btn btn-secondary btn-small">
+                ⬇️ JSON
+              </button>
+              {canCreateTask && (
+                <button onClick={() => setImportDraft({ step: 'upload' })} className="btn btn-secondary btn-small">
+                  ⬆️ {t('allTasks.import')}
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="search-filters">
+            <div className="search-box">
+              <input
+                type="text"
+                placeholder={t('allTasks.searchPlaceholder')}
+                value={taskQuery.text}
+                onChange={(e) => setTaskQuery({ ...taskQuery, text: e.target.value })}
+                className="form-input"
+              />
+            </div>
+            <button
+              onClick={() => setShowQueryBuilder(!showQueryBuilder)}
+              className={`btn btn-secondary ${showQueryBuilder ? 'active' : ''}`}
+            >
+              🔎 {t('allTasks.advancedFilters')}
+            </button>
+          </div>
+          {renderTaskFilters()}
+
+          {showQueryBuilder && (
+            <div className="query-builder">
+              <div className="form-row">
                 <div className="form-group">
+                  <label>{t('taskForm.assignedTo')}</label>
                   <select
-                    value={newAssignee}
-                    onChange={(e) => setNewAssignee(e.target.value)}
+                    value={taskQuery.assignee}
+                    onChange={(e) => setTaskQuery({ ...taskQuery, assignee: e.target.value })}
                     className="form-select"
                   >
-                    <option value="">Seleziona nuovo assegnatario</option>
-                    {users.filter(u => u.id !== task.assignedTo).map(user => (
+                    <option value="all">{t('allTasks.anyone')}</option>
+                    {users.map(user => (
                       <option key={user.id} value={user.id}>{user.name}</option>
                     ))}
                   </select>
                 </div>
-                <div className="action-buttons">
-                  <button 
-                    onClick={handleReassign}
-                    className="btn btn-primary"
-                    disabled={!newAssignee}
-                  >
-                    Riassegna
-                  </button>
-                  <button 
-                    onClick={() => setIsReassigning(false)}
-                    className="btn btn-secondary"
+                <div className="form-group">
+                  <label>{t('allTasks.createdBy')}</label>
+                  <select
+                    value={taskQuery.creator}
+                    onChange={(e) => setTaskQuery({ ...taskQuery, creator: e.target.value })}
+                    className="form-select"
                   >
-                    Annulla
-                  </button>
+                    <option value="all">{t('allTasks.anyone')}</option>
+                    {users.map(user => (
+                      <option key={user.id} value={user.id}>{user.name}</option>
+                    ))}
+                  </select>
                 </div>
               </div>
-            )}
 
-            {/* Comments */}
-            <div className="comments-section">
-              <h3>Commenti ({task.comments?.length || 0})</h3>
-              
-              <div className="comments-list">
-                {task.comments?.map(comment => (
-                  <div key={comment.id} className="comment">
-                    <div className="comment-header">
-                      <span className="comment-author">{comment.userName}</span>
-                      <span className="comment-time">{formatDate(comment.timestamp)}</span>
-                    </div>
-                    <p className="comment-text">{comment.text}</p>
-                  </div>
-                ))}
+              <div className="form-group">
+                <label>{t('allTasks.status')}</label>
+                <div className="query-options">
+                  {allStates.map(state => (
+                    <label key={state.id} className="checkbox-label">
+                      <input
+                        type="checkbox"
+                        checked={taskQuery.statuses.includes(state.id)}
+                        onChange={() => setTaskQuery({
+                          ...taskQuery,
+                          statuses: toggleIn(taskQuery.statuses, state.id)
+                        })}
+                      />
+                      {getStatusText(state.id, state.workflowId)}
+                    </label>
+                  ))}
+                </div>
               </div>
 
-              {/* Allow comments only if task is not closed/completed */}
-              {task.status !== 'chiuso' && task.status !== 'completato' && (
-                <div className="add-comment">
-                  <textarea
-                    value={newComment}
-                    onChange={(e) => setNewComment(e.target.value)}
-                    placeholder="Aggiungi un commento..."
-                    className="form-textarea"
-                    rows={3}
+              <div className="form-row">
+                <div className="form-group">
+                  <label>{t('allTasks.dueFrom')}</label>
+                  <input
+                    type="date"
+                    value={taskQuery.dueFrom}
+                    onChange={(e) => setTaskQuery({ ...taskQuery, dueFrom: e.target.value })}
+                    className="form-input"
                   />
-                  <button 
-                    onClick={handleAddComment}
-                    className="btn btn-primary"
-                    disabled={!newComment.trim()}
-                  >
-                    Aggiungi Commento
-                  </button>
                 </div>
-              )}
+                <div className="form-group">
+                  <label>{t('allTasks.dueTo')}</label>
+                  <input
+                    type="date"
+                    value={taskQuery.dueTo}
+                    onChange={(e) => setTaskQuery({ ...taskQuery, dueTo: e.target.value })}
+                    className="form-input"
+                  />
+                </div>
+              </div>
 
-              {/* Show message if task is closed */}
-              {(task.status === 'chiuso' || task.status === 'completato') && (
-                <div className="task-closed-message">
-                  <p>🔒 Task completato - Non è più possibile aggiungere commenti</p>
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={taskQuery.overdueOnly}
+                  onChange={(e) => setTaskQuery({ ...taskQuery, overdueOnly: e.target.checked })}
+                />
+                {t('allTasks.overdueOnly')}
+              </label>
+
+              {labels.length > 0 && (
+                <div className="form-group">
+                  <label>{t('allTasks.labels')}</label>
+                  <div className="query-options">
+                    {labels.map(label => (
+                      <button
+                        key={label.id}
+                        type="button"
+                        onClick={() => setTaskQuery({
+                          ...taskQuery,
+                          labels: toggleIn(taskQuery.labels, label.id)
+                        })}
+                        className={`label-toggle ${taskQuery.labels.includes(label.id) ? 'selected' : ''}`}
+                        style={{ '--label-color': label.color }}
+                      >
+                        {label.name}
+                      </button>
+                    ))}
+                  </div>
                 </div>
               )}
+
+              <div className="form-group">
+                <label>{t('allTasks.commentText')}</label>
+                <input
+                  type="text"
+                  value={taskQuery.commentText}
+                  onChange={(e) => setTaskQuery({ ...taskQuery, commentText: e.target.value })}
+                  className="form-input"
+                />
+              </div>
+
+              <div className="query-actions">
+                <button
+                  onClick={() => setTaskQuery(DEFAULT_TASK_QUERY)}
+                  disabled={isDefaultTaskQuery(taskQuery)}
+                  className="btn btn-secondary"
+                >
+                  {t('allTasks.reset')}
+                </button>
+                <button
+                  onClick={saveCurrentFilter}
+                  disabled={isDefaultTaskQuery(taskQuery)}
+                  className="btn btn-secondary"
+                >
+                  ⭐ {t('filters.save')}
+                </button>
+                <button onClick={copyPageLink} className="btn btn-secondary">
+                  🔗 {t('common.copyLink')}
+                </button>
+              </div>
+
+              {savedFilters.length > 0 && (
+                <ul className="saved-filters">
+                  {savedFilters.map(filter => (
+                    <li key={filter.id}>
+                      <button onClick={() => applySavedFilter(filter)} className="comment-action">
+                        {filter.name}
+                      </button>
+                      <button
+                        onClick={() => deleteSavedFilter(filter)}
+                        className="comment-action"
+                      >
+                        {t('common.delete')}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
             </div>
-          </div>
-        </div>
-      </div>
-    );
-  };
+          )}
 
-  const AllTasksView = () => (
-    <div className="all-tasks">
-      <div className="section">
-        <div className="section-header">
-          <h2>Tutti i Task</h2>
-        </div>
-        
-        <div className="search-filters">
-          <div className="search-box">
-            <input
-              type="text"
-              placeholder="Cerca task..."
-              value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
-              className="form-input"
-            />
-          </div>
-          
-          <select
-            value={filterStatus}
-            onChange={(e) => setFilterStatus(e.target.value)}
-            className="form-select"
-          >
-            <option value="all">Tutti</option>
-            <option value="aperto">Aperti</option>
-            <option value="in_lavorazione">In Lavorazione</option>
-            <option value="in_revisione">In Revisione</option>
-            <option value="completato">Completati</option>
-          </select>
+          {searchingComments && <p className="query-note">{t('allTasks.searchingComments')}</p>}
+          {results.length === 0 ? (
+            <div className="empty-state">
+              <p>{t('allTasks.noResults')}</p>
+            </div>
+          ) : (
+            <div className="task-list">
+              {results.map(task => (
+                <TaskCard key={task.id} task={task} showAssignee compact={isTaskDone(task)} />
+              ))}
+            </div>
+          )}
+          {queryIncludesDone && historyHasMore && (
+            <button onClick={loadMoreHistory} className="btn btn-secondary view-all-btn">
+              {t('allTasks.searchMoreHistory')}
+            </button>
+          )}
         </div>
 
-        <div className="task-list">
-          {getFilteredTasks().map(task => (
-            <TaskCard key={task.id} task={task} showAssignee />
-          ))}
-        </div>
+        {/* Completed history, loaded on demand; a status search already includes it */}
+        {!queryIncludesDone && (
+          <div className="section">
+            <div className="section-header">
+              <h2>{t('allTasks.history')}</h2>
+            </div>
+            {historyLimit === 0 ? (
+              <button onClick={loadMoreHistory} className="btn btn-secondary view-all-btn">
+                {t('allTasks.showHistory')}
+              </button>
+            ) : (
+              <>
+                {historyTasks.length === 0 ? (
+                  <div className="empty-state">
+                    <p>{t('allTasks.noHistory')}</p>
+                  </div>
+                ) : (
+                  <div className="task-list">
+                    {sortTasks(historyTasks.filter(task => matchesTaskFilters(task, taskQuery)), taskQuery.sortBy).map(task => (
+                      <TaskCard key={task.id} task={task} showAssignee compact />
+                    ))}
+                  </div>
+                )}
+                {historyHasMore && (
+                  <button onClick={loadMoreHistory} className="btn btn-secondary view-all-btn">
+                    {t('common.loadMore')}
+                  </button>
+                )}
+              </>
+            )}
+          </div>
+        )}
       </div>
-    </div>
-  );
+    );
+  };
 
   return (
     <div className="app">
@@ -888,37 +6406,38 @@ const TaskManagementApp = () => {
       
       <main className="app-main">
         <div className="main-content">
-          {currentView === 'dashboard' && <DashboardView />}
-          {currentView === 'all-tasks' && <AllTasksView />}
-          {currentView === 'calendar' && (
-            <div className="section">
-              <h2>Vista Calendario</h2>
-              <div className="empty-state">
-                <p>Vista calendario in sviluppo...</p>
-              </div>
-            </div>
-          )}
-          {currentView === 'users' && currentUser.isAdmin && (
-            <div className="section">
-              <h2>Gestione Utenti</h2>
-              <div className="empty-state">
-                <p>Gestione utenti in sviluppo...</p>
-              </div>
-            </div>
+          {taskLinkError ? (
+            <ErrorPage type={taskLinkError} subject="task" />
+          ) : (
+            <>
+              {currentView === 'dashboard' && <DashboardView />}
+              {currentView === 'all-tasks' && renderAllTasksView()}
+              {currentView === 'calendar' && <CalendarView />}
+              {currentView === 'board' && <BoardView />}
+              {currentView === 'users' && (canManageUsers ? <UsersView /> : <ErrorPage type="forbidden" />)}
+              {currentView === 'projects' && (canManageProjects ? <ProjectsView /> : <ErrorPage type="forbidden" />)}
+              {currentView === 'workflows' && (canManageWorkflows ? <WorkflowsView /> : <ErrorPage type="forbidden" />)}
+              {currentView === 'activity' && (canViewActivity ? <ActivityView /> : <ErrorPage type="forbidden" />)}
+              {currentView === 'reports' && (canViewReports ? renderReportsView() : <ErrorPage type="forbidden" />)}
+              {currentView === NOT_FOUND_VIEW && <ErrorPage type="not-found" />}
+            </>
           )}
         </div>
       </main>
 
       <CreateTaskModal />
       <TaskDetailModal />
+      {renderImportWizard()}
       
       {/* Floating Action Button */}
-      <button 
-        onClick={() => setShowCreateTask(true)}
-        className="fab"
-      >
-        ➕
-      </button>
+      {canCreateTask && (
+        <button 
+          onClick={() => setShowCreateTask(true)}
+          className="fab"
+        >
+          ➕
+        </button>
+      )}
     </div>
   );
 };
@@ -0,0 +1,661 @@
+// English texts, same keys as it.js.
+
+export default {
+  common: {
+    language: 'Language',
+    loading: 'Loading...',
+    signOut: 'Sign out',
+    add: 'Add',
+    remove: 'Remove',
+    save: 'Save',
+    saving: 'Saving...',
+    cancel: 'Cancel',
+    edit: 'Edit',
+    delete: 'Delete',
+    back: 'Back',
+    close: 'Close',
+    showMore: 'Show more',
+    loadMore: 'Load more',
+    copyLink: 'Copy link',
+    unknown: 'Unknown',
+    unknownUser: 'unknown user',
+    unassigned: 'Unassigned',
+    timeZone: 'Time zone'
+  },
+  login: {
+    subtitle: 'Team task management',
+    google: 'Sign in with Google',
+    approvalNote: 'Access requires approval by an administrator',
+    loadingProfile: 'Loading profile...',
+    disabledTitle: 'Account disabled',
+    disabledNote: 'Your account is not allowed to sign in. Please contact the administrator.',
+    pendingTitle: 'Awaiting approval',
+    pendingNote: 'Hi {name}, your access request has been sent. You can use TaskFlow as soon as an administrator approves it.'
+  },
+  header: {
+    install: 'Install',
+    installTitle: 'Install TaskFlow'
+  },
+  navigation: {
+    dashboard: 'Dashboard',
+    calendar: 'Calendar',
+    board: 'Board',
+    'all-tasks': 'All Tasks',
+    users: 'Users',
+    projects: 'Projects',
+    workflows: 'Workflows',
+    activity: 'Activity',
+    reports: 'Reports'
+  },
+  priorities: {
+    urgent: 'Urgent',
+    high: 'High',
+    normal: 'Normal',
+    low: 'Low'
+  },
+  sorts: {
+    dueDate: 'Due date',
+    priority: 'Priority',
+    createdAt: 'Newest',
+    title: 'Title'
+  },
+  roles: {
+    admin: 'Administrator',
+    manager: 'Manager',
+    member: 'Member',
+    viewer: 'Viewer'
+  },
+  notifications: {
+    title: 'Notifications',
+    empty: 'No notifications',
+    markRead: 'Mark as read',
+    markAllRead: 'Mark all as read',
+    aTask: 'a task',
+    anotherUser: 'another user',
+    messages: {
+      dueSoon: 'The task "{title}" is due soon',
+      overdue: 'The task "{title}" is overdue',
+      occurrence: 'New occurrence of the recurring task "{title}"',
+      userApproval: 'New user awaiting approval: {email}',
+      assigned: '{name} assigned you the task "{title}"',
+      status: '{name} moved "{title}" to {status}',
+      unblocked: '{name} completed "{title}", which was blocking "{blocked}"',
+      subtaskAssigned: '{name} assigned you the subtask "{title}" of "{parent}"',
+      mention: '{name} mentioned you in "{title}"',
+      comment: '{name} commented on "{title}"',
+      reassignedToYou: '{name} reassigned the task "{title}" to you',
+      reassigned: '{name} reassigned "{title}" to {assignee}',
+      edited: '{name} edited the task "{title}"',
+      deleted: '{name} deleted the task "{title}"',
+      imported: {
+        one: '{name} assigned you 1 task imported from {file}',
+        other: '{name} assigned you {count} tasks imported from {file}'
+      }
+    },
+    push: {
+      title: 'Notifications on this device',
+      unsupported: 'This browser does not support push notifications.',
+      denied: 'Notifications are blocked: turn them back on in the browser settings.',
+      intro: 'Get reminders and assignments even when the app is closed.',
+      enable: 'Turn on push notifications',
+      disable: 'Turn off on this device',
+      enableError: 'Push notifications could not be turned on',
+      topics: {
+        dueSoon: 'Tasks due soon',
+        overdue: 'Overdue tasks',
+        assigned: 'New assignments'
+      }
+    },
+    email: {
+      title: 'Email notifications',
+      sentTo: 'Sent to {email}',
+      saveError: 'Your email preferences could not be saved',
+      kinds: {
+        assigned: 'Tasks assigned to me',
+        review: 'Tasks to review',
+        overdue: 'Overdue tasks',
+        digest: 'Morning summary'
+      }
+    }
+  },
+  sync: {
+    title: 'Offline changes',
+    offline: 'Offline',
+    offlineQueued: 'Offline · {count} queued',
+    conflicts: { one: '1 conflict', other: '{count} conflicts' },
+    syncing: 'Syncing...',
+    connecting: 'Connecting...',
+    synced: 'Synced',
+    allSynced: 'All changes are synced',
+    offlineNote: 'Changes made offline will be sent when the connection is back',
+    queuedAt: 'Queued since {date}',
+    retry: 'Retry',
+    discard: 'Discard',
+    rejected: 'Change rejected: you may have lost access or the task has changed'
+  },
+  outbox: {
+    deleted: 'The task was deleted in the meantime',
+    moved: 'The task was moved to {status} in the meantime',
+    createTask: 'New task "{title}"',
+    addComment: 'Comment on "{title}"'
+  },
+  dashboard: {
+    quickActions: 'Quick Actions',
+    createTask: 'Create New Task',
+    overdue: 'Overdue Tasks ({count})',
+    assignedToMe: 'Assigned to Me ({count})',
+    noneAssigned: 'No tasks assigned',
+    createdByMe: 'Created by Me ({count})',
+    noneCreated: 'No tasks created',
+    viewAll: 'View all ({count})'
+  },
+  taskCard: {
+    blocked: 'Blocked by tasks still open',
+    queued: 'Changes waiting to sync'
+  },
+  filters: {
+    allPriorities: 'All priorities',
+    allProjects: 'All projects',
+    noProject: 'No project',
+    allLabels: 'All labels',
+    sortBy: 'Sort: {sort}',
+    saved: 'Saved filters',
+    save: 'Save filter',
+    namePrompt: 'Filter name:',
+    deleteConfirm: 'Delete the filter "{name}"?',
+    copyLinkPrompt: 'Copy the link:'
+  },
+  labels: {
+    title: 'Labels ({count})',
+    empty: 'Labels show up here once they are used on a task',
+    placeholder: 'Add a label'
+  },
+  taskForm: {
+    title: 'Title',
+    titlePlaceholder: 'Enter the task title',
+    description: 'Description',
+    descriptionPlaceholder: 'Describe the task in detail',
+    assignTo: 'Assign to',
+    assignedTo: 'Assigned to',
+    selectUser: 'Select user',
+    date: 'Date',
+    time: 'Time',
+    allDay: 'All day',
+    repeat: 'Repeat',
+    rule: 'Rule',
+    everyDays: 'Every (days)',
+    everyWeeks: 'Every (weeks)',
+    everyMonths: 'Every (months)',
+    ends: 'Ends',
+    endNever: 'Never',
+    endCount: 'After a number of times',
+    endUntil: 'On a date',
+    occurrences: 'Number of occurrences',
+    lastDate: 'Last date',
+    pickFirstDue: 'Choose the due date of the first occurrence',
+    priority: 'Priority',
+    project: 'Project',
+    noProject: 'No project',
+    labels: 'Labels',
+    workflow: 'Workflow',
+    attachments: 'Attachments',
+    create: 'Create Task',
+    creating: 'Creating...',
+    fillAll: 'Please fill in all the fields'
+  },
+  taskDetail: {
+    editTitle: 'Edit Task',
+    conflict: 'Another user changed the task while you were editing it{fields}.',
+    changed: {
+      title: 'title: "{title}"',
+      description: 'description',
+      dueDate: 'due date: {date}',
+      assignee: 'assignee: {name}',
+      status: 'status: {status}'
+    },
+    reload: 'Reload the latest version',
+    overwrite: 'Overwrite with my changes',
+    saveChanges: 'Save Changes',
+    saveError: 'Saving failed',
+    deleteConfirm: 'Permanently delete the task "{title}"?',
+    description: 'Description:',
+    dueDate: 'Due:',
+    repeat: 'Repeats:',
+    occurrence: 'occurrence {index}',
+    nextOccurrence: 'Next: {date}',
+    lastOccurrence: 'Last occurrence of the series',
+    previousOccurrence: 'Previous occurrence',
+    assignedTo: 'Assigned to:',
+    createdBy: 'Created by:',
+    priority: 'Priority:',
+    project: 'Project:',
+    labels: 'Labels:',
+    reassign: 'Reassign',
+    reassignTitle: 'Reassign Task',
+    selectAssignee: 'Select the new assignee',
+    actions: 'Actions',
+    delete: 'Delete Task',
+    openRequired: {
+      one: 'A required subtask is still open{titles}: the task cannot go to review or be completed.',
+      other: '{count} required subtasks are still open{titles}: the task cannot go to review or be completed.'
+    },
+    blockedBy: {
+      one: 'Blocked by {names}: work can start once it is completed.',
+      other: 'Blocked by {names}: work can start once they are completed.'
+    },
+    queued: 'Waiting for a connection:',
+    queuedComment: 'Comment: {text}',
+    queuedStatus: 'Move to {status}'
+  },
+  comments: {
+    title: 'Comments ({count})',
+    placeholder: 'Add a comment... (use @ to mention someone)',
+    add: 'Add Comment',
+    attach: 'Attach files',
+    reply: 'Reply',
+    replyTo: 'Replying to {name}',
+    edited: '(edited)',
+    deleted: 'Comment deleted',
+    deleteConfirm: 'Delete this comment?',
+    closed: 'Task completed - comments can no longer be added'
+  },
+  attachments: {
+    title: 'Attachments ({count})',
+    add: 'Add attachments',
+    preview: 'Preview',
+    download: 'Download',
+    deleteConfirm: 'Delete the attachment "{name}"?',
+    offline: 'You are offline: attachments can only be uploaded with a connection',
+    tooMany: 'You can attach at most {count} files at a time',
+    errors: {
+      type: 'File type not supported: {name}',
+      size: '{name} is larger than {limit}'
+    }
+  },
+  checklist: {
+    placeholder: 'New checklist item'
+  },
+  subtasks: {
+    title: 'Subtasks',
+    of: 'Subtask of',
+    required: 'Required',
+    requiredTag: 'required',
+    requiredForReview: 'Required before the task goes to review',
+    add: 'Add subtask',
+    titlePlaceholder: 'Subtask title',
+    create: 'Create subtask'
+  },
+  dependencies: {
+    title: 'Dependencies',
+    blockedBy: 'Blocked by',
+    blocks: 'Blocks',
+    add: 'Add dependency',
+    relation: {
+      blockedBy: 'This task is blocked by',
+      blocks: 'This task blocks'
+    },
+    selectTask: 'Select a task',
+    link: 'Link',
+    missing: 'Deleted task',
+    unavailable: 'Inaccessible task',
+    hidden: { one: 'an inaccessible task', other: '{count} inaccessible tasks' },
+    limit: 'A task can have at most {count} blocking tasks',
+    inaccessibleTask: 'inaccessible task',
+    cycle: 'Circular dependency: {tasks}',
+    unverifiable: 'A circular dependency cannot be ruled out: the blockers go through a task you have no access to',
+    noAccess: 'You have no access to the blocking task: ask whoever manages it to remove the block',
+    deletedTask: 'deleted task'
+  },
+  activity: {
+    title: 'Activity ({count})',
+    recent: 'Recent Activity',
+    empty: 'No activity recorded',
+    imported: 'imported the task from {file} and assigned it to {user}',
+    recurrence: 'generated this occurrence of the recurring task, assigned to {user}',
+    created: 'created the task and assigned it to {user}',
+    status: 'moved the task from {from} to {to}',
+    reassigned: 'reassigned the task from {from} to {to}',
+    editedFields: 'edited {fields}',
+    edited: 'edited the task',
+    dueDate: 'moved the due date from {from} to {to}',
+    commentReply: 'replied to a comment',
+    commentAdded: 'added a comment',
+    commentEdited: 'edited a comment',
+    commentDeleted: 'deleted a comment',
+    subtaskAdded: 'added the subtask "{title}"',
+    checklistAdded: 'added "{text}" to the checklist',
+    checklistChecked: 'checked "{text}"',
+    checklistUnchecked: 'unchecked "{text}"',
+    checklistRemoved: 'removed "{text}" from the checklist',
+    dependencyAdded: 'marked the task as blocked by "{title}"',
+    dependencyRemoved: 'removed the block by "{title}"',
+    updated: 'updated the task',
+    fields: {
+      title: 'title',
+      description: 'description',
+      dueDate: 'due date',
+      priority: 'priority',
+      labels: 'labels',
+      projectId: 'project'
+    }
+  },
+  recurrence: {
+    repeat: {
+      none: 'Does not repeat',
+      daily: 'Every day',
+      weekly: 'Every week',
+      monthly_date: 'Every month, same day',
+      monthly_nth: 'Every month, same weekday',
+      custom: 'Custom (RRULE)'
+    },
+    days: {
+      MO: 'Monday',
+      TU: 'Tuesday',
+      WE: 'Wednesday',
+      TH: 'Thursday',
+      FR: 'Friday',
+      SA: 'Saturday',
+      SU: 'Sunday'
+    },
+    shortDays: {
+      MO: 'Mon',
+      TU: 'Tue',
+      WE: 'Wed',
+      TH: 'Thu',
+      FR: 'Fri',
+      SA: 'Sat',
+      SU: 'Sun'
+    },
+    ordinals: {
+      1: 'first',
+      2: 'second',
+      3: 'third',
+      4: 'fourth',
+      5: 'fifth',
+      '-1': 'last'
+    },
+    every: {
+      day: { one: 'Every day', other: 'Every {count} days' },
+      week: { one: 'Every week', other: 'Every {count} weeks' },
+      month: { one: 'Every month', other: 'Every {count} months' },
+      year: { one: 'Every year', other: 'Every {count} years' }
+    },
+    everyWeekday: 'Every weekday',
+    onlyDays: '(only {days})',
+    onDays: 'on {days}',
+    nthWeekday: 'on the {ordinal} {day}',
+    lastDay: 'on the last day',
+    monthDay: 'on day {day}',
+    times: { one: 'once', other: '{count} times' },
+    until: 'until {date}',
+    errors: {
+      empty: 'Enter a repeat rule',
+      noValue: 'Parameter without a value: {key}',
+      unsupported: 'Parameter not supported: {key}',
+      freq: 'FREQ must be {values}',
+      interval: 'INTERVAL must be a number between 1 and 365',
+      countAndUntil: 'Use COUNT or UNTIL, not both',
+      count: 'COUNT must be a positive number',
+      until: 'UNTIL must be a YYYYMMDD date',
+      byDayYearly: 'BYDAY is not supported with FREQ=YEARLY',
+      byDay: 'Invalid BYDAY: {value}',
+      byDayMonthly: 'With FREQ=MONTHLY use a single day with a position, e.g. BYDAY=2TU or BYDAY=-1FR',
+      byDayPosition: 'A position in BYDAY (e.g. 2TU) only works with FREQ=MONTHLY',
+      byMonthDayMonthly: 'BYMONTHDAY only works with FREQ=MONTHLY',
+      byDayAndByMonthDay: 'Use BYDAY or BYMONTHDAY, not both',
+      byMonthDay: 'BYMONTHDAY must be between 1 and 31 (or -1 for the last day)'
+    }
+  },
+  calendar: {
+    title: 'Calendar View',
+    today: 'Today',
+    modes: {
+      month: 'Month',
+      week: 'Week',
+      day: 'Day'
+    }
+  },
+  teamCalendar: {
+    edit: 'Working hours',
+    title: 'Team calendar',
+    note: 'Overdue and due soon only count working time: a task due outside working hours is overdue from the start of the next working period. All-day tasks are due at the end of the working day.',
+    timeZone: 'Team time zone',
+    workingDays: 'Working days',
+    start: 'Start',
+    end: 'End',
+    holidays: 'Holidays',
+    noHolidays: 'No holidays',
+    addHoliday: 'Add holiday',
+    saveError: 'Saving failed',
+    errors: {
+      timeZone: 'Invalid time zone',
+      workingDays: 'Choose at least one working day',
+      workingHours: 'Working hours must end after they start',
+      holidays: 'Invalid holiday dates'
+    }
+  },
+  board: {
+    title: 'Board',
+    allAssignees: 'All assignees',
+    wipLimits: 'WIP limits',
+    noLimit: 'None',
+    empty: 'No tasks',
+    errors: {
+      transition: 'Tasks cannot go from {from} to {to}',
+      forbidden: 'You cannot move this task to {to}',
+      subtasks: 'There are open required subtasks',
+      dependencies: 'The task is blocked by other open tasks',
+      wipLimit: 'WIP limit reached ({limit})'
+    }
+  },
+  users: {
+    pending: 'Awaiting Approval ({count})',
+    nonePending: 'No pending requests',
+    approved: 'Approved Users ({count})',
+    noneApproved: 'No approved users',
+    disabled: 'Disabled Users ({count})',
+    noneDisabled: 'No disabled users',
+    registeredAt: 'Signed up on {date}',
+    rejected: 'Rejected',
+    approve: 'Approve',
+    reject: 'Reject',
+    disable: 'Disable',
+    enable: 'Enable again'
+  },
+  projects: {
+    title: 'Projects ({count})',
+    new: 'New project',
+    empty: 'No projects',
+    name: 'Name',
+    namePlaceholder: 'e.g. Smith account',
+    nameRequired: 'Enter the project name',
+    color: 'Color',
+    workflow: 'Workflow for new tasks',
+    noDescription: 'No description',
+    openTasks: { one: '1 open task', other: '{count} open tasks' },
+    archived: 'Archived',
+    archive: 'Archive',
+    restore: 'Restore'
+  },
+  workflows: {
+    title: 'Workflows ({count})',
+    new: 'New workflow',
+    newName: 'New workflow',
+    default: 'Default',
+    idPlaceholder: 'e.g. double-review',
+    definition: 'Definition',
+    help: 'States: id, label, color ({colors}), category ({categories}). Transitions keyed "from>to", with label and actors ({actors}).',
+    invalidJson: 'Invalid JSON',
+    invalidId: 'Invalid ID (lowercase letters, digits and -)',
+    duplicateId: 'A workflow with this ID already exists',
+    deleteConfirm: 'Delete the workflow "{name}"?',
+    standardReadOnly: 'The standard workflow cannot be changed',
+    saveError: 'Saving failed',
+    inUse: 'The workflow is used by at least one task and cannot be deleted',
+    unknownState: 'Unknown',
+    states: {
+      aperto: 'Open',
+      in_lavorazione: 'In Progress',
+      in_revisione: 'In Review',
+      completato: 'Completed',
+      chiuso: 'Closed'
+    },
+    transitions: {
+      'aperto>in_lavorazione': 'Start Work',
+      'in_lavorazione>in_revisione': 'Send for Review',
+      'in_revisione>completato': 'Approve and Complete',
+      'in_revisione>in_lavorazione': 'Send Back to Work',
+      'completato>chiuso': 'Close Task'
+    },
+    errors: {
+      name: 'The workflow needs a name',
+      states: 'The workflow needs at least one status',
+      duplicateIds: 'Status IDs must be unique',
+      stateId: 'Invalid status ID: "{id}" (lowercase letters, digits and _)',
+      stateLabel: 'The status "{id}" has no label',
+      stateColor: 'Invalid color for "{id}": use {colors}',
+      stateCategory: 'Invalid category for "{id}": use {categories}',
+      initialState: 'The initial status must be an open status of the workflow',
+      tooManyStates: 'All workflows together can have at most {max} distinct "{category}" status IDs: reuse existing IDs',
+      transition: 'Invalid transition: "{key}"',
+      transitionLabel: 'The transition "{key}" has no label',
+      actors: 'Invalid actors for "{key}": use {actors}'
+    }
+  },
+  reports: {
+    title: 'Team reports',
+    empty: 'No data in this period',
+    partial: 'The period has more than {count} events: the data only covers the most recent ones.',
+    completedPerWeek: 'Tasks completed per week',
+    completedCount: '{count} completed',
+    user: 'User',
+    total: 'Total',
+    timeInStatus: 'Average time per status',
+    passes: { one: '1 pass', other: '{count} passes' },
+    punctuality: 'Completed on time / late',
+    reassignments: 'Reassignments',
+    reassignmentSummary: {
+      one: '1 task reassigned out of {tasks} created in the period ({total} reassignments in all)',
+      other: '{count} tasks reassigned out of {tasks} created in the period ({total} reassignments in all)'
+    },
+    overdueNow: 'Tasks overdue now',
+    ranges: {
+      '4w': 'Last 4 weeks',
+      '3m': 'Last 3 months',
+      year: 'This year',
+      custom: 'Custom'
+    },
+    duration: {
+      days: '{days}d {hours}h',
+      hours: '{hours}h {minutes}m',
+      minutes: '{minutes}m'
+    },
+    columns: {
+      report: 'report',
+      user: 'user',
+      key: 'key',
+      value: 'value'
+    }
+  },
+  transfer: {
+    importTitle: 'Import tasks',
+    file: 'CSV or JSON file',
+    hint: 'One row per task, with headers. At least the title, the assignee email and the due date are needed (e.g. 2024-03-31 14:30, or 31/03/2024 for an all-day deadline). Times are in your time zone. At most {count} rows.',
+    rowsRead: { one: '1 row read. Choose the column of each field.', other: '{count} rows read. Choose the column of each field.' },
+    skipColumn: 'Do not import',
+    column: 'Column {index}',
+    unmapped: 'Still to map: {fields}',
+    validRows: { one: '1 valid row, ', other: '{count} valid rows, ' },
+    invalidRows: '{count} with errors (they will not be imported).',
+    preview: {
+      line: 'Row',
+      title: 'Title',
+      assignee: 'Assignee',
+      dueDate: 'Due date',
+      result: 'Result'
+    },
+    importRows: { one: 'Import 1 task', other: 'Import {count} tasks' },
+    importing: 'Importing...',
+    interrupted: 'Import interrupted: {created} of {total} tasks created.',
+    imported: { one: '1 task imported.', other: '{count} tasks imported.' },
+    fileScope: {
+      all: 'all',
+      filtered: 'filtered'
+    },
+    exportError: 'Export failed',
+    emptyFile: 'The file has no rows to import',
+    tooManyRows: 'At most {count} rows can be imported at a time',
+    unreadableFile: 'Unreadable file: use a CSV with headers or a JSON exported from TaskFlow',
+    fields: {
+      title: 'Title',
+      description: 'Description',
+      assignee: 'Assignee email',
+      dueDate: 'Due date',
+      priority: 'Priority',
+      labels: 'Labels',
+      project: 'Project'
+    },
+    columns: {
+      id: 'id',
+      title: 'title',
+      description: 'description',
+      status: 'status',
+      priority: 'priority',
+      labels: 'labels',
+      project: 'project',
+      assignee: 'assignee email',
+      creator: 'created by',
+      dueDate: 'due date',
+      createdAt: 'created at',
+      assignmentHistory: 'assignments',
+      comments: 'comments',
+      history: 'history'
+    },
+    errors: {
+      title: 'Title missing',
+      assignee: 'Assignee email missing',
+      unknownAssignee: 'No active user with the email {email}',
+      dueDate: 'Due date missing',
+      invalidDueDate: 'Invalid due date: {value}',
+      priority: 'Unknown priority: {value}',
+      project: 'Unknown project: {value}'
+    }
+  },
+  allTasks: {
+    results: { one: '1 result', other: '{count} results' },
+    exportFiltered: 'Filtered tasks',
+    exportAll: 'All tasks',
+    import: 'Import',
+    searchPlaceholder: 'Search titles, descriptions and labels...',
+    advancedFilters: 'Advanced filters',
+    anyone: 'Anyone',
+    createdBy: 'Created by',
+    status: 'Status (none = every open status)',
+    dueFrom: 'Due from',
+    dueTo: 'Due until',
+    overdueOnly: 'Overdue tasks only',
+    labels: 'Labels (all of them must be present)',
+    commentText: 'Text in comments',
+    reset: 'Reset',
+    searchingComments: 'Searching comments...',
+    noResults: 'No tasks match the filters',
+    searchMoreHistory: 'Search more completed tasks',
+    history: 'Completed History',
+    showHistory: 'Show completed tasks',
+    noHistory: 'No completed tasks'
+  },
+  errors: {
+    forbiddenTitle: 'Access denied',
+    notFoundTitle: 'Page not found',
+    taskNotFoundTitle: 'Task not found',
+    backToDashboard: 'Back to the Dashboard',
+    page: {
+      forbidden: 'You do not have permission to open this section.',
+      notFound: 'The address does not match any page.'
+    },
+    task: {
+      forbidden: 'The task exists, but you do not have permission to see it.',
+      notFound: 'The task does not exist or has been deleted.'
+    }
+  }
+};
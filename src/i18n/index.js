@@ -0,0 +1,80 @@
+// Translations. The catalogs (it.js, en.js) are nested objects of texts
+// looked up by dotted key, t('dashboard.assignedToMe', { count: 3 }):
+// {name} placeholders take the matching param, and a text written as
+// { one, other } is picked by params.count with the plural rules of the
+// language. Missing texts fall back to Italian, then to the key itself.
+// The language is the `language` on the user's document in `users` (the
+// emails use it too); before sign-in it's the one chosen on this device, or
+// the browser's.
+import it from './it';
+import en from './en';
+
+export const LANGUAGES = [
+  { id: 'it', label: 'Italiano', locale: 'it-IT' },
+  { id: 'en', label: 'English', locale: 'en-GB' }
+];
+
+export const DEFAULT_LANGUAGE = 'it';
+
+const CATALOGS = { it, en };
+
+const STORAGE_KEY = 'taskflow.language';
+
+export const isLanguage = (id) => LANGUAGES.some(language => language.id === id);
+
+export const getLocale = (language) =>
+  (LANGUAGES.find(l => l.id === language) || LANGUAGES.find(l => l.id === DEFAULT_LANGUAGE)).locale;
+
+export const detectLanguage = () => {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if (isLanguage(saved)) return saved;
+  const browser = (navigator.languages || [navigator.language])
+    .map(tag => tag?.slice(0, 2).toLowerCase())
+    .find(isLanguage);
+  return browser || DEFAULT_LANGUAGE;
+};
+
+export const saveLanguage = (language) => localStorage.setItem(STORAGE_KEY, language);
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => node?.[part], catalog);
+
+const isText = (value) => typeof value === 'string' || typeof value?.other === 'string';
+
+export const translate = (language, key, params = {}) => {
+  let text = lookup(CATALOGS[language], key);
+  if (!isText(text)) text = lookup(CATALOGS[DEFAULT_LANGUAGE], key);
+  if (!isText(text)) return key;
+  if (typeof text !== 'string') {
+    text = text[new Intl.PluralRules(getLocale(language)).select(params.count ?? 0)] ?? text.other;
+  }
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match));
+};
+
+// The same text in every language, e.g. to recognise a priority name in an
+// import written by a colleague using another one
+export const translateAll = (key) => [...new Set(LANGUAGES.map(language => translate(language.id, key)))];
+
+// Intl formatters are costly to build and dates are formatted on every render
+const formatters = new Map();
+
+const getFormatter = (locale, options) => {
+  const cacheKey = `${locale}|${JSON.stringify(options)}`;
+  if (!formatters.has(cacheKey)) formatters.set(cacheKey, new Intl.DateTimeFormat(locale, options));
+  return formatters.get(cacheKey);
+};
+
+export const DATE = { day: 'numeric', month: 'numeric', year: 'numeric' };
+export const TIME = { hour: '2-digit', minute: '2-digit' };
+export const DATE_TIME = { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' };
+
+// t() and date formatting for `language`. Dates are shown in `timeZone`,
+// the browser's when omitted, unless the options name another one.
+export const createI18n = (language, timeZone) => {
+  const locale = getLocale(language);
+  return {
+    language,
+    locale,
+    t: (key, params) => translate(language, key, params),
+    formatDate: (date, options = DATE_TIME) => getFormatter(locale, { timeZone, ...options }).format(new Date(date))
+  };
+};
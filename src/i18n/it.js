@@ -0,0 +1,658 @@
+// Italian texts, the reference catalog: en.js has the same keys.
+
+export default {
+  common: {
+    language: 'Lingua',
+    loading: 'Caricamento...',
+    signOut: 'Esci',
+    add: 'Aggiungi',
+    remove: 'Rimuovi',
+    save: 'Salva',
+    saving: 'Salvataggio...',
+    cancel: 'Annulla',
+    edit: 'Modifica',
+    delete: 'Elimina',
+    back: 'Indietro',
+    close: 'Chiudi',
+    showMore: 'Mostra altri',
+    loadMore: 'Carica altri',
+    copyLink: 'Copia link',
+    unknown: 'Sconosciuto',
+    unknownUser: 'utente sconosciuto',
+    unassigned: 'Non assegnato',
+    timeZone: 'Fuso orario'
+  },
+  login: {
+    subtitle: 'Sistema di gestione task aziendali',
+    google: 'Accedi con Google',
+    approvalNote: "L'accesso richiede approvazione dell'amministratore",
+    loadingProfile: 'Caricamento profilo...',
+    disabledTitle: 'Account disabilitato',
+    disabledNote: "Il tuo account non è abilitato all'accesso. Contatta l'amministratore.",
+    pendingTitle: 'In attesa di approvazione',
+    pendingNote: "Ciao {name}, la tua richiesta di accesso è stata inviata. Potrai usare TaskFlow non appena un amministratore l'avrà approvata."
+  },
+  header: {
+    install: 'Installa',
+    installTitle: 'Installa TaskFlow'
+  },
+  navigation: {
+    dashboard: 'Dashboard',
+    calendar: 'Calendario',
+    board: 'Board',
+    'all-tasks': 'Tutti i Task',
+    users: 'Utenti',
+    projects: 'Progetti',
+    workflows: 'Workflow',
+    activity: 'Attività',
+    reports: 'Report'
+  },
+  priorities: {
+    urgent: 'Urgente',
+    high: 'Alta',
+    normal: 'Normale',
+    low: 'Bassa'
+  },
+  sorts: {
+    dueDate: 'Scadenza',
+    priority: 'Priorità',
+    createdAt: 'Più recenti',
+    title: 'Titolo'
+  },
+  roles: {
+    admin: 'Amministratore',
+    manager: 'Manager',
+    member: 'Membro',
+    viewer: 'Osservatore'
+  },
+  notifications: {
+    title: 'Notifiche',
+    empty: 'Nessuna notifica',
+    markRead: 'Segna come letta',
+    markAllRead: 'Segna tutte come lette',
+    aTask: 'un task',
+    anotherUser: 'un altro utente',
+    messages: {
+      dueSoon: 'Il task "{title}" scade a breve',
+      overdue: 'Il task "{title}" è scaduto',
+      occurrence: 'Nuova occorrenza del task ricorrente "{title}"',
+      userApproval: 'Nuovo utente richiede approvazione: {email}',
+      assigned: '{name} ti ha assegnato il task "{title}"',
+      status: '{name} ha spostato "{title}" in {status}',
+      unblocked: '{name} ha completato "{title}", che bloccava "{blocked}"',
+      subtaskAssigned: '{name} ti ha assegnato il sottotask "{title}" di "{parent}"',
+      mention: '{name} ti ha menzionato in "{title}"',
+      comment: '{name} ha commentato "{title}"',
+      reassignedToYou: '{name} ti ha riassegnato il task "{title}"',
+      reassigned: '{name} ha riassegnato "{title}" a {assignee}',
+      edited: '{name} ha modificato il task "{title}"',
+      deleted: '{name} ha eliminato il task "{title}"',
+      imported: {
+        one: '{name} ti ha assegnato 1 task importato da {file}',
+        other: '{name} ti ha assegnato {count} task importati da {file}'
+      }
+    },
+    push: {
+      title: 'Notifiche sul dispositivo',
+      unsupported: 'Questo browser non supporta le notifiche push.',
+      denied: 'Notifiche bloccate: riattivale dalle impostazioni del browser.',
+      intro: 'Ricevi promemoria e assegnazioni anche ad app chiusa.',
+      enable: 'Attiva notifiche push',
+      disable: 'Disattiva su questo dispositivo',
+      enableError: 'Non è stato possibile attivare le notifiche push',
+      topics: {
+        dueSoon: 'Task in scadenza',
+        overdue: 'Task scaduti',
+        assigned: 'Nuove assegnazioni'
+      }
+    },
+    email: {
+      title: 'Notifiche email',
+      sentTo: 'Inviate a {email}',
+      saveError: 'Non è stato possibile salvare le preferenze email',
+      kinds: {
+        assigned: 'Task assegnati a me',
+        review: 'Task da revisionare',
+        overdue: 'Task scaduti',
+        digest: 'Riepilogo del mattino'
+      }
+    }
+  },
+  sync: {
+    title: 'Modifiche offline',
+    offline: 'Offline',
+    offlineQueued: 'Offline · {count} in coda',
+    conflicts: { one: '1 conflitto', other: '{count} conflitti' },
+    syncing: 'Sincronizzazione...',
+    connecting: 'Connessione...',
+    synced: 'Sincronizzato',
+    allSynced: 'Tutte le modifiche sono sincronizzate',
+    offlineNote: 'Le modifiche fatte offline verranno inviate al ritorno della connessione',
+    queuedAt: 'In coda dal {date}',
+    retry: 'Riprova',
+    discard: 'Scarta',
+    rejected: 'Modifica rifiutata: potresti non avere più i permessi o il task è cambiato'
+  },
+  outbox: {
+    deleted: 'Il task è stato eliminato nel frattempo',
+    moved: 'Nel frattempo il task è stato spostato in {status}',
+    createTask: 'Nuovo task "{title}"',
+    addComment: 'Commento su "{title}"'
+  },
+  dashboard: {
+    quickActions: 'Azioni Rapide',
+    createTask: 'Crea Nuovo Task',
+    overdue: 'Task Scaduti ({count})',
+    assignedToMe: 'Assegnati a Me ({count})',
+    noneAssigned: 'Nessun task assegnato',
+    createdByMe: 'Creati da Me ({count})',
+    noneCreated: 'Nessun task creato',
+    viewAll: 'Vedi tutti ({count})'
+  },
+  taskCard: {
+    blocked: 'Bloccato da task ancora aperti',
+    queued: 'Modifiche in attesa di sincronizzazione'
+  },
+  filters: {
+    allPriorities: 'Tutte le priorità',
+    allProjects: 'Tutti i progetti',
+    noProject: 'Senza progetto',
+    allLabels: 'Tutte le etichette',
+    sortBy: 'Ordina: {sort}',
+    saved: 'Filtri salvati',
+    save: 'Salva filtro',
+    namePrompt: 'Nome del filtro:',
+    deleteConfirm: 'Eliminare il filtro "{name}"?',
+    copyLinkPrompt: 'Copia il link:'
+  },
+  labels: {
+    title: 'Etichette ({count})',
+    empty: 'Le etichette compaiono qui quando vengono usate in un task',
+    placeholder: "Aggiungi un'etichetta"
+  },
+  taskForm: {
+    title: 'Titolo',
+    titlePlaceholder: 'Inserisci il titolo del task',
+    description: 'Descrizione',
+    descriptionPlaceholder: 'Descrivi il task in dettaglio',
+    assignTo: 'Assegna a',
+    assignedTo: 'Assegnato a',
+    selectUser: 'Seleziona utente',
+    date: 'Data',
+    time: 'Ora',
+    allDay: 'Tutto il giorno',
+    repeat: 'Ripetizione',
+    rule: 'Regola',
+    everyDays: 'Ogni (giorni)',
+    everyWeeks: 'Ogni (settimane)',
+    everyMonths: 'Ogni (mesi)',
+    ends: 'Termina',
+    endNever: 'Mai',
+    endCount: 'Dopo un numero di volte',
+    endUntil: 'In una data',
+    occurrences: 'Numero di occorrenze',
+    lastDate: 'Ultima data',
+    pickFirstDue: 'Scegli la data di scadenza della prima occorrenza',
+    priority: 'Priorità',
+    project: 'Progetto',
+    noProject: 'Nessun progetto',
+    labels: 'Etichette',
+    workflow: 'Workflow',
+    attachments: 'Allegati',
+    create: 'Crea Task',
+    creating: 'Creazione...',
+    fillAll: 'Compila tutti i campi'
+  },
+  taskDetail: {
+    editTitle: 'Modifica Task',
+    conflict: 'Il task è stato modificato da un altro utente mentre lo stavi modificando{fields}.',
+    changed: {
+      title: 'titolo: "{title}"',
+      description: 'descrizione',
+      dueDate: 'scadenza: {date}',
+      assignee: 'assegnatario: {name}',
+      status: 'stato: {status}'
+    },
+    reload: 'Ricarica versione aggiornata',
+    overwrite: 'Sovrascrivi con le mie modifiche',
+    saveChanges: 'Salva Modifiche',
+    saveError: 'Salvataggio non riuscito',
+    deleteConfirm: 'Eliminare definitivamente il task "{title}"?',
+    description: 'Descrizione:',
+    dueDate: 'Scadenza:',
+    repeat: 'Ripetizione:',
+    occurrence: 'occorrenza {index}',
+    nextOccurrence: 'Prossima: {date}',
+    lastOccurrence: 'Ultima occorrenza della serie',
+    previousOccurrence: 'Occorrenza precedente',
+    assignedTo: 'Assegnato a:',
+    createdBy: 'Creato da:',
+    priority: 'Priorità:',
+    project: 'Progetto:',
+    labels: 'Etichette:',
+    reassign: 'Riassegna',
+    reassignTitle: 'Riassegna Task',
+    selectAssignee: 'Seleziona nuovo assegnatario',
+    actions: 'Azioni',
+    delete: 'Elimina Task',
+    openRequired: {
+      one: "C'è ancora un sottotask obbligatorio aperto{titles}: il task non può andare in revisione né essere completato.",
+      other: 'Ci sono ancora {count} sottotask obbligatori aperti{titles}: il task non può andare in revisione né essere completato.'
+    },
+    blockedBy: {
+      one: 'Bloccato da {names}: la lavorazione può iniziare quando sarà completato.',
+      other: 'Bloccato da {names}: la lavorazione può iniziare quando saranno completati.'
+    },
+    queued: 'In attesa di connessione:',
+    queuedComment: 'Commento: {text}',
+    queuedStatus: 'Passaggio a {status}'
+  },
+  comments: {
+    title: 'Commenti ({count})',
+    placeholder: 'Aggiungi un commento... (usa @ per menzionare)',
+    add: 'Aggiungi Commento',
+    attach: 'Allega file',
+    reply: 'Rispondi',
+    replyTo: 'Rispondi a {name}',
+    edited: '(modificato)',
+    deleted: 'Commento eliminato',
+    deleteConfirm: 'Eliminare questo commento?',
+    closed: 'Task completato - Non è più possibile aggiungere commenti'
+  },
+  attachments: {
+    title: 'Allegati ({count})',
+    add: 'Aggiungi allegati',
+    preview: 'Anteprima',
+    download: 'Scarica',
+    deleteConfirm: 'Eliminare l\'allegato "{name}"?',
+    offline: 'Sei offline: gli allegati si possono caricare solo con la connessione',
+    tooMany: 'Puoi allegare al massimo {count} file alla volta',
+    errors: {
+      type: 'Tipo di file non supportato: {name}',
+      size: '{name} supera il limite di {limit}'
+    }
+  },
+  checklist: {
+    placeholder: 'Nuova voce della checklist'
+  },
+  subtasks: {
+    title: 'Sottotask',
+    of: 'Sottotask di',
+    required: 'Obbligatorio',
+    requiredTag: 'obbligatorio',
+    requiredForReview: 'Obbligatorio per la revisione del task',
+    add: 'Aggiungi sottotask',
+    titlePlaceholder: 'Titolo del sottotask',
+    create: 'Crea sottotask'
+  },
+  dependencies: {
+    title: 'Dipendenze',
+    blockedBy: 'Bloccato da',
+    blocks: 'Blocca',
+    add: 'Aggiungi dipendenza',
+    relation: {
+      blockedBy: 'Questo task è bloccato da',
+      blocks: 'Questo task blocca'
+    },
+    selectTask: 'Seleziona un task',
+    link: 'Collega',
+    missing: 'Task eliminato',
+    unavailable: 'Task non accessibile',
+    hidden: { one: 'un task non accessibile', other: '{count} task non accessibili' },
+    limit: 'Un task può avere al massimo {count} task bloccanti',
+    inaccessibleTask: 'task non accessibile',
+    cycle: 'Dipendenza circolare: {tasks}',
+    unverifiable: 'Impossibile escludere una dipendenza circolare: i blocchi passano da un task a cui non hai accesso',
+    noAccess: 'Non hai accesso al task bloccante: chiedi a chi lo gestisce di rimuovere il blocco',
+    deletedTask: 'task eliminato'
+  },
+  activity: {
+    title: 'Attività ({count})',
+    recent: 'Attività Recenti',
+    empty: 'Nessuna attività registrata',
+    imported: "ha importato il task da {file} e l'ha assegnato a {user}",
+    recurrence: 'ha generato questa occorrenza del task ricorrente, assegnata a {user}',
+    created: "ha creato il task e l'ha assegnato a {user}",
+    status: 'ha spostato il task da {from} a {to}',
+    reassigned: 'ha riassegnato il task da {from} a {to}',
+    editedFields: 'ha modificato {fields}',
+    edited: 'ha modificato il task',
+    dueDate: 'ha spostato la scadenza da {from} a {to}',
+    commentReply: 'ha risposto a un commento',
+    commentAdded: 'ha aggiunto un commento',
+    commentEdited: 'ha modificato un commento',
+    commentDeleted: 'ha eliminato un commento',
+    subtaskAdded: 'ha aggiunto il sottotask "{title}"',
+    checklistAdded: 'ha aggiunto "{text}" alla checklist',
+    checklistChecked: 'ha spuntato "{text}"',
+    checklistUnchecked: 'ha tolto la spunta a "{text}"',
+    checklistRemoved: 'ha rimosso "{text}" dalla checklist',
+    dependencyAdded: 'ha indicato che il task è bloccato da "{title}"',
+    dependencyRemoved: 'ha rimosso il blocco di "{title}"',
+    updated: 'ha aggiornato il task',
+    fields: {
+      title: 'titolo',
+      description: 'descrizione',
+      dueDate: 'scadenza',
+      priority: 'priorità',
+      labels: 'etichette',
+      projectId: 'progetto'
+    }
+  },
+  recurrence: {
+    repeat: {
+      none: 'Non si ripete',
+      daily: 'Ogni giorno',
+      weekly: 'Ogni settimana',
+      monthly_date: 'Ogni mese, stesso giorno',
+      monthly_nth: 'Ogni mese, stesso giorno della settimana',
+      custom: 'Personalizzata (RRULE)'
+    },
+    days: {
+      MO: 'lunedì',
+      TU: 'martedì',
+      WE: 'mercoledì',
+      TH: 'giovedì',
+      FR: 'venerdì',
+      SA: 'sabato',
+      SU: 'domenica'
+    },
+    shortDays: {
+      MO: 'Lun',
+      TU: 'Mar',
+      WE: 'Mer',
+      TH: 'Gio',
+      FR: 'Ven',
+      SA: 'Sab',
+      SU: 'Dom'
+    },
+    ordinals: {
+      1: 'il primo',
+      2: 'il secondo',
+      3: 'il terzo',
+      4: 'il quarto',
+      5: 'il quinto',
+      '-1': "l'ultimo"
+    },
+    every: {
+      day: { one: 'Ogni giorno', other: 'Ogni {count} giorni' },
+      week: { one: 'Ogni settimana', other: 'Ogni {count} settimane' },
+      month: { one: 'Ogni mese', other: 'Ogni {count} mesi' },
+      year: { one: 'Ogni anno', other: 'Ogni {count} anni' }
+    },
+    everyWeekday: 'Ogni giorno feriale',
+    onlyDays: '(solo {days})',
+    onDays: 'il {days}',
+    nthWeekday: '{ordinal} {day}',
+    lastDay: "l'ultimo giorno",
+    monthDay: 'il giorno {day}',
+    times: { one: '{count} volta', other: '{count} volte' },
+    until: 'fino al {date}',
+    errors: {
+      empty: 'Inserisci una regola di ripetizione',
+      noValue: 'Parametro senza valore: {key}',
+      unsupported: 'Parametro non supportato: {key}',
+      freq: 'FREQ deve essere {values}',
+      interval: 'INTERVAL deve essere un numero tra 1 e 365',
+      countAndUntil: 'Usa COUNT oppure UNTIL, non entrambi',
+      count: 'COUNT deve essere un numero positivo',
+      until: 'UNTIL deve essere una data AAAAMMGG',
+      byDayYearly: 'BYDAY non è supportato con FREQ=YEARLY',
+      byDay: 'BYDAY non valido: {value}',
+      byDayMonthly: 'Con FREQ=MONTHLY usa un solo giorno con posizione, es. BYDAY=2TU o BYDAY=-1FR',
+      byDayPosition: 'La posizione in BYDAY (es. 2TU) vale solo con FREQ=MONTHLY',
+      byMonthDayMonthly: 'BYMONTHDAY vale solo con FREQ=MONTHLY',
+      byDayAndByMonthDay: 'Usa BYDAY oppure BYMONTHDAY, non entrambi',
+      byMonthDay: "BYMONTHDAY deve essere tra 1 e 31 (o -1 per l'ultimo giorno)"
+    }
+  },
+  calendar: {
+    title: 'Vista Calendario',
+    today: 'Oggi',
+    modes: {
+      month: 'Mese',
+      week: 'Settimana',
+      day: 'Giorno'
+    }
+  },
+  teamCalendar: {
+    edit: 'Orari di lavoro',
+    title: 'Calendario del team',
+    note: "Scadenze in ritardo e in scadenza contano solo il tempo lavorativo: un task che scade fuori orario è in ritardo dall'inizio del turno successivo. I task di tutto il giorno scadono a fine giornata lavorativa.",
+    timeZone: 'Fuso orario del team',
+    workingDays: 'Giorni lavorativi',
+    start: 'Inizio',
+    end: 'Fine',
+    holidays: 'Festività',
+    noHolidays: 'Nessuna festività',
+    addHoliday: 'Aggiungi festività',
+    saveError: 'Salvataggio non riuscito',
+    errors: {
+      timeZone: 'Fuso orario non valido',
+      workingDays: 'Scegli almeno un giorno lavorativo',
+      workingHours: "L'orario di lavoro deve finire dopo l'inizio",
+      holidays: 'Date delle festività non valide'
+    }
+  },
+  board: {
+    title: 'Board',
+    allAssignees: 'Tutti gli assegnatari',
+    wipLimits: 'Limiti WIP',
+    noLimit: 'Nessuno',
+    empty: 'Nessun task',
+    errors: {
+      transition: 'Da {from} non si passa a {to}',
+      forbidden: 'Non puoi spostare questo task in {to}',
+      subtasks: 'Ci sono sottotask obbligatori aperti',
+      dependencies: 'Il task è bloccato da altri task aperti',
+      wipLimit: 'Limite WIP raggiunto ({limit})'
+    }
+  },
+  users: {
+    pending: 'In Attesa di Approvazione ({count})',
+    nonePending: 'Nessuna richiesta in attesa',
+    approved: 'Utenti Approvati ({count})',
+    noneApproved: 'Nessun utente approvato',
+    disabled: 'Utenti Disabilitati ({count})',
+    noneDisabled: 'Nessun utente disabilitato',
+    registeredAt: 'Registrato il {date}',
+    rejected: 'Rifiutato',
+    approve: 'Approva',
+    reject: 'Rifiuta',
+    disable: 'Disabilita',
+    enable: 'Riabilita'
+  },
+  projects: {
+    title: 'Progetti ({count})',
+    new: 'Nuovo progetto',
+    empty: 'Nessun progetto',
+    name: 'Nome',
+    namePlaceholder: 'es. Cliente Rossi',
+    nameRequired: 'Inserisci il nome del progetto',
+    color: 'Colore',
+    workflow: 'Workflow dei nuovi task',
+    noDescription: 'Nessuna descrizione',
+    openTasks: '{count} task aperti',
+    archived: 'Archiviato',
+    archive: 'Archivia',
+    restore: 'Ripristina'
+  },
+  workflows: {
+    title: 'Workflow ({count})',
+    new: 'Nuovo workflow',
+    newName: 'Nuovo workflow',
+    default: 'Predefinito',
+    idPlaceholder: 'es. doppia-revisione',
+    definition: 'Definizione',
+    help: 'Stati: id, label, color ({colors}), category ({categories}). Transizioni con chiave "da>a", label e actors ({actors}).',
+    invalidJson: 'JSON non valido',
+    invalidId: 'ID non valido (minuscole, numeri e -)',
+    duplicateId: 'Esiste già un workflow con questo ID',
+    deleteConfirm: 'Eliminare il workflow "{name}"?',
+    standardReadOnly: 'Il workflow standard non è modificabile',
+    saveError: 'Salvataggio non riuscito',
+    inUse: 'Il workflow è usato da almeno un task e non può essere eliminato',
+    unknownState: 'Sconosciuto',
+    states: {
+      aperto: 'Aperto',
+      in_lavorazione: 'In Lavorazione',
+      in_revisione: 'In Revisione',
+      completato: 'Completato',
+      chiuso: 'Chiuso'
+    },
+    transitions: {
+      'aperto>in_lavorazione': 'Inizia Lavorazione',
+      'in_lavorazione>in_revisione': 'Invia in Revisione',
+      'in_revisione>completato': 'Approva e Completa',
+      'in_revisione>in_lavorazione': 'Rimanda in Lavorazione',
+      'completato>chiuso': 'Chiudi Task'
+    },
+    errors: {
+      name: 'Il workflow deve avere un nome',
+      states: 'Il workflow deve avere almeno uno stato',
+      duplicateIds: 'Gli ID degli stati devono essere univoci',
+      stateId: 'ID di stato non valido: "{id}" (minuscole, numeri e _)',
+      stateLabel: 'Lo stato "{id}" non ha un\'etichetta',
+      stateColor: 'Colore non valido per "{id}": usa {colors}',
+      stateCategory: 'Categoria non valida per "{id}": usa {categories}',
+      initialState: 'Lo stato iniziale deve essere uno stato aperto del workflow',
+      tooManyStates: 'Tutti i workflow insieme possono avere al massimo {max} ID di stato "{category}" diversi: riusa quelli esistenti',
+      transition: 'Transizione non valida: "{key}"',
+      transitionLabel: 'La transizione "{key}" non ha un\'etichetta',
+      actors: 'Attori non validi per "{key}": usa {actors}'
+    }
+  },
+  reports: {
+    title: 'Report del team',
+    empty: 'Nessun dato nel periodo',
+    partial: 'Il periodo ha più di {count} eventi: i dati riguardano solo i più recenti.',
+    completedPerWeek: 'Task completati per settimana',
+    completedCount: '{count} completati',
+    user: 'Utente',
+    total: 'Totale',
+    timeInStatus: 'Tempo medio per stato',
+    passes: '{count} passaggi',
+    punctuality: 'Completati in tempo / in ritardo',
+    reassignments: 'Riassegnazioni',
+    reassignmentSummary: '{count} task riassegnati su {tasks} creati nel periodo ({total} riassegnazioni in tutto)',
+    overdueNow: 'Task in ritardo ora',
+    ranges: {
+      '4w': 'Ultime 4 settimane',
+      '3m': 'Ultimi 3 mesi',
+      year: "Quest'anno",
+      custom: 'Personalizzato'
+    },
+    duration: {
+      days: '{days}g {hours}h',
+      hours: '{hours}h {minutes}m',
+      minutes: '{minutes}m'
+    },
+    columns: {
+      report: 'report',
+      user: 'utente',
+      key: 'chiave',
+      value: 'valore'
+    }
+  },
+  transfer: {
+    importTitle: 'Importa task',
+    file: 'File CSV o JSON',
+    hint: "Una riga per task, con intestazioni. Servono almeno titolo, email dell'assegnatario e scadenza (es. 2024-03-31 14:30, o 31/03/2024 per una scadenza di tutto il giorno). Gli orari sono nel tuo fuso orario. Massimo {count} righe.",
+    rowsRead: '{count} righe lette. Scegli la colonna di ogni campo.',
+    skipColumn: 'Non importare',
+    column: 'Colonna {index}',
+    unmapped: 'Da associare: {fields}',
+    validRows: { one: '1 riga valida, ', other: '{count} righe valide, ' },
+    invalidRows: '{count} con errori (non verranno importate).',
+    preview: {
+      line: 'Riga',
+      title: 'Titolo',
+      assignee: 'Assegnatario',
+      dueDate: 'Scadenza',
+      result: 'Esito'
+    },
+    importRows: 'Importa {count} task',
+    importing: 'Importazione in corso...',
+    interrupted: 'Importazione interrotta: {created} task creati su {total}.',
+    imported: '{count} task importati.',
+    fileScope: {
+      all: 'tutti',
+      filtered: 'filtrati'
+    },
+    exportError: 'Esportazione non riuscita',
+    emptyFile: 'Il file non contiene righe da importare',
+    tooManyRows: 'Si possono importare al massimo {count} righe per volta',
+    unreadableFile: 'File non leggibile: usa un CSV con intestazioni o un JSON esportato da TaskFlow',
+    fields: {
+      title: 'Titolo',
+      description: 'Descrizione',
+      assignee: 'Email assegnatario',
+      dueDate: 'Scadenza',
+      priority: 'Priorità',
+      labels: 'Etichette',
+      project: 'Progetto'
+    },
+    columns: {
+      id: 'id',
+      title: 'titolo',
+      description: 'descrizione',
+      status: 'stato',
+      priority: 'priorità',
+      labels: 'etichette',
+      project: 'progetto',
+      assignee: 'email assegnatario',
+      creator: 'creato da',
+      dueDate: 'scadenza',
+      createdAt: 'creato il',
+      assignmentHistory: 'assegnazioni',
+      comments: 'commenti',
+      history: 'cronologia'
+    },
+    errors: {
+      title: 'Titolo mancante',
+      assignee: 'Email assegnatario mancante',
+      unknownAssignee: 'Nessun utente attivo con email {email}',
+      dueDate: 'Scadenza mancante',
+      invalidDueDate: 'Scadenza non valida: {value}',
+      priority: 'Priorità sconosciuta: {value}',
+      project: 'Progetto sconosciuto: {value}'
+    }
+  },
+  allTasks: {
+    results: '{count} risultati',
+    exportFiltered: 'Task filtrati',
+    exportAll: 'Tutti i task',
+    import: 'Importa',
+    searchPlaceholder: 'Cerca in titolo, descrizione ed etichette...',
+    advancedFilters: 'Filtri avanzati',
+    anyone: 'Chiunque',
+    createdBy: 'Creato da',
+    status: 'Stato (nessuno = tutti gli stati aperti)',
+    dueFrom: 'Scadenza dal',
+    dueTo: 'Scadenza al',
+    overdueOnly: 'Solo task scaduti',
+    labels: 'Etichette (tutte devono essere presenti)',
+    commentText: 'Testo nei commenti',
+    reset: 'Reimposta',
+    searchingComments: 'Ricerca nei commenti in corso...',
+    noResults: 'Nessun task corrisponde ai filtri',
+    searchMoreHistory: 'Cerca tra altri task completati',
+    history: 'Storico Completati',
+    showHistory: 'Mostra task completati',
+    noHistory: 'Nessun task completato'
+  },
+  errors: {
+    forbiddenTitle: 'Accesso negato',
+    notFoundTitle: 'Pagina non trovata',
+    taskNotFoundTitle: 'Task non trovato',
+    backToDashboard: 'Torna alla Dashboard',
+    page: {
+      forbidden: 'Non hai i permessi per aprire questa sezione.',
+      notFound: "L'indirizzo non corrisponde a nessuna pagina."
+    },
+    task: {
+      forbidden: 'Il task esiste, ma non hai i permessi per vederlo.',
+      notFound: 'Il task non esiste o è stato eliminato.'
+    }
+  }
+};
@@ -0,0 +1,83 @@
+// Service worker: keeps the app shell available offline (the data is in the
+// Firestore cache) and shows the web push notifications sent by the
+// pushNotification Cloud Function. Payload: { title, body, url, tag }.
+// Built into dist/sw.js by vite.config.js, which prepends the files of the
+// build (the shell and its assets) and a version naming the cache: every
+// deploy precaches its own files and drops the previous cache.
+
+const PRECACHE = self.__PRECACHE__;
+const CACHE_NAME = `taskflow-${self.__BUILD_VERSION__}`;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE)));
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Pages: network first, falling back to the cached shell (every route is the
+// same index.html). Built assets have hashed names, so the cached copy of
+// one is always right; the cache only lives as long as its build. Firebase
+// requests are cross-origin and pass through.
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => {
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then(cache => cache.put('/', copy));
+          }
+          return response;
+        })
+        .catch(() => caches.match('/'))
+    );
+    return;
+  }
+
+  if (url.pathname.startsWith('/assets/')) {
+    event.respondWith(
+      caches.match(request).then(cached => cached || fetch(request).then(response => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+        }
+        return response;
+      }))
+    );
+  }
+});
+
+self.addEventListener('push', (event) => {
+  const data = event.data ? event.data.json() : {};
+  event.waitUntil(self.registration.showNotification(data.title || 'TaskFlow', {
+    body: data.body,
+    tag: data.tag,
+    icon: '/icons/icon-192.png',
+    badge: '/icons/icon-192.png',
+    data: { url: data.url || '/' }
+  }));
+});
+
+// Opens the task in an open TaskFlow window if there is one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url || '/';
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+      const open = windows.find(client => new URL(client.url).origin === self.location.origin);
+      if (open) return open.navigate(url).then(client => (client || open).focus());
+      return self.clients.openWindow(url);
+    })
+  );
+});
@@ -0,0 +1,94 @@
+// Append-only activity log. Entries live in tasks/{taskId}/activity and are
+// written in the same batch as the change they describe; firestore.rules
+// accepts the types below and never allows updates or deletes.
+
+export const ACTIVITY_TYPES = [
+  'created',
+  'status',
+  'reassigned',
+  'edited',
+  'due_date',
+  'comment_added',
+  'comment_edited',
+  'comment_deleted',
+  'subtask_added',
+  'checklist',
+  'dependency'
+];
+
+export const ACTIVITY_FEED_LIMIT = 100;
+
+export const ACTIVITY_ICONS = {
+  created: '🆕',
+  status: '🔄',
+  reassigned: '👤',
+  edited: '✏️',
+  due_date: '📅',
+  comment_added: '💬',
+  comment_edited: '💬',
+  comment_deleted: '🗑️',
+  subtask_added: '🧩',
+  checklist: '☑️',
+  dependency: '⛓️'
+};
+
+// Human-readable sentence for an entry, without the actor. `context`
+// supplies the translator `t` and the lookups that depend on app state:
+// getStatusText(status, workflowId), getUserName(id) and formatDate(date).
+// Field names of 'edited' entries are in the catalogs (activity.fields.*).
+export const describeActivity = (entry, context) => {
+  const { t, getStatusText, getUserName, formatDate } = context;
+  switch (entry.type) {
+    case 'created':
+      if (entry.importedFrom) {
+        return t('activity.imported', { file: entry.importedFrom, user: getUserName(entry.to) });
+      }
+      if (entry.recurrenceOf) {
+        return t('activity.recurrence', { user: getUserName(entry.to) });
+      }
+      return t('activity.created', { user: getUserName(entry.to) });
+    case 'status':
+      return t('activity.status', {
+        from: getStatusText(entry.from, entry.workflowId),
+        to: getStatusText(entry.to, entry.workflowId)
+      });
+    case 'reassigned':
+      return t('activity.reassigned', { from: getUserName(entry.from), to: getUserName(entry.to) });
+    case 'edited': {
+      const fields = Object.entries(entry.changes || {}).map(([field, change]) => {
+        const label = t(`activity.fields.${field}`);
+        if (field === 'title') return `${label} ("${change.from}" → "${change.to}")`;
+        if (field === 'dueDate') return `${label} (${formatDate(change.from)} → ${formatDate(change.to)})`;
+        return label;
+      });
+      return fields.length > 0 ? t('activity.editedFields', { fields: fields.join(', ') }) : t('activity.edited');
+    }
+    case 'due_date':
+      return t('activity.dueDate', { from: formatDate(entry.from), to: formatDate(entry.to) });
+    case 'comment_added':
+      return entry.parentId ? t('activity.commentReply') : t('activity.commentAdded');
+    case 'comment_edited':
+      return t('activity.commentEdited');
+    case 'comment_deleted':
+      return t('activity.commentDeleted');
+    case 'subtask_added':
+      return t('activity.subtaskAdded', { title: entry.subtaskTitle });
+    case 'checklist':
+      switch (entry.action) {
+        case 'added':
+          return t('activity.checklistAdded', { text: entry.text });
+        case 'checked':
+          return t('activity.checklistChecked', { text: entry.text });
+        case 'unchecked':
+          return t('activity.checklistUnchecked', { text: entry.text });
+        default:
+          return t('activity.checklistRemoved', { text: entry.text });
+      }
+    case 'dependency':
+      return entry.action === 'added'
+        ? t('activity.dependencyAdded', { title: entry.blockerTitle })
+        : t('activity.dependencyRemoved', { title: entry.blockerTitle });
+    default:
+      return t('activity.updated');
+  }
+};
@@ -0,0 +1,48 @@
+// Attachment limits. Keep in sync with storage.rules and firestore.rules.
+
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024; // 10 MB
+
+export const MAX_ATTACHMENTS_PER_UPLOAD = 5;
+
+export const ALLOWED_ATTACHMENT_TYPES = {
+  'image/png': 'Immagine',
+  'image/jpeg': 'Immagine',
+  'image/gif': 'Immagine',
+  'image/webp': 'Immagine',
+  'application/pdf': 'PDF',
+  'text/plain': 'Testo',
+  'text/csv': 'Foglio di calcolo',
+  'application/vnd.ms-excel': 'Foglio di calcolo',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'Foglio di calcolo',
+  'application/vnd.oasis.opendocument.spreadsheet': 'Foglio di calcolo',
+  'application/msword': 'Documento',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'Documento'
+};
+
+// Value for the file input's `accept` attribute
+export const ATTACHMENT_ACCEPT = Object.keys(ALLOWED_ATTACHMENT_TYPES).join(',');
+
+// Returns an error message, or null when the file can be uploaded
+export const validateAttachment = (file, t) => {
+  if (!ALLOWED_ATTACHMENT_TYPES[file.type]) {
+    return t('attachments.errors.type', { name: file.name });
+  }
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    return t('attachments.errors.size', { name: file.name, limit: formatFileSize(MAX_ATTACHMENT_SIZE) });
+  }
+  return null;
+};
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+export const isImage = (attachment) => attachment.contentType?.startsWith('image/');
+
+export const isPreviewable = (attachment) =>
+  isImage(attachment) || attachment.contentType === 'application/pdf';
+
+// Storage object names can't contain "/"; everything else is kept for downloads
+export const toStorageFileName = (name) => name.replace(/[/\\]/g, '_');
@@ -0,0 +1,32 @@
+// Kanban board. One column per status of the standard workflow; tasks of
+// custom workflows show up in the columns whose status ids they share.
+// Work-in-progress limits are team-wide and live in boards/{BOARD_ID}:
+//   { wipLimits: { [status]: number }, updatedBy, updatedAt }
+// A missing or zero limit means no limit.
+import { getStateLabel, isDoneState, canTransition, transitionKey } from './workflows';
+import { isBlockedBySubtasks } from './subtasks';
+import { isBlockedByDependencies } from './dependencies';
+
+export const BOARD_ID = 'default';
+
+export const BOARD_COLUMNS = ['aperto', 'in_lavorazione', 'in_revisione', 'completato'];
+
+// Done columns only grow, so they never get a limit
+export const hasWipLimit = (workflow, status) => !isDoneState(workflow, status);
+
+export const isOverWipLimit = (count, limit) => Boolean(limit) && count > limit;
+
+// Why `task` can't be dropped on the `toStatus` column, or null when it can.
+// `columnCount` is the number of tasks already in that column; `t` is the
+// translator of src/i18n.
+export const getMoveError = (user, workflow, task, toStatus, columnCount, wipLimit, t) => {
+  const to = getStateLabel(workflow, toStatus, t);
+  if (!workflow.transitions[transitionKey(task.status, toStatus)]) {
+    return t('board.errors.transition', { from: getStateLabel(workflow, task.status, t), to });
+  }
+  if (!canTransition(user, workflow, task, toStatus)) return t('board.errors.forbidden', { to });
+  if (isBlockedBySubtasks(task, workflow, toStatus)) return t('board.errors.subtasks');
+  if (isBlockedByDependencies(task, workflow)) return t('board.errors.dependencies');
+  if (wipLimit && columnCount >= wipLimit) return t('board.errors.wipLimit', { limit: wipLimit });
+  return null;
+};
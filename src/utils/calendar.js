@@ -0,0 +1,48 @@
+// Date helpers for the calendar grids. Weeks start on Monday (it-IT).
+
+export const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+export const addDays = (date, amount) => {
+  const d = new Date(date);
+  d.setDate(d.getDate() + amount);
+  return d;
+};
+
+export const addMonths = (date, amount) => {
+  const d = new Date(date);
+  d.setDate(1);
+  d.setMonth(d.getMonth() + amount);
+  return d;
+};
+
+export const startOfWeek = (date) => {
+  const d = startOfDay(date);
+  const offset = (d.getDay() + 6) % 7; // Monday = 0
+  return addDays(d, -offset);
+};
+
+// Local YYYY-MM-DD key of a grid day, matched against getDueDateKey of the
+// tasks (dueDates.js)
+export const toDateKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+export const getWeekDays = (date) => {
+  const start = startOfWeek(date);
+  return Array.from({ length: 7 }, (_, i) => addDays(start, i));
+};
+
+// Always 6 full weeks so the grid height doesn't jump between months
+export const getMonthGrid = (date) => {
+  const first = new Date(date);
+  first.setDate(1);
+  const start = startOfWeek(first);
+  return Array.from({ length: 42 }, (_, i) => addDays(start, i));
+};
@@ -0,0 +1,66 @@
+// CSV in the RFC 4180 flavour spreadsheets read: comma separated, CRLF line
+// ends, fields quoted when they hold a comma, a quote or a line break. The
+// parser also takes what spreadsheets write back.
+
+// Spreadsheets run cells starting with these as formulas: exported text gets
+// a leading ' so it stays text, and the import drops it again
+const FORMULA_START = /^[=+\-@\t\r]/;
+const GUARDED_FORMULA = /^'(?=[=+\-@\t\r])/;
+
+const escapeCell = (value) => {
+  const raw = value === null || value === undefined ? '' : String(value);
+  const text = FORMULA_START.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// `columns`: [{ key, label }], in output order
+export const toCsv = (rows, columns) => [
+  columns.map(column => escapeCell(column.label)).join(','),
+  ...rows.map(row => columns.map(column => escapeCell(row[column.key])).join(','))
+].join('\r\n');
+
+// Rows of cells. Excel with an Italian locale saves with semicolons, so the
+// separator is whichever of , and ; the header line uses more.
+export const parseCsv = (text) => {
+  const source = text.replace(/^\ufeff/, '');
+  const header = source.split(/\r?\n/, 1)[0];
+  const separator = (header.match(/;/g) || []).length > (header.match(/,/g) || []).length ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows
+    .filter(r => r.some(value => value.trim()))
+    .map(r => r.map(value => value.replace(GUARDED_FORMULA, '')));
+};
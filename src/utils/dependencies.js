@@ -0,0 +1,42 @@
+// Dependencies between tasks. A task lists the tasks it waits for in
+// `blockedBy`; each blocker keeps the tasks it holds up in `blocks`
+// ({ [taskId]: { title, assignedTo } }) so completing it can reach them
+// without being allowed to read them. `openBlockers` counts the blockers
+// not done yet, and firestore.rules checks every change to these fields
+// against the other task of the relation (`dependencyChange`).
+
+export const MAX_BLOCKERS = 20;
+
+// A blocked task can't leave its initial state ("Inizia Lavorazione")
+export const isBlockedByDependencies = (task, workflow) =>
+  (task.openBlockers || 0) > 0 && task.status === workflow.initialState;
+
+// Adding "taskId blocked by blockerId" closes a cycle when the blocker already
+// waits, directly or not, for taskId. `loadBlockedBy(id)` resolves to the
+// blockers of a task ([] when it was deleted), or null when the user can't
+// read it. Resolves to { cycle, unreadableId }: `cycle` lists the ids along
+// the cycle, from taskId back to itself, each one waiting for the next;
+// `unreadableId` is the task the walk couldn't see past, in which case a
+// cycle can't be ruled out. Both are null when the link is safe.
+export const findDependencyCycle = async (taskId, blockerId, loadBlockedBy) => {
+  if (taskId === blockerId) return { cycle: [taskId, taskId], unreadableId: null };
+  const previous = { [blockerId]: null };
+  const queue = [blockerId];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    const blockers = await loadBlockedBy(current);
+    if (blockers === null) return { cycle: null, unreadableId: current };
+    for (const next of blockers) {
+      if (next in previous) continue;
+      previous[next] = current;
+      if (next === taskId) {
+        const path = [];
+        for (let id = next; id !== null; id = previous[id]) path.push(id);
+        return { cycle: [taskId, ...path.reverse()], unreadableId: null };
+      }
+      queue.push(next);
+    }
+  }
+  return { cycle: null, unreadableId: null };
+};
@@ -0,0 +1,238 @@
+// Due dates across time zones and the team calendar.
+// A task's `dueDate` is an instant; `dueTimeZone` is the zone its date and
+// time were entered in, so they mean the same moment for everyone and keep
+// their wall-clock time in recurring series. All-day tasks (`allDay: true`)
+// are due on a date of the team calendar: `dueDate` is midnight of that date
+// in `dueTimeZone` (the team's zone) and the deadline is the end of that
+// working day.
+// The team calendar (the `team` document in `calendars`) has the working
+// days and hours and the holidays. Overdue and due soon count working time
+// only: a deadline on a Saturday turns overdue when work starts on Monday.
+// The reminders and emails use the same rules: the functions are deployed on
+// their own, so `npm --prefix functions run copy-shared` copies this file to
+// functions/src/dueDates.js (also before every deploy). tests/dueDates.test.js
+// fails when the copy is out of date.
+
+export const DEFAULT_TIME_ZONE = 'Europe/Rome';
+
+export const TEAM_CALENDAR_ID = 'team';
+
+// ISO weekdays: 1 = Monday ... 7 = Sunday
+const ALL_DAYS = [1, 2, 3, 4, 5, 6, 7];
+
+// Until the team sets one, every hour of every day is working time
+export const DEFAULT_TEAM_CALENDAR = {
+  timeZone: DEFAULT_TIME_ZONE,
+  workingDays: ALL_DAYS,
+  workingHours: { start: '00:00', end: '24:00' },
+  holidays: []
+};
+
+// Searches for the next working day give up after a year
+const MAX_DAYS = 366;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const getBrowserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || DEFAULT_TIME_ZONE;
+
+export const isTimeZone = (value) => {
+  if (typeof value !== 'string' || !value) return false;
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const getTimeZones = () => Intl.supportedValuesOf?.('timeZone') || [getBrowserTimeZone()];
+
+const partsFormatters = new Map();
+
+// Wall-clock fields of `date` in `timeZone`
+const getZonedParts = (date, timeZone) => {
+  if (!partsFormatters.has(timeZone)) {
+    partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  const parts = Object.fromEntries(partsFormatters.get(timeZone).formatToParts(new Date(date))
+    .map(part => [part.type, part.value]));
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    timeKey: `${parts.hour}:${parts.minute}`,
+    seconds: Number(parts.second)
+  };
+};
+
+// "YYYY-MM-DD" and "HH:MM" of `date` in `timeZone`, as <input> values
+export const toZonedDateKey = (date, timeZone) => getZonedParts(date, timeZone).dateKey;
+export const toZonedTimeKey = (date, timeZone) => getZonedParts(date, timeZone).timeKey;
+
+const wallClockAsUtc = (dateKey, timeKey, seconds = 0) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hours, minutes] = timeKey.split(':').map(Number);
+  return Date.UTC(year, month - 1, day, hours, minutes, seconds);
+};
+
+// The instant a wall clock in `timeZone` shows `dateKey` `timeKey` ("24:00"
+// is the end of the day). Times skipped by a daylight saving change move
+// forward by the gap.
+export const fromZonedTime = (dateKey, timeKey, timeZone) => {
+  const target = wallClockAsUtc(dateKey, timeKey);
+  const offsetAt = (time) => {
+    const parts = getZonedParts(time, timeZone);
+    return wallClockAsUtc(parts.dateKey, parts.timeKey, parts.seconds) - Math.floor(time / 1000) * 1000;
+  };
+  const first = target - offsetAt(target);
+  const second = target - offsetAt(first);
+  return new Date(second === first ? first : Math.max(first, second));
+};
+
+// recurrence.js works on the browser's local dates: these move an instant to
+// the local Date showing the same wall clock as `timeZone`, and back
+export const toWallClock = (date, timeZone) => {
+  const { dateKey, timeKey } = getZonedParts(date, timeZone);
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hours, minutes] = timeKey.split(':').map(Number);
+  return new Date(year, month - 1, day, hours, minutes);
+};
+
+export const fromWallClock = (local, timeZone) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return fromZonedTime(
+    `${local.getFullYear()}-${pad(local.getMonth() + 1)}-${pad(local.getDate())}`,
+    `${pad(local.getHours())}:${pad(local.getMinutes())}`,
+    timeZone
+  );
+};
+
+const isTime = (value) => TIME_PATTERN.test(value);
+
+// Calendar document -> complete calendar; invalid fields get the default
+export const normalizeTeamCalendar = (data = {}) => {
+  const workingDays = Array.isArray(data.workingDays)
+    ? ALL_DAYS.filter(day => data.workingDays.includes(day))
+    : [];
+  const { start, end } = data.workingHours || {};
+  const validHours = isTime(start) && (isTime(end) || end === '24:00') && start < end;
+  return {
+    timeZone: isTimeZone(data.timeZone) ? data.timeZone : DEFAULT_TEAM_CALENDAR.timeZone,
+    workingDays: workingDays.length > 0 ? workingDays : DEFAULT_TEAM_CALENDAR.workingDays,
+    workingHours: validHours ? { start, end } : DEFAULT_TEAM_CALENDAR.workingHours,
+    holidays: Array.isArray(data.holidays) ? [...new Set(data.holidays.filter(day => DATE_PATTERN.test(day)))].sort() : []
+  };
+};
+
+// Error key (teamCalendar.errors.*) of a calendar about to be saved, or null
+export const validateTeamCalendar = (calendar) => {
+  if (!isTimeZone(calendar.timeZone)) return 'timeZone';
+  if (!Array.isArray(calendar.workingDays) || calendar.workingDays.length === 0) return 'workingDays';
+  const { start, end } = calendar.workingHours || {};
+  if (!isTime(start) || !(isTime(end) || end === '24:00') || start >= end) return 'workingHours';
+  if (!calendar.holidays.every(day => DATE_PATTERN.test(day))) return 'holidays';
+  return null;
+};
+
+const nextDateKey = (dateKey) => new Date(Date.parse(`${dateKey}T00:00:00Z`) + 86400000).toISOString().slice(0, 10);
+
+const isoWeekday = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay() || 7;
+
+export const isWorkingDay = (dateKey, calendar) =>
+  calendar.workingDays.includes(isoWeekday(dateKey)) && !calendar.holidays.includes(dateKey);
+
+const workingWindow = (dateKey, calendar) => [
+  fromZonedTime(dateKey, calendar.workingHours.start, calendar.timeZone).getTime(),
+  fromZonedTime(dateKey, calendar.workingHours.end, calendar.timeZone).getTime()
+];
+
+// Working time between two instants, in ms. Counting stops once it's past
+// `limit`.
+export const getWorkingTime = (from, to, calendar, limit = Infinity) => {
+  const fromTime = new Date(from).getTime();
+  const toTime = new Date(to).getTime();
+  const lastKey = toZonedDateKey(toTime, calendar.timeZone);
+  let total = 0;
+  let dateKey = toZonedDateKey(fromTime, calendar.timeZone);
+  for (let i = 0; dateKey <= lastKey && total <= limit && i < MAX_DAYS; i++) {
+    if (isWorkingDay(dateKey, calendar)) {
+      const [start, end] = workingWindow(dateKey, calendar);
+      total += Math.max(0, Math.min(end, toTime) - Math.max(start, fromTime));
+    }
+    dateKey = nextDateKey(dateKey);
+  }
+  return total;
+};
+
+// First working moment at or after `date`, or null if none within a year
+export const getNextWorkingTime = (date, calendar) => {
+  const time = new Date(date).getTime();
+  let dateKey = toZonedDateKey(time, calendar.timeZone);
+  for (let i = 0; i < MAX_DAYS; i++) {
+    if (isWorkingDay(dateKey, calendar)) {
+      const [start, end] = workingWindow(dateKey, calendar);
+      if (end > time) return new Date(Math.max(start, time));
+    }
+    dateKey = nextDateKey(dateKey);
+  }
+  return null;
+};
+
+// Length of a working day, the due soon window
+export const getWorkdayLength = (calendar) =>
+  wallClockAsUtc('2000-01-01', calendar.workingHours.end) - wallClockAsUtc('2000-01-01', calendar.workingHours.start);
+
+// Date of an all-day task in its calendar, or of a timed one in `timeZone`
+export const getDueDateKey = (task, timeZone) =>
+  toZonedDateKey(task.dueDate, task.allDay ? task.dueTimeZone || DEFAULT_TIME_ZONE : timeZone);
+
+// When the task is due: its instant, or the end of the working day for
+// all-day tasks
+export const getDeadline = (task, calendar) => (task.allDay
+  ? fromZonedTime(getDueDateKey(task), calendar.workingHours.end, calendar.timeZone)
+  : new Date(task.dueDate));
+
+// Overdue once working time has passed since the deadline
+export const isTaskOverdue = (task, now, calendar) => {
+  const start = getNextWorkingTime(getDeadline(task, calendar), calendar);
+  return start !== null && start < now;
+};
+
+// Not overdue yet, and at most a working day of work left
+export const isTaskDueSoon = (task, now, calendar) => {
+  if (isTaskOverdue(task, now, calendar)) return false;
+  const window = getWorkdayLength(calendar);
+  return getWorkingTime(now, getDeadline(task, calendar), calendar, window) <= window;
+};
+
+// Task fields for the date and time typed in a form by a user in
+// `timeZone`; `allDay` ignores the time and uses the team's zone
+export const buildDueFields = ({ dueDate, dueTime, allDay }, timeZone, calendar) => (allDay
+  ? { dueDate: fromZonedTime(dueDate, '00:00', calendar.timeZone), allDay: true, dueTimeZone: calendar.timeZone }
+  : { dueDate: fromZonedTime(dueDate, dueTime, timeZone), allDay: false, dueTimeZone: timeZone });
+
+// Form values for editing the due date of `task` in `timeZone`
+export const getDueFormValues = (task, timeZone) => ({
+  dueDate: getDueDateKey(task, timeZone),
+  dueTime: task.allDay ? '' : toZonedTimeKey(task.dueDate, timeZone),
+  allDay: Boolean(task.allDay)
+});
+
+// Task fields after moving it to `dateKey` on the calendar, at `hour` when
+// given, keeping its time of day otherwise. All-day tasks stay all-day.
+export const moveDueFields = (task, dateKey, hour, timeZone) => {
+  if (task.allDay) {
+    return { dueDate: fromZonedTime(dateKey, '00:00', task.dueTimeZone), allDay: true, dueTimeZone: task.dueTimeZone };
+  }
+  const [hours, minutes] = toZonedTimeKey(task.dueDate, timeZone).split(':');
+  const timeKey = `${hour === undefined || hour === null ? hours : String(hour).padStart(2, '0')}:${minutes}`;
+  return { dueDate: fromZonedTime(dateKey, timeKey, timeZone), allDay: false, dueTimeZone: timeZone };
+};
@@ -0,0 +1,8 @@
+// Email notifications, sent by the emailNotification and morningDigest Cloud
+// Functions. A user's document in `users` holds the kinds they turned off,
+// `emailPreferences: { [kind]: false }` (missing means on). The emails come
+// in the user's `language`, the one of the app (see src/i18n).
+
+export const EMAIL_KINDS = ['assigned', 'review', 'overdue', 'digest'];
+
+export const isEmailEnabled = (profile, kind) => profile?.emailPreferences?.[kind] !== false;
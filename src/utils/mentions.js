@@ -0,0 +1,59 @@
+// @mentions in comments. A mention is "@" followed by a user's display name,
+// e.g. "@Mario Rossi"; names are matched case-insensitively against `users`.
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Longest names first so "@Mario Rossi" wins over "@Mario"
+const byNameLength = (users) =>
+  users.filter(u => u.name).sort((a, b) => b.name.length - a.name.length);
+
+const mentionPattern = (users) => {
+  const names = byNameLength(users).map(u => escapeRegExp(u.name));
+  if (names.length === 0) return null;
+  return new RegExp(`@(${names.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+};
+
+export const extractMentions = (text, users) => {
+  const pattern = mentionPattern(users);
+  if (!pattern || !text) return [];
+
+  const ids = new Set();
+  for (const match of text.matchAll(pattern)) {
+    const user = users.find(u => u.name.toLowerCase() === match[1].toLowerCase());
+    if (user) ids.add(user.id);
+  }
+  return [...ids];
+};
+
+// Splits text into plain and mention segments for rendering
+export const splitMentions = (text, users) => {
+  const pattern = mentionPattern(users);
+  if (!pattern || !text) return [{ text: text || '', mention: false }];
+
+  const segments = [];
+  let lastIndex = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, match.index), mention: false });
+    }
+    segments.push({ text: match[0], mention: true });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), mention: false });
+  }
+  return segments;
+};
+
+// The partial name being typed after the last "@", or null when the
+// caret isn't inside a mention
+export const getMentionQuery = (text) => {
+  const match = /(?:^|\s)@([^@\n]{0,30})$/u.exec(text);
+  return match ? match[1] : null;
+};
+
+export const insertMention = (text, user) => {
+  const query = getMentionQuery(text);
+  if (query === null) return text;
+  return `${text.slice(0, text.length - query.length)}${user.name} `;
+};
@@ -0,0 +1,121 @@
+// Writes made while offline. They are kept in localStorage per user, so they
+// survive a reload, and replayed in order once the browser is back online:
+//   { id, type, taskId, payload, base, queuedAt, conflict }
+// `type` is 'createTask' (payload: the create form data), 'addComment'
+// (payload: { text, parentId, commentId }) or 'updateStatus' (payload:
+// { status }). New tasks and comments get their id when queued (`taskId` of
+// a createTask is the task it creates), so a replay can tell whether an
+// earlier one already wrote them.
+// `base` is the task as the user saw it when queueing ({ title } for
+// comments, { title, status, workflowId } for status changes); the status is
+// compared with the task on the server to spot someone else's edits.
+// `conflict` is the reason an entry wasn't replayed; it stays in the outbox
+// until the user retries it (setting `force`) or discards it.
+
+const storageKey = (userId) => `taskflow.outbox.${userId}`;
+
+export const loadOutbox = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(userId))) || [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveOutbox = (userId, entries) => {
+  if (entries.length > 0) {
+    localStorage.setItem(storageKey(userId), JSON.stringify(entries));
+  } else {
+    localStorage.removeItem(storageKey(userId));
+  }
+};
+
+export const createOutboxEntry = (type, taskId, payload, base = null) => ({
+  id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  type,
+  taskId,
+  payload,
+  base,
+  queuedAt: new Date().toISOString(),
+  conflict: null
+});
+
+// Entries still waiting to be replayed
+export const getPendingEntries = (entries) => entries.filter(entry => !entry.conflict);
+
+// Why `entry` collides with `task` as it is now on the server (null when it
+// was deleted), or null when it can be replayed. `context` supplies the
+// translator `t` and getStatusText(status, workflowId).
+export const getOutboxConflict = (entry, task, context) => {
+  const { t, getStatusText } = context;
+  if (entry.type === 'createTask') return null;
+  if (!task) return t('outbox.deleted');
+  if (entry.type === 'updateStatus' && !entry.force &&
+    task.status !== entry.base.status && task.status !== entry.payload.status) {
+    return t('outbox.moved', { status: getStatusText(task.status, task.workflowId) });
+  }
+  return null;
+};
+
+// The server already has what the entry would write: the task or comment
+// of an earlier replay cut short by a reload, or the same status change made
+// from another device. Entries queued before ids were picked have none.
+const isApplied = async (entry, task, handlers) => {
+  if (entry.type === 'createTask') return Boolean(entry.taskId) && task !== null;
+  if (entry.type === 'addComment') {
+    return Boolean(entry.payload.commentId) && handlers.hasComment(entry.taskId, entry.payload.commentId);
+  }
+  return task.status === entry.payload.status;
+};
+
+// Replays the pending entries in queue order. `handlers`:
+//   readTask(taskId)        the task as it is on the server, or null
+//   hasComment(taskId, commentId)  whether the comment is on the server
+//   write(entry, task)      performs the entry (`task` is null for createTask)
+//   settle(entry, conflict) after each entry: null once done, else the
+//                           reason it stays in the outbox
+// A lost connection (`unavailable`) stops the replay and leaves the entry
+// and the ones after it pending. `context` as for getOutboxConflict.
+export const replayEntries = async (entries, handlers, context) => {
+  for (const entry of getPendingEntries(entries)) {
+    let conflict = null;
+    try {
+      const task = entry.taskId ? await handlers.readTask(entry.taskId) : null;
+      conflict = getOutboxConflict(entry, task, context);
+      if (!conflict && !(await isApplied(entry, task, handlers))) {
+        await handlers.write(entry, entry.type === 'createTask' ? null : task);
+      }
+    } catch (error) {
+      if (error.code === 'unavailable') return;
+      console.error('Error replaying queued write:', error);
+      conflict = context.t('sync.rejected');
+    }
+    handlers.settle(entry, conflict);
+  }
+};
+
+// The outbox after replaying `entryId`: dropped when done, kept with the
+// conflict otherwise
+export const settleEntry = (entries, entryId, conflict) => (conflict
+  ? entries.map(entry => (entry.id === entryId ? { ...entry, conflict } : entry))
+  : entries.filter(entry => entry.id !== entryId));
+
+// Retrying applies a status change over the other edit, if the workflow
+// still allows it from the task's current status
+export const retryEntry = (entries, entryId) =>
+  entries.map(entry => (entry.id === entryId ? { ...entry, conflict: null, force: true } : entry));
+
+// One line for the sync panel; `context` as for getOutboxConflict
+export const describeOutboxEntry = (entry, context) => {
+  const { t, getStatusText } = context;
+  switch (entry.type) {
+    case 'createTask':
+      return t('outbox.createTask', { title: entry.payload.title });
+    case 'addComment':
+      return t('outbox.addComment', { title: entry.base.title });
+    case 'updateStatus':
+      return `"${entry.base.title}" → ${getStatusText(entry.payload.status, entry.base.workflowId)}`;
+    default:
+      return entry.type;
+  }
+};
@@ -0,0 +1,124 @@
+// Role-based permissions. Roles are stored in the `role` field of the user's
+// document in `users`; the ADMIN_EMAIL account is always an admin. Role
+// names are in the i18n catalogs (roles.*).
+// Who may move a task between statuses is defined by its workflow (workflows.js).
+// `breakDown` covers checklist items, subtasks (subtasks.js) and dependencies
+// (dependencies.js).
+
+export const ROLES = ['admin', 'manager', 'member', 'viewer'];
+
+export const DEFAULT_ROLE = 'member';
+
+// Each task capability is granted on a scope:
+//   'any'      - every task
+//   'own'      - tasks the user created
+//   'involved' - tasks the user created or is assigned to
+//   'assigned' - tasks assigned to the user
+//   false      - never
+const ROLE_CAPABILITIES = {
+  admin: {
+    createTask: true,
+    viewAllTasks: true,
+    manageUsers: true,
+    manageWorkflows: true,
+    manageProjects: true,
+    manageBoard: true,
+    manageCalendar: true,
+    viewActivity: true,
+    viewReports: true,
+    exportAll: true,
+    comment: 'any',
+    breakDown: 'any',
+    edit: 'any',
+    reassign: 'any',
+    delete: 'any',
+    moderate: 'any'
+  },
+  manager: {
+    createTask: true,
+    viewAllTasks: true,
+    manageUsers: false,
+    manageWorkflows: false,
+    manageProjects: true,
+    manageBoard: true,
+    manageCalendar: true,
+    viewActivity: false,
+    viewReports: true,
+    exportAll: false,
+    comment: 'any',
+    breakDown: 'any',
+    edit: 'any',
+    reassign: 'any',
+    delete: 'own',
+    moderate: false
+  },
+  member: {
+    createTask: true,
+    viewAllTasks: false,
+    manageUsers: false,
+    manageWorkflows: false,
+    manageProjects: false,
+    manageBoard: false,
+    manageCalendar: false,
+    viewActivity: false,
+    viewReports: false,
+    exportAll: false,
+    comment: 'involved',
+    breakDown: 'involved',
+    edit: 'own',
+    reassign: 'involved',
+    delete: 'own',
+    moderate: false
+  },
+  viewer: {
+    createTask: false,
+    viewAllTasks: true,
+    manageUsers: false,
+    manageWorkflows: false,
+    manageProjects: false,
+    manageBoard: false,
+    manageCalendar: false,
+    viewActivity: false,
+    viewReports: false,
+    exportAll: false,
+    comment: false,
+    breakDown: false,
+    edit: false,
+    reassign: false,
+    delete: false,
+    moderate: false
+  }
+};
+
+export const getUserRole = (profile, adminEmail) => {
+  if (profile?.email && profile.email === adminEmail) return 'admin';
+  return ROLES.includes(profile?.role) ? profile.role : DEFAULT_ROLE;
+};
+
+const matchesScope = (scope, user, task) => {
+  switch (scope) {
+    case 'any':
+      return true;
+    case 'own':
+      return task.createdBy === user.id;
+    case 'assigned':
+      return task.assignedTo === user.id;
+    case 'involved':
+      return task.createdBy === user.id || task.assignedTo === user.id;
+    default:
+      return false;
+  }
+};
+
+// can(user, 'createTask') for global capabilities,
+// can(user, 'edit', task) for task-scoped ones
+export const can = (user, capability, task) => {
+  const capabilities = ROLE_CAPABILITIES[user?.role];
+  if (!capabilities) return false;
+
+  const grant = capabilities[capability];
+  if (typeof grant === 'boolean' || grant === undefined) return grant === true;
+  if (!task) return false;
+  return matchesScope(grant, user, task);
+};
+
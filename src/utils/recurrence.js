@@ -0,0 +1,264 @@
+// Recurring tasks. A series is described by an RRULE-style string (RFC 5545
+// subset: FREQ, INTERVAL, BYDAY, BYMONTHDAY, COUNT, UNTIL) stored on every
+// occurrence as `recurrence`:
+//   { rule, seriesId, index, previousTaskId }
+// The first occurrence is the series (seriesId = its own id, index 1); the
+// next ones are created with the id `${seriesId}_${index}` so two clients
+// generating the same occurrence end up on the same document.
+// Texts take the translator `t` of src/i18n; weekday and option names are
+// in the catalogs (recurrence.*).
+
+export const WEEKDAYS = [
+  { code: 'MO', day: 1 },
+  { code: 'TU', day: 2 },
+  { code: 'WE', day: 3 },
+  { code: 'TH', day: 4 },
+  { code: 'FR', day: 5 },
+  { code: 'SA', day: 6 },
+  { code: 'SU', day: 0 }
+];
+
+export const REPEAT_OPTIONS = ['none', 'daily', 'weekly', 'monthly_date', 'monthly_nth', 'custom'];
+
+export const DEFAULT_REPEAT = {
+  repeat: 'none',
+  interval: 1,
+  weekdays: [],
+  custom: '',
+  end: 'never',
+  count: 10,
+  until: ''
+};
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const BYDAY_PATTERN = /^([+-]?\d)?(MO|TU|WE|TH|FR|SA|SU)$/;
+const MAX_SEARCH = 400;
+
+const weekdayByCode = (code) => WEEKDAYS.find(w => w.code === code);
+const weekdayByDay = (day) => WEEKDAYS.find(w => w.day === day);
+
+const toParts = (text) => text
+  .trim()
+  .toUpperCase()
+  .replace(/^RRULE:/, '')
+  .split(';')
+  .filter(Boolean)
+  .map(part => part.split('='));
+
+// Returns an error message, or null when the rule is supported
+export const validateRRule = (text, t) => {
+  if (!text?.trim()) return t('recurrence.errors.empty');
+  const values = {};
+  for (const [key, value] of toParts(text)) {
+    if (!value) return t('recurrence.errors.noValue', { key });
+    if (!['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'COUNT', 'UNTIL'].includes(key)) {
+      return t('recurrence.errors.unsupported', { key });
+    }
+    values[key] = value;
+  }
+
+  if (!FREQUENCIES.includes(values.FREQ)) return t('recurrence.errors.freq', { values: FREQUENCIES.join(', ') });
+  if (values.INTERVAL && !(/^\d+$/.test(values.INTERVAL) && values.INTERVAL >= 1 && values.INTERVAL <= 365)) {
+    return t('recurrence.errors.interval');
+  }
+  if (values.COUNT && values.UNTIL) return t('recurrence.errors.countAndUntil');
+  if (values.COUNT && !(/^\d+$/.test(values.COUNT) && values.COUNT >= 1)) return t('recurrence.errors.count');
+  if (values.UNTIL && !/^\d{8}(T\d{6}Z?)?$/.test(values.UNTIL)) return t('recurrence.errors.until');
+
+  if (values.BYDAY) {
+    const days = values.BYDAY.split(',');
+    if (values.FREQ === 'YEARLY') return t('recurrence.errors.byDayYearly');
+    if (days.some(day => !BYDAY_PATTERN.test(day))) return t('recurrence.errors.byDay', { value: values.BYDAY });
+    const ordinals = days.map(day => day.match(BYDAY_PATTERN)[1]);
+    if (values.FREQ === 'MONTHLY') {
+      const n = Number(ordinals[0]);
+      if (days.length !== 1 || !n || n < -1 || n > 5) {
+        return t('recurrence.errors.byDayMonthly');
+      }
+    } else if (ordinals.some(Boolean)) {
+      return t('recurrence.errors.byDayPosition');
+    }
+  }
+  if (values.BYMONTHDAY) {
+    const day = Number(values.BYMONTHDAY);
+    if (values.FREQ !== 'MONTHLY') return t('recurrence.errors.byMonthDayMonthly');
+    if (values.BYDAY) return t('recurrence.errors.byDayAndByMonthDay');
+    if (!Number.isInteger(day) || day === 0 || day < -31 || day > 31) return t('recurrence.errors.byMonthDay');
+  }
+  return null;
+};
+
+// Assumes a rule that passed validateRRule
+export const parseRRule = (text) => {
+  const values = Object.fromEntries(toParts(text));
+  return {
+    freq: values.FREQ,
+    interval: Number(values.INTERVAL || 1),
+    byDay: (values.BYDAY ? values.BYDAY.split(',') : []).map(entry => {
+      const [, n, code] = entry.match(BYDAY_PATTERN);
+      return { n: n ? Number(n) : null, day: weekdayByCode(code).day };
+    }),
+    byMonthDay: values.BYMONTHDAY ? Number(values.BYMONTHDAY) : null,
+    count: values.COUNT ? Number(values.COUNT) : null,
+    until: values.UNTIL
+      ? `${values.UNTIL.slice(0, 4)}-${values.UNTIL.slice(4, 6)}-${values.UNTIL.slice(6, 8)}`
+      : null
+  };
+};
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+// Monday-based position in the week
+const weekOffset = (day) => (day + 6) % 7;
+
+// Same time of day on another date
+const atDay = (from, year, month, day) =>
+  new Date(year, month, day, from.getHours(), from.getMinutes(), from.getSeconds());
+
+// Day `n` of a month; negative counts from the end. Days past the end of a
+// short month fall on its last day, so "every 31st" still happens in April.
+const resolveMonthDay = (year, month, n) => {
+  const last = daysInMonth(year, month);
+  return n > 0 ? Math.min(n, last) : Math.max(last + 1 + n, 1);
+};
+
+// The nth weekday of a month (-1 = last), or null when that month has no such day
+const nthWeekday = (year, month, weekday, n) => {
+  const last = daysInMonth(year, month);
+  if (n > 0) {
+    const first = (weekday - new Date(year, month, 1).getDay() + 7) % 7 + 1;
+    const day = first + (n - 1) * 7;
+    return day <= last ? day : null;
+  }
+  return last - (new Date(year, month, last).getDay() - weekday + 7) % 7;
+};
+
+const nextByMonths = (rule, current) => {
+  const step = rule.freq === 'YEARLY' ? 12 * rule.interval : rule.interval;
+  for (let k = 1; k <= MAX_SEARCH; k++) {
+    const month = new Date(current.getFullYear(), current.getMonth() + k * step, 1);
+    const year = month.getFullYear();
+    const monthIndex = month.getMonth();
+    if (rule.byDay.length > 0) {
+      const day = nthWeekday(year, monthIndex, rule.byDay[0].day, rule.byDay[0].n);
+      if (day) return atDay(current, year, monthIndex, day);
+    } else {
+      const day = resolveMonthDay(year, monthIndex, rule.byMonthDay ?? current.getDate());
+      return atDay(current, year, monthIndex, day);
+    }
+  }
+  return null;
+};
+
+const nextDate = (rule, current) => {
+  const days = rule.byDay.map(entry => entry.day);
+  switch (rule.freq) {
+    case 'DAILY': {
+      let next = addDays(current, rule.interval);
+      for (let i = 0; days.length > 0 && !days.includes(next.getDay()); i++) {
+        if (i >= MAX_SEARCH) return null;
+        next = addDays(next, rule.interval);
+      }
+      return next;
+    }
+    case 'WEEKLY': {
+      if (days.length === 0) return addDays(current, 7 * rule.interval);
+      const offsets = days.map(weekOffset).sort((a, b) => a - b);
+      const todayOffset = weekOffset(current.getDay());
+      const laterThisWeek = offsets.find(offset => offset > todayOffset);
+      return laterThisWeek !== undefined
+        ? addDays(current, laterThisWeek - todayOffset)
+        : addDays(current, 7 * rule.interval - todayOffset + offsets[0]);
+    }
+    default:
+      return nextByMonths(rule, current);
+  }
+};
+
+// Due date of the occurrence after `current` (the `index`-th of the series),
+// or null once the end condition is reached
+export const getNextOccurrence = (ruleText, current, index) => {
+  const rule = parseRRule(ruleText);
+  if (rule.count && index >= rule.count) return null;
+  const next = nextDate(rule, current);
+  if (!next) return null;
+  if (rule.until && next > new Date(`${rule.until}T23:59:59`)) return null;
+  return next;
+};
+
+const formatUntil = (until) => until.split('-').reverse().join('/');
+
+export const describeRRule = (ruleText, t) => {
+  const rule = parseRRule(ruleText);
+  const every = (unit) => t(`recurrence.every.${unit}`, { count: rule.interval });
+  const dayNames = rule.byDay.map(entry => t(`recurrence.days.${weekdayByDay(entry.day).code}`));
+  let text;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      if (rule.interval === 1 && rule.byDay.length === 5 && rule.byDay.every(entry => entry.day >= 1 && entry.day <= 5)) {
+        text = t('recurrence.everyWeekday');
+      } else {
+        text = every('day') + (dayNames.length > 0 ? ` ${t('recurrence.onlyDays', { days: dayNames.join(', ') })}` : '');
+      }
+      break;
+    case 'WEEKLY':
+      text = every('week') + (dayNames.length > 0 ? ` ${t('recurrence.onDays', { days: dayNames.join(', ') })}` : '');
+      break;
+    case 'MONTHLY':
+      text = every('month');
+      if (rule.byDay.length > 0) {
+        text += ` ${t('recurrence.nthWeekday', { ordinal: t(`recurrence.ordinals.${rule.byDay[0].n}`), day: dayNames[0] })}`;
+      } else if (rule.byMonthDay === -1) {
+        text += ` ${t('recurrence.lastDay')}`;
+      } else if (rule.byMonthDay) {
+        text += ` ${t('recurrence.monthDay', { day: rule.byMonthDay })}`;
+      }
+      break;
+    default:
+      text = every('year');
+  }
+
+  if (rule.count) text += `, ${t('recurrence.times', { count: rule.count })}`;
+  if (rule.until) text += `, ${t('recurrence.until', { date: formatUntil(rule.until) })}`;
+  return text;
+};
+
+// Rule for the repeat options of the create form, anchored on the first due
+// date (`dueDate`, a Date). Returns null for the 'none' option.
+export const buildRRule = (form, dueDate) => {
+  if (form.repeat === 'none') return null;
+  if (form.repeat === 'custom') return form.custom.trim().toUpperCase().replace(/^RRULE:/, '');
+
+  const interval = Math.max(1, Number(form.interval) || 1);
+  const parts = [];
+  switch (form.repeat) {
+    case 'daily':
+      parts.push('FREQ=DAILY');
+      break;
+    case 'weekly': {
+      const days = form.weekdays.length > 0 ? form.weekdays : [dueDate.getDay()];
+      const codes = WEEKDAYS.filter(w => days.includes(w.day)).map(w => w.code);
+      parts.push('FREQ=WEEKLY', `BYDAY=${codes.join(',')}`);
+      break;
+    }
+    case 'monthly_date':
+      parts.push('FREQ=MONTHLY', `BYMONTHDAY=${dueDate.getDate()}`);
+      break;
+    default: {
+      // The fifth weekday of a month is always its last one
+      const n = Math.ceil(dueDate.getDate() / 7);
+      parts.push('FREQ=MONTHLY', `BYDAY=${n === 5 ? -1 : n}${weekdayByDay(dueDate.getDay()).code}`);
+    }
+  }
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+  if (form.end === 'count') parts.push(`COUNT=${Math.max(1, Number(form.count) || 1)}`);
+  if (form.end === 'until' && form.until) parts.push(`UNTIL=${form.until.replace(/-/g, '')}`);
+  return parts.join(';');
+};
@@ -0,0 +1,166 @@
+// Team reports, computed in the browser from the activity log of a date
+// range plus the tasks it mentions. Time in a status is measured between
+// consecutive 'created'/'status' entries of the same task, so a period that
+// started before the range is left out of the averages.
+import { addDays, startOfWeek, toDateKey } from './calendar';
+import { isTaskOverdue } from './dueDates';
+
+// Named in the i18n catalogs (reports.ranges.*)
+export const REPORT_RANGES = ['4w', '3m', 'year', 'custom'];
+
+export const DEFAULT_REPORT_RANGE = '4w';
+
+// Entries fetched per range; past this the report says it's partial
+export const REPORT_ACTIVITY_LIMIT = 5000;
+
+// { from, to } date keys of a preset range ending today
+export const getReportRange = (rangeId, today = new Date()) => {
+  let from;
+  if (rangeId === '3m') {
+    from = new Date(today);
+    from.setMonth(from.getMonth() - 3);
+  } else if (rangeId === 'year') {
+    from = new Date(today.getFullYear(), 0, 1);
+  } else {
+    from = addDays(today, -27);
+  }
+  return { from: toDateKey(from), to: toDateKey(today) };
+};
+
+// Monday keys of the weeks touching the range
+export const getWeeks = (from, to) => {
+  const weeks = [];
+  for (let week = startOfWeek(from); week <= to; week = addDays(week, 7)) {
+    weeks.push(toDateKey(week));
+  }
+  return weeks;
+};
+
+const countBy = (map, key, field, amount = 1) => {
+  map[key] = map[key] || {};
+  map[key][field] = (map[key][field] || 0) + amount;
+};
+
+const sortByTotal = (list) => list.sort((a, b) => b.total - a.total);
+
+// `activity`: entries of the range; `tasks`: every task known (open ones
+// plus those completed in the range); `calendar`: the team calendar, late
+// meaning overdue by it (dueDates.js); `isDone(workflowId, status)`.
+export const buildReports = ({ activity, tasks, from, to, now = new Date(), calendar, isDone }) => {
+  const taskById = Object.fromEntries(tasks.map(task => [task.id, task]));
+  const entries = [...activity].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  const completed = {}; // userId -> { [week]: count }
+  const punctuality = {}; // userId -> { onTime, late }
+  const durations = {}; // workflowId:status -> { total, count }
+  const lastChange = {}; // taskId -> Date of its previous status change
+
+  entries.forEach(entry => {
+    const at = new Date(entry.createdAt);
+    if (entry.type === 'created') {
+      lastChange[entry.taskId] = at;
+      return;
+    }
+    if (entry.type !== 'status') return;
+
+    const workflowId = entry.workflowId || 'standard';
+    if (lastChange[entry.taskId]) {
+      countBy(durations, `${workflowId}:${entry.from}`, 'total', at - lastChange[entry.taskId]);
+      countBy(durations, `${workflowId}:${entry.from}`, 'count');
+    }
+    lastChange[entry.taskId] = at;
+
+    // Moves between done states (completato -> chiuso) aren't completions
+    const task = taskById[entry.taskId];
+    if (!task || !isDone(workflowId, entry.to) || isDone(workflowId, entry.from)) return;
+    countBy(completed, task.assignedTo, toDateKey(startOfWeek(at)));
+    countBy(punctuality, task.assignedTo, isTaskOverdue(task, at, calendar) ? 'late' : 'onTime');
+  });
+
+  // Reassignments of the tasks created in the range
+  const created = tasks.filter(task => {
+    const createdAt = new Date(task.createdAt);
+    return createdAt >= from && createdAt <= to;
+  });
+  const reassignedAway = {};
+  created.forEach(task => {
+    (task.assignmentHistory || []).slice(0, -1).forEach(userId => countBy(reassignedAway, userId, 'total'));
+  });
+
+  const overdue = {};
+  tasks
+    .filter(task => !isDone(task.workflowId || 'standard', task.status) && isTaskOverdue(task, now, calendar))
+    .forEach(task => countBy(overdue, task.assignedTo, 'total'));
+
+  return {
+    weeks: getWeeks(from, to),
+    completedByUser: sortByTotal(Object.entries(completed).map(([userId, byWeek]) => ({
+      userId,
+      byWeek,
+      total: Object.values(byWeek).reduce((sum, count) => sum + count, 0)
+    }))),
+    timeInStatus: Object.entries(durations).map(([key, { total, count }]) => {
+      const [workflowId, status] = key.split(':');
+      return { workflowId, status, averageMs: total / count, count };
+    }),
+    punctuality: sortByTotal(Object.entries(punctuality).map(([userId, { onTime = 0, late = 0 }]) => ({
+      userId,
+      onTime,
+      late,
+      total: onTime + late
+    }))),
+    reassignments: {
+      tasks: created.length,
+      reassignedTasks: created.filter(task => (task.assignmentHistory || []).length > 1).length,
+      total: created.reduce((sum, task) => sum + Math.max((task.assignmentHistory || []).length - 1, 0), 0),
+      byUser: sortByTotal(Object.entries(reassignedAway).map(([userId, { total }]) => ({ userId, total })))
+    },
+    overdueByUser: sortByTotal(Object.entries(overdue).map(([userId, { total }]) => ({ userId, total })))
+  };
+};
+
+// "3g 4h", "5h 20m" or "12m" (in Italian); `t` is the translator of src/i18n
+export const formatDuration = (ms, t) => {
+  const minutes = Math.round(ms / 60000);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days > 0) return t('reports.duration.days', { days, hours });
+  if (hours > 0) return t('reports.duration.hours', { hours, minutes: minutes % 60 });
+  return t('reports.duration.minutes', { minutes });
+};
+
+// One row per figure, for the CSV export. `context` supplies
+// getUserName(id) and getStatusText(status, workflowId).
+export const flattenReports = (reports, context) => {
+  const { getUserName, getStatusText } = context;
+  return [
+    ...reports.completedByUser.flatMap(row => reports.weeks.map(week => ({
+      report: 'completati_per_settimana',
+      user: getUserName(row.userId),
+      key: week,
+      value: row.byWeek[week] || 0
+    }))),
+    ...reports.timeInStatus.map(row => ({
+      report: 'ore_medie_per_stato',
+      user: '',
+      key: getStatusText(row.status, row.workflowId),
+      value: (row.averageMs / 3600000).toFixed(1)
+    })),
+    ...reports.punctuality.flatMap(row => [
+      { report: 'completati_in_tempo', user: getUserName(row.userId), key: '', value: row.onTime },
+      { report: 'completati_in_ritardo', user: getUserName(row.userId), key: '', value: row.late }
+    ]),
+    ...reports.reassignments.byUser.map(row => ({
+      report: 'riassegnati_ad_altri',
+      user: getUserName(row.userId),
+      key: '',
+      value: row.total
+    })),
+    ...reports.overdueByUser.map(row => ({
+      report: 'in_ritardo_ora',
+      user: getUserName(row.userId),
+      key: '',
+      value: row.total
+    }))
+  ];
+};
@@ -0,0 +1,42 @@
+// URL routing on top of the History API. A route is { view, taskId }:
+// `view` is the page in the background and `taskId` the task open in the
+// detail modal. /tasks/:id opened from a link has no page behind it, so the
+// view travels in history.state when the app pushes the URL itself.
+
+export const VIEW_PATHS = {
+  dashboard: '/',
+  calendar: '/calendar',
+  board: '/board',
+  'all-tasks': '/tasks',
+  users: '/users',
+  projects: '/projects',
+  workflows: '/workflows',
+  activity: '/activity',
+  reports: '/reports'
+};
+
+export const NOT_FOUND_VIEW = 'not-found';
+
+const TASK_PATH = /^\/tasks\/([^/]+)$/;
+
+export const parseRoute = (pathname, state) => {
+  const path = pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+
+  const taskMatch = path.match(TASK_PATH);
+  if (taskMatch) {
+    const view = VIEW_PATHS[state?.view] ? state.view : 'dashboard';
+    try {
+      return { view, taskId: decodeURIComponent(taskMatch[1]) };
+    } catch {
+      return { view: NOT_FOUND_VIEW, taskId: null };
+    }
+  }
+
+  const view = Object.keys(VIEW_PATHS).find(id => VIEW_PATHS[id] === path);
+  return { view: view || NOT_FOUND_VIEW, taskId: null };
+};
+
+export const buildPath = (route) => {
+  if (route.taskId) return `/tasks/${encodeURIComponent(route.taskId)}`;
+  return VIEW_PATHS[route.view] || '/';
+};
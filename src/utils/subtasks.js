@@ -0,0 +1,48 @@
+// Checklists and subtasks. Checklist items are an array on the task; subtasks
+// are regular tasks with `parentId` (one level deep) and a `required` flag.
+// The parent keeps counters so lists can show progress without loading its
+// subtasks, and firestore.rules checks every counter change against the
+// subtask that caused it (`subtaskChange`):
+//   subtaskCount          - subtasks created under the task
+//   subtasksDone          - of those, in a done state
+//   openRequiredSubtasks  - required ones not done yet
+
+import { isDoneState } from './workflows';
+
+export const MAX_CHECKLIST_ITEMS = 50;
+
+// Parents can't go to review, or be completed, while required subtasks are open
+export const REVIEW_STATES = ['in_revisione'];
+
+export const isGatedBySubtasks = (workflow, toStatus) =>
+  REVIEW_STATES.includes(toStatus) || isDoneState(workflow, toStatus);
+
+export const isBlockedBySubtasks = (task, workflow, toStatus) =>
+  (task.openRequiredSubtasks || 0) > 0 && isGatedBySubtasks(workflow, toStatus);
+
+// Checklist items and subtasks together, for the card badge
+export const getProgress = (task) => {
+  const checklist = task.checklist || [];
+  return {
+    done: checklist.filter(item => item.done).length + (task.subtasksDone || 0),
+    total: checklist.length + (task.subtaskCount || 0)
+  };
+};
+
+// Counter changes on the parent when a subtask moves between open and done
+// (wasDone/isDone), or is deleted (isDone = null)
+export const getSubtaskCounterDelta = (subtask, wasDone, isDone) => {
+  if (isDone === null) {
+    return {
+      subtaskCount: -1,
+      subtasksDone: wasDone ? -1 : 0,
+      openRequiredSubtasks: subtask.required && !wasDone ? -1 : 0
+    };
+  }
+  const done = (isDone ? 1 : 0) - (wasDone ? 1 : 0);
+  return {
+    subtaskCount: 0,
+    subtasksDone: done,
+    openRequiredSubtasks: subtask.required ? -done : 0
+  };
+};
@@ -0,0 +1,61 @@
+// Priority, labels and sorting for tasks. Labels are stored on the task as
+// display names; their colors live in the `labels` collection, keyed by
+// toLabelId(name). Projects are documents in `projects`. Priority and sort
+// names are in the i18n catalogs (priorities.*, sorts.*).
+
+export const PRIORITIES = [
+  { id: 'urgent', rank: 0 },
+  { id: 'high', rank: 1 },
+  { id: 'normal', rank: 2 },
+  { id: 'low', rank: 3 }
+];
+
+export const DEFAULT_PRIORITY = 'normal';
+
+export const getPriority = (priorityId) =>
+  PRIORITIES.find(p => p.id === priorityId) || PRIORITIES.find(p => p.id === DEFAULT_PRIORITY);
+
+export const LABEL_COLORS = ['#ef4444', '#f59e0b', '#10b981', '#3b82f6', '#8b5cf6', '#ec4899', '#64748b'];
+
+export const MAX_LABELS_PER_TASK = 10;
+
+export const toLabelId = (name) => name
+  .trim()
+  .toLowerCase()
+  .replace(/\s+/g, '-')
+  .replace(/[^\p{L}\p{N}-]/gu, '')
+  .slice(0, 40);
+
+// Labels without a stored color still get a stable one from their name
+export const getLabelColor = (labels, name) => {
+  const id = toLabelId(name);
+  const stored = labels.find(l => l.id === id);
+  if (stored) return stored.color;
+  const hash = [...id].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+  return LABEL_COLORS[hash % LABEL_COLORS.length];
+};
+
+// Adds a label name unless an equivalent one is already there
+export const addLabel = (current, name) => {
+  const trimmed = name.trim();
+  if (!toLabelId(trimmed) || current.some(l => toLabelId(l) === toLabelId(trimmed))) return current;
+  if (current.length >= MAX_LABELS_PER_TASK) return current;
+  return [...current, trimmed];
+};
+
+export const TASK_SORTS = ['dueDate', 'priority', 'createdAt', 'title'];
+
+const byDueDate = (a, b) => new Date(a.dueDate) - new Date(b.dueDate);
+
+export const sortTasks = (tasks, sortBy) => [...tasks].sort((a, b) => {
+  switch (sortBy) {
+    case 'priority':
+      return getPriority(a.priority).rank - getPriority(b.priority).rank || byDueDate(a, b);
+    case 'createdAt':
+      return new Date(b.createdAt || 0) - new Date(a.createdAt || 0);
+    case 'title':
+      return a.title.localeCompare(b.title, 'it');
+    default:
+      return byDueDate(a, b);
+  }
+});
@@ -0,0 +1,117 @@
+// Task search. A query is a plain object that round-trips through the URL
+// (?q=...&assignee=...) so filters can be shared and saved by name.
+import { DEFAULT_PRIORITY, toLabelId } from './taskFields';
+
+export const DEFAULT_TASK_QUERY = {
+  text: '',
+  assignee: 'all',
+  creator: 'all',
+  statuses: [], // empty = every open status
+  dueFrom: '',
+  dueTo: '',
+  overdueOnly: false,
+  labels: [], // label ids, all of them must match
+  commentText: '',
+  priority: 'all',
+  projectId: 'all',
+  sortBy: 'dueDate'
+};
+
+// Query field -> URL parameter
+const PARAMS = {
+  text: 'q',
+  assignee: 'assignee',
+  creator: 'creator',
+  statuses: 'status',
+  dueFrom: 'from',
+  dueTo: 'to',
+  overdueOnly: 'overdue',
+  labels: 'labels',
+  commentText: 'comment',
+  priority: 'priority',
+  projectId: 'project',
+  sortBy: 'sort'
+};
+
+// Only the fields that differ from the default end up in the URL
+export const encodeTaskQuery = (query) => {
+  const params = new URLSearchParams();
+  Object.entries(PARAMS).forEach(([field, param]) => {
+    const value = query[field];
+    if (Array.isArray(value)) {
+      if (value.length > 0) params.set(param, value.join(','));
+    } else if (typeof value === 'boolean') {
+      if (value) params.set(param, '1');
+    } else if (value !== DEFAULT_TASK_QUERY[field]) {
+      params.set(param, value);
+    }
+  });
+  return params.toString();
+};
+
+export const decodeTaskQuery = (search) => {
+  const params = new URLSearchParams(search);
+  const query = { ...DEFAULT_TASK_QUERY };
+  Object.entries(PARAMS).forEach(([field, param]) => {
+    if (!params.has(param)) return;
+    const value = params.get(param);
+    if (Array.isArray(DEFAULT_TASK_QUERY[field])) {
+      query[field] = value.split(',').filter(Boolean);
+    } else if (typeof DEFAULT_TASK_QUERY[field] === 'boolean') {
+      query[field] = value === '1';
+    } else {
+      query[field] = value;
+    }
+  });
+  return query;
+};
+
+export const hasTaskQueryParams = (search) => {
+  const params = new URLSearchParams(search);
+  return Object.values(PARAMS).some(param => params.has(param));
+};
+
+export const isDefaultTaskQuery = (query) => encodeTaskQuery(query) === '';
+
+// Priority, project and labels - also used on their own by the dashboard
+export const matchesTaskFilters = (task, query) => {
+  if (query.priority !== 'all' && (task.priority || DEFAULT_PRIORITY) !== query.priority) return false;
+  if (query.projectId === 'none' && task.projectId) return false;
+  if (!['all', 'none'].includes(query.projectId) && task.projectId !== query.projectId) return false;
+  const taskLabels = (task.labels || []).map(toLabelId);
+  return query.labels.every(label => taskLabels.includes(label));
+};
+
+const includesText = (value, needle) => (value || '').toLowerCase().includes(needle);
+
+// `context` supplies what the task alone doesn't know:
+//   isDone(task), isOverdue(task), getDueDateKey(task) (the "YYYY-MM-DD" due
+//   date in the user's time zone) and getCommentText(task) (null while loading)
+export const matchesTaskQuery = (task, query, context) => {
+  if (!matchesTaskFilters(task, query)) return false;
+
+  if (query.statuses.length > 0) {
+    if (!query.statuses.includes(task.status)) return false;
+  } else if (context.isDone(task)) {
+    return false;
+  }
+
+  if (query.assignee !== 'all' && task.assignedTo !== query.assignee) return false;
+  if (query.creator !== 'all' && task.createdBy !== query.creator) return false;
+  if (query.overdueOnly && (context.isDone(task) || !context.isOverdue(task))) return false;
+
+  const dueKey = context.getDueDateKey(task);
+  if (query.dueFrom && dueKey < query.dueFrom) return false;
+  if (query.dueTo && dueKey > query.dueTo) return false;
+
+  const text = query.text.trim().toLowerCase();
+  if (text && !includesText(task.title, text) && !includesText(task.description, text) &&
+      !(task.labels || []).some(label => includesText(label, text))) {
+    return false;
+  }
+
+  const commentText = query.commentText.trim().toLowerCase();
+  if (commentText && !includesText(context.getCommentText(task), commentText)) return false;
+
+  return true;
+};
@@ -0,0 +1,202 @@
+// Task export and import. Exports carry the task fields plus its comments
+// and activity; CSV flattens them into text columns whose headers the import
+// recognises, so an export can be edited in a spreadsheet and imported back.
+// Imported rows become new tasks in the initial state of their workflow,
+// assigned to the user whose email matches. Field and column names are in
+// the i18n catalogs (transfer.*); headers in either language are recognised.
+import { buildDueFields, getDueDateKey, toZonedDateKey, toZonedTimeKey } from './dueDates';
+import { PRIORITIES, DEFAULT_PRIORITY, addLabel } from './taskFields';
+import { translateAll } from '../i18n';
+
+// The security rules may read at most 20 documents per batch. Every imported
+// task costs one (its activity entry checks the task after the batch), on top
+// of the user's profile, the admin list and each project and custom workflow
+// the batch refers to.
+const MAX_BATCH_READS = 20;
+const FIXED_BATCH_READS = 2;
+
+const getBatchReads = (rows) => FIXED_BATCH_READS + rows.length + new Set(rows.flatMap(({ data }) => [
+  data.projectId && `projects/${data.projectId}`,
+  data.workflowId && data.workflowId !== 'standard' && `workflows/${data.workflowId}`
+].filter(Boolean))).size;
+
+// Splits the validated rows into batches the rules can check
+export const getImportBatches = (rows) => rows.reduce((batches, row) => {
+  const last = batches[batches.length - 1];
+  if (last && getBatchReads([...last, row]) <= MAX_BATCH_READS) last.push(row);
+  else batches.push([row]);
+  return batches;
+}, []);
+
+export const MAX_IMPORT_ROWS = 1000;
+
+// `aliases` are compared with the lowercased column headers
+export const IMPORT_FIELDS = [
+  { id: 'title', required: true, aliases: ['titolo', 'title', 'task', 'nome'] },
+  { id: 'description', aliases: ['descrizione', 'description', 'note', 'dettagli'] },
+  {
+    id: 'assignee',
+    required: true,
+    aliases: ['email assegnatario', 'assegnatario', 'assignee', 'assignee email', 'email', 'assegnato a']
+  },
+  { id: 'dueDate', required: true, aliases: ['scadenza', 'due date', 'duedate', 'due', 'data'] },
+  { id: 'priority', aliases: ['priorità', 'priorita', 'priority'] },
+  { id: 'labels', aliases: ['etichette', 'labels', 'tag', 'tags'] },
+  { id: 'project', aliases: ['progetto', 'project'] }
+];
+
+export const EXPORT_COLUMNS = [
+  'id',
+  'title',
+  'description',
+  'status',
+  'priority',
+  'labels',
+  'project',
+  'assignee',
+  'creator',
+  'dueDate',
+  'createdAt',
+  'assignmentHistory',
+  'comments',
+  'history'
+];
+
+// Columns for toCsv, headed in the language of `t`
+export const getExportColumns = (t) => EXPORT_COLUMNS.map(key => ({ key, label: t(`transfer.columns.${key}`) }));
+
+// "YYYY-MM-DD HH:MM" in `timeZone`; the import reads it back
+const formatZonedDateTime = (date, timeZone) =>
+  (date ? `${toZonedDateKey(date, timeZone)} ${toZonedTimeKey(date, timeZone)}` : '');
+
+// One CSV row per task. `task.comments` and `task.activity` hold everything
+// fetched for it; `context` supplies the translator `t`, the user's
+// timeZone, getUserEmail(id), getProjectName(id),
+// getStatusText(status, workflowId) and describeActivity(entry). All-day
+// tasks export just their date.
+export const toExportRow = (task, context) => {
+  const { t, getUserEmail, getProjectName, getStatusText, describeActivity } = context;
+  const formatDateTime = (date) => formatZonedDateTime(date, context.timeZone);
+  return {
+    id: task.id,
+    title: task.title,
+    description: task.description,
+    status: getStatusText(task.status, task.workflowId),
+    priority: t(`priorities.${task.priority || DEFAULT_PRIORITY}`),
+    labels: (task.labels || []).join('; '),
+    project: getProjectName(task.projectId),
+    assignee: getUserEmail(task.assignedTo),
+    creator: getUserEmail(task.createdBy),
+    dueDate: task.allDay ? getDueDateKey(task) : formatDateTime(task.dueDate),
+    createdAt: formatDateTime(task.createdAt),
+    assignmentHistory: (task.assignmentHistory || []).map(getUserEmail).join(' → '),
+    comments: task.comments
+      .filter(comment => !comment.deleted)
+      .map(comment => `[${formatDateTime(comment.createdAt)}] ${comment.userName || getUserEmail(comment.userId)}: ${comment.text}`)
+      .join('\n'),
+    history: task.activity
+      .map(entry => `[${formatDateTime(entry.createdAt)}] ${entry.actorName}: ${describeActivity(entry)}`)
+      .join('\n')
+  };
+};
+
+// Headers and rows of strings from a JSON import: an array of objects, or an
+// export ({ tasks: [...] }). Arrays become "a; b", nested objects are dropped.
+export const jsonToTable = (data) => {
+  const items = Array.isArray(data) ? data : data?.tasks;
+  if (!Array.isArray(items)) throw new Error('The JSON file must contain a list of tasks');
+  const toCell = (value) => {
+    if (Array.isArray(value)) return value.filter(v => typeof v !== 'object').join('; ');
+    return value === null || value === undefined || typeof value === 'object' ? '' : String(value);
+  };
+  const headers = [...new Set(items.flatMap(item => Object.keys(item || {})))];
+  return { headers, rows: items.map(item => headers.map(header => toCell(item?.[header]))) };
+};
+
+// Field id -> column index (or '' when nothing matches)
+export const guessMapping = (headers) => {
+  const normalized = headers.map(header => header.trim().toLowerCase());
+  return Object.fromEntries(IMPORT_FIELDS.map(field => {
+    const index = field.aliases.map(alias => normalized.indexOf(alias)).find(i => i >= 0);
+    return [field.id, index === undefined ? '' : index];
+  }));
+};
+
+// Accepts 2024-03-31, 2024-03-31 14:30, 31/03/2024, 31/03/2024 14:30 and
+// full ISO timestamps. Returns { dueDate, dueTime, allDay } as typed in a
+// form by a user in `timeZone`, or null: dates without a time are all-day
+// deadlines. Days past the end of a month, like 31/02, are rejected rather
+// than rolled over into the next one.
+export const parseImportDate = (text, timeZone) => {
+  const value = text.trim();
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{1,2}):(\d{2}))?$/);
+  const local = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?: (\d{1,2}):(\d{2}))?$/);
+  if (iso || local) {
+    const [year, month, day, hours, minutes] = iso
+      ? iso.slice(1)
+      : [local[3], local[2], local[1], local[4], local[5]];
+    const date = new Date(Date.UTC(year, month - 1, day));
+    const dueDate = date.toISOString().slice(0, 10);
+    if (dueDate !== `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`) return null;
+    if (Number(hours) > 23 || Number(minutes) > 59) return null;
+    return {
+      dueDate,
+      dueTime: hours === undefined ? '' : `${hours.padStart(2, '0')}:${minutes}`,
+      allDay: hours === undefined
+    };
+  }
+  const instant = /^\d{4}-\d{2}-\d{2}T.+(Z|[+-]\d{2}:\d{2})$/.test(value) ? new Date(value) : null;
+  if (!instant || Number.isNaN(instant.getTime())) return null;
+  return { dueDate: toZonedDateKey(instant, timeZone), dueTime: toZonedTimeKey(instant, timeZone), allDay: false };
+};
+
+// Checks every row against the mapping. `context`: the translator `t`,
+// users (the assignable ones), projects, the user's timeZone and the team
+// calendar (for all-day dates). Returns { line, data, errors }
+// per row, where `line` is the row number in the file (header = 1).
+// Priorities match by id or by name in any language.
+export const validateImportRows = (rows, mapping, context) => rows.map((row, index) => {
+  const cell = (fieldId) => (mapping[fieldId] === '' ? '' : (row[mapping[fieldId]] || '').trim());
+  const { t } = context;
+  const errors = [];
+
+  const title = cell('title');
+  if (!title) errors.push(t('transfer.errors.title'));
+
+  const email = cell('assignee').toLowerCase();
+  const assignee = context.users.find(u => u.email?.toLowerCase() === email);
+  if (!email) errors.push(t('transfer.errors.assignee'));
+  else if (!assignee) errors.push(t('transfer.errors.unknownAssignee', { email }));
+
+  const due = cell('dueDate') ? parseImportDate(cell('dueDate'), context.timeZone) : null;
+  if (!cell('dueDate')) errors.push(t('transfer.errors.dueDate'));
+  else if (!due) errors.push(t('transfer.errors.invalidDueDate', { value: cell('dueDate') }));
+
+  const priorityText = cell('priority').toLowerCase();
+  const priority = priorityText
+    ? PRIORITIES.find(p => p.id === priorityText ||
+      translateAll(`priorities.${p.id}`).some(name => name.toLowerCase() === priorityText))
+    : PRIORITIES.find(p => p.id === DEFAULT_PRIORITY);
+  if (!priority) errors.push(t('transfer.errors.priority', { value: cell('priority') }));
+
+  const projectName = cell('project').toLowerCase();
+  const project = projectName ? context.projects.find(p => !p.archived && p.name.toLowerCase() === projectName) : null;
+  if (projectName && !project) errors.push(t('transfer.errors.project', { value: cell('project') }));
+
+  const labels = cell('labels').split(/[;,]/).reduce((list, name) => addLabel(list, name), []);
+
+  return {
+    line: index + 2,
+    errors,
+    data: {
+      title,
+      description: cell('description'),
+      assignedTo: assignee?.id,
+      ...(due ? buildDueFields(due, context.timeZone, context.calendar) : { dueDate: null }),
+      priority: priority?.id,
+      labels,
+      projectId: project?.id || null,
+      workflowId: project?.workflowId
+    }
+  };
+});
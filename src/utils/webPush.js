@@ -0,0 +1,45 @@
+// Web push on this device. src/sw.js shows the pushes; the subscription
+// is stored in pushSubscriptions/{id}, the id being a hash of the push
+// endpoint so a device always maps to the same document:
+//   { userId, endpoint, keys: { p256dh, auth }, topics, userAgent, createdAt }
+// The pushNotification Cloud Function sends to the devices whose `topics`
+// include the kind of notification.
+
+export const PUSH_TOPICS = ['dueSoon', 'overdue', 'assigned'];
+
+export const DEFAULT_PUSH_TOPICS = { dueSoon: true, overdue: true, assigned: true };
+
+// The service worker is only registered in builds
+export const isPushSupported = () => import.meta.env.PROD
+  && 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+export const registerServiceWorker = () => navigator.serviceWorker.register('/sw.js');
+
+// The VAPID public key comes base64url encoded; PushManager wants the bytes
+const toKeyBytes = (base64url) => {
+  const base64 = `${base64url}${'='.repeat((4 - (base64url.length % 4)) % 4)}`
+    .replace(/-/g, '+')
+    .replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+};
+
+export const getPushSubscription = async () => {
+  const registration = await navigator.serviceWorker.ready;
+  return registration.pushManager.getSubscription();
+};
+
+// Reuses the device's subscription when there is one
+export const subscribeToPush = async (vapidPublicKey) => {
+  const registration = await navigator.serviceWorker.ready;
+  const existing = await registration.pushManager.getSubscription();
+  return existing || registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: toKeyBytes(vapidPublicKey)
+  });
+};
+
+// Hex SHA-256 of the endpoint
+export const getSubscriptionId = async (endpoint) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(endpoint));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
@@ -0,0 +1,144 @@
+// Task workflows as data. A workflow lists its states and the transitions
+// between them; each transition names the actors allowed to perform it:
+//   'assignee' - the user the task is assigned to
+//   'creator'  - the user who created the task
+//   a role     - 'admin', 'manager' or 'member' (see permissions.js)
+// Transitions are keyed "from>to" so firestore.rules can look them up.
+// Custom workflows are stored in the `workflows` collection; the standard
+// one is built in and mirrored in firestore.rules. Its labels below are the
+// template for new workflows: the app shows the translated ones
+// (workflows.states.* and workflows.transitions.* in the i18n catalogs).
+
+export const DEFAULT_WORKFLOW_ID = 'standard';
+
+// Colors map to the .status-* badge classes in index.css
+export const STATUS_COLORS = ['open', 'progress', 'review', 'completed', 'closed'];
+
+// 'open' states are worked on; 'done' states go to the history and are read-only
+export const STATUS_CATEGORIES = ['open', 'done'];
+
+export const TRANSITION_ACTORS = ['assignee', 'creator', 'admin', 'manager', 'member'];
+
+export const STANDARD_WORKFLOW = {
+  id: DEFAULT_WORKFLOW_ID,
+  name: 'Standard',
+  initialState: 'aperto',
+  states: [
+    { id: 'aperto', label: 'Aperto', color: 'open', category: 'open' },
+    { id: 'in_lavorazione', label: 'In Lavorazione', color: 'progress', category: 'open' },
+    { id: 'in_revisione', label: 'In Revisione', color: 'review', category: 'open' },
+    { id: 'completato', label: 'Completato', color: 'completed', category: 'done' },
+    { id: 'chiuso', label: 'Chiuso', color: 'closed', category: 'done' }
+  ],
+  transitions: {
+    'aperto>in_lavorazione': { label: 'Inizia Lavorazione', actors: ['assignee'] },
+    'in_lavorazione>in_revisione': { label: 'Invia in Revisione', actors: ['assignee'] },
+    'in_revisione>completato': { label: 'Approva e Completa', actors: ['creator', 'manager', 'admin'] },
+    'in_revisione>in_lavorazione': {
+      label: 'Rimanda in Lavorazione',
+      actors: ['creator', 'manager', 'admin'],
+      secondary: true
+    },
+    'completato>chiuso': { label: 'Chiudi Task', actors: ['creator', 'manager', 'admin'], secondary: true }
+  }
+};
+
+export const transitionKey = (from, to) => `${from}>${to}`;
+
+export const getWorkflow = (workflows, workflowId) =>
+  workflows.find(w => w.id === (workflowId || DEFAULT_WORKFLOW_ID)) || STANDARD_WORKFLOW;
+
+export const getState = (workflow, status) =>
+  workflow.states.find(s => s.id === status) || null;
+
+export const isDoneState = (workflow, status) => getState(workflow, status)?.category === 'done';
+
+// Custom workflows keep the labels their author typed
+export const getStateLabel = (workflow, status, t) => {
+  const state = getState(workflow, status);
+  if (!state) return t('workflows.unknownState');
+  return workflow.id === DEFAULT_WORKFLOW_ID ? t(`workflows.states.${state.id}`) : state.label;
+};
+
+export const getTransitionLabel = (workflow, transition, t) => (workflow.id === DEFAULT_WORKFLOW_ID
+  ? t(`workflows.transitions.${transitionKey(transition.from, transition.to)}`)
+  : transition.label);
+
+// Every status id in the given category across all workflows, used by the
+// task queries. Firestore allows 30 disjunctions per query and the member
+// query is (assignedTo or createdBy) and status in [...], so each category
+// may have at most MAX_STATUSES_PER_CATEGORY distinct ids.
+export const MAX_STATUSES_PER_CATEGORY = 15;
+
+export const getStatusesByCategory = (workflows, category) => [
+  ...new Set(workflows.flatMap(w => w.states.filter(s => s.category === category).map(s => s.id)))
+];
+
+// Transitions leaving `status` (all of them when omitted), in definition order
+export const getTransitions = (workflow, status) =>
+  Object.entries(workflow.transitions)
+    .map(([key, transition]) => {
+      const [from, to] = key.split('>');
+      return { ...transition, from, to };
+    })
+    .filter(t => status === undefined || t.from === status);
+
+export const isActor = (user, actors, task) => {
+  if (!user || user.role === 'viewer') return false;
+  return actors.some(actor => {
+    if (actor === 'assignee') return task.assignedTo === user.id;
+    if (actor === 'creator') return task.createdBy === user.id;
+    return user.role === actor;
+  });
+};
+
+export const canTransition = (user, workflow, task, toStatus) => {
+  const transition = workflow.transitions[transitionKey(task.status, toStatus)];
+  return Boolean(transition) && isActor(user, transition.actors, task);
+};
+
+// Returns an error message, or null when the definition is usable alongside
+// `otherWorkflows` (the standard one included)
+export const validateWorkflow = (workflow, t, otherWorkflows = []) => {
+  if (!workflow.name?.trim()) return t('workflows.errors.name');
+  if (!Array.isArray(workflow.states) || workflow.states.length === 0) {
+    return t('workflows.errors.states');
+  }
+
+  const ids = workflow.states.map(s => s.id);
+  if (new Set(ids).size !== ids.length) return t('workflows.errors.duplicateIds');
+  for (const state of workflow.states) {
+    if (!/^[a-z][a-z0-9_]*$/.test(state.id || '')) {
+      return t('workflows.errors.stateId', { id: state.id });
+    }
+    if (!state.label?.trim()) return t('workflows.errors.stateLabel', { id: state.id });
+    if (!STATUS_COLORS.includes(state.color)) {
+      return t('workflows.errors.stateColor', { id: state.id, colors: STATUS_COLORS.join(', ') });
+    }
+    if (!STATUS_CATEGORIES.includes(state.category)) {
+      return t('workflows.errors.stateCategory', { id: state.id, categories: STATUS_CATEGORIES.join(' / ') });
+    }
+  }
+  if (getState(workflow, workflow.initialState)?.category !== 'open') {
+    return t('workflows.errors.initialState');
+  }
+  const allWorkflows = [...otherWorkflows.filter(w => w.id !== workflow.id), workflow];
+  for (const category of STATUS_CATEGORIES) {
+    if (getStatusesByCategory(allWorkflows, category).length > MAX_STATUSES_PER_CATEGORY) {
+      return t('workflows.errors.tooManyStates', { category, max: MAX_STATUSES_PER_CATEGORY });
+    }
+  }
+
+  for (const [key, transition] of Object.entries(workflow.transitions || {})) {
+    const [from, to] = key.split('>');
+    if (!ids.includes(from) || !ids.includes(to) || from === to) {
+      return t('workflows.errors.transition', { key });
+    }
+    if (!transition.label?.trim()) return t('workflows.errors.transitionLabel', { key });
+    if (!Array.isArray(transition.actors) || transition.actors.length === 0 ||
+        transition.actors.some(actor => !TRANSITION_ACTORS.includes(actor))) {
+      return t('workflows.errors.actors', { key, actors: TRANSITION_ACTORS.join(', ') });
+    }
+  }
+  return null;
+};
@@ -0,0 +1,59 @@
+import { describe, expect, test } from 'vitest';
+import { parseCsv, toCsv } from '../src/utils/csv.js';
+
+// CSV written by the export and read back by the import.
+
+const COLUMNS = [
+  { key: 'title', label: 'Titolo' },
+  { key: 'description', label: 'Descrizione, note' }
+];
+
+describe('toCsv and parseCsv', () => {
+  test('quoted cells round-trip: separators, quotes and line breaks', () => {
+    const rows = [
+      { title: 'Report, Q1', description: 'Dice "urgente"' },
+      { title: 'Verbale', description: 'Prima riga\nseconda riga\r\nterza' },
+      { title: 'Vuoto', description: null }
+    ];
+    const csv = toCsv(rows, COLUMNS);
+    expect(csv.split('\r\n')[0]).toBe('Titolo,"Descrizione, note"');
+    expect(parseCsv(csv)).toEqual([
+      ['Titolo', 'Descrizione, note'],
+      ['Report, Q1', 'Dice "urgente"'],
+      ['Verbale', 'Prima riga\nseconda riga\r\nterza'],
+      ['Vuoto', '']
+    ]);
+  });
+
+  test('a byte order mark and blank lines are ignored', () => {
+    expect(parseCsv('\ufeffTitolo,Scadenza\n\nA,2025-03-10\n  \n')).toEqual([
+      ['Titolo', 'Scadenza'],
+      ['A', '2025-03-10']
+    ]);
+  });
+
+  test('semicolon files, as saved by Excel with an Italian locale', () => {
+    expect(parseCsv('Titolo;Etichette\r\n"Report; Q1";a, b\r\n')).toEqual([
+      ['Titolo', 'Etichette'],
+      ['Report; Q1', 'a, b']
+    ]);
+  });
+
+  test('the last row needs no line break', () => {
+    expect(parseCsv('a,b\n1,"2"')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  test('cells a spreadsheet would run as formulas are exported as text', () => {
+    const rows = ['=HYPERLINK("http://evil.test")', '+1', '-2', '@SUM(A1)', '\tTab', 'Normale']
+      .map(title => ({ title, description: '' }));
+    const csv = toCsv(rows, COLUMNS);
+    expect(csv.split('\r\n').slice(1, 6)).toEqual([
+      '"\'=HYPERLINK(""http://evil.test"")",',
+      "'+1,",
+      "'-2,",
+      "'@SUM(A1),",
+      "'\tTab,"
+    ]);
+    expect(parseCsv(csv).slice(1).map(([title]) => title)).toEqual(rows.map(row => row.title));
+  });
+});
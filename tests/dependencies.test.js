@@ -0,0 +1,41 @@
+import { describe, expect, test } from 'vitest';
+import { findDependencyCycle, isBlockedByDependencies } from '../src/utils/dependencies.js';
+
+// Cycle check before linking "taskId blocked by blockerId", over the
+// `blockedBy` lists the user can read.
+
+// `graph`: id -> blockedBy; ids in `hidden` are not readable
+const walk = (graph, hidden = []) => async (taskId) => (hidden.includes(taskId) ? null : graph[taskId] || []);
+
+describe('findDependencyCycle', () => {
+  test('a task cannot block itself', async () => {
+    expect(await findDependencyCycle('a', 'a', walk({}))).toEqual({ cycle: ['a', 'a'], unreadableId: null });
+  });
+
+  test('finds direct and indirect cycles, each task waiting for the next', async () => {
+    expect((await findDependencyCycle('a', 'b', walk({ b: ['a'] }))).cycle).toEqual(['a', 'b', 'a']);
+    const graph = { b: ['x', 'c'], c: ['d'], d: ['a'] };
+    expect((await findDependencyCycle('a', 'b', walk(graph))).cycle).toEqual(['a', 'b', 'c', 'd', 'a']);
+  });
+
+  test('chains that never reach the task are safe, deleted tasks included', async () => {
+    const graph = { b: ['c', 'gone'], c: ['b', 'd'] };
+    expect(await findDependencyCycle('a', 'b', walk(graph))).toEqual({ cycle: null, unreadableId: null });
+  });
+
+  test('a task the user cannot read stops the walk', async () => {
+    const graph = { b: ['c'], c: ['a'] };
+    expect(await findDependencyCycle('a', 'b', walk(graph, ['c']))).toEqual({ cycle: null, unreadableId: 'c' });
+    expect(await findDependencyCycle('a', 'b', walk({}, ['b']))).toEqual({ cycle: null, unreadableId: 'b' });
+  });
+});
+
+describe('isBlockedByDependencies', () => {
+  const workflow = { initialState: 'aperto' };
+
+  test('open blockers only hold the task in its initial state', () => {
+    expect(isBlockedByDependencies({ status: 'aperto', openBlockers: 1 }, workflow)).toBe(true);
+    expect(isBlockedByDependencies({ status: 'in_lavorazione', openBlockers: 1 }, workflow)).toBe(false);
+    expect(isBlockedByDependencies({ status: 'aperto' }, workflow)).toBe(false);
+  });
+});
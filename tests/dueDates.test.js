@@ -0,0 +1,95 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, test } from 'vitest';
+import {
+  buildDueFields,
+  fromZonedTime,
+  getDeadline,
+  getDueFormValues,
+  getWorkingTime,
+  isTaskDueSoon,
+  isTaskOverdue,
+  normalizeTeamCalendar
+} from '../src/utils/dueDates.js';
+
+// Due date rules shared by the app and the functions.
+
+// Monday to Friday, 9 to 18 in Rome
+const OFFICE = normalizeTeamCalendar({
+  timeZone: 'Europe/Rome',
+  workingDays: [1, 2, 3, 4, 5],
+  workingHours: { start: '09:00', end: '18:00' },
+  holidays: ['2025-04-21']
+});
+
+const HOUR = 60 * 60 * 1000;
+
+describe('shared module', () => {
+  test('the functions copy is up to date (npm --prefix functions run copy-shared)', () => {
+    const read = (path) => readFileSync(new URL(path, import.meta.url), 'utf8');
+    expect(read('../functions/src/dueDates.js')).toBe(read('../src/utils/dueDates.js'));
+  });
+});
+
+describe('time zones', () => {
+  test('wall-clock times map to the instant of their zone', () => {
+    expect(fromZonedTime('2025-01-15', '09:00', 'America/New_York').toISOString()).toBe('2025-01-15T14:00:00.000Z');
+    expect(fromZonedTime('2025-07-15', '09:00', 'Europe/Rome').toISOString()).toBe('2025-07-15T07:00:00.000Z');
+    expect(fromZonedTime('2025-03-30', '24:00', 'Europe/Rome').toISOString()).toBe('2025-03-30T22:00:00.000Z');
+  });
+
+  test('times skipped by the daylight saving change move forward by the gap', () => {
+    // Rome skips from 02:00 to 03:00 on 30 March 2025
+    expect(fromZonedTime('2025-03-30', '02:30', 'Europe/Rome').toISOString()).toBe('2025-03-30T01:30:00.000Z');
+  });
+
+  test('timed tasks keep the zone they were entered in', () => {
+    const fields = buildDueFields({ dueDate: '2025-03-12', dueTime: '17:00', allDay: false }, 'America/New_York', OFFICE);
+    expect(fields).toEqual({ dueDate: new Date('2025-03-12T21:00:00Z'), allDay: false, dueTimeZone: 'America/New_York' });
+    expect(getDueFormValues(fields, 'Europe/Rome')).toEqual({ dueDate: '2025-03-12', dueTime: '22:00', allDay: false });
+  });
+});
+
+describe('working time', () => {
+  test('only working hours of working days count, across a daylight saving change', () => {
+    // Friday 17:00 to Tuesday 10:00: one hour, Monday, one hour
+    expect(getWorkingTime(new Date('2025-03-28T16:00:00Z'), new Date('2025-04-01T08:00:00Z'), OFFICE)).toBe(11 * HOUR);
+  });
+
+  test('deadlines over the weekend turn overdue when work starts', () => {
+    const saturday = { dueDate: new Date('2025-03-08T10:00:00Z') };
+    expect(isTaskOverdue(saturday, new Date('2025-03-10T07:59:00Z'), OFFICE)).toBe(false);
+    expect(isTaskDueSoon(saturday, new Date('2025-03-10T07:59:00Z'), OFFICE)).toBe(true);
+    expect(isTaskOverdue(saturday, new Date('2025-03-10T08:01:00Z'), OFFICE)).toBe(true);
+  });
+
+  test('holidays are skipped like weekends', () => {
+    // Easter Monday 2025 is a holiday: Friday evening's deadline waits for Tuesday
+    const friday = { dueDate: new Date('2025-04-18T17:00:00Z') };
+    expect(isTaskOverdue(friday, new Date('2025-04-21T12:00:00Z'), OFFICE)).toBe(false);
+    expect(isTaskOverdue(friday, new Date('2025-04-22T07:30:00Z'), OFFICE)).toBe(true);
+  });
+
+  test('the default calendar counts every hour: due soon within a day, overdue right after', () => {
+    const calendar = normalizeTeamCalendar();
+    const task = { dueDate: new Date('2025-03-10T12:00:00Z') };
+    expect(isTaskDueSoon(task, new Date('2025-03-09T11:00:00Z'), calendar)).toBe(false);
+    expect(isTaskDueSoon(task, new Date('2025-03-09T13:00:00Z'), calendar)).toBe(true);
+    expect(isTaskOverdue(task, new Date('2025-03-10T12:01:00Z'), calendar)).toBe(true);
+  });
+});
+
+describe('all-day tasks', () => {
+  const friday = buildDueFields({ dueDate: '2025-03-14', dueTime: '', allDay: true }, 'America/New_York', OFFICE);
+
+  test('are dated in the team zone whoever enters them', () => {
+    expect(friday).toEqual({ dueDate: new Date('2025-03-13T23:00:00Z'), allDay: true, dueTimeZone: 'Europe/Rome' });
+    expect(getDueFormValues(friday, 'America/New_York')).toEqual({ dueDate: '2025-03-14', dueTime: '', allDay: true });
+  });
+
+  test('are due at the end of the working day', () => {
+    expect(getDeadline(friday, OFFICE).toISOString()).toBe('2025-03-14T17:00:00.000Z');
+    expect(isTaskOverdue(friday, new Date('2025-03-14T16:59:00Z'), OFFICE)).toBe(false);
+    expect(isTaskOverdue(friday, new Date('2025-03-15T10:00:00Z'), OFFICE)).toBe(false);
+    expect(isTaskOverdue(friday, new Date('2025-03-17T08:01:00Z'), OFFICE)).toBe(true);
+  });
+});
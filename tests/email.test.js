@@ -0,0 +1,167 @@
+import { afterAll, beforeAll, describe, expect, test } from 'vitest';
+import {
+  buildDigest,
+  getEmailKind,
+  isDigestDue,
+  isTaskRecipient,
+  renderEmail,
+  wantsEmail
+} from '../functions/src/email.js';
+import { createSmtpTransport } from '../functions/src/mail.js';
+import { startMockSmtpServer } from '../functions/src/mockSmtpServer.js';
+
+// Email notifications of the Cloud Functions against a local SMTP stand-in.
+// Needs the functions dependencies: `npm --prefix functions install`.
+
+const NOW = new Date('2025-03-10T07:30:00Z');
+
+const task = (id, dueDate, extra = {}) => ({
+  id,
+  title: `Task ${id}`,
+  description: '',
+  assignedTo: 'bob',
+  status: 'aperto',
+  dueDate: new Date(dueDate),
+  ...extra
+});
+
+const isDone = (t) => ['completato', 'chiuso'].includes(t.status);
+
+const bob = { email: 'bob@taskflow.test', name: 'Bob', approved: true };
+
+describe('email kinds and preferences', () => {
+  test('assignments, overdue reminders and review requests are emailed', () => {
+    expect(getEmailKind({ type: 'task_assigned' })).toBe('assigned');
+    expect(getEmailKind({ type: 'task_overdue' })).toBe('overdue');
+    expect(getEmailKind({ type: 'task_status', status: 'in_revisione' })).toBe('review');
+    expect(getEmailKind({ type: 'task_status', status: 'completato' })).toBeNull();
+    expect(getEmailKind({ type: 'task_comment' })).toBeNull();
+  });
+
+  test('every kind is on unless the user turned it off', () => {
+    expect(wantsEmail(bob, 'digest')).toBe(true);
+    expect(wantsEmail({ ...bob, emailPreferences: { digest: false } }, 'digest')).toBe(false);
+    expect(wantsEmail({ ...bob, emailPreferences: { digest: false } }, 'assigned')).toBe(true);
+  });
+
+  test('pending and disabled users get no email', () => {
+    expect(wantsEmail({ ...bob, approved: false }, 'assigned')).toBe(false);
+    expect(wantsEmail({ ...bob, disabled: true }, 'assigned')).toBe(false);
+    expect(wantsEmail(undefined, 'assigned')).toBe(false);
+  });
+
+  test('forged notifications do not email a task to users it is not meant for', () => {
+    const assigned = task('t1', '2025-03-12T16:00:00Z', { createdBy: 'alice' });
+    expect(isTaskRecipient('assigned', assigned, 'bob')).toBe(true);
+    expect(isTaskRecipient('overdue', assigned, 'bob')).toBe(true);
+    expect(isTaskRecipient('assigned', assigned, 'carol')).toBe(false);
+    expect(isTaskRecipient('assigned', assigned, 'alice')).toBe(false);
+
+    const inReview = { ...assigned, status: 'in_revisione' };
+    expect(isTaskRecipient('review', inReview, 'alice')).toBe(true);
+    expect(isTaskRecipient('review', inReview, 'carol')).toBe(false);
+    expect(isTaskRecipient('review', assigned, 'alice')).toBe(false);
+  });
+});
+
+describe('templates', () => {
+  const data = {
+    task: task('t1', '2025-03-12T16:00:00Z', { description: 'Chiudere i conti <Q1>' }),
+    actorName: 'Alice',
+    appUrl: 'https://taskflow.test'
+  };
+
+  test('task emails name the actor and link the task', () => {
+    const email = renderEmail('assigned', data, 'it');
+    expect(email.subject).toBe('Nuovo task: Task t1');
+    expect(email.text).toContain('Alice ti ha assegnato il task "Task t1".');
+    expect(email.text).toContain('Scadenza: 12 mar 2025, 17:00');
+    expect(email.text).toContain('https://taskflow.test/tasks/t1');
+    expect(email.html).toContain('Chiudere i conti &lt;Q1&gt;');
+  });
+
+  test('the user language picks the texts, Italian being the default', () => {
+    expect(renderEmail('review', data, 'en').subject).toBe('Review requested: Task t1');
+    expect(renderEmail('review', data, 'de').subject).toBe('Da revisionare: Task t1');
+    expect(renderEmail('overdue', data).subject).toBe('Task scaduto: Task t1');
+  });
+
+  test('the digest lists overdue tasks first and counts in the user language', () => {
+    const digest = buildDigest([
+      task('t1', '2025-03-12T16:00:00Z'),
+      task('t2', '2025-03-09T16:00:00Z'),
+      task('t3', '2025-03-08T16:00:00Z', { status: 'completato' })
+    ], NOW, isDone);
+    expect(digest.assigned.map(t => t.id)).toEqual(['t2', 't1']);
+    expect(digest.overdue.map(t => t.id)).toEqual(['t2']);
+
+    const it = renderEmail('digest', { userName: 'Bob', ...digest, appUrl: 'https://taskflow.test' }, 'it');
+    expect(it.subject).toBe('Il tuo riepilogo: 2 task aperti, di cui 1 in ritardo');
+    expect(it.text.indexOf('In ritardo (1)')).toBeLessThan(it.text.indexOf('Assegnati a Me (2)'));
+
+    const en = renderEmail('digest', { userName: 'Bob', assigned: [digest.assigned[1]], overdue: [], appUrl: '' }, 'en');
+    expect(en.subject).toBe('Your summary: 1 open task');
+  });
+
+  test('the digest counts overdue tasks by the team calendar', () => {
+    const office = {
+      timeZone: 'Europe/Rome',
+      workingDays: [1, 2, 3, 4, 5],
+      workingHours: { start: '09:00', end: '18:00' },
+      holidays: ['2025-03-10']
+    };
+    // Due on Saturday, and Monday is a holiday: not late before Tuesday
+    const digest = buildDigest([task('t1', '2025-03-08T16:00:00Z')], NOW, isDone, office);
+    expect(digest.overdue).toEqual([]);
+    expect(buildDigest([task('t1', '2025-03-08T16:00:00Z')], NOW, isDone).overdue).toHaveLength(1);
+  });
+
+  test('the digest goes out at 7:30 in each user time zone', () => {
+    // 06:30 UTC is 07:30 in Rome in winter, 01:30 in New York
+    expect(isDigestDue(new Date('2025-01-15T06:30:00Z'), 'Europe/Rome')).toBe(true);
+    expect(isDigestDue(new Date('2025-01-15T06:44:00Z'), 'Europe/Rome')).toBe(true);
+    expect(isDigestDue(new Date('2025-01-15T06:45:00Z'), 'Europe/Rome')).toBe(false);
+    expect(isDigestDue(new Date('2025-01-15T06:30:00Z'), 'America/New_York')).toBe(false);
+    expect(isDigestDue(new Date('2025-01-15T12:30:00Z'), 'America/New_York')).toBe(true);
+    expect(isDigestDue(new Date('2025-01-15T02:00:00Z'), 'Asia/Kolkata')).toBe(true);
+    // No zone, or an unknown one: Rome
+    expect(isDigestDue(new Date('2025-07-15T05:30:00Z'), undefined)).toBe(true);
+    expect(isDigestDue(new Date('2025-07-15T05:30:00Z'), 'Mars/Olympus')).toBe(true);
+  });
+
+  test('due dates are shown in the recipient time zone, all-day ones as a date', () => {
+    const timed = renderEmail('assigned', { task: task('t1', '2025-03-12T16:00:00Z'), actorName: 'Alice', appUrl: '' }, 'en', 'America/New_York');
+    expect(timed.text).toContain('12 Mar 2025, 12:00');
+
+    const allDay = task('t2', '2025-03-13T23:00:00Z', { allDay: true, dueTimeZone: 'Europe/Rome' });
+    const email = renderEmail('assigned', { task: allDay, actorName: 'Alice', appUrl: '' }, 'en', 'America/New_York');
+    expect(email.text).toContain('14 Mar 2025');
+    expect(email.text).not.toContain('14 Mar 2025,');
+  });
+});
+
+describe('SMTP transport', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startMockSmtpServer();
+  });
+
+  afterAll(async () => {
+    await server?.close();
+  });
+
+  test('emails reach the SMTP server with both bodies', async () => {
+    const transport = createSmtpTransport({ host: '127.0.0.1', port: server.port, from: 'TaskFlow <noreply@taskflow.test>' });
+    const email = renderEmail('assigned', { task: task('t1', '2025-03-12T16:00:00Z'), actorName: 'Alice', appUrl: '' }, 'en');
+
+    await transport.send({ to: bob.email, ...email });
+
+    const [message] = server.received;
+    expect(message.from).toBe('noreply@taskflow.test');
+    expect(message.to).toEqual(['bob@taskflow.test']);
+    expect(message.headers.subject).toBe('New task: Task t1');
+    expect(message.body).toContain('text/plain');
+    expect(message.body).toContain('text/html');
+  });
+});
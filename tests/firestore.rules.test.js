@@ -0,0 +1,1067 @@
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, expect, test } from 'vitest';
+import {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment
+} from '@firebase/rules-unit-testing';
+import {
+  addDoc,
+  and,
+  arrayUnion,
+  collection,
+  collectionGroup,
+  deleteDoc,
+  deleteField,
+  doc,
+  getDoc,
+  getDocs,
+  or,
+  query,
+  serverTimestamp,
+  setDoc,
+  updateDoc,
+  where,
+  writeBatch
+} from 'firebase/firestore';
+import { getImportBatches } from '../src/utils/taskTransfer.js';
+
+// Runs against the Firestore emulator: `npm test`
+
+const ADMIN = { uid: 'admin', email: 'admin@taskflow.test' };
+const MANAGER = { uid: 'manager', email: 'manager@taskflow.test' };
+const ALICE = { uid: 'alice', email: 'alice@taskflow.test' };
+const BOB = { uid: 'bob', email: 'bob@taskflow.test' };
+const CAROL = { uid: 'carol', email: 'carol@taskflow.test' };
+const VIEWER = { uid: 'viewer', email: 'viewer@taskflow.test' };
+const PENDING = { uid: 'pending', email: 'pending@taskflow.test' };
+
+let testEnv;
+
+const dbFor = (user) => testEnv
+  .authenticatedContext(user.uid, { email: user.email })
+  .firestore();
+
+const profile = (user, extra = {}) => ({
+  id: user.uid,
+  email: user.email,
+  name: user.uid,
+  approved: true,
+  role: 'member',
+  ...extra
+});
+
+const baseTask = {
+  title: 'Report mensile',
+  description: 'Preparare il report',
+  assignedTo: BOB.uid,
+  createdBy: ALICE.uid,
+  status: 'aperto',
+  assignmentHistory: [BOB.uid],
+  comments: []
+};
+
+const seed = async (writes) => {
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    for (const [path, data] of writes) {
+      await setDoc(doc(db, path), data);
+    }
+  });
+};
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-taskflow',
+    firestore: {
+      rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8')
+    }
+  });
+});
+
+afterAll(async () => {
+  await testEnv?.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seed([
+    ['config/admins', { emails: [ADMIN.email] }],
+    [`users/${ADMIN.uid}`, profile(ADMIN, { role: 'admin' })],
+    [`users/${MANAGER.uid}`, profile(MANAGER, { role: 'manager' })],
+    [`users/${ALICE.uid}`, profile(ALICE)],
+    [`users/${BOB.uid}`, profile(BOB)],
+    [`users/${CAROL.uid}`, profile(CAROL)],
+    [`users/${VIEWER.uid}`, profile(VIEWER, { role: 'viewer' })],
+    [`users/${PENDING.uid}`, profile(PENDING, { approved: false })],
+    ['tasks/task1', baseTask]
+  ]);
+});
+
+describe('users', () => {
+  const NEWCOMER = { uid: 'newcomer', email: 'newcomer@taskflow.test' };
+
+  test('a new user can create their own pending profile', async () => {
+    await assertSucceeds(setDoc(doc(dbFor(NEWCOMER), 'users', NEWCOMER.uid),
+      profile(NEWCOMER, { approved: false })));
+  });
+
+  test('a new profile keeps the language picked before signing in', async () => {
+    const db = dbFor(NEWCOMER);
+    await assertFails(setDoc(doc(db, 'users', NEWCOMER.uid), profile(NEWCOMER, { approved: false, language: 'fr' })));
+    await assertSucceeds(setDoc(doc(db, 'users', NEWCOMER.uid), profile(NEWCOMER, { approved: false, language: 'en' })));
+  });
+
+  test('pending users can change their language', async () => {
+    await assertSucceeds(updateDoc(doc(dbFor(PENDING), 'users', PENDING.uid), { language: 'en' }));
+  });
+
+  test('a new user cannot approve or promote themselves', async () => {
+    const db = dbFor(NEWCOMER);
+    await assertFails(setDoc(doc(db, 'users', NEWCOMER.uid), profile(NEWCOMER)));
+    await assertFails(setDoc(doc(db, 'users', NEWCOMER.uid),
+      profile(NEWCOMER, { approved: false, role: 'admin' })));
+  });
+
+  test('a profile can only be created under the caller uid', async () => {
+    await assertFails(setDoc(doc(dbFor(NEWCOMER), 'users', 'someone-else'),
+      profile(NEWCOMER, { approved: false })));
+  });
+
+  test('the bootstrap admin can create an approved admin profile', async () => {
+    await testEnv.withSecurityRulesDisabled(context =>
+      deleteDoc(doc(context.firestore(), 'users', ADMIN.uid)));
+    await assertSucceeds(setDoc(doc(dbFor(ADMIN), 'users', ADMIN.uid),
+      profile(ADMIN, { role: 'admin' })));
+  });
+
+  test('a pending user cannot mark themselves approved', async () => {
+    await assertFails(updateDoc(doc(dbFor(PENDING), 'users', PENDING.uid), { approved: true }));
+  });
+
+  test('users can update their own display data', async () => {
+    await assertSucceeds(updateDoc(doc(dbFor(ALICE), 'users', ALICE.uid), { name: 'Alice' }));
+  });
+
+  test('users can set their own email preferences and language', async () => {
+    const ref = doc(dbFor(ALICE), 'users', ALICE.uid);
+    await assertSucceeds(updateDoc(ref, { emailPreferences: { digest: false, review: true }, language: 'en' }));
+    await assertFails(updateDoc(ref, { emailPreferences: { marketing: true } }));
+    await assertFails(updateDoc(ref, { language: 'fr' }));
+    await assertFails(updateDoc(doc(dbFor(BOB), 'users', ALICE.uid), { language: 'en' }));
+  });
+
+  test('users can set their own time zone', async () => {
+    await assertSucceeds(updateDoc(doc(dbFor(ALICE), 'users', ALICE.uid), { timeZone: 'America/New_York' }));
+    await assertFails(updateDoc(doc(dbFor(ALICE), 'users', ALICE.uid), { timeZone: 5 }));
+    await assertFails(updateDoc(doc(dbFor(BOB), 'users', ALICE.uid), { timeZone: 'Europe/London' }));
+  });
+
+  test('only admins can approve, disable or change roles', async () => {
+    await assertSucceeds(updateDoc(doc(dbFor(ADMIN), 'users', PENDING.uid), { approved: true }));
+    await assertSucceeds(updateDoc(doc(dbFor(ADMIN), 'users', BOB.uid), { role: 'manager' }));
+    await assertFails(updateDoc(doc(dbFor(MANAGER), 'users', PENDING.uid), { approved: true }));
+    await assertFails(updateDoc(doc(dbFor(ALICE), 'users', BOB.uid), { disabled: true }));
+  });
+});
+
+describe('tasks', () => {
+  test('creator and assignee can read a task, other members cannot', async () => {
+    await assertSucceeds(getDoc(doc(dbFor(ALICE), 'tasks', 'task1')));
+    await assertSucceeds(getDoc(doc(dbFor(BOB), 'tasks', 'task1')));
+    await assertFails(getDoc(doc(dbFor(CAROL), 'tasks', 'task1')));
+  });
+
+  test('managers, admins and viewers can read every task', async () => {
+    await assertSucceeds(getDoc(doc(dbFor(MANAGER), 'tasks', 'task1')));
+    await assertSucceeds(getDoc(doc(dbFor(ADMIN), 'tasks', 'task1')));
+    await assertSucceeds(getDoc(doc(dbFor(VIEWER), 'tasks', 'task1')));
+  });
+
+  test('a missing task reads as missing rather than forbidden', async () => {
+    await assertSucceeds(getDoc(doc(dbFor(CAROL), 'tasks', 'missing')));
+    await assertFails(getDoc(doc(dbFor(PENDING), 'tasks', 'missing')));
+  });
+
+  test('pending users cannot read tasks', async () => {
+    await seed([['tasks/task2', { ...baseTask, assignedTo: PENDING.uid, assignmentHistory: [PENDING.uid] }]]);
+    await assertFails(getDoc(doc(dbFor(PENDING), 'tasks', 'task2')));
+  });
+
+  test('members can only query tasks they are involved in', async () => {
+    const db = dbFor(CAROL);
+    await assertSucceeds(getDocs(query(collection(db, 'tasks'), and(
+      or(where('assignedTo', '==', CAROL.uid), where('createdBy', '==', CAROL.uid)),
+      where('status', 'in', ['aperto', 'in_lavorazione', 'in_revisione'])
+    ))));
+    await assertFails(getDocs(collection(db, 'tasks')));
+  });
+
+  test('members create tasks as themselves, viewers cannot create', async () => {
+    await assertSucceeds(addDoc(collection(dbFor(ALICE), 'tasks'), baseTask));
+    await assertFails(addDoc(collection(dbFor(CAROL), 'tasks'), baseTask));
+    await assertFails(addDoc(collection(dbFor(VIEWER), 'tasks'), { ...baseTask, createdBy: VIEWER.uid }));
+  });
+
+  test('the assignee moves the task through work and review', async () => {
+    const ref = doc(dbFor(BOB), 'tasks', 'task1');
+    await assertSucceeds(updateDoc(ref, { status: 'in_lavorazione', updatedAt: serverTimestamp() }));
+    await assertSucceeds(updateDoc(ref, { status: 'in_revisione', updatedAt: serverTimestamp() }));
+    await assertFails(updateDoc(ref, { status: 'completato' }));
+  });
+
+  test('statuses cannot skip steps', async () => {
+    await assertFails(updateDoc(doc(dbFor(BOB), 'tasks', 'task1'), { status: 'in_revisione' }));
+  });
+
+  test('the creator or a manager approves and closes', async () => {
+    await seed([['tasks/task1', { ...baseTask, status: 'in_revisione' }]]);
+    await assertFails(updateDoc(doc(dbFor(CAROL), 'tasks', 'task1'), { status: 'completato' }));
+    await assertSucceeds(updateDoc(doc(dbFor(ALICE), 'tasks', 'task1'), { status: 'completato' }));
+    await assertSucceeds(updateDoc(doc(dbFor(MANAGER), 'tasks', 'task1'), { status: 'chiuso' }));
+  });
+
+  test('comments can be appended by involved users', async () => {
+    await assertSucceeds(updateDoc(doc(dbFor(BOB), 'tasks', 'task1'), {
+      comments: [{ id: '1', userId: BOB.uid, text: 'Fatto' }]
+    }));
+    await assertFails(updateDoc(doc(dbFor(CAROL), 'tasks', 'task1'), {
+      comments: [{ id: '1', userId: CAROL.uid, text: 'Ciao' }]
+    }));
+  });
+
+  test('comments cannot be rewritten, removed or signed by someone else', async () => {
+    const existing = { id: '1', userId: BOB.uid, text: 'Originale' };
+    await seed([['tasks/task1', { ...baseTask, comments: [existing] }]]);
+    const ref = doc(dbFor(ALICE), 'tasks', 'task1');
+    await assertFails(updateDoc(ref, { comments: [] }));
+    await assertFails(updateDoc(ref, { comments: [{ ...existing, text: 'Modificato' }] }));
+    await assertFails(updateDoc(ref, {
+      comments: [existing, { id: '2', userId: BOB.uid, text: 'Finto' }]
+    }));
+    await assertSucceeds(updateDoc(ref, {
+      comments: [existing, { id: '2', userId: ALICE.uid, text: 'Risposta' }]
+    }));
+  });
+
+  test('reassignment appends the new assignee to the history', async () => {
+    const ref = doc(dbFor(ALICE), 'tasks', 'task1');
+    await assertFails(updateDoc(ref, { assignedTo: CAROL.uid }));
+    await assertSucceeds(updateDoc(ref, {
+      assignedTo: CAROL.uid,
+      assignmentHistory: [BOB.uid, CAROL.uid],
+      version: 1
+    }));
+  });
+
+  test('only the creator or a manager can edit the due date', async () => {
+    await assertFails(updateDoc(doc(dbFor(BOB), 'tasks', 'task1'), { dueDate: new Date(), version: 1 }));
+    await assertSucceeds(updateDoc(doc(dbFor(ALICE), 'tasks', 'task1'), { dueDate: new Date(), version: 1 }));
+  });
+
+  test('all-day deadlines and their time zone change with the due date', async () => {
+    const change = { dueDate: new Date(), allDay: true, dueTimeZone: 'Europe/Rome', version: 1 };
+    await assertFails(updateDoc(doc(dbFor(BOB), 'tasks', 'task1'), change));
+    await assertFails(updateDoc(doc(dbFor(ALICE), 'tasks', 'task1'), { ...change, allDay: 'yes' }));
+    await assertSucceeds(updateDoc(doc(dbFor(ALICE), 'tasks', 'task1'), change));
+  });
+
+  test('edits must bump the version they started from', async () => {
+    await seed([['tasks/task1', { ...baseTask, version: 3 }]]);
+    const ref = doc(dbFor(ALICE), 'tasks', 'task1');
+    await assertFails(updateDoc(ref, { title: 'Nuovo titolo' }));
+    await assertFails(updateDoc(ref, { title: 'Nuovo titolo', version: 3 }));
+    await assertFails(updateDoc(ref, { version: 4 }));
+    await assertSucceeds(updateDoc(ref, { title: 'Nuovo titolo', description: 'Aggiornata', version: 4 }));
+  });
+
+  test('ownership fields cannot be changed', async () => {
+    await assertFails(updateDoc(doc(dbFor(ADMIN), 'tasks', 'task1'), { createdBy: ADMIN.uid }));
+  });
+
+  test('only the creator or an admin can delete', async () => {
+    await assertFails(deleteDoc(doc(dbFor(BOB), 'tasks', 'task1')));
+    await assertSucceeds(deleteDoc(doc(dbFor(ALICE), 'tasks', 'task1')));
+  });
+});
+
+describe('recurring tasks', () => {
+  const rule = 'FREQ=WEEKLY;BYDAY=MO';
+  const firstDue = new Date('2025-03-03T09:00:00Z');
+  const occurrence = (index, extra = {}) => ({
+    ...baseTask,
+    dueDate: new Date(firstDue.getTime() + (index - 1) * 7 * 24 * 60 * 60 * 1000),
+    commentCount: 0,
+    recurrence: { rule, seriesId: 'series1', index, previousTaskId: index > 2 ? `series1_${index - 1}` : 'series1' },
+    ...extra
+  });
+
+  beforeEach(async () => {
+    await seed([['tasks/series1', { ...baseTask, dueDate: firstDue, recurrence: { rule, seriesId: 'series1', index: 1 } }]]);
+  });
+
+  test('a series starts with its own id as index 1', async () => {
+    const db = dbFor(ALICE);
+    await assertSucceeds(setDoc(doc(db, 'tasks', 'series2'), {
+      ...baseTask,
+      recurrence: { rule, seriesId: 'series2', index: 1 }
+    }));
+    await assertFails(setDoc(doc(db, 'tasks', 'series3'), {
+      ...baseTask,
+      recurrence: { rule, seriesId: 'series2', index: 1 }
+    }));
+  });
+
+  test('the assignee generates the next occurrence on behalf of the creator', async () => {
+    await assertSucceeds(setDoc(doc(dbFor(BOB), 'tasks', 'series1_2'), occurrence(2)));
+  });
+
+  test('next occurrences keep the series id, rule, creator and assignee', async () => {
+    const db = dbFor(BOB);
+    await assertFails(setDoc(doc(db, 'tasks', 'random'), occurrence(2)));
+    await assertFails(setDoc(doc(db, 'tasks', 'series1_3'), occurrence(3, {
+      recurrence: { rule, seriesId: 'series1', index: 3, previousTaskId: 'series1' }
+    })));
+    await assertFails(setDoc(doc(db, 'tasks', 'series1_2'), occurrence(2, {
+      recurrence: { rule: 'FREQ=DAILY', seriesId: 'series1', index: 2, previousTaskId: 'series1' }
+    })));
+    await assertFails(setDoc(doc(db, 'tasks', 'series1_2'), occurrence(2, {
+      assignedTo: CAROL.uid,
+      assignmentHistory: [CAROL.uid]
+    })));
+  });
+
+  test('next occurrences copy the previous one and are due later', async () => {
+    const db = dbFor(BOB);
+    await assertFails(setDoc(doc(db, 'tasks', 'series1_2'), occurrence(2, { title: 'Bonifico urgente' })));
+    await assertFails(setDoc(doc(db, 'tasks', 'series1_2'), occurrence(2, { description: 'Pagare subito' })));
+    await assertFails(setDoc(doc(db, 'tasks', 'series1_2'), occurrence(2, { priority: 'urgent' })));
+    await assertFails(setDoc(doc(db, 'tasks', 'series1_2'), occurrence(2, { labels: ['finanza'] })));
+    await assertFails(setDoc(doc(db, 'tasks', 'series1_2'), occurrence(2, { dueDate: firstDue })));
+    await assertFails(setDoc(doc(db, 'tasks', 'series1_2'), occurrence(2, {
+      dueDate: new Date(firstDue.getTime() - 24 * 60 * 60 * 1000)
+    })));
+  });
+
+  test('users outside the series cannot generate occurrences', async () => {
+    await assertFails(setDoc(doc(dbFor(CAROL), 'tasks', 'series1_2'), occurrence(2)));
+    await assertFails(setDoc(doc(dbFor(VIEWER), 'tasks', 'series1_2'), occurrence(2)));
+  });
+});
+
+describe('subtasks and checklists', () => {
+  const subtask = (extra = {}) => ({
+    ...baseTask,
+    title: 'Raccogliere i dati',
+    assignedTo: CAROL.uid,
+    assignmentHistory: [CAROL.uid],
+    parentId: 'task1',
+    parentTitle: baseTask.title,
+    required: true,
+    ...extra
+  });
+
+  // Creates the subtask and bumps the parent counters in one batch
+  const addSubtask = (db, id, data = subtask()) => {
+    const batch = writeBatch(db);
+    batch.set(doc(db, 'tasks', id), data);
+    batch.update(doc(db, 'tasks', 'task1'), {
+      subtaskCount: 1,
+      openRequiredSubtasks: data.required ? 1 : 0,
+      subtaskChange: id
+    });
+    return batch.commit();
+  };
+
+  test('people involved in the parent add subtasks with matching counters', async () => {
+    await assertSucceeds(addSubtask(dbFor(BOB), 'sub1'));
+    await assertFails(addSubtask(dbFor(CAROL), 'sub2', subtask({ createdBy: CAROL.uid })));
+  });
+
+  test('counters cannot change without a matching subtask change', async () => {
+    await assertFails(updateDoc(doc(dbFor(BOB), 'tasks', 'task1'), {
+      subtaskCount: 1,
+      subtaskChange: 'task1'
+    }));
+    const db = dbFor(ALICE);
+    const batch = writeBatch(db);
+    batch.set(doc(db, 'tasks', 'sub1'), subtask({ createdBy: ALICE.uid }));
+    batch.update(doc(db, 'tasks', 'task1'), { subtaskCount: 1, openRequiredSubtasks: 0, subtaskChange: 'sub1' });
+    await assertFails(batch.commit());
+  });
+
+  test('subtasks are one level deep', async () => {
+    await seed([['tasks/sub1', subtask({ createdBy: ALICE.uid })]]);
+    await assertFails(setDoc(doc(dbFor(ALICE), 'tasks', 'sub2'), subtask({
+      createdBy: ALICE.uid,
+      parentId: 'sub1'
+    })));
+  });
+
+  test('the parent assignee reads the subtasks of the parent', async () => {
+    await seed([['tasks/sub1', subtask({ createdBy: ALICE.uid })]]);
+    await assertSucceeds(getDocs(query(collection(dbFor(BOB), 'tasks'), where('parentId', '==', 'task1'))));
+  });
+
+  test('open required subtasks keep the parent out of review', async () => {
+    await seed([['tasks/task1', { ...baseTask, status: 'in_lavorazione', subtaskCount: 1, openRequiredSubtasks: 1 }]]);
+    await assertFails(updateDoc(doc(dbFor(BOB), 'tasks', 'task1'), { status: 'in_revisione' }));
+    await seed([['tasks/task1', { ...baseTask, status: 'in_lavorazione', subtaskCount: 1, openRequiredSubtasks: 0 }]]);
+    await assertSucceeds(updateDoc(doc(dbFor(BOB), 'tasks', 'task1'), { status: 'in_revisione' }));
+  });
+
+  test('completing a subtask updates the parent counters', async () => {
+    await seed([
+      ['tasks/task1', { ...baseTask, subtaskCount: 1, openRequiredSubtasks: 1 }],
+      ['tasks/sub1', subtask({ createdBy: ALICE.uid, status: 'in_revisione' })]
+    ]);
+    const db = dbFor(ALICE);
+    const batch = writeBatch(db);
+    batch.update(doc(db, 'tasks', 'sub1'), { status: 'completato' });
+    batch.update(doc(db, 'tasks', 'task1'), { subtasksDone: 1, openRequiredSubtasks: 0, subtaskChange: 'sub1' });
+    await assertSucceeds(batch.commit());
+  });
+
+  test('involved users tick checklist items on open tasks', async () => {
+    const checklist = [{ id: 'c1', text: 'Bozza', done: true }];
+    await assertSucceeds(updateDoc(doc(dbFor(BOB), 'tasks', 'task1'), { checklist }));
+    await assertFails(updateDoc(doc(dbFor(CAROL), 'tasks', 'task1'), { checklist }));
+    await assertFails(updateDoc(doc(dbFor(VIEWER), 'tasks', 'task1'), { checklist }));
+  });
+});
+
+describe('dependencies', () => {
+  // task1 (Bob) waits for blocker1 (Carol's)
+  const blocker = { ...baseTask, title: 'Dati di vendita', assignedTo: CAROL.uid, assignmentHistory: [CAROL.uid] };
+
+  // Writes both sides of "task1 blocked by blocker1" in one batch
+  const link = (db, openBlockers = 1) => {
+    const batch = writeBatch(db);
+    batch.update(doc(db, 'tasks', 'task1'), {
+      blockedBy: arrayUnion('blocker1'),
+      openBlockers,
+      dependencyChange: 'blocker1'
+    });
+    batch.update(doc(db, 'tasks', 'blocker1'), {
+      'blocks.task1': { title: baseTask.title, assignedTo: BOB.uid },
+      dependencyChange: 'task1'
+    });
+    return batch.commit();
+  };
+
+  const linked = {
+    task1: { ...baseTask, blockedBy: ['blocker1'], openBlockers: 1, dependencyChange: 'blocker1' },
+    blocker1: { ...blocker, blocks: { task1: { title: baseTask.title, assignedTo: BOB.uid } }, dependencyChange: 'task1' }
+  };
+
+  beforeEach(async () => {
+    await seed([['tasks/blocker1', blocker]]);
+  });
+
+  test('involved users link a blocker with a matching counter', async () => {
+    await assertFails(link(dbFor(CAROL)));
+    await assertFails(link(dbFor(BOB), 0));
+    await assertSucceeds(link(dbFor(BOB)));
+  });
+
+  test('both sides of a link change together', async () => {
+    await assertFails(updateDoc(doc(dbFor(BOB), 'tasks', 'task1'), {
+      blockedBy: ['blocker1'],
+      openBlockers: 1,
+      dependencyChange: 'blocker1'
+    }));
+    await assertFails(updateDoc(doc(dbFor(CAROL), 'tasks', 'blocker1'), {
+      'blocks.task1': { title: baseTask.title, assignedTo: BOB.uid },
+      dependencyChange: 'task1'
+    }));
+  });
+
+  test('open blockers keep the task in its initial state', async () => {
+    await seed([['tasks/task1', linked.task1], ['tasks/blocker1', linked.blocker1]]);
+    await assertFails(updateDoc(doc(dbFor(BOB), 'tasks', 'task1'), { status: 'in_lavorazione' }));
+  });
+
+  test('completing a blocker releases the tasks it blocks', async () => {
+    await seed([
+      ['tasks/task1', linked.task1],
+      ['tasks/blocker1', { ...linked.blocker1, status: 'in_revisione' }]
+    ]);
+    const db = dbFor(ALICE);
+    const batch = writeBatch(db);
+    batch.update(doc(db, 'tasks', 'blocker1'), { status: 'completato' });
+    batch.update(doc(db, 'tasks', 'task1'), { openBlockers: 0, dependencyChange: 'blocker1' });
+    await assertSucceeds(batch.commit());
+    await assertSucceeds(updateDoc(doc(dbFor(BOB), 'tasks', 'task1'), { status: 'in_lavorazione' }));
+  });
+
+  test('the counter only follows the blocker status', async () => {
+    await seed([['tasks/task1', linked.task1], ['tasks/blocker1', linked.blocker1]]);
+    await assertFails(updateDoc(doc(dbFor(BOB), 'tasks', 'task1'), { openBlockers: 0, dependencyChange: 'blocker1' }));
+  });
+
+  test('unlinking clears both sides', async () => {
+    await seed([['tasks/task1', linked.task1], ['tasks/blocker1', linked.blocker1]]);
+    const db = dbFor(BOB);
+    const batch = writeBatch(db);
+    batch.update(doc(db, 'tasks', 'task1'), { blockedBy: [], openBlockers: 0, dependencyChange: 'blocker1' });
+    batch.update(doc(db, 'tasks', 'blocker1'), { 'blocks.task1': deleteField(), dependencyChange: 'task1' });
+    await assertSucceeds(batch.commit());
+  });
+
+  test('a task cannot block itself', async () => {
+    const db = dbFor(BOB);
+    const batch = writeBatch(db);
+    batch.update(doc(db, 'tasks', 'task1'), {
+      blockedBy: ['task1'],
+      blocks: { task1: { title: baseTask.title, assignedTo: BOB.uid } },
+      openBlockers: 1,
+      dependencyChange: 'task1'
+    });
+    await assertFails(batch.commit());
+  });
+});
+
+describe('team calendar', () => {
+  const calendar = (user, extra = {}) => ({
+    timeZone: 'Europe/Rome',
+    workingDays: [1, 2, 3, 4, 5],
+    workingHours: { start: '09:00', end: '18:00' },
+    holidays: ['2025-12-25'],
+    updatedBy: user.uid,
+    ...extra
+  });
+
+  test('approved users read the calendar, supervisors set it', async () => {
+    await assertSucceeds(getDoc(doc(dbFor(CAROL), 'calendars', 'team')));
+    await assertFails(getDoc(doc(dbFor(PENDING), 'calendars', 'team')));
+    await assertFails(setDoc(doc(dbFor(ALICE), 'calendars', 'team'), calendar(ALICE)));
+    await assertSucceeds(setDoc(doc(dbFor(MANAGER), 'calendars', 'team'), calendar(MANAGER)));
+    await assertFails(setDoc(doc(dbFor(MANAGER), 'calendars', 'team'), calendar(ADMIN)));
+  });
+
+  test('working days are ISO weekdays, at least one', async () => {
+    const ref = doc(dbFor(ADMIN), 'calendars', 'team');
+    await assertFails(setDoc(ref, calendar(ADMIN, { workingDays: [] })));
+    await assertFails(setDoc(ref, calendar(ADMIN, { workingDays: [0, 1] })));
+  });
+});
+
+describe('board settings', () => {
+  const settings = (user) => ({ wipLimits: { in_lavorazione: 3 }, updatedBy: user.uid });
+
+  test('approved users read the WIP limits, supervisors set them', async () => {
+    await assertSucceeds(getDoc(doc(dbFor(CAROL), 'boards', 'default')));
+    await assertFails(getDoc(doc(dbFor(PENDING), 'boards', 'default')));
+    await assertFails(setDoc(doc(dbFor(ALICE), 'boards', 'default'), settings(ALICE)));
+    await assertSucceeds(setDoc(doc(dbFor(MANAGER), 'boards', 'default'), settings(MANAGER)));
+    await assertFails(setDoc(doc(dbFor(MANAGER), 'boards', 'default'), settings(ADMIN)));
+  });
+});
+
+describe('workflows', () => {
+  // Assignee works the task, a dedicated QA step is approved by managers only
+  const qaWorkflow = {
+    name: 'Con QA',
+    initialState: 'da_fare',
+    openStates: ['da_fare', 'in_corso', 'qa'],
+    states: [],
+    transitions: {
+      'da_fare>in_corso': { label: 'Inizia', actors: ['assignee'] },
+      'in_corso>qa': { label: 'Invia a QA', actors: ['assignee'] },
+      'qa>fatto': { label: 'Approva', actors: ['manager', 'admin'] }
+    }
+  };
+  const qaTask = { ...baseTask, workflowId: 'qa', status: 'da_fare' };
+
+  beforeEach(async () => {
+    await seed([['workflows/qa', qaWorkflow], ['tasks/qa1', qaTask]]);
+  });
+
+  test('approved users read workflows, only admins manage them', async () => {
+    await assertSucceeds(getDoc(doc(dbFor(CAROL), 'workflows', 'qa')));
+    await assertFails(getDoc(doc(dbFor(PENDING), 'workflows', 'qa')));
+    await assertFails(setDoc(doc(dbFor(MANAGER), 'workflows', 'altro'), qaWorkflow));
+    await assertSucceeds(setDoc(doc(dbFor(ADMIN), 'workflows', 'altro'), qaWorkflow));
+    await assertFails(setDoc(doc(dbFor(ADMIN), 'workflows', 'standard'), qaWorkflow));
+  });
+
+  test('new tasks start in the initial state of their workflow', async () => {
+    const db = dbFor(ALICE);
+    await assertSucceeds(addDoc(collection(db, 'tasks'), qaTask));
+    await assertFails(addDoc(collection(db, 'tasks'), { ...qaTask, status: 'aperto' }));
+    await assertFails(addDoc(collection(db, 'tasks'), { ...qaTask, workflowId: 'missing' }));
+  });
+
+  test('transitions follow the workflow definition and its actors', async () => {
+    const ref = doc(dbFor(BOB), 'tasks', 'qa1');
+    await assertFails(updateDoc(ref, { status: 'in_lavorazione' }));
+    await assertSucceeds(updateDoc(ref, { status: 'in_corso' }));
+    await assertSucceeds(updateDoc(ref, { status: 'qa' }));
+    await assertFails(updateDoc(doc(dbFor(ALICE), 'tasks', 'qa1'), { status: 'fatto' }));
+    await assertSucceeds(updateDoc(doc(dbFor(MANAGER), 'tasks', 'qa1'), { status: 'fatto' }));
+  });
+
+  test('the workflow of a task cannot be switched', async () => {
+    await assertFails(updateDoc(doc(dbFor(ADMIN), 'tasks', 'task1'), { workflowId: 'qa' }));
+  });
+});
+
+describe('projects and labels', () => {
+  const project = (user) => ({
+    name: 'Cliente Rossi',
+    description: '',
+    color: '#3b82f6',
+    workflowId: 'standard',
+    archived: false,
+    createdBy: user.uid
+  });
+
+  beforeEach(async () => {
+    await seed([
+      ['projects/p1', project(MANAGER)],
+      ['labels/urgente', { name: 'Urgente', color: '#ef4444', createdBy: ALICE.uid }]
+    ]);
+  });
+
+  test('managers and admins manage projects, members only read them', async () => {
+    await assertSucceeds(getDoc(doc(dbFor(CAROL), 'projects', 'p1')));
+    await assertFails(addDoc(collection(dbFor(ALICE), 'projects'), project(ALICE)));
+    await assertSucceeds(addDoc(collection(dbFor(MANAGER), 'projects'), project(MANAGER)));
+    await assertSucceeds(updateDoc(doc(dbFor(ADMIN), 'projects', 'p1'), { archived: true }));
+  });
+
+  test('members introduce labels, only supervisors recolor them', async () => {
+    await assertSucceeds(setDoc(doc(dbFor(ALICE), 'labels', 'backend'), {
+      name: 'Backend',
+      color: '#10b981',
+      createdBy: ALICE.uid
+    }));
+    await assertFails(updateDoc(doc(dbFor(ALICE), 'labels', 'urgente'), { color: '#64748b' }));
+    await assertSucceeds(updateDoc(doc(dbFor(MANAGER), 'labels', 'urgente'), { color: '#64748b' }));
+    await assertFails(updateDoc(doc(dbFor(MANAGER), 'labels', 'urgente'), { name: 'Altro' }));
+  });
+
+  test('tasks take a known priority, a few labels and an existing project', async () => {
+    const tasks = collection(dbFor(ALICE), 'tasks');
+    await assertSucceeds(addDoc(tasks, { ...baseTask, priority: 'urgent', labels: ['Urgente'], projectId: 'p1' }));
+    await assertFails(addDoc(tasks, { ...baseTask, priority: 'critica' }));
+    await assertFails(addDoc(tasks, { ...baseTask, projectId: 'missing' }));
+    await assertFails(addDoc(tasks, { ...baseTask, labels: Array.from({ length: 11 }, (_, i) => `l${i}`) }));
+  });
+
+  test('priority, labels and project are edited like other task content', async () => {
+    await assertFails(updateDoc(doc(dbFor(BOB), 'tasks', 'task1'), { priority: 'high', version: 1 }));
+    await assertFails(updateDoc(doc(dbFor(ALICE), 'tasks', 'task1'), { priority: 'high' }));
+    await assertSucceeds(updateDoc(doc(dbFor(ALICE), 'tasks', 'task1'), {
+      priority: 'high',
+      projectId: 'p1',
+      version: 1
+    }));
+  });
+});
+
+describe('saved filters', () => {
+  const filter = (user) => ({
+    userId: user.uid,
+    name: 'Scaduti urgenti',
+    query: 'overdue=1&priority=urgent',
+    createdAt: serverTimestamp()
+  });
+
+  beforeEach(async () => {
+    await seed([['savedFilters/f1', filter(ALICE)]]);
+  });
+
+  test('users save filters for themselves only', async () => {
+    await assertSucceeds(addDoc(collection(dbFor(BOB), 'savedFilters'), filter(BOB)));
+    await assertFails(addDoc(collection(dbFor(BOB), 'savedFilters'), filter(ALICE)));
+    await assertFails(addDoc(collection(dbFor(PENDING), 'savedFilters'), filter(PENDING)));
+  });
+
+  test('saved filters are private to their owner', async () => {
+    await assertSucceeds(getDocs(query(collection(dbFor(ALICE), 'savedFilters'), where('userId', '==', ALICE.uid))));
+    await assertFails(getDoc(doc(dbFor(ADMIN), 'savedFilters', 'f1')));
+    await assertFails(deleteDoc(doc(dbFor(BOB), 'savedFilters', 'f1')));
+    await assertSucceeds(deleteDoc(doc(dbFor(ALICE), 'savedFilters', 'f1')));
+  });
+});
+
+describe('push subscriptions', () => {
+  const subscription = (user, extra = {}) => ({
+    userId: user.uid,
+    endpoint: `https://push.example.com/${user.uid}`,
+    keys: { p256dh: 'key', auth: 'secret' },
+    topics: { dueSoon: true, overdue: true, assigned: true },
+    userAgent: 'test',
+    createdAt: serverTimestamp(),
+    ...extra
+  });
+
+  beforeEach(async () => {
+    await seed([['pushSubscriptions/s1', subscription(ALICE)]]);
+  });
+
+  test('users register their own devices with https endpoints', async () => {
+    await assertSucceeds(setDoc(doc(dbFor(BOB), 'pushSubscriptions', 's2'), subscription(BOB)));
+    await assertFails(setDoc(doc(dbFor(BOB), 'pushSubscriptions', 's3'), subscription(ALICE)));
+    await assertFails(setDoc(doc(dbFor(BOB), 'pushSubscriptions', 's4'),
+      subscription(BOB, { endpoint: 'http://169.254.169.254/' })));
+    await assertFails(setDoc(doc(dbFor(PENDING), 'pushSubscriptions', 's5'), subscription(PENDING)));
+  });
+
+  test('only the topics of a device can change', async () => {
+    await assertSucceeds(updateDoc(doc(dbFor(ALICE), 'pushSubscriptions', 's1'),
+      { topics: { dueSoon: false, overdue: true, assigned: true } }));
+    await assertFails(updateDoc(doc(dbFor(ALICE), 'pushSubscriptions', 's1'), { topics: { digest: true } }));
+    await assertFails(updateDoc(doc(dbFor(ALICE), 'pushSubscriptions', 's1'), { userId: BOB.uid }));
+    await assertFails(updateDoc(doc(dbFor(BOB), 'pushSubscriptions', 's1'), { topics: {} }));
+  });
+
+  test('devices are private to their owner', async () => {
+    await assertSucceeds(getDoc(doc(dbFor(ALICE), 'pushSubscriptions', 's1')));
+    await assertSucceeds(getDoc(doc(dbFor(BOB), 'pushSubscriptions', 'missing')));
+    await assertFails(getDoc(doc(dbFor(ADMIN), 'pushSubscriptions', 's1')));
+    await assertFails(deleteDoc(doc(dbFor(BOB), 'pushSubscriptions', 's1')));
+    await assertSucceeds(deleteDoc(doc(dbFor(ALICE), 'pushSubscriptions', 's1')));
+  });
+});
+
+describe('comments', () => {
+  const comment = (user, extra = {}) => ({
+    userId: user.uid,
+    userName: user.uid,
+    text: 'Ciao',
+    parentId: null,
+    mentions: [],
+    history: [],
+    deleted: false,
+    ...extra
+  });
+
+  beforeEach(async () => {
+    await seed([['tasks/task1/comments/c1', comment(BOB)]]);
+  });
+
+  test('involved users can read and add comments', async () => {
+    await assertSucceeds(getDoc(doc(dbFor(ALICE), 'tasks/task1/comments/c1')));
+    await assertSucceeds(addDoc(collection(dbFor(ALICE), 'tasks/task1/comments'), comment(ALICE)));
+  });
+
+  test('other members can neither read nor add comments', async () => {
+    await assertFails(getDoc(doc(dbFor(CAROL), 'tasks/task1/comments/c1')));
+    await assertFails(addDoc(collection(dbFor(CAROL), 'tasks/task1/comments'), comment(CAROL)));
+  });
+
+  test('comments cannot be signed by someone else', async () => {
+    await assertFails(addDoc(collection(dbFor(ALICE), 'tasks/task1/comments'), comment(BOB)));
+  });
+
+  test('completed tasks accept no new comments', async () => {
+    await seed([['tasks/task1', { ...baseTask, status: 'completato' }]]);
+    await assertFails(addDoc(collection(dbFor(ALICE), 'tasks/task1/comments'), comment(ALICE)));
+  });
+
+  test('the author edits keeping the previous text in the history', async () => {
+    const ref = doc(dbFor(BOB), 'tasks/task1/comments/c1');
+    await assertFails(updateDoc(ref, { text: 'Nuovo' }));
+    await assertSucceeds(updateDoc(ref, {
+      text: 'Nuovo',
+      history: [{ text: 'Ciao', editedAt: '2026-01-01T00:00:00.000Z' }],
+      editedAt: serverTimestamp()
+    }));
+  });
+
+  test('only the author can edit', async () => {
+    await assertFails(updateDoc(doc(dbFor(ALICE), 'tasks/task1/comments/c1'), {
+      text: 'Nuovo',
+      history: [{ text: 'Ciao', editedAt: '2026-01-01T00:00:00.000Z' }]
+    }));
+  });
+
+  test('comments are soft-deleted by the author or an admin', async () => {
+    const softDelete = (user) => ({
+      text: '',
+      deleted: true,
+      deletedBy: user.uid,
+      history: [{ text: 'Ciao', editedAt: '2026-01-01T00:00:00.000Z' }],
+      deletedAt: serverTimestamp()
+    });
+    await assertFails(updateDoc(doc(dbFor(ALICE), 'tasks/task1/comments/c1'), softDelete(ALICE)));
+    await assertSucceeds(updateDoc(doc(dbFor(ADMIN), 'tasks/task1/comments/c1'), softDelete(ADMIN)));
+    await assertFails(deleteDoc(doc(dbFor(BOB), 'tasks/task1/comments/c1')));
+  });
+
+  test('the comment counter moves one step at a time', async () => {
+    const ref = doc(dbFor(ALICE), 'tasks', 'task1');
+    await assertSucceeds(updateDoc(ref, { commentCount: 1 }));
+    await assertFails(updateDoc(ref, { commentCount: 5 }));
+  });
+});
+
+describe('attachments', () => {
+  const attachment = (user, id, extra = {}) => ({
+    name: 'report.pdf',
+    size: 1024,
+    contentType: 'application/pdf',
+    storagePath: `tasks/task1/${id}/report.pdf`,
+    commentId: null,
+    uploadedBy: user.uid,
+    uploadedByName: user.uid,
+    ...extra
+  });
+
+  beforeEach(async () => {
+    await seed([['tasks/task1/attachments/a1', attachment(BOB, 'a1')]]);
+  });
+
+  test('involved users can read and add attachments', async () => {
+    await assertSucceeds(getDoc(doc(dbFor(ALICE), 'tasks/task1/attachments/a1')));
+    await assertSucceeds(setDoc(doc(dbFor(ALICE), 'tasks/task1/attachments/a2'), attachment(ALICE, 'a2')));
+  });
+
+  test('other members can neither read nor add attachments', async () => {
+    await assertFails(getDoc(doc(dbFor(CAROL), 'tasks/task1/attachments/a1')));
+    await assertFails(setDoc(doc(dbFor(CAROL), 'tasks/task1/attachments/a2'), attachment(CAROL, 'a2')));
+  });
+
+  test('metadata must point inside the task folder and respect the size limit', async () => {
+    const db = dbFor(ALICE);
+    await assertFails(setDoc(doc(db, 'tasks/task1/attachments/a2'), attachment(ALICE, 'a2', {
+      storagePath: 'tasks/other/a2/report.pdf'
+    })));
+    await assertFails(setDoc(doc(db, 'tasks/task1/attachments/a2'), attachment(ALICE, 'a2', {
+      size: 20 * 1024 * 1024
+    })));
+  });
+
+  test('metadata cannot carry a download URL that would bypass storage.rules', async () => {
+    await assertFails(setDoc(doc(dbFor(ALICE), 'tasks/task1/attachments/a2'), attachment(ALICE, 'a2', {
+      url: 'https://example.test/report.pdf'
+    })));
+  });
+
+  test('attachments are removed by the uploader or an editor', async () => {
+    await seed([['tasks/task1/attachments/a2', attachment(BOB, 'a2')]]);
+    await assertFails(deleteDoc(doc(dbFor(VIEWER), 'tasks/task1/attachments/a1')));
+    await assertSucceeds(deleteDoc(doc(dbFor(BOB), 'tasks/task1/attachments/a1')));
+    await assertSucceeds(deleteDoc(doc(dbFor(ALICE), 'tasks/task1/attachments/a2')));
+  });
+});
+
+describe('activity', () => {
+  const entry = (user, extra = {}) => ({
+    type: 'status',
+    taskId: 'task1',
+    taskTitle: baseTask.title,
+    actorId: user.uid,
+    actorName: user.uid,
+    from: 'aperto',
+    to: 'in_lavorazione',
+    createdAt: serverTimestamp(),
+    ...extra
+  });
+
+  // Commits `updates` to task1 together with `logged`, like the app does
+  const commitWith = (user, updates, logged) => {
+    const db = dbFor(user);
+    const batch = writeBatch(db);
+    if (updates) batch.update(doc(db, 'tasks', 'task1'), { ...updates, updatedAt: serverTimestamp() });
+    batch.set(doc(collection(db, 'tasks/task1/activity')), logged);
+    return batch.commit();
+  };
+
+  const start = { status: 'in_lavorazione' };
+
+  beforeEach(async () => {
+    await seed([['tasks/task1/activity/e1', { ...entry(BOB), createdAt: new Date() }]]);
+  });
+
+  test('entries are readable by whoever can read the task', async () => {
+    await assertSucceeds(getDoc(doc(dbFor(ALICE), 'tasks/task1/activity/e1')));
+    await assertSucceeds(getDoc(doc(dbFor(VIEWER), 'tasks/task1/activity/e1')));
+    await assertFails(getDoc(doc(dbFor(CAROL), 'tasks/task1/activity/e1')));
+  });
+
+  test('entries are signed by the actor and stamped by the server', async () => {
+    await assertFails(commitWith(BOB, start, entry(ALICE)));
+    await assertFails(commitWith(BOB, start, { ...entry(BOB), createdAt: new Date('2020-01-01') }));
+    await assertFails(commitWith(BOB, start, entry(BOB, { type: 'hacked' })));
+    await assertSucceeds(commitWith(BOB, start, entry(BOB)));
+  });
+
+  test('entries describe the change made in the same batch', async () => {
+    await assertFails(addDoc(collection(dbFor(BOB), 'tasks/task1/activity'), entry(BOB)));
+    await assertFails(commitWith(BOB, start, entry(BOB, { from: 'in_revisione' })));
+    await assertFails(commitWith(BOB, start, entry(BOB, { to: 'completato' })));
+    await assertFails(commitWith(BOB, start, entry(BOB, { type: 'reassigned', from: BOB.uid, to: CAROL.uid })));
+    await assertFails(commitWith(BOB, start, entry(BOB, { type: 'comment_edited', commentId: 'c1' })));
+    await assertFails(commitWith(ALICE, null, entry(ALICE, { type: 'created', to: BOB.uid, workflowId: 'standard' })));
+
+    const reassign = { assignedTo: CAROL.uid, assignmentHistory: [BOB.uid, CAROL.uid], version: 1 };
+    await assertFails(commitWith(BOB, reassign, entry(BOB, { type: 'reassigned', from: ALICE.uid, to: CAROL.uid })));
+    await assertSucceeds(commitWith(BOB, reassign, entry(BOB, { type: 'reassigned', from: BOB.uid, to: CAROL.uid })));
+  });
+
+  test('comment entries name a comment changed in the same batch', async () => {
+    await seed([['tasks/task1/comments/c1', { userId: BOB.uid, text: 'Ciao', deleted: false, history: [] }]]);
+    const db = dbFor(BOB);
+    const edit = () => {
+      const batch = writeBatch(db);
+      batch.update(doc(db, 'tasks/task1/comments/c1'), {
+        text: 'Ciao a tutti',
+        history: [{ text: 'Ciao' }],
+        editedAt: serverTimestamp()
+      });
+      return batch;
+    };
+    const logged = entry(BOB, { type: 'comment_edited', commentId: 'c1', from: null, to: null });
+
+    const forged = edit();
+    forged.set(doc(collection(db, 'tasks/task1/activity')), { ...logged, commentId: 'c2' });
+    await assertFails(forged.commit());
+
+    const batch = edit();
+    batch.set(doc(collection(db, 'tasks/task1/activity')), logged);
+    await assertSucceeds(batch.commit());
+  });
+
+  test('the log is append-only', async () => {
+    const ref = doc(dbFor(ADMIN), 'tasks/task1/activity/e1');
+    await assertFails(updateDoc(ref, { to: 'completato' }));
+    await assertFails(deleteDoc(ref));
+  });
+
+  test('a new task is logged in the same batch that creates it', async () => {
+    const db = dbFor(ALICE);
+    const batch = writeBatch(db);
+    batch.set(doc(db, 'tasks', 'task2'), { ...baseTask, createdAt: serverTimestamp() });
+    batch.set(doc(db, 'tasks/task2/activity/e1'), entry(ALICE, {
+      type: 'created',
+      taskId: 'task2',
+      from: null,
+      to: BOB.uid,
+      workflowId: 'standard'
+    }));
+    await assertSucceeds(batch.commit());
+  });
+
+  test('an import batch of many tasks and their entries stays within the rules limits', async () => {
+    await seed([['projects/p1', { name: 'Sito', workflowId: 'standard', archived: false, createdBy: MANAGER.uid }]]);
+    const rows = Array.from({ length: 40 }, (_, i) => ({
+      line: i + 2,
+      data: { title: `Importato ${i}`, projectId: 'p1', workflowId: 'standard' }
+    }));
+    const [first] = getImportBatches(rows);
+    const db = dbFor(ALICE);
+    const batch = writeBatch(db);
+    first.forEach(({ line, data }) => {
+      const taskId = `imported${line}`;
+      batch.set(doc(db, 'tasks', taskId), {
+        ...baseTask,
+        title: data.title,
+        priority: 'normal',
+        labels: [],
+        projectId: data.projectId,
+        workflowId: data.workflowId,
+        createdAt: serverTimestamp(),
+        commentCount: 0,
+        version: 0,
+        recurrence: null
+      });
+      batch.set(doc(db, `tasks/${taskId}/activity/created`), entry(ALICE, {
+        type: 'created',
+        taskId,
+        taskTitle: data.title,
+        from: null,
+        to: BOB.uid,
+        workflowId: data.workflowId,
+        importedFrom: 'import.csv'
+      }));
+    });
+    expect(first.length).toBeGreaterThan(10);
+    await assertSucceeds(batch.commit());
+  });
+
+  test('admins and managers read the activity across all tasks', async () => {
+    await assertSucceeds(getDocs(collectionGroup(dbFor(ADMIN), 'activity')));
+    await assertSucceeds(getDocs(collectionGroup(dbFor(MANAGER), 'activity')));
+    await assertFails(getDocs(collectionGroup(dbFor(ALICE), 'activity')));
+    await assertFails(getDocs(collectionGroup(dbFor(VIEWER), 'activity')));
+  });
+});
+
+describe('notifications', () => {
+  const notification = (target) => ({
+    type: 'task_assigned',
+    message: 'Nuovo task',
+    targetUserId: target,
+    userId: ALICE.uid,
+    read: false
+  });
+
+  beforeEach(async () => {
+    await seed([
+      ['notifications/forBob', notification(BOB.uid)],
+      ['notifications/forAdmins', { ...notification('admin'), type: 'user_approval' }]
+    ]);
+  });
+
+  test('only the recipient can read a notification', async () => {
+    await assertSucceeds(getDoc(doc(dbFor(BOB), 'notifications', 'forBob')));
+    await assertFails(getDoc(doc(dbFor(CAROL), 'notifications', 'forBob')));
+  });
+
+  test('the admin inbox is visible to admins only', async () => {
+    await assertSucceeds(getDoc(doc(dbFor(ADMIN), 'notifications', 'forAdmins')));
+    await assertFails(getDoc(doc(dbFor(MANAGER), 'notifications', 'forAdmins')));
+  });
+
+  test('notifications are sent in the sender name only', async () => {
+    await assertSucceeds(addDoc(collection(dbFor(ALICE), 'notifications'), notification(BOB.uid)));
+    await assertFails(addDoc(collection(dbFor(CAROL), 'notifications'), notification(BOB.uid)));
+  });
+
+  test('task notifications name a task the sender reads and a recipient involved in it', async () => {
+    const forged = (user, extra) => ({ ...notification(user.uid), userId: user.uid, taskId: 'task1', ...extra });
+    // task1 is Alice's, assigned to Bob
+    await assertSucceeds(addDoc(collection(dbFor(ALICE), 'notifications'), forged(ALICE, { targetUserId: BOB.uid })));
+    await assertSucceeds(addDoc(collection(dbFor(BOB), 'notifications'), forged(BOB, {
+      type: 'task_status',
+      status: 'in_revisione',
+      targetUserId: ALICE.uid
+    })));
+    // Carol can't read task1: no email about it for herself or anyone else
+    await assertFails(addDoc(collection(dbFor(CAROL), 'notifications'), forged(CAROL, { targetUserId: CAROL.uid })));
+    await assertFails(addDoc(collection(dbFor(CAROL), 'notifications'), forged(CAROL, {
+      type: 'task_status',
+      status: 'in_revisione',
+      targetUserId: CAROL.uid
+    })));
+    // Only the assignee gets assignments, and overdue reminders are the functions' job
+    await assertFails(addDoc(collection(dbFor(ALICE), 'notifications'), forged(ALICE, { targetUserId: CAROL.uid })));
+    await assertFails(addDoc(collection(dbFor(BOB), 'notifications'), forged(BOB, {
+      type: 'task_overdue',
+      targetUserId: BOB.uid
+    })));
+  });
+
+  test('pending users can only request approval', async () => {
+    const db = dbFor(PENDING);
+    await assertSucceeds(addDoc(collection(db, 'notifications'), {
+      ...notification('admin'),
+      type: 'user_approval',
+      userId: PENDING.uid
+    }));
+    await assertFails(addDoc(collection(db, 'notifications'), {
+      ...notification(BOB.uid),
+      userId: PENDING.uid
+    }));
+  });
+
+  test('the recipient can only mark a notification as read', async () => {
+    const ref = doc(dbFor(BOB), 'notifications', 'forBob');
+    await assertSucceeds(updateDoc(ref, { read: true, readAt: serverTimestamp() }));
+    await assertFails(updateDoc(ref, { message: 'Modificato' }));
+    await assertFails(updateDoc(doc(dbFor(CAROL), 'notifications', 'forBob'), { read: true }));
+  });
+});
@@ -0,0 +1,174 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import {
+  createOutboxEntry,
+  getPendingEntries,
+  loadOutbox,
+  replayEntries,
+  retryEntry,
+  saveOutbox,
+  settleEntry
+} from '../src/utils/outbox.js';
+
+// Offline writes: queueing, replay order and conflicts.
+
+const context = {
+  t: (key, params) => (params ? `${key} ${JSON.stringify(params)}` : key),
+  getStatusText: (status) => status
+};
+
+const base = { title: 'Report', status: 'aperto', workflowId: 'standard' };
+
+// Replays `entries` against `tasks` (id -> task) and `comments` (taskId/commentId
+// on the server), like the app does with React state: returns the outbox
+// afterwards and the writes in order
+const replay = async (entries, tasks, write = async () => {}, comments = []) => {
+  let outbox = entries;
+  const written = [];
+  await replayEntries(entries, {
+    readTask: async (taskId) => tasks[taskId] || null,
+    hasComment: async (taskId, commentId) => comments.includes(`${taskId}/${commentId}`),
+    write: async (entry, task) => {
+      await write(entry, task);
+      written.push(entry.id);
+    },
+    settle: (entry, conflict) => {
+      outbox = settleEntry(outbox, entry.id, conflict);
+    }
+  }, context);
+  return { outbox, written };
+};
+
+const entry = (id, type, taskId, payload, entryBase = base) => ({
+  ...createOutboxEntry(type, taskId, payload, entryBase),
+  id
+});
+
+describe('storage', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new Map();
+    vi.stubGlobal('localStorage', {
+      getItem: (key) => (store.has(key) ? store.get(key) : null),
+      setItem: (key, value) => store.set(key, String(value)),
+      removeItem: (key) => store.delete(key)
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  test('the outbox is kept per user and removed once empty', () => {
+    const queued = [createOutboxEntry('addComment', 't1', { text: 'Ciao', parentId: null }, { title: 'Report' })];
+    saveOutbox('bob', queued);
+    expect(loadOutbox('bob')).toEqual(queued);
+    expect(loadOutbox('alice')).toEqual([]);
+
+    saveOutbox('bob', []);
+    expect(store.size).toBe(0);
+  });
+
+  test('an unreadable outbox counts as empty', () => {
+    store.set('taskflow.outbox.bob', '{not json');
+    expect(loadOutbox('bob')).toEqual([]);
+  });
+});
+
+describe('replay', () => {
+  test('entries go out in queue order and leave the outbox', async () => {
+    const entries = [
+      entry('e1', 'createTask', null, { title: 'Nuovo' }, null),
+      entry('e2', 'addComment', 't1', { text: 'Fatto', parentId: null }),
+      entry('e3', 'updateStatus', 't1', { status: 'in_lavorazione' })
+    ];
+    const { outbox, written } = await replay(entries, { t1: { id: 't1', status: 'aperto' } });
+    expect(written).toEqual(['e1', 'e2', 'e3']);
+    expect(outbox).toEqual([]);
+  });
+
+  test('a status someone else changed in the meantime is a conflict and stays', async () => {
+    const entries = [entry('e1', 'updateStatus', 't1', { status: 'in_lavorazione' })];
+    const { outbox, written } = await replay(entries, { t1: { id: 't1', status: 'in_revisione' } });
+    expect(written).toEqual([]);
+    expect(outbox).toHaveLength(1);
+    expect(outbox[0].conflict).toBe('outbox.moved {"status":"in_revisione"}');
+    expect(getPendingEntries(outbox)).toEqual([]);
+  });
+
+  test('retried conflicts are applied over the other edit', async () => {
+    const [conflicted] = settleEntry([entry('e1', 'updateStatus', 't1', { status: 'in_lavorazione' })], 'e1', 'moved');
+    const retried = retryEntry([conflicted], 'e1');
+    expect(retried[0]).toMatchObject({ conflict: null, force: true });
+
+    const { outbox, written } = await replay(retried, { t1: { id: 't1', status: 'in_revisione' } });
+    expect(written).toEqual(['e1']);
+    expect(outbox).toEqual([]);
+  });
+
+  test('entries on deleted tasks are kept as conflicts, the rest still go out', async () => {
+    const entries = [
+      entry('e1', 'addComment', 'gone', { text: 'Ciao', parentId: null }),
+      entry('e2', 'addComment', 't1', { text: 'Ciao', parentId: null })
+    ];
+    const { outbox, written } = await replay(entries, { t1: { id: 't1', status: 'aperto' } });
+    expect(written).toEqual(['e2']);
+    expect(outbox.map(e => [e.id, e.conflict])).toEqual([['e1', 'outbox.deleted']]);
+  });
+
+  test('a status change already on the server is not written twice', async () => {
+    const entries = [
+      entry('e1', 'updateStatus', 't1', { status: 'in_lavorazione' }),
+      entry('e2', 'updateStatus', 't1', { status: 'in_lavorazione' })
+    ];
+    const { outbox, written } = await replay(entries, { t1: { id: 't1', status: 'in_lavorazione' } });
+    expect(written).toEqual([]);
+    expect(outbox).toEqual([]);
+  });
+
+  test('tasks and comments an earlier replay wrote are not written again', async () => {
+    const entries = [
+      entry('e1', 'createTask', 'new1', { title: 'Nuovo' }, null),
+      entry('e2', 'createTask', 'new2', { title: 'Altro' }, null),
+      entry('e3', 'addComment', 't1', { text: 'Uno', parentId: null, commentId: 'c1' }),
+      entry('e4', 'addComment', 't1', { text: 'Due', parentId: null, commentId: 'c2' })
+    ];
+    const tasks = { t1: { id: 't1', status: 'aperto' }, new1: { id: 'new1', status: 'aperto' } };
+    const { outbox, written } = await replay(entries, tasks, undefined, ['t1/c1']);
+    expect(written).toEqual(['e2', 'e4']);
+    expect(outbox).toEqual([]);
+  });
+
+  test('the new task is written with the id picked when queueing', async () => {
+    const ids = [];
+    await replay([entry('e1', 'createTask', 'new1', { title: 'Nuovo' }, null)], {}, async (queued, task) => {
+      ids.push([queued.taskId, task]);
+    });
+    expect(ids).toEqual([['new1', null]]);
+  });
+
+  test('a lost connection stops the replay and keeps the rest pending', async () => {
+    const entries = [
+      entry('e1', 'addComment', 't1', { text: 'Uno', parentId: null }),
+      entry('e2', 'addComment', 't1', { text: 'Due', parentId: null }),
+      entry('e3', 'addComment', 't1', { text: 'Tre', parentId: null })
+    ];
+    const write = async (queued) => {
+      if (queued.id === 'e2') throw Object.assign(new Error('offline'), { code: 'unavailable' });
+    };
+    const { outbox, written } = await replay(entries, { t1: { id: 't1', status: 'aperto' } }, write);
+    expect(written).toEqual(['e1']);
+    expect(getPendingEntries(outbox).map(e => e.id)).toEqual(['e2', 'e3']);
+  });
+
+  test('writes the server rejects are kept with the reason', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const entries = [entry('e1', 'addComment', 't1', { text: 'Ciao', parentId: null })];
+    const write = async () => {
+      throw Object.assign(new Error('denied'), { code: 'permission-denied' });
+    };
+    const { outbox } = await replay(entries, { t1: { id: 't1', status: 'aperto' } }, write);
+    expect(outbox[0].conflict).toBe('sync.rejected');
+    vi.restoreAllMocks();
+  });
+});
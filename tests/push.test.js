@@ -0,0 +1,130 @@
+import { afterAll, beforeAll, describe, expect, test } from 'vitest';
+import {
+  buildPushPayload,
+  createWebPushSender,
+  deliverPush,
+  generateVapidKeys,
+  getDueReminders
+} from '../functions/src/push.js';
+import { startMockPushEndpoint } from '../functions/src/mockPushEndpoint.js';
+
+// Push logic of the Cloud Functions against a local mock push endpoint.
+// Needs the functions dependencies: `npm --prefix functions install`.
+
+const NOW = new Date('2025-03-10T12:00:00');
+
+const task = (id, dueDate, extra = {}) => ({
+  id,
+  title: `Task ${id}`,
+  assignedTo: 'bob',
+  status: 'aperto',
+  dueDate: new Date(dueDate),
+  ...extra
+});
+
+const isDone = (t) => ['completato', 'chiuso'].includes(t.status);
+
+// Monday to Friday, 9 to 18 in Rome
+const OFFICE = {
+  timeZone: 'Europe/Rome',
+  workingDays: [1, 2, 3, 4, 5],
+  workingHours: { start: '09:00', end: '18:00' },
+  holidays: []
+};
+
+describe('due date reminders', () => {
+  test('open tasks due within a day get a due soon reminder', () => {
+    const [reminder] = getDueReminders([task('t1', '2025-03-10T18:00:00')], NOW, isDone);
+    expect(reminder.id).toBe(`due_t1_bob_${new Date('2025-03-10T18:00:00').getTime()}`);
+    expect(reminder.data).toMatchObject({ type: 'task_due_soon', targetUserId: 'bob', taskId: 't1', read: false });
+  });
+
+  test('open tasks past their due date get an overdue reminder', () => {
+    const [reminder] = getDueReminders([task('t1', '2025-03-09T18:00:00')], NOW, isDone);
+    expect(reminder.id).toMatch(/^overdue_t1_bob_/);
+    expect(reminder.data.type).toBe('task_overdue');
+  });
+
+  test('reminders are written in the assignee language and keep their message key', () => {
+    const [italian] = getDueReminders([task('t1', '2025-03-09T18:00:00')], NOW, isDone);
+    expect(italian.data).toMatchObject({ message: 'Il task "Task t1" è scaduto', messageKey: 'overdue', messageParams: { title: 'Task t1' } });
+
+    const [english] = getDueReminders([task('t1', '2025-03-10T18:00:00')], NOW, isDone, () => 'en');
+    expect(english.data).toMatchObject({ message: 'The task "Task t1" is due soon', messageKey: 'dueSoon' });
+  });
+
+  test('completed tasks and later deadlines get no reminder', () => {
+    expect(getDueReminders([
+      task('t1', '2025-03-09T18:00:00', { status: 'completato' }),
+      task('t2', '2025-03-12T18:00:00')
+    ], NOW, isDone)).toEqual([]);
+  });
+
+  test('deadlines outside working hours turn overdue when work starts', () => {
+    const saturday = task('t1', '2025-03-08T10:00:00Z');
+    const [early] = getDueReminders([saturday], new Date('2025-03-10T07:30:00Z'), isDone, undefined, OFFICE);
+    expect(early.data.type).toBe('task_due_soon');
+    const [late] = getDueReminders([saturday], new Date('2025-03-10T08:30:00Z'), isDone, undefined, OFFICE);
+    expect(late.data.type).toBe('task_overdue');
+  });
+
+  test('all-day tasks are due at the end of the working day and holidays are not counted', () => {
+    // Friday 14 March, all day; Wednesday 18:00 in Rome leaves Thursday and Friday
+    const friday = task('t1', '2025-03-13T23:00:00Z', { allDay: true, dueTimeZone: 'Europe/Rome' });
+    const wednesdayEvening = new Date('2025-03-12T17:00:00Z');
+    expect(getDueReminders([friday], wednesdayEvening, isDone, undefined, OFFICE)).toEqual([]);
+
+    const [reminder] = getDueReminders([friday], wednesdayEvening, isDone, undefined, { ...OFFICE, holidays: ['2025-03-13'] });
+    expect(reminder.data.type).toBe('task_due_soon');
+    expect(getDueReminders([friday], new Date('2025-03-14T16:30:00Z'), isDone, undefined, OFFICE)[0].data.type).toBe('task_due_soon');
+    expect(getDueReminders([friday], new Date('2025-03-17T08:30:00Z'), isDone, undefined, OFFICE)[0].data.type).toBe('task_overdue');
+  });
+});
+
+describe('push delivery', () => {
+  let endpoint;
+  let send;
+
+  beforeAll(async () => {
+    endpoint = await startMockPushEndpoint();
+    send = createWebPushSender({ ...generateVapidKeys(), subject: 'mailto:admin@taskflow.test' });
+  });
+
+  afterAll(async () => {
+    await endpoint?.close();
+  });
+
+  test('subscribed devices receive the encrypted payload', async () => {
+    const payload = buildPushPayload('n1', {
+      type: 'task_assigned',
+      message: 'alice ti ha assegnato il task "Report"',
+      taskId: 't1'
+    }, 'https://taskflow.test');
+
+    const result = await deliverPush([{ id: 's1', ...endpoint.subscribe('bob-phone') }], payload, send);
+
+    expect(result).toEqual({ sent: 1, expired: [], failed: 0 });
+    const push = endpoint.received.find(p => p.name === 'bob-phone');
+    expect(push.payload).toEqual({
+      title: 'Nuovo task assegnato',
+      body: 'alice ti ha assegnato il task "Report"',
+      url: 'https://taskflow.test/tasks/t1',
+      tag: 'n1'
+    });
+    expect(push.headers.authorization).toMatch(/^vapid t=/);
+  });
+
+  test('push titles follow the recipient language', () => {
+    expect(buildPushPayload('n1', { type: 'task_overdue', message: '' }, '', 'en').title).toBe('Task overdue');
+    expect(buildPushPayload('n1', { type: 'task_overdue', message: '' }, '', 'de').title).toBe('Task scaduto');
+  });
+
+  test('expired subscriptions are reported for removal', async () => {
+    const result = await deliverPush([
+      { id: 's2', ...endpoint.subscribe('bob-laptop') },
+      { id: 's3', ...endpoint.subscribe('bob-old-phone', { gone: true }) }
+    ], buildPushPayload('n2', { type: 'task_overdue', message: 'Scaduto', taskId: 't2' }, ''), send);
+
+    expect(result).toEqual({ sent: 1, expired: ['s3'], failed: 0 });
+  });
+});
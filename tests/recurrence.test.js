@@ -0,0 +1,102 @@
+import { describe, expect, test } from 'vitest';
+import { DEFAULT_REPEAT, buildRRule, getNextOccurrence, validateRRule } from '../src/utils/recurrence.js';
+
+// RRULE parsing and next dates of recurring tasks. Dates are local, like
+// the ones recurrence.js works on.
+
+// Returns the catalog key, so errors are checked by key
+const t = (key) => key;
+
+const at = (year, month, day) => new Date(year, month - 1, day, 9, 0);
+
+describe('validateRRule', () => {
+  test('accepts the supported subset', () => {
+    expect(validateRRule('FREQ=DAILY', t)).toBeNull();
+    expect(validateRRule('RRULE:freq=weekly;byday=MO,TH;interval=2', t)).toBeNull();
+    expect(validateRRule('FREQ=MONTHLY;BYDAY=-1FR;COUNT=6', t)).toBeNull();
+    expect(validateRRule('FREQ=MONTHLY;BYMONTHDAY=31;UNTIL=20251231', t)).toBeNull();
+    expect(validateRRule('FREQ=YEARLY;UNTIL=20300101T000000Z', t)).toBeNull();
+  });
+
+  test('rejects rules it cannot follow', () => {
+    expect(validateRRule(' ', t)).toBe('recurrence.errors.empty');
+    expect(validateRRule('FREQ=HOURLY', t)).toBe('recurrence.errors.freq');
+    expect(validateRRule('FREQ=DAILY;BYHOUR=9', t)).toBe('recurrence.errors.unsupported');
+    expect(validateRRule('FREQ=DAILY;COUNT', t)).toBe('recurrence.errors.noValue');
+    expect(validateRRule('FREQ=DAILY;INTERVAL=0', t)).toBe('recurrence.errors.interval');
+    expect(validateRRule('FREQ=DAILY;COUNT=3;UNTIL=20250101', t)).toBe('recurrence.errors.countAndUntil');
+    expect(validateRRule('FREQ=DAILY;UNTIL=2025-01-01', t)).toBe('recurrence.errors.until');
+    expect(validateRRule('FREQ=WEEKLY;BYDAY=2MO', t)).toBe('recurrence.errors.byDayPosition');
+    expect(validateRRule('FREQ=MONTHLY;BYDAY=MO,TU', t)).toBe('recurrence.errors.byDayMonthly');
+    expect(validateRRule('FREQ=YEARLY;BYDAY=MO', t)).toBe('recurrence.errors.byDayYearly');
+    expect(validateRRule('FREQ=WEEKLY;BYMONTHDAY=1', t)).toBe('recurrence.errors.byMonthDayMonthly');
+    expect(validateRRule('FREQ=MONTHLY;BYMONTHDAY=32', t)).toBe('recurrence.errors.byMonthDay');
+  });
+});
+
+describe('getNextOccurrence', () => {
+  test('daily and weekly series keep the time of day', () => {
+    expect(getNextOccurrence('FREQ=DAILY;INTERVAL=3', at(2025, 3, 30), 1)).toEqual(at(2025, 4, 2));
+    expect(getNextOccurrence('FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR', at(2025, 3, 7), 1)).toEqual(at(2025, 3, 10));
+    expect(getNextOccurrence('FREQ=WEEKLY', at(2025, 3, 3), 1)).toEqual(at(2025, 3, 10));
+  });
+
+  test('weekly series with an interval finish the week, then skip weeks', () => {
+    const rule = 'FREQ=WEEKLY;BYDAY=MO,TH;INTERVAL=2';
+    expect(getNextOccurrence(rule, at(2025, 3, 3), 1)).toEqual(at(2025, 3, 6));
+    expect(getNextOccurrence(rule, at(2025, 3, 6), 2)).toEqual(at(2025, 3, 17));
+  });
+
+  test('month days past the end of a short month fall on its last day', () => {
+    const rule = 'FREQ=MONTHLY;BYMONTHDAY=31';
+    expect(getNextOccurrence(rule, at(2025, 1, 31), 1)).toEqual(at(2025, 2, 28));
+    expect(getNextOccurrence(rule, at(2025, 2, 28), 2)).toEqual(at(2025, 3, 31));
+    expect(getNextOccurrence('FREQ=MONTHLY;BYMONTHDAY=-1', at(2024, 1, 31), 1)).toEqual(at(2024, 2, 29));
+  });
+
+  test('nth and last weekdays of the month', () => {
+    expect(getNextOccurrence('FREQ=MONTHLY;BYDAY=2TU', at(2025, 1, 14), 1)).toEqual(at(2025, 2, 11));
+    expect(getNextOccurrence('FREQ=MONTHLY;BYDAY=-1FR', at(2025, 1, 31), 1)).toEqual(at(2025, 2, 28));
+    // Months without a fifth Monday are skipped
+    expect(getNextOccurrence('FREQ=MONTHLY;BYDAY=5MO', at(2025, 3, 31), 1)).toEqual(at(2025, 6, 30));
+  });
+
+  test('series end after COUNT occurrences or past UNTIL', () => {
+    expect(getNextOccurrence('FREQ=DAILY;COUNT=3', at(2025, 3, 5), 2)).toEqual(at(2025, 3, 6));
+    expect(getNextOccurrence('FREQ=DAILY;COUNT=3', at(2025, 3, 6), 3)).toBeNull();
+    expect(getNextOccurrence('FREQ=DAILY;UNTIL=20250307', at(2025, 3, 6), 1)).toEqual(at(2025, 3, 7));
+    expect(getNextOccurrence('FREQ=DAILY;UNTIL=20250307', at(2025, 3, 7), 2)).toBeNull();
+  });
+});
+
+describe('buildRRule', () => {
+  const form = (extra) => ({ ...DEFAULT_REPEAT, ...extra });
+
+  test('builds the rule of each repeat option from the first due date', () => {
+    const wednesday = at(2025, 3, 5);
+    expect(buildRRule(form({ repeat: 'none' }), wednesday)).toBeNull();
+    expect(buildRRule(form({ repeat: 'daily', interval: 2 }), wednesday)).toBe('FREQ=DAILY;INTERVAL=2');
+    expect(buildRRule(form({ repeat: 'weekly' }), wednesday)).toBe('FREQ=WEEKLY;BYDAY=WE');
+    expect(buildRRule(form({ repeat: 'weekly', weekdays: [5, 1] }), wednesday)).toBe('FREQ=WEEKLY;BYDAY=MO,FR');
+    expect(buildRRule(form({ repeat: 'monthly_date' }), wednesday)).toBe('FREQ=MONTHLY;BYMONTHDAY=5');
+    expect(buildRRule(form({ repeat: 'monthly_nth' }), wednesday)).toBe('FREQ=MONTHLY;BYDAY=1WE');
+    expect(buildRRule(form({ repeat: 'custom', custom: 'rrule:freq=yearly' }), wednesday)).toBe('FREQ=YEARLY');
+  });
+
+  test('the fifth weekday of a month becomes the last one', () => {
+    expect(buildRRule(form({ repeat: 'monthly_nth' }), at(2025, 3, 31))).toBe('FREQ=MONTHLY;BYDAY=-1MO');
+  });
+
+  test('adds the end condition', () => {
+    const wednesday = at(2025, 3, 5);
+    expect(buildRRule(form({ repeat: 'daily', end: 'count', count: 4 }), wednesday)).toBe('FREQ=DAILY;COUNT=4');
+    expect(buildRRule(form({ repeat: 'daily', end: 'until', until: '2025-06-30' }), wednesday))
+      .toBe('FREQ=DAILY;UNTIL=20250630');
+  });
+
+  test('built rules are valid', () => {
+    for (const repeat of ['daily', 'weekly', 'monthly_date', 'monthly_nth']) {
+      expect(validateRRule(buildRRule(form({ repeat, end: 'count' }), at(2025, 3, 31)), t)).toBeNull();
+    }
+  });
+});
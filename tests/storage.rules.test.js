@@ -0,0 +1,130 @@
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, test } from 'vitest';
+import {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment
+} from '@firebase/rules-unit-testing';
+import { doc, setDoc } from 'firebase/firestore';
+import { deleteObject, getBytes, ref, uploadBytes } from 'firebase/storage';
+
+// Runs against the Firestore and Storage emulators: `npm test`.
+// storage.rules reads task and profile documents from Firestore.
+
+const ALICE = { uid: 'alice', email: 'alice@taskflow.test' };
+const BOB = { uid: 'bob', email: 'bob@taskflow.test' };
+const CAROL = { uid: 'carol', email: 'carol@taskflow.test' };
+const MANAGER = { uid: 'manager', email: 'manager@taskflow.test' };
+const VIEWER = { uid: 'viewer', email: 'viewer@taskflow.test' };
+// Listed in config/admins, with no profile yet
+const ROOT = { uid: 'root', email: 'root@taskflow.test' };
+
+const PDF = { contentType: 'application/pdf' };
+const FILE = new Uint8Array([37, 80, 68, 70]);
+
+let testEnv;
+
+const storageFor = (user) => testEnv
+  .authenticatedContext(user.uid, { email: user.email })
+  .storage();
+
+const fileRef = (user, path = 'tasks/task1/a1/report.pdf') => ref(storageFor(user), path);
+
+const upload = (user, path, metadata = {}) => uploadBytes(fileRef(user, path), FILE, {
+  ...PDF,
+  customMetadata: { uploadedBy: user.uid },
+  ...metadata
+});
+
+const profile = (user, role = 'member') => ({
+  id: user.uid,
+  email: user.email,
+  name: user.uid,
+  approved: true,
+  role
+});
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-taskflow',
+    firestore: {
+      rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8')
+    },
+    storage: {
+      rules: readFileSync(new URL('../storage.rules', import.meta.url), 'utf8')
+    }
+  });
+});
+
+afterAll(async () => {
+  await testEnv?.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.clearStorage();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await setDoc(doc(db, `users/${ALICE.uid}`), profile(ALICE));
+    await setDoc(doc(db, `users/${BOB.uid}`), profile(BOB));
+    await setDoc(doc(db, `users/${CAROL.uid}`), profile(CAROL));
+    await setDoc(doc(db, `users/${MANAGER.uid}`), profile(MANAGER, 'manager'));
+    await setDoc(doc(db, `users/${VIEWER.uid}`), profile(VIEWER, 'viewer'));
+    await setDoc(doc(db, 'config/admins'), { emails: [ROOT.email] });
+    await setDoc(doc(db, 'tasks/task1'), {
+      title: 'Report mensile',
+      assignedTo: BOB.uid,
+      createdBy: ALICE.uid,
+      status: 'aperto'
+    });
+    await uploadBytes(ref(context.storage(), 'tasks/task1/a1/report.pdf'), FILE, {
+      ...PDF,
+      customMetadata: { uploadedBy: BOB.uid }
+    });
+  });
+});
+
+describe('task attachments', () => {
+  test('involved users and supervisors can download', async () => {
+    await assertSucceeds(getBytes(fileRef(ALICE)));
+    await assertSucceeds(getBytes(fileRef(VIEWER)));
+    await assertFails(getBytes(fileRef(CAROL)));
+  });
+
+  test('involved users can upload allowed files', async () => {
+    await assertSucceeds(upload(ALICE, 'tasks/task1/a2/notes.pdf'));
+    await assertFails(upload(CAROL, 'tasks/task1/a2/notes.pdf'));
+    await assertFails(upload(VIEWER, 'tasks/task1/a2/notes.pdf'));
+  });
+
+  test('uploads must be signed by the uploader and use an allowed type', async () => {
+    await assertFails(upload(ALICE, 'tasks/task1/a2/notes.pdf', {
+      customMetadata: { uploadedBy: BOB.uid }
+    }));
+    await assertFails(upload(ALICE, 'tasks/task1/a2/script.js', {
+      contentType: 'application/javascript'
+    }));
+  });
+
+  test('closed tasks accept no new files', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), 'tasks/task1'), {
+        assignedTo: BOB.uid,
+        createdBy: ALICE.uid,
+        status: 'chiuso'
+      });
+    });
+    await assertFails(upload(ALICE, 'tasks/task1/a2/notes.pdf'));
+  });
+
+  test('the bootstrap admin works with attachments like in Firestore', async () => {
+    await assertSucceeds(getBytes(fileRef(ROOT)));
+    await assertSucceeds(upload(ROOT, 'tasks/task1/a2/notes.pdf'));
+    await assertSucceeds(deleteObject(fileRef(ROOT)));
+  });
+
+  test('files are removed by the uploader or an editor', async () => {
+    await assertFails(deleteObject(fileRef(CAROL)));
+    await assertSucceeds(deleteObject(fileRef(MANAGER)));
+  });
+});
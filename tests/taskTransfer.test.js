@@ -0,0 +1,137 @@
+import { describe, expect, test } from 'vitest';
+import { parseCsv } from '../src/utils/csv.js';
+import { DEFAULT_TEAM_CALENDAR } from '../src/utils/dueDates.js';
+import {
+  getImportBatches,
+  guessMapping,
+  jsonToTable,
+  parseImportDate,
+  validateImportRows
+} from '../src/utils/taskTransfer.js';
+
+// Import wizard: column mapping, date parsing and row validation.
+
+// Returns the catalog key, so errors are checked by key
+const t = (key) => key;
+
+const context = {
+  t,
+  timeZone: 'Europe/Rome',
+  calendar: DEFAULT_TEAM_CALENDAR,
+  users: [{ id: 'bob', email: 'Bob@taskflow.test' }],
+  projects: [
+    { id: 'p1', name: 'Sito', workflowId: 'support' },
+    { id: 'p2', name: 'Archivio', archived: true }
+  ]
+};
+
+const importCsv = (text) => {
+  const [headers, ...rows] = parseCsv(text);
+  return validateImportRows(rows, guessMapping(headers), context);
+};
+
+describe('parseImportDate', () => {
+  test('dates with a time are timed, dates alone are all-day', () => {
+    expect(parseImportDate('2025-03-31 14:30', 'Europe/Rome')).toEqual({ dueDate: '2025-03-31', dueTime: '14:30', allDay: false });
+    expect(parseImportDate('31/03/2025 9:05', 'Europe/Rome')).toEqual({ dueDate: '2025-03-31', dueTime: '09:05', allDay: false });
+    expect(parseImportDate('2025-03-31', 'Europe/Rome')).toEqual({ dueDate: '2025-03-31', dueTime: '', allDay: true });
+  });
+
+  test('ISO timestamps are read in the user time zone', () => {
+    expect(parseImportDate('2025-03-31T22:30:00Z', 'Europe/Rome')).toEqual({ dueDate: '2025-04-01', dueTime: '00:30', allDay: false });
+  });
+
+  test('anything else is rejected', () => {
+    expect(parseImportDate('domani', 'Europe/Rome')).toBeNull();
+    expect(parseImportDate('2025-03-31 25:00', 'Europe/Rome')).toBeNull();
+    expect(parseImportDate('03-31-2025', 'Europe/Rome')).toBeNull();
+  });
+
+  test('days and months that do not exist are rejected, not rolled over', () => {
+    expect(parseImportDate('03/31/2024', 'Europe/Rome')).toBeNull();
+    expect(parseImportDate('2024-02-31', 'Europe/Rome')).toBeNull();
+    expect(parseImportDate('2024-13-45 10:00', 'Europe/Rome')).toBeNull();
+    expect(parseImportDate('31/04/2025', 'Europe/Rome')).toBeNull();
+    expect(parseImportDate('29/02/2024', 'Europe/Rome')).toEqual({ dueDate: '2024-02-29', dueTime: '', allDay: true });
+  });
+});
+
+describe('validateImportRows', () => {
+  test('valid rows become task data', () => {
+    const [row] = importCsv([
+      'Titolo,Descrizione,Email assegnatario,Scadenza,Priorità,Etichette,Progetto',
+      '"Report, Q1","Riga 1\nRiga 2",bob@TASKFLOW.test,2025-03-31 14:30,Alta,"clienti; clienti, q1",sito'
+    ].join('\r\n'));
+    expect(row.line).toBe(2);
+    expect(row.errors).toEqual([]);
+    expect(row.data).toEqual({
+      title: 'Report, Q1',
+      description: 'Riga 1\nRiga 2',
+      assignedTo: 'bob',
+      dueDate: new Date('2025-03-31T12:30:00Z'),
+      allDay: false,
+      dueTimeZone: 'Europe/Rome',
+      priority: 'high',
+      labels: ['clienti', 'q1'],
+      projectId: 'p1',
+      workflowId: 'support'
+    });
+  });
+
+  test('priorities match by id or by name in any language', () => {
+    const rows = importCsv('title,assignee,due date,priority\nA,bob@taskflow.test,2025-03-31,urgent\nB,bob@taskflow.test,2025-03-31,Low');
+    expect(rows.map(row => row.data.priority)).toEqual(['urgent', 'low']);
+  });
+
+  test('invalid rows list every problem with their line in the file', () => {
+    const rows = importCsv([
+      'Titolo,Assegnatario,Scadenza,Priorità,Progetto',
+      'Completo,bob@taskflow.test,2025-03-31,,',
+      ',,,Alta,',
+      ',carol@taskflow.test,31/02/2025 10:99,massima,Archivio',
+      'Senza data,bob@taskflow.test,,,'
+    ].join('\n'));
+    expect(rows.map(row => [row.line, row.errors])).toEqual([
+      [2, []],
+      [3, ['transfer.errors.title', 'transfer.errors.assignee', 'transfer.errors.dueDate']],
+      [4, [
+        'transfer.errors.title',
+        'transfer.errors.unknownAssignee',
+        'transfer.errors.invalidDueDate',
+        'transfer.errors.priority',
+        'transfer.errors.project'
+      ]],
+      [5, ['transfer.errors.dueDate']]
+    ]);
+  });
+});
+
+describe('getImportBatches', () => {
+  const rows = (count, data = {}) => Array.from({ length: count }, (_, i) => ({
+    line: i + 2,
+    data: { title: `T${i}`, projectId: null, workflowId: undefined, ...data }
+  }));
+
+  test('batches stay within the documents the rules may read', () => {
+    expect(getImportBatches(rows(40)).map(batch => batch.length)).toEqual([18, 18, 4]);
+    expect(getImportBatches(rows(20, { projectId: 'p1', workflowId: 'support' })).map(batch => batch.length))
+      .toEqual([16, 4]);
+  });
+
+  test('every project and custom workflow of a batch counts once', () => {
+    const mixed = rows(18).map((row, i) => ({ ...row, data: { ...row.data, projectId: `p${i % 3}` } }));
+    expect(getImportBatches(mixed).map(batch => batch.length)).toEqual([15, 3]);
+    expect(getImportBatches(rows(3, { workflowId: 'standard' }))).toHaveLength(1);
+  });
+});
+
+describe('jsonToTable', () => {
+  test('reads an export or a plain list, flattening arrays', () => {
+    const table = jsonToTable({ tasks: [{ title: 'A', labels: ['x', 'y'], comments: [{ text: 'c' }] }, { title: 'B', extra: 1 }] });
+    expect(table).toEqual({
+      headers: ['title', 'labels', 'comments', 'extra'],
+      rows: [['A', 'x; y', '', ''], ['B', '', '', '1']]
+    });
+    expect(() => jsonToTable({ items: [] })).toThrow();
+  });
+});
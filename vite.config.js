@@ -1,6 +1,39 @@
+import { createHash } from 'node:crypto'
+import { readFileSync } from 'node:fs'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Public files the service worker keeps next to the built ones
+const PRECACHED_PUBLIC = ['/manifest.webmanifest', '/icons/icon-192.png']
+
+// Emits src/sw.js as sw.js with the files of this build to precache and a
+// version, hashed from their contents, to name its cache after. Build only:
+// the app registers no worker under `vite` (src/main.jsx).
+const serviceWorker = () => ({
+  name: 'taskflow-service-worker',
+  apply: 'build',
+  enforce: 'post',
+  generateBundle(options, bundle) {
+    const files = Object.values(bundle).filter(file => !file.fileName.endsWith('.map'))
+    const hash = createHash('sha256')
+    files.forEach(file => hash.update(file.fileName).update(file.type === 'chunk' ? file.code : file.source))
+    const precache = [
+      '/',
+      ...files.filter(file => file.fileName !== 'index.html').map(file => `/${file.fileName}`),
+      ...PRECACHED_PUBLIC
+    ]
+    this.emitFile({
+      type: 'asset',
+      fileName: 'sw.js',
+      source: [
+        `self.__PRECACHE__ = ${JSON.stringify(precache)};`,
+        `self.__BUILD_VERSION__ = '${hash.digest('hex').slice(0, 12)}';`,
+        readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+      ].join('\n')
+    })
+  },
+})
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
 })
\ No newline at end of file